@@ -19,6 +19,7 @@
  * ✅ Smart Suggestions: Proactive hints for unsaved important info
  * ✅ Knowledge Insights: Weekly analytics of group activity
  * ✅ Weekly Digest: Auto-scheduled team reports (MVP, trends, progress, gamification)
+ * ✅ Reminders: "remind me in 2h to ..." delivered back into the chat (persisted, survive restarts)
  * 
  * PRODUCTION NOTES:
  * - Currently uses SQLite (good for single instance)
@@ -32,6 +33,45 @@ import OpenAI from 'openai';
 import dotenv from 'dotenv';
 import fs from 'fs';
 import Database from 'better-sqlite3';
+import {
+  AttachmentCodec,
+  ContentTypeAttachment,
+  ContentTypeRemoteAttachment,
+  RemoteAttachmentCodec,
+} from '@xmtp/content-type-remote-attachment';
+import { runMigrations } from './utils/migrations.js';
+import { isUploadConfigured, uploadToPinata } from './utils/upload.js';
+import { answerFromNotes } from './utils/rag.js';
+import { createLLM } from './utils/llm.js';
+import { createLLMCache } from './utils/llm-cache.js';
+import { createAuditLog, diffSnapshots } from './utils/audit.js';
+import { extractIdentifiers, findDuplicate, mergeContent } from './utils/duplicates.js';
+import { hasSearchFilters, parseSearchQuery } from './utils/search-query.js';
+import { createMessageNormalizer } from './utils/messages.js';
+import { detectChatType, restampChatType } from './utils/chat-type.js';
+import { checkScope, createCommandRegistry, isWrite, reply, toResponse } from './utils/commands.js';
+import { createConversationState } from './utils/conversation-state.js';
+import {
+  backfillEmbeddings,
+  cosineSimilarity,
+  createEmbeddingProvider,
+  deserializeEmbedding,
+  noteEmbeddingText,
+  reciprocalRankFusion,
+  saveEmbedding,
+} from './utils/embeddings.js';
+import {
+  formatDateTime,
+  formatTimeUntil,
+  getWeekKey,
+  isValidTimeZone,
+  parseClock,
+  parseReminderRequest,
+  parseTimeExpression,
+  parseWeekday,
+  toWallClock,
+  weekdayName,
+} from './utils/time.js';
 
 dotenv.config();
 
@@ -43,29 +83,115 @@ const CONFIG = {
   MIN_RESPONSE_DELAY_MS: 2000,               // 2 seconds
   MAX_RESPONSE_DELAY_MS: 5000,               // 5 seconds
   CONTEXT_CLEANUP_INTERVAL_MS: 60 * 1000,    // 1 minute
+  CONTEXT_INPUT_TIMEOUT_MS: 15 * 60 * 1000,  // 15 minutes to type an edit, send a file or confirm
   
   // Content Limits
   MAX_NOTE_CONTENT_LENGTH: 2000,             // characters
-  MAX_SEARCH_RESULTS_DISPLAY: 5,             // notes to show
-  MAX_RECENT_NOTES: 5,                       // recent notes limit
+  MAX_RECENT_NOTES: 50,                      // "recent" pages through this many
+  
+  // Pagination ("next", "prev", "page 3")
+  LIST_PAGE_SIZE: 5,                         // notes per page (search, recent, edit/delete pickers)
+  CATEGORY_PAGE_SIZE: 10,                    // categories or tags per page
+  
+  // Duplicate detection on save
+  DUPLICATE_SIMILARITY_THRESHOLD: 0.8,       // word overlap (0-1) that counts as the same note
+  DUPLICATE_SCAN_LIMIT: 200,                 // newest notes compared for similar text
+  
+  // Guided save ("save" on its own, Quick Action 1)
+  SAVE_CATEGORY_CHOICES: 8,                  // numbered categories offered, the suggestion first
+  
+  // Tags
+  MAX_TAGS_PER_NOTE: 20,
+  MAX_TAG_LENGTH: 40,                        // characters, without the #
+  MAX_TAGS_DISPLAY: 100,                     // tags listed by "tags"
+  
+  // Pins & Stars
+  MAX_PINS_PER_CHAT: 25,
+  MAX_STARS_PER_USER: 100,                   // per chat
+  PIN_SEARCH_BOOST: 1 / 61,                  // = one extra first-place match at SEARCH_RRF_K 60
+  DIGEST_MAX_PINS: 5,                        // pinned notes listed in the weekly digest
+  
+  // Semantic Search (embeddings)
+  SEMANTIC_MAX_RESULTS: 20,                  // semantic matches merged into a search
+  SEMANTIC_MAX_CANDIDATES: 2000,             // newest embedded notes compared per query
+  SEARCH_RRF_K: 60,                          // rank fusion constant (higher = flatter)
+  EMBEDDING_BACKFILL_INTERVAL_MS: 10 * 60 * 1000, // retry notes that failed to embed
+  EMBEDDING_BACKFILL_BATCH: 100,             // notes per backfill run
   MIN_KEYWORD_LENGTH: 3,                     // minimum keyword length
+  MAX_HISTORY_DISPLAY: 10,                   // revisions / trash items to show
+  
+  // Undo & Trash
+  UNDO_WINDOW_MS: 10 * 60 * 1000,            // 10 minutes
+  TRASH_RETENTION_DAYS: 30,                  // purge deleted notes after this
+  TRASH_PURGE_INTERVAL_MS: 24 * 60 * 60 * 1000, // once a day
+  
+  // Group analytics (detections + weekly activity counters)
+  MAX_DETECTIONS_PER_CHAT: 50,               // newest detections kept per chat
+  DETECTION_RETENTION_DAYS: 14,              // digest looks back 7 days
+  ACTIVITY_RETENTION_WEEKS: 12,              // weekly counters kept this long
+  
+  // Import
+  MAX_IMPORT_ROWS: 100,                      // rows per file
+  MAX_IMPORT_FILE_BYTES: 256 * 1024,         // 256 KB
+  MAX_IMPORT_PREVIEW: 10,                    // rows shown in preview
+  
+  // Reminders
+  REMINDER_MAX_PENDING: 20,                  // pending reminders per user per chat
+  REMINDER_MAX_DAYS_AHEAD: 365,              // furthest a reminder can be set
+  REMINDER_MAX_ATTEMPTS: 5,                  // delivery retries before giving up
+  REMINDER_RETENTION_DAYS: 30,               // keep sent/cancelled reminders this long
+  REMINDER_CHECK_INTERVAL_MS: 30 * 1000,     // how often due reminders are sent
+  
+  // Scheduler (reminders, digest, cleanup jobs)
+  SCHEDULER_TICK_MS: 15 * 1000,              // how often jobs are checked
   
   // Weekly Digest
-  WEEKLY_DIGEST_DAY: 1,                      // 0=Sunday, 1=Monday, etc
-  WEEKLY_DIGEST_HOUR: 9,                     // 9 AM
+  WEEKLY_DIGEST_DAY: 1,                      // 0=Sunday, 1=Monday, etc (default, chats can override)
+  WEEKLY_DIGEST_HOUR: 9,                     // 9 AM in the chat's timezone (server time if unset)
   WEEKLY_DIGEST_ENABLED: true,               // Enable/disable auto-digest
+  WEEKLY_DIGEST_CHECK_INTERVAL_MS: 15 * 60 * 1000, // per-chat day/hour/timezone, so check often
   
   // Rate Limiting
   RATE_LIMIT_WINDOW_MS: 60 * 1000,           // 1 minute
   RATE_LIMIT_MAX_ACTIONS: 20,                // max actions per window
   RATE_LIMIT_SAVE_MAX: 10,                   // max saves per window
+  RATE_LIMIT_ROLE_MULTIPLIER: {              // group roles scale both limits
+    owner: 3,
+    moderator: 3,
+    member: 1,
+    readonly: 0.5,
+  },
+  
+  // Roles & audit trail
+  AUDIT_DEFAULT_ENTRIES: 10,                 // shown by "audit" / "modlog"
+  AUDIT_MAX_ENTRIES: 50,                     // most "audit N" will show
+  AUDIT_RETENTION_DAYS: 180,                 // audit events kept this long
   
-  // OpenAI
-  OPENAI_MODEL: "gpt-3.5-turbo",
+  // LLM (provider and model per task come from env, see utils/llm.js)
   OPENAI_CATEGORIZATION_MAX_TOKENS: 10,
   OPENAI_CONVERSATION_MAX_TOKENS: 150,
   OPENAI_TEMPERATURE: 0.7,
   OPENAI_CATEGORIZATION_TEMP: 0.3,
+  LLM_USAGE_RETENTION_DAYS: 90,              // per-chat token counters kept this long
+  LLM_USAGE_STATS_DAYS: 30,                  // window shown in "stats"
+  
+  // LLM response cache (keyed by task, model and normalized prompt - per chat,
+  // except shared tasks)
+  LLM_CACHE_TTL_MS: {
+    categorize: 30 * 24 * 60 * 60 * 1000,    // same content → same category
+    chat: 24 * 60 * 60 * 1000,
+    answer: 60 * 60 * 1000,                  // prompt includes the notes, so edits miss anyway
+  },
+  LLM_CACHE_SHARED_TASKS: ['categorize'],    // reply is just a category name
+  LLM_CACHE_MAX_ENTRIES: 5000,
+  LLM_CACHE_MAX_RESPONSE_CHARS: 4000,        // longer replies aren't cached
+  LLM_CACHE_PURGE_INTERVAL_MS: 60 * 60 * 1000, // hourly
+  
+  // Answers from notes (RAG)
+  RAG_TOP_K: 5,                              // notes given to the LLM per question
+  RAG_MIN_CONFIDENCE: 0.5,                   // below this → "not found"
+  RAG_MAX_TOKENS: 300,
+  RAG_TEMPERATURE: 0.2,
 };
 
 // ==================== SETUP ====================
@@ -76,20 +202,28 @@ if (!fs.existsSync(installationPath)) {
   console.log(`📁 Created XMTP installation directory: ${installationPath}`);
 }
 
-const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+// Only needed for OpenAI embeddings - chat completions go through `llm` (set up after the database)
+const openai = process.env.OPENAI_API_KEY ? new OpenAI({ apiKey: process.env.OPENAI_API_KEY }) : null;
+
+// Semantic search provider: EMBEDDINGS_PROVIDER=openai|local|off (see utils/embeddings.js)
+let embeddingProvider = null;
+try {
+  embeddingProvider = createEmbeddingProvider({ openai });
+} catch (error) {
+  console.error(`⚠️ Semantic search disabled: ${error.message}`);
+}
 
 // TODO: FOR PRODUCTION SCALING (when traffic increases):
 // 1. Migrate SQLite → PostgreSQL (for PM2 cluster mode support)
 // 2. Add Redis for distributed context storage (survives restarts)
 // 3. Implement message queue (Bull/BullMQ) for handling traffic spikes
-// 4. Add OpenAI response caching to reduce API costs
-// 5. Consider vector embeddings for semantic search
-// 6. Add monitoring/metrics (Prometheus/Grafana)
+// 4. Add monitoring/metrics (Prometheus/Grafana)
 
 const agent = await Agent.createFromEnv({
   env: process.env.XMTP_ENV || 'production',
   persistConversations: true,
-  installationPath: installationPath
+  installationPath: installationPath,
+  codecs: [new AttachmentCodec()] // Inline attachments (remote attachments are built in)
 });
 
 // ==================== LOGGING ====================
@@ -120,102 +254,175 @@ function shortenAddress(address) {
 
 // ==================== DATABASE SETUP ====================
 
-const db = new Database('./dragman.db');
-
-// In-memory store for group analytics (could move to DB later)
-const groupAnalytics = new Map(); // { chatId: { detectedInfo: [], recentTopics: [], activityLog: [] } }
-
-// Weekly stats tracking
-const weeklyStats = new Map(); // { chatId: { weekStart: timestamp, saves: 0, searches: 0, views: 0, lastDigestSent: timestamp } }
+const DB_PATH = process.env.DRAGMAN_DB_PATH || './dragman.db';
+const db = new Database(DB_PATH);
 
 // Track conversation types (DM vs Group) - remember after first interaction
 const conversationTypes = new Map(); // { conversationId: 'dm' | 'group' }
-const ignoredUnknownConversations = new Map(); // { chatId: count } - track how many times we ignored an unknown conversation
-
-// Track pending replies - Base App might send 'message' event with reference, then 'text' event with content
-const pendingReplies = new Map(); // { conversationId_timestamp: { reference, chatId, senderAddress, isGroupChat, timestamp } }
-
-db.exec(`
-  CREATE TABLE IF NOT EXISTS notes (
-    id TEXT PRIMARY KEY,
-    chatId TEXT NOT NULL,
-    chatType TEXT NOT NULL,
-    content TEXT NOT NULL,
-    category TEXT,
-    savedBy TEXT NOT NULL,
-    fromUser TEXT,
-    originalMessage TEXT,
-    createdAt TEXT NOT NULL,
-    tags TEXT,
-    viewCount INTEGER DEFAULT 0
-  )
-`);
-
-db.exec(`
-  CREATE TABLE IF NOT EXISTS conversation_types (
-    chatId TEXT PRIMARY KEY,
-    chatType TEXT NOT NULL,
-    updatedAt TEXT NOT NULL
-  )
-`);
-
-db.exec(`
-  CREATE TABLE IF NOT EXISTS categories (
-    chatId TEXT NOT NULL,
-    category TEXT NOT NULL,
-    count INTEGER DEFAULT 1,
-    PRIMARY KEY (chatId, category)
-  )
-`);
-
-// Create indexes for better search performance
-db.exec(`CREATE INDEX IF NOT EXISTS idx_notes_chatId ON notes(chatId)`);
-db.exec(`CREATE INDEX IF NOT EXISTS idx_notes_savedBy ON notes(savedBy)`);
-db.exec(`CREATE INDEX IF NOT EXISTS idx_notes_category ON notes(category)`);
-db.exec(`CREATE INDEX IF NOT EXISTS idx_notes_createdAt ON notes(createdAt DESC)`);
-db.exec(`CREATE INDEX IF NOT EXISTS idx_categories_chatId ON categories(chatId)`);
-
-log('info', 'Database initialized with indexes');
+
+// Schema lives in utils/migrations.js - pending migrations run (with a backup) on every boot
+const migrationResult = await runMigrations(db, { dbPath: DB_PATH, log });
+
+log('info', 'Database initialized', { schemaVersion: migrationResult.version, applied: migrationResult.applied.length });
+
+// Chat completions: LLM_PROVIDER=openai|compatible|fake|off, per task overrides (see utils/llm.js)
+const llmCache = createLLMCache(db, {
+  ttlMs: CONFIG.LLM_CACHE_TTL_MS,
+  sharedTasks: CONFIG.LLM_CACHE_SHARED_TASKS,
+  maxEntries: CONFIG.LLM_CACHE_MAX_ENTRIES,
+  maxResponseChars: CONFIG.LLM_CACHE_MAX_RESPONSE_CHARS,
+});
+const llm = createLLM({ cache: llmCache, onUsage: recordLLMUsage, log });
+
+// Who changed what (see utils/audit.js)
+const auditLog = createAuditLog(db, { retentionDays: CONFIG.AUDIT_RETENTION_DAYS, log });
 
 // ==================== CONTEXT TRACKING ====================
 
-const userContexts = new Map();
+// Multi-step flows, per person per chat and kept in SQLite (see utils/conversation-state.js).
+// Lists time out quickly; waiting for someone to type or confirm something gets longer.
+// "cancel" leaves any of them, "back" returns to the step before (or cancels the first step).
+// answer: whatever comes next is typed text for this step, so no other command runs meanwhile.
+const CONVERSATION_STATES = {
+  viewing_notes: { timeoutMs: CONFIG.CONTEXT_TIMEOUT_MS, entry: true, cancelled: '❌ Closed the list.' },
+  viewing_categories: { timeoutMs: CONFIG.CONTEXT_TIMEOUT_MS, entry: true, next: ['viewing_notes'], cancelled: '❌ Closed the categories.' },
+  viewing_tags: { timeoutMs: CONFIG.CONTEXT_TIMEOUT_MS, entry: true, next: ['viewing_notes'], cancelled: '❌ Closed the tags.' },
+  editing_notes: { timeoutMs: CONFIG.CONTEXT_TIMEOUT_MS, entry: true, next: ['awaiting_edit_content'], cancelled: '❌ Edit cancelled.' },
+  awaiting_edit_content: { timeoutMs: CONFIG.CONTEXT_INPUT_TIMEOUT_MS, answer: true, cancelled: '❌ Edit cancelled.' },
+  deleting_notes: { timeoutMs: CONFIG.CONTEXT_TIMEOUT_MS, entry: true, cancelled: '❌ Delete cancelled.' },
+  confirming_duplicate: { timeoutMs: CONFIG.CONTEXT_INPUT_TIMEOUT_MS, entry: true, cancelled: '❌ Not saved.' },
+  awaiting_import_file: { timeoutMs: CONFIG.CONTEXT_INPUT_TIMEOUT_MS, entry: true, next: ['confirming_import'], cancelled: '❌ Import cancelled.' },
+  confirming_import: { timeoutMs: CONFIG.CONTEXT_INPUT_TIMEOUT_MS, entry: true, cancelled: '❌ Import cancelled - nothing was saved.' },
+  // Guided save, one question per step (see GUIDED SAVE)
+  saving_content: { timeoutMs: CONFIG.CONTEXT_INPUT_TIMEOUT_MS, answer: true, entry: true, next: ['saving_category'], cancelled: '❌ Not saved.' },
+  saving_category: { timeoutMs: CONFIG.CONTEXT_INPUT_TIMEOUT_MS, answer: true, next: ['saving_tags'], cancelled: '❌ Not saved.' },
+  saving_tags: { timeoutMs: CONFIG.CONTEXT_INPUT_TIMEOUT_MS, answer: true, next: ['saving_reminder'], cancelled: '❌ Not saved.' },
+  saving_reminder: { timeoutMs: CONFIG.CONTEXT_INPUT_TIMEOUT_MS, answer: true, next: ['saving_pin'], cancelled: '❌ Not saved.' },
+  saving_pin: { timeoutMs: CONFIG.CONTEXT_INPUT_TIMEOUT_MS, answer: true, next: ['saving_confirm'], cancelled: '❌ Not saved.' },
+  saving_confirm: { timeoutMs: CONFIG.CONTEXT_INPUT_TIMEOUT_MS, answer: true, cancelled: '❌ Not saved.' },
+};
 
-function setUserContext(address, context, data = null) {
-  userContexts.set(address, { context, data, timestamp: Date.now() });
-}
+const conversationState = createConversationState(db, { states: CONVERSATION_STATES, log });
 
-function getUserContext(address) {
-  const ctx = userContexts.get(address);
-  if (ctx && Date.now() - ctx.timestamp < CONFIG.CONTEXT_TIMEOUT_MS) { // 5 minutes
-    return ctx;
-  }
-  userContexts.delete(address);
-  return null;
+// The last list of notes shown to each user in each chat, so "tag 2 add ..." knows which note is 2.
+// Separate from the conversation state: picking a note from the list clears the state, not this.
+const lastNoteLists = new Map(); // { "chatId address": { noteIds, timestamp } }
+
+function rememberNoteList(address, chatId, notes) {
+  lastNoteLists.set(`${chatId} ${address}`, { noteIds: notes.map(note => note.id), timestamp: Date.now() });
 }
 
-function clearUserContext(address) {
-  userContexts.delete(address);
+function getRememberedNoteId(address, chatId, number) {
+  const list = lastNoteLists.get(`${chatId} ${address}`);
+  if (!list || Date.now() - list.timestamp > CONFIG.CONTEXT_TIMEOUT_MS) return null;
+  return list.noteIds[number - 1] || null;
 }
 
-// Cleanup old contexts periodically to prevent memory leaks
+// Cleanup old note lists periodically to prevent memory leaks
 setInterval(() => {
   const now = Date.now();
-  for (const [address, ctx] of userContexts.entries()) {
-    if (now - ctx.timestamp > CONFIG.CONTEXT_TIMEOUT_MS) {
-      userContexts.delete(address);
-      log('info', 'Cleaned up expired context', { user: address });
-    }
+  for (const [key, list] of lastNoteLists.entries()) {
+    if (now - list.timestamp > CONFIG.CONTEXT_TIMEOUT_MS) lastNoteLists.delete(key);
   }
 }, CONFIG.CONTEXT_CLEANUP_INTERVAL_MS);
 
+// ==================== PAGINATION ====================
+
+// List views keep their whole list in the conversation state plus the current page.
+// Numbers are absolute: page 2 shows 6-10, and replying "7" picks the 7th item.
+const LIST_VIEWS = {
+  viewing_notes: {
+    pageSize: CONFIG.LIST_PAGE_SIZE,
+    items: data => data.notes,
+    notes: true,
+    render: (page, data) => formatNotesList(page.items, { start: page.start, total: data.notes.length, title: data.title }) +
+      formatPageFooter(page) +
+      (data.tips || `Reply with number to view full note\n\n💡 Tip: Type /menu for main menu`),
+  },
+  editing_notes: {
+    pageSize: CONFIG.LIST_PAGE_SIZE,
+    items: data => data.notes,
+    notes: true,
+    render: (page, data) => `✏️ Found ${data.notes.length} matching note(s):\n\n` +
+      formatNotePicker(page) + formatPageFooter(page) +
+      `Reply with number to edit, or type /menu to cancel`,
+  },
+  deleting_notes: {
+    pageSize: CONFIG.LIST_PAGE_SIZE,
+    items: data => data.notes,
+    notes: true,
+    render: (page, data) => `🗑️ Found ${data.notes.length} matching note(s):\n\n` +
+      formatNotePicker(page) + formatPageFooter(page) +
+      `Reply with number to delete, or type /menu to cancel`,
+  },
+  viewing_categories: {
+    pageSize: CONFIG.CATEGORY_PAGE_SIZE,
+    items: data => data.categories,
+    render: (page, data, chatId) => `🐉 Browse notes by category:\n\n` +
+      page.items.map((cat, index) => `${page.start + index + 1}. ${getCategoryEmoji(cat.category, chatId)} ${cat.category} (${cat.count})\n`).join('') +
+      `\n` + formatPageFooter(page) +
+      `Reply with the number to view notes in that category.\n\n💡 Tip: Type /menu anytime to return here`,
+  },
+  viewing_tags: {
+    pageSize: CONFIG.CATEGORY_PAGE_SIZE,
+    items: data => data.tags,
+    render: page => `🏷️ TAGS\n\n` +
+      page.items.map(({ tag, count }, index) => `${page.start + index + 1}. #${tag} (${count})\n`).join('') +
+      `\n` + formatPageFooter(page) +
+      `Reply with a number to see those notes, or "search #tag keyword"`,
+  },
+};
+
+// One page of a list; out-of-range pages are clamped, so "page 99" shows the last one
+function paginate(items, page = 1, pageSize = CONFIG.LIST_PAGE_SIZE) {
+  const pages = Math.max(1, Math.ceil(items.length / pageSize));
+  const current = Math.min(Math.max(1, page), pages);
+  const start = (current - 1) * pageSize;
+  return { items: items.slice(start, start + pageSize), page: current, pages, start };
+}
+
+function formatPageFooter({ page, pages, start, items }) {
+  if (pages <= 1) return '';
+  return `📄 Page ${page} of ${pages} (${start + 1}-${start + items.length}) • "next", "prev" or "page N"\n\n`;
+}
+
+// Store a list view as the user's conversation state and render the requested page of it
+function showListPage(senderAddress, chatId, state, data, page = 1) {
+  const view = LIST_VIEWS[state];
+  const items = view.items(data);
+  const current = paginate(items, page, view.pageSize);
+  conversationState.set(chatId, senderAddress, state, { ...data, page: current.page });
+  // The whole list, so "tag 7 add ..." finds item 7 whatever page is showing
+  if (view.notes) rememberNoteList(senderAddress, chatId, items);
+  return view.render(current, data, chatId);
+}
+
+// The item a number refers to if it's on the page being shown, otherwise undefined
+function pickFromPage(context, number) {
+  const view = LIST_VIEWS[context.state];
+  const current = paginate(view.items(context.data), context.data.page, view.pageSize);
+  return number > current.start && number <= current.start + current.items.length
+    ? current.items[number - current.start - 1]
+    : undefined;
+}
+
 // ==================== RATE LIMITING ====================
 
 const rateLimitStore = new Map(); // { address: { actions: [...timestamps], saves: [...timestamps] } }
 
-function checkRateLimit(address, actionType = 'general') {
+// Scaled by the sender's group role (see CONFIG.RATE_LIMIT_ROLE_MULTIPLIER)
+function getRateLimits(role = 'member') {
+  const multiplier = CONFIG.RATE_LIMIT_ROLE_MULTIPLIER[role] ?? 1;
+  return {
+    actions: Math.max(1, Math.floor(CONFIG.RATE_LIMIT_MAX_ACTIONS * multiplier)),
+    saves: Math.max(1, Math.floor(CONFIG.RATE_LIMIT_SAVE_MAX * multiplier)),
+  };
+}
+
+function checkRateLimit(address, actionType = 'general', role = 'member') {
   const now = Date.now();
   const windowStart = now - CONFIG.RATE_LIMIT_WINDOW_MS;
+  const limits = getRateLimits(role);
   
   if (!rateLimitStore.has(address)) {
     rateLimitStore.set(address, { actions: [], saves: [] });
@@ -228,13 +435,13 @@ function checkRateLimit(address, actionType = 'general') {
   userLimits.saves = userLimits.saves.filter(ts => ts > windowStart);
   
   // Check general actions limit
-  if (userLimits.actions.length >= CONFIG.RATE_LIMIT_MAX_ACTIONS) {
-    return { allowed: false, reason: 'too_many_actions', resetIn: Math.ceil((userLimits.actions[0] + CONFIG.RATE_LIMIT_WINDOW_MS - now) / 1000) };
+  if (userLimits.actions.length >= limits.actions) {
+    return { allowed: false, reason: 'too_many_actions', limit: limits.actions, resetIn: Math.ceil((userLimits.actions[0] + CONFIG.RATE_LIMIT_WINDOW_MS - now) / 1000) };
   }
   
   // Check save-specific limit
-  if (actionType === 'save' && userLimits.saves.length >= CONFIG.RATE_LIMIT_SAVE_MAX) {
-    return { allowed: false, reason: 'too_many_saves', resetIn: Math.ceil((userLimits.saves[0] + CONFIG.RATE_LIMIT_WINDOW_MS - now) / 1000) };
+  if (actionType === 'save' && userLimits.saves.length >= limits.saves) {
+    return { allowed: false, reason: 'too_many_saves', limit: limits.saves, resetIn: Math.ceil((userLimits.saves[0] + CONFIG.RATE_LIMIT_WINDOW_MS - now) / 1000) };
   }
   
   // Record action
@@ -301,29 +508,16 @@ function sanitizeInput(input) {
 
 // ==================== QUICK ACTIONS ====================
 
+const NUMBER_EMOJIS = ['1️⃣', '2️⃣', '3️⃣', '4️⃣', '5️⃣', '6️⃣', '7️⃣', '8️⃣', '9️⃣', '🔟'];
+
+// Text-based menu built from the commands' menu entries (see COMMANDS); DMs and groups differ by scope
 async function sendMainQuickActions(ctx, chatType) {
-  // Text-based menu (different for DM vs Group)
-  let interactiveMenu;
-  
-  if (chatType === 'group') {
-    interactiveMenu = `🐉 What would you like to do?\n\n` +
-      `🎯 QUICK ACTIONS\n\n` +
-      `1️⃣ 💾 Save Note\n` +
-      `2️⃣ 🔍 Search Notes\n` +
-      `3️⃣ 📂 View Categories\n` +
-      `4️⃣ ❓ Help\n\n` +
-      `💡 Just type the number (1-4) with tag @dragman.base.eth first`;
-  } else {
-    // DM menu includes group features option
-    interactiveMenu = `🐉 What would you like to do?\n\n` +
-      `🎯 QUICK ACTIONS\n\n` +
-      `1️⃣ 💾 Save Note\n` +
-      `2️⃣ 🔍 Search Notes\n` +
-      `3️⃣ 📂 View Categories\n` +
-      `4️⃣ ❓ Help\n` +
-      `5️⃣ 🚀 Group Features\n\n` +
-      `💡 Just type the number (1-5)`;
-  }
+  const actions = commandRegistry.menu(chatType);
+  const interactiveMenu = `🐉 What would you like to do?\n\n` +
+    `🎯 QUICK ACTIONS\n\n` +
+    actions.map((action, index) => `${NUMBER_EMOJIS[index] || `${index + 1}.`} ${action.label}`).join('\n') +
+    `\n\n💡 Just type the number (1-${actions.length})` +
+    (chatType === 'group' ? ` with tag @dragman.base.eth first` : '');
   
   try {
     await ctx.sendText(interactiveMenu);
@@ -333,7 +527,8 @@ async function sendMainQuickActions(ctx, chatType) {
   }
 }
 
-async function sendCategoryActions(ctx, chatId, senderAddress, isGroupChat = false) {
+// The category list (a list view: reply with a number to see that category's notes)
+function formatCategories(chatId, senderAddress, isGroupChat = false) {
   // CRITICAL PRIVACY FIX: 
   // 1. In DMs, only show categories from user's own notes
   // 2. ALWAYS filter by chatType to prevent DM notes leaking into groups
@@ -368,44 +563,21 @@ async function sendCategoryActions(ctx, chatId, senderAddress, isGroupChat = fal
   }
 
   if (categories.length === 0) {
-    await ctx.sendText("📭 No categories yet. Start by saving some notes!");
-    return;
+    return "📭 No categories yet. Start by saving some notes!";
   }
 
-  setUserContext(senderAddress, 'viewing_categories', { categories, isGroupChat });
-
-  let text = "🐉 Browse notes by category:\n\n";
-  categories.forEach((cat, index) => {
-    text += `${index + 1}. ${getCategoryEmoji(cat.category)} ${cat.category} (${cat.count})\n`;
-  });
-  
-  text += `\nReply with the number to view notes in that category.`;
-  text += `\n\n💡 Tip: Type /menu anytime to return here`;
-
-  await ctx.sendText(text);
-}
-
-async function sendSearchResultActions(ctx, results, senderAddress) {
-  setUserContext(senderAddress, 'viewing_search_results', { results });
-  
-  let text = formatNotesList(results.slice(0, CONFIG.MAX_SEARCH_RESULTS_DISPLAY));
-  if (results.length > CONFIG.MAX_SEARCH_RESULTS_DISPLAY) {
-    text += `\n...and ${results.length - CONFIG.MAX_SEARCH_RESULTS_DISPLAY} more results\n`;
-  }
-  text += `\nReply with number to view full note`;
-  text += `\n\n💡 Tip: Type /menu for main menu`;
-  
-  await ctx.sendText(text);
+  return showListPage(senderAddress, chatId, 'viewing_categories', { categories, isGroupChat });
 }
 
 // ==================== SMART NOTE SAVING ====================
 
-async function saveNote(content, chatId, chatType, savedBy, fromUser = null, originalMessage = null, explicitCategory = null) {
+// auditAction: 'save', or 'import' for rows from an imported file
+async function saveNote(content, chatId, chatType, savedBy, fromUser = null, originalMessage = null, explicitCategory = null, extraTags = [], auditAction = 'save') {
   try {
     const noteId = `note_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
     
-    const category = explicitCategory || await categorizeContent(content);
-    const tags = extractTags(content);
+    const category = explicitCategory || await categorizeContent(content, chatId);
+    const tags = [...new Set([...extractTags(content), ...extraTags.map(normalizeTag)])].filter(Boolean).slice(0, CONFIG.MAX_TAGS_PER_NOTE);
     
     db.prepare(`
       INSERT INTO notes (id, chatId, chatType, content, category, savedBy, fromUser, originalMessage, createdAt, tags)
@@ -422,6 +594,9 @@ async function saveNote(content, chatId, chatType, savedBy, fromUser = null, ori
       DO UPDATE SET count = count + 1
     `).run(chatId, category);
     
+    recordActivity(chatId, 'saves');
+    auditLog.record({ chatId, chatType, actor: savedBy, action: auditAction, noteId, target: savedBy, after: { content, category, tags } });
+    updateNoteEmbedding(noteId); // In the background - saving never waits on the embeddings API
     log('info', 'Note saved', { noteId, category, user: savedBy });
     
     return { noteId, category, tags };
@@ -431,8 +606,8 @@ async function saveNote(content, chatId, chatType, savedBy, fromUser = null, ori
   }
 }
 
-async function categorizeContent(content) {
-  // Regex patterns for common categories
+// Keyword rules for common categories - free, so they run before the LLM
+function matchCategoryPattern(content) {
   if (/0x[a-fA-F0-9]{40}/.test(content)) return 'Addresses';
   if (/contract|deploy|solidity/i.test(content)) return 'Contract';
   if (/transaction|tx|transfer|swap/i.test(content)) return 'Transaction';
@@ -449,601 +624,2895 @@ async function categorizeContent(content) {
   if (/idea|thought|brainstorm/i.test(content)) return 'Ideas';
   if (/\?$|question|why|how|what|when/i.test(content)) return 'Questions';
   if (/resource|tool|link|doc/i.test(content)) return 'Resources';
+  return null;
+}
+
+// The keyword category if the chat allows it, else null - never calls the LLM
+function categorizeByRules(content, chatId = null) {
+  const matched = matchCategoryPattern(content);
+  if (!matched) return null;
+  return chatId ? resolveCategory(chatId, matched) : matched;
+}
+
+// Picks a category the chat allows (see CATEGORY TAXONOMY); General when nothing fits
+async function categorizeContent(content, chatId = null) {
+  const allowed = chatId ? getChatCategories(chatId).map(category => category.name) : [];
+  const accept = name => (chatId ? resolveCategory(chatId, name) : name);
+  
+  const matchedCategory = categorizeByRules(content, chatId);
+  if (matchedCategory) return matchedCategory;
+  
+  const instructions = allowed.length > 0
+    ? `Return exactly one category from this list: ${[...allowed, 'General'].join(', ')}.`
+    : `Return ONLY a 1-2 word category name for the note. Categories: ${Object.keys(DEFAULT_CATEGORY_EMOJIS).join(', ')}.`;
   
   try {
-    const completion = await openai.chat.completions.create({
-      model: CONFIG.OPENAI_MODEL,
+    const completion = await llm.complete('categorize', {
+      chatId,
       messages: [{
         role: "system",
-        content: "You are a categorization assistant. Return ONLY a 1-2 word category name for the note. Categories: Addresses, Contract, Transaction, Links, Tutorial, Strategy, Meeting, API, DeFi, Gaming, Dev, Trading, Personal, Ideas, Questions, Resources, General. Return just the category word, nothing else."
+        content: `You are a categorization assistant. ${instructions} Return just the category word, nothing else.`
       }, {
         role: "user",
         content: `Categorize this note: "${content}"`
       }],
-      max_tokens: CONFIG.OPENAI_CATEGORIZATION_MAX_TOKENS,
+      maxTokens: CONFIG.OPENAI_CATEGORIZATION_MAX_TOKENS,
       temperature: CONFIG.OPENAI_CATEGORIZATION_TEMP,
     });
-    return completion.choices[0].message.content.trim() || 'General';
+    const answer = completion.content.trim().replace(/^["'`]+|["'`.!]+$/g, '');
+    return (answer && accept(answer)) || 'General';
   } catch (error) {
-    log('error', 'OpenAI categorization failed', { error: error.message });
+    log('error', 'LLM categorization failed', { error: error.message });
     return 'General';
   }
 }
 
-function extractTags(content) {
-  const tags = [];
-  const words = content.toLowerCase().split(/\s+/);
-  const keywords = ['eth', 'base', 'uniswap', 'nft', 'dao', 'defi', 'web3', 'smart contract', 'yield', 'stake'];
-  
-  keywords.forEach(keyword => {
-    if (content.toLowerCase().includes(keyword)) {
-      tags.push(keyword);
-    }
-  });
-  
-  return tags;
-}
-
-// ==================== SMART NOTE SEARCHING ====================
+// ==================== DUPLICATES ====================
 
-function searchNotes(query, chatId, senderAddress = null, isGroupChat = false) {
-  // CRITICAL PRIVACY FIX: 
-  // 1. In DMs, only show user's own notes
-  // 2. ALWAYS filter by chatType to prevent DM notes leaking into groups
+// A note in the same scope as search (group: the whole chat, DM: your own notes)
+// that already has this content. Notes sharing an address or link are looked up
+// directly, so an old match isn't missed; similar text is checked on the newest notes.
+function findDuplicateNote(content, chatId, senderAddress, isGroupChat = false) {
+  // CRITICAL PRIVACY FIX: DM → own notes only, always filter chatType
   const chatType = isGroupChat ? 'group' : 'dm';
-  
+  const params = [chatId, chatType];
+  let ownerFilter = '';
   if (!isGroupChat && senderAddress) {
-    return db.prepare(`
-      SELECT * FROM notes 
-      WHERE chatId = ? AND chatType = ? AND savedBy = ? AND (
-        LOWER(content) LIKE ? OR 
-        LOWER(category) LIKE ? OR 
-        LOWER(tags) LIKE ?
-      )
-      ORDER BY createdAt DESC
-    `).all(chatId, chatType, senderAddress, `%${query.toLowerCase()}%`, `%${query.toLowerCase()}%`, `%${query.toLowerCase()}%`);
-  } else {
-    return db.prepare(`
-      SELECT * FROM notes 
-      WHERE chatId = ? AND chatType = ? AND (
-        LOWER(content) LIKE ? OR 
-        LOWER(category) LIKE ? OR 
-        LOWER(tags) LIKE ?
-      )
-      ORDER BY createdAt DESC
-    `).all(chatId, chatType, `%${query.toLowerCase()}%`, `%${query.toLowerCase()}%`, `%${query.toLowerCase()}%`);
+    ownerFilter = 'AND savedBy = ?';
+    params.push(senderAddress);
   }
+
+  // instr(), not LIKE: "_" and "%" are common in links and would match any character
+  const { addresses, urls } = extractIdentifiers(content);
+  const identifiers = [...addresses, ...urls];
+  const sharingIdentifier = identifiers.length === 0 ? [] : db.prepare(`
+    SELECT * FROM notes
+    WHERE chatId = ? AND chatType = ? ${ownerFilter} AND (${identifiers.map(() => 'instr(LOWER(content), ?) > 0').join(' OR ')})
+    ORDER BY createdAt DESC
+    LIMIT 20
+  `).all(...params, ...identifiers);
+
+  const newest = db.prepare(`
+    SELECT * FROM notes
+    WHERE chatId = ? AND chatType = ? ${ownerFilter}
+    ORDER BY createdAt DESC
+    LIMIT ?
+  `).all(...params, CONFIG.DUPLICATE_SCAN_LIMIT);
+
+  return findDuplicate(content, [...sharingIdentifier, ...newest], { threshold: CONFIG.DUPLICATE_SIMILARITY_THRESHOLD });
 }
 
-function getNotesByCategory(category, chatId, senderAddress = null, isGroupChat = false) {
-  // CRITICAL PRIVACY FIX: 
-  // 1. In DMs, only show user's own notes
-  // 2. ALWAYS filter by chatType to prevent DM notes leaking into groups
-  const chatType = isGroupChat ? 'group' : 'dm';
-  
-  if (!isGroupChat && senderAddress) {
-    return db.prepare(`
-      SELECT * FROM notes 
-      WHERE chatId = ? AND chatType = ? AND savedBy = ? AND category = ?
-      ORDER BY createdAt DESC
-    `).all(chatId, chatType, senderAddress, category);
-  } else {
-    return db.prepare(`
-      SELECT * FROM notes 
-      WHERE chatId = ? AND chatType = ? AND category = ?
-      ORDER BY createdAt DESC
-    `).all(chatId, chatType, category);
+// Fold a new note into an existing one: content and tags are combined, the
+// note keeps its saver and category, and the merge goes into its history under
+// the person who merged (so "history" and "undo" show both).
+// Returns { note, tags, added } or { error: 'not_found' | 'too_long' }
+function mergeIntoNote(noteId, addition, actor) {
+  const current = db.prepare('SELECT * FROM notes WHERE id = ?').get(noteId);
+  if (!current) return { error: 'not_found' };
+
+  const content = mergeContent(current.content, addition);
+  if (content.length > CONFIG.MAX_NOTE_CONTENT_LENGTH) return { error: 'too_long' };
+  const tags = [...new Set([...parseNoteTags(current), ...extractTags(addition)])].slice(0, CONFIG.MAX_TAGS_PER_NOTE);
+
+  db.transaction(() => {
+    recordRevision(current, 'merge', actor);
+    db.prepare('UPDATE notes SET content = ?, tags = ?, updatedAt = ? WHERE id = ?')
+      .run(content, JSON.stringify(tags), new Date().toISOString(), noteId);
+  })();
+
+  auditLog.record({
+    chatId: current.chatId, chatType: current.chatType, actor, action: 'merge', noteId, target: current.savedBy,
+    before: noteSnapshot(current), after: { ...noteSnapshot(current), content, tags },
+  });
+  if (content !== current.content) {
+    updateNoteEmbedding(noteId);
   }
+  log('info', 'Duplicate merged into note', { noteId, user: actor });
+  return { note: { ...current, content, tags: JSON.stringify(tags) }, tags, added: content !== current.content };
 }
 
-function getRecentNotes(chatId, limit = CONFIG.MAX_RECENT_NOTES, senderAddress = null, isGroupChat = false) {
-  // CRITICAL PRIVACY FIX: 
-  // 1. In DMs, only show user's own notes
-  // 2. ALWAYS filter by chatType to prevent DM notes leaking into groups
+function formatDuplicatePrompt(duplicate, chatType) {
+  const { note, reason, match, score } = duplicate;
+  const why = reason === 'address' ? `same address ${shortenAddress(match)}`
+    : reason === 'link' ? `same link ${truncate(match, 40)}`
+    : score === 1 ? 'same words' : `${Math.round(score * 100)}% the same words`;
+
+  return `🔁 Looks like this is already saved (${why}):\n\n` +
+         `${getCategoryEmoji(note.category, note.chatId)} ${note.category}\n` +
+         `📝 ${truncate(note.content, 150)}\n` +
+         (chatType === 'group' ? `👤 Saved by ${shortenAddress(note.savedBy)} • ` : '📅 ') + `${getRelativeTime(new Date(note.createdAt))}\n\n` +
+         `Reply 1 to merge, 2 to save anyway`;
+}
+
+// 1 = merge into the existing note, 2 = save as a new note
+async function handleDuplicateConfirmation(number, context, chatId, senderAddress) {
+  const { content, explicitCategory, noteId, isGroupChat } = context.data;
   const chatType = isGroupChat ? 'group' : 'dm';
-  
-  if (!isGroupChat && senderAddress) {
-    return db.prepare(`
-      SELECT * FROM notes 
-      WHERE chatId = ? AND chatType = ? AND savedBy = ?
-      ORDER BY createdAt DESC 
-      LIMIT ?
-    `).all(chatId, chatType, senderAddress, limit);
-  } else {
-    return db.prepare(`
-      SELECT * FROM notes 
-      WHERE chatId = ? AND chatType = ?
-      ORDER BY createdAt DESC 
-      LIMIT ?
-    `).all(chatId, chatType, limit);
+  conversationState.clear(chatId, senderAddress);
+
+  if (number === 1) {
+    const result = mergeIntoNote(noteId, content, senderAddress);
+    if (result.error === 'too_long') {
+      conversationState.set(chatId, senderAddress, 'confirming_duplicate', context.data);
+      return `❌ Together they'd be over ${CONFIG.MAX_NOTE_CONTENT_LENGTH} characters.\n\n💡 Reply 2 to save it as a new note instead`;
+    }
+    if (!result.error) {
+      const { note, tags } = result;
+      return `🔀 Merged into the existing note!\n\n` +
+             `${getCategoryEmoji(note.category, note.chatId)} Category: ${note.category}\n` +
+             `📝 ${truncate(note.content, 150)}\n` +
+             (tags.length > 0 ? `🏷️ ${tags.map(tag => `#${tag}`).join(' ')}\n` : '') +
+             (!result.added ? `ℹ️ It already said all of that, so only new tags were added\n` : '') +
+             (isGroupChat && note.savedBy !== senderAddress ? `👤 Saved by ${shortenAddress(note.savedBy)}, merged by you\n` : '') +
+             `\n↩️ Changed your mind? Type "undo"`;
+    }
+    // The note was deleted in the meantime - save this one on its own
   }
-}
 
-function incrementViewCount(noteId) {
   try {
-    db.prepare(`
-      UPDATE notes 
-      SET viewCount = viewCount + 1 
-      WHERE id = ?
-    `).run(noteId);
+    const result = await saveNote(content, chatId, chatType, senderAddress, null, null, explicitCategory);
+    return formatSavedNote(result, content, chatId, chatType);
   } catch (error) {
-    log('error', 'Failed to increment view count', { noteId, error: error.message });
+    return `❌ Failed to save note. Please try again.\n\n💡 Type /help for assistance.`;
   }
 }
 
-// ==================== GROUP INTELLIGENCE FEATURES ====================
+// ==================== GUIDED SAVE ====================
 
-// PASSIVE DETECTION: Detect important info in background (doesn't auto-respond)
-function detectImportantInfo(message, chatId, senderAddress) {
-  const detectedItems = [];
-  
-  // Detect Ethereum addresses
-  const addressMatches = message.match(/0x[a-fA-F0-9]{40,}/g);
-  if (addressMatches) {
-    detectedItems.push({
-      type: 'address',
-      content: addressMatches[0],
-      detectedBy: senderAddress,
-      timestamp: Date.now()
-    });
-  }
-  
-  // Detect URLs
-  const urlMatches = message.match(/https?:\/\/[^\s]+/g);
-  if (urlMatches) {
-    detectedItems.push({
-      type: 'url',
-      content: urlMatches[0],
-      detectedBy: senderAddress,
-      timestamp: Date.now()
-    });
+// "save" on its own (or Quick Action 1) asks for a note one question at a time.
+// Each question is a conversation state carrying the answers so far, so "back"
+// re-asks the previous one and "cancel" drops the lot.
+const SAVE_STEPS = ['saving_content', 'saving_category', 'saving_tags', 'saving_reminder', 'saving_pin', 'saving_confirm'];
+
+const SKIP_ANSWER = /^(skip|no|none|nope|n|-)$/i;
+
+function startGuidedSave({ chatId, isGroupChat, senderAddress }) {
+  conversationState.set(chatId, senderAddress, 'saving_content', { isGroupChat });
+  return formatSaveStep('saving_content', { isGroupChat }, chatId);
+}
+
+// The suggestion first, then what this chat already uses (or only allows), then the built-in ones
+function getCategoryChoices(chatId, suggested) {
+  const known = isTaxonomyRestricted(chatId)
+    ? [...getChatCategories(chatId).map(category => category.name), 'General']
+    : [
+        ...db.prepare('SELECT category FROM categories WHERE chatId = ? AND count > 0 ORDER BY count DESC').all(chatId).map(row => row.category),
+        ...Object.keys(DEFAULT_CATEGORY_EMOJIS),
+      ];
+  return [...new Set([suggested, ...known])].slice(0, CONFIG.SAVE_CATEGORY_CHOICES);
+}
+
+function formatSaveStep(state, data, chatId) {
+  const header = `💾 New note • step ${SAVE_STEPS.indexOf(state) + 1} of ${SAVE_STEPS.length}\n\n`;
+
+  switch (state) {
+    case 'saving_content':
+      return header + `What should I save? Type the note: an address, a link, an idea...\n\n` +
+             `💡 "back" goes to the previous step, "cancel" stops at any step\n` +
+             `💡 Quicker next time: save [content] in [category]`;
+
+    case 'saving_category':
+      return header + `📂 Which category?\n\n` +
+             data.choices.map((category, index) =>
+               `${index + 1}. ${getCategoryEmoji(category, chatId)} ${category}${category === data.suggested ? ' (suggested)' : ''}\n`).join('') +
+             `\nReply with a number` +
+             (isTaxonomyRestricted(chatId) ? `` : `, or type any category name (several words are fine)`);
+
+    case 'saving_tags':
+      return header + `🏷️ Any tags? e.g. defi, airdrop, smart contract\n\n` +
+             (extractTags(data.content).length > 0 ? `Already tagged from the note: ${extractTags(data.content).map(tag => `#${tag}`).join(' ')}\n\n` : '') +
+             `Reply with tags separated by commas, or "skip"`;
+
+    case 'saving_reminder':
+      return header + `⏰ Want a reminder about it?\n\n` +
+             `e.g. "tomorrow 9am", "in 3 days", "on Friday"\n\n` +
+             `Reply with a time, or "skip"`;
+
+    case 'saving_pin':
+      return header + `📌 Pin it to ${data.isGroupChat ? "the group's" : 'your'} board? It comes first in search and answers.\n\n` +
+             `1. Yes, pin it\n2. No`;
+
+    case 'saving_confirm': {
+      const duplicate = findDuplicateNote(data.content, chatId, data.savedBy, data.isGroupChat);
+      const timeZone = getChatTimeZone(chatId);
+      return header + `📋 Ready to save:\n\n` +
+             `${getCategoryEmoji(data.category, chatId)} Category: ${data.category}\n` +
+             `📝 ${truncate(data.content, 150)}\n` +
+             (data.tags.length > 0 ? `🏷️ ${data.tags.map(tag => `#${tag}`).join(' ')}\n` : '') +
+             (data.dueAt ? `⏰ Reminder: ${formatDateTime(new Date(data.dueAt), timeZone)}\n` : '') +
+             (data.pin ? `📌 Pinned\n` : '') +
+             (duplicate ? `\n🔁 Something like this is already saved: ${truncate(duplicate.note.content, 60)}\n` : '') +
+             `\nReply 1 to save, 2 to cancel\n💡 "back" to change the last answer`;
+    }
   }
-  
-  // Detect important keywords (contract, deploy, wallet, key, api)
-  const importantKeywords = ['contract', 'deploy', 'wallet', 'private key', 'api key', 'token', 'mainnet'];
-  const lowerMessage = message.toLowerCase();
-  for (const keyword of importantKeywords) {
-    if (lowerMessage.includes(keyword)) {
-      detectedItems.push({
-        type: 'keyword',
-        content: keyword,
-        context: message.substring(0, 100),
-        detectedBy: senderAddress,
-        timestamp: Date.now()
+}
+
+// Ask the next question, keeping every answer so far
+function nextSaveStep(call, state, data) {
+  conversationState.set(call.chatId, call.senderAddress, state, data);
+  return formatSaveStep(state, data, call.chatId);
+}
+
+// An answer to the current question; invalid answers re-ask it
+async function handleSaveStep(userMessage, context, call) {
+  const { chatId, senderAddress } = call;
+  const answer = sanitizeInput(userMessage);
+  const data = context.data;
+
+  switch (context.state) {
+    case 'saving_content': {
+      const validation = validateNoteContent(answer);
+      if (!validation.valid) {
+        return `${validation.error}\n\n💡 Type the note again, or "cancel"`;
+      }
+      const suggested = await categorizeContent(answer, chatId);
+      return nextSaveStep(call, 'saving_category', {
+        ...data, content: answer, savedBy: senderAddress, suggested, choices: getCategoryChoices(chatId, suggested),
       });
-      break; // Only track first important keyword
+    }
+
+    case 'saving_category': {
+      if (/^\d+$/.test(answer)) {
+        const category = data.choices[parseInt(answer) - 1];
+        if (!category) return `❓ Pick a number from 1 to ${data.choices.length}, or type a category name`;
+        return nextSaveStep(call, 'saving_tags', { ...data, category });
+      }
+      const category = resolveCategory(chatId, answer.replace(/^["']|["']$/g, ''));
+      if (!category) {
+        return `❓ "${answer}" isn't a category in this chat.\n\n` +
+               `📂 Reply with a number from the list, or one of: ${[...getChatCategories(chatId).map(c => c.name), 'General'].join(', ')}`;
+      }
+      return nextSaveStep(call, 'saving_tags', { ...data, category });
+    }
+
+    case 'saving_tags': {
+      const tags = SKIP_ANSWER.test(answer) ? [] : parseTagList(answer);
+      if (!SKIP_ANSWER.test(answer) && tags.length === 0) {
+        return `❓ Tags are words like defi or airdrop, separated by commas.\n\n💡 Or reply "skip"`;
+      }
+      const allTags = [...new Set([...extractTags(data.content), ...tags])].slice(0, CONFIG.MAX_TAGS_PER_NOTE);
+      return nextSaveStep(call, 'saving_reminder', { ...data, tags: allTags });
+    }
+
+    case 'saving_reminder': {
+      if (SKIP_ANSWER.test(answer)) {
+        return nextSaveStep(call, 'saving_pin', { ...data, dueAt: null });
+      }
+      const when = answer.replace(/[.!?]+$/, '');
+      const parsed = parseTimeExpression(when, { timeZone: getChatTimeZone(chatId) });
+      if (!parsed || parsed.length !== when.length) {
+        return `❓ I didn't get that time.\n\n💡 Try "tomorrow 9am", "in 2h" or "on Friday" - or "skip"`;
+      }
+      const now = new Date();
+      if (parsed.date <= now) {
+        return `⏰ That time has already passed. Pick a time in the future, or "skip"`;
+      }
+      if (parsed.date - now > CONFIG.REMINDER_MAX_DAYS_AHEAD * 24 * 60 * 60 * 1000) {
+        return `⏰ Reminders can be set up to ${CONFIG.REMINDER_MAX_DAYS_AHEAD} days ahead. Pick an earlier time, or "skip"`;
+      }
+      if (getPendingReminders(chatId, senderAddress).length >= CONFIG.REMINDER_MAX_PENDING) {
+        return `⏰ You already have ${CONFIG.REMINDER_MAX_PENDING} pending reminders here, so reply "skip" for this one.\n\n` +
+               `💡 Type "reminders" afterwards to review them`;
+      }
+      return nextSaveStep(call, 'saving_pin', { ...data, dueAt: parsed.date.toISOString() });
+    }
+
+    case 'saving_pin': {
+      if (/^(1|yes|y|pin)$/i.test(answer)) return nextSaveStep(call, 'saving_confirm', { ...data, pin: true });
+      if (/^2$/.test(answer) || SKIP_ANSWER.test(answer)) return nextSaveStep(call, 'saving_confirm', { ...data, pin: false });
+      return `❓ Reply 1 to pin it, or 2 not to`;
+    }
+
+    case 'saving_confirm': {
+      if (/^(1|yes|y|save)$/i.test(answer)) return await finishGuidedSave(data, call);
+      if (/^2$/.test(answer) || SKIP_ANSWER.test(answer)) return cancelConversation(senderAddress, chatId);
+      return `❓ Reply 1 to save, 2 to cancel, or "back" to change the last answer`;
     }
   }
-  
-  // Store detected items for analytics
-  if (detectedItems.length > 0) {
-    if (!groupAnalytics.has(chatId)) {
-      groupAnalytics.set(chatId, { detectedInfo: [], recentTopics: [], activityLog: [] });
+}
+
+async function finishGuidedSave(data, { chatId, chatType, senderAddress }) {
+  conversationState.clear(chatId, senderAddress);
+
+  let result;
+  try {
+    result = await saveNote(data.content, chatId, chatType, senderAddress, null, null, data.category, data.tags);
+  } catch (error) {
+    return `❌ Failed to save note. Please try again.\n\n💡 Type /help for assistance.`;
+  }
+
+  const extras = [];
+  if (data.dueAt) {
+    const dueAt = new Date(data.dueAt);
+    if (dueAt > new Date()) {
+      createReminder(chatId, chatType, senderAddress, data.content, dueAt, result.noteId);
+      extras.push(`⏰ Reminder set for ${formatDateTime(dueAt, getChatTimeZone(chatId))} (${formatTimeUntil(dueAt)})`);
+    } else {
+      extras.push(`⏰ The reminder time passed while we were at it, so no reminder was set`);
     }
-    const analytics = groupAnalytics.get(chatId);
-    analytics.detectedInfo.push(...detectedItems);
-    
-    // Keep only last 50 detected items
-    if (analytics.detectedInfo.length > 50) {
-      analytics.detectedInfo = analytics.detectedInfo.slice(-50);
+  }
+  if (data.pin) {
+    const note = db.prepare('SELECT * FROM notes WHERE id = ?').get(result.noteId);
+    const pinned = pinNote(note, senderAddress);
+    if (pinned.error === 'limit') {
+      extras.push(`📌 Not pinned: the board is full (${CONFIG.MAX_PINS_PER_CHAT} pins). Unpin something first: "pinned", then "unpin [number]"`);
+    } else {
+      auditLog.record({ chatId, chatType, actor: senderAddress, action: 'pin', noteId: note.id, target: note.savedBy, before: noteSnapshot(note) });
+      extras.push(`📌 Pinned - find it with "pinned"`);
     }
   }
-  
-  return detectedItems;
+
+  return formatSavedNote(result, data.content, chatId, chatType) + (extras.length > 0 ? `\n\n${extras.join('\n')}` : '');
 }
 
-// TRENDING TOPICS: Analyze what the group is focusing on
-function analyzeTrendingTopics(chatId, days = 7, senderAddress = null, isGroupChat = false) {
-  const cutoffDate = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
-  
-  // CRITICAL PRIVACY FIX: 
-  // 1. In DMs, only analyze user's own notes
-  // 2. ALWAYS filter by chatType to prevent DM notes leaking into groups
+// ==================== TAGS ====================
+
+// Tags live in notes.tags (JSON array, indexed by full-text search) and are
+// mirrored into note_tags by triggers for counting and filtering.
+
+// "#defi", "#smart-contract", "#l2_fees" - not "#1" (issue numbers) or URL fragments
+const HASHTAG_PATTERN = /(?<![\p{L}\p{N}_&/#])#([\p{L}\p{N}_][\p{L}\p{N}_-]*)/gu;
+
+function normalizeTag(tag) {
+  return String(tag).trim().replace(/^#+/, '').toLowerCase().replace(/\s+/g, '-').slice(0, CONFIG.MAX_TAG_LENGTH);
+}
+
+function extractTags(content) {
+  const tags = [...content.matchAll(HASHTAG_PATTERN)]
+    .map(match => normalizeTag(match[1]))
+    .filter(tag => tag && !/^\d+$/.test(tag));
+  return [...new Set(tags)];
+}
+
+// "#defi #eth", "defi, smart contract" or "defi eth" → ['defi', 'eth'] / ['defi', 'smart-contract']
+function parseTagList(text) {
+  const parts = /[,#]/.test(text) ? text.split(/[,#]/) : text.split(/\s+/);
+  return [...new Set(parts.map(normalizeTag).filter(Boolean))];
+}
+
+// Tag counts, scoped like every other notes query
+function getTagCounts(chatId, senderAddress = null, isGroupChat = false) {
+  // CRITICAL PRIVACY FIX: DM → own notes only, always filter chatType
   const chatType = isGroupChat ? 'group' : 'dm';
-  
-  let recentNotes;
+  const params = [chatId, chatType];
+  let ownerFilter = '';
   if (!isGroupChat && senderAddress) {
-    recentNotes = db.prepare(`
-      SELECT category, content, savedBy, createdAt, viewCount 
-      FROM notes 
-      WHERE chatId = ? AND chatType = ? AND savedBy = ? AND createdAt > ?
+    ownerFilter = 'AND notes.savedBy = ?';
+    params.push(senderAddress);
+  }
+  params.push(CONFIG.MAX_TAGS_DISPLAY);
+
+  return db.prepare(`
+    SELECT note_tags.tag, COUNT(*) as count FROM note_tags
+    JOIN notes ON notes.id = note_tags.noteId
+    WHERE notes.chatId = ? AND notes.chatType = ? ${ownerFilter}
+    GROUP BY note_tags.tag
+    ORDER BY count DESC, note_tags.tag
+    LIMIT ?
+  `).all(...params);
+}
+
+// Notes carrying every one of the tags, newest first
+function getNotesByTags(tags, chatId, senderAddress = null, isGroupChat = false) {
+  const chatType = isGroupChat ? 'group' : 'dm';
+  const params = [chatId, chatType];
+  let ownerFilter = '';
+  if (!isGroupChat && senderAddress) {
+    ownerFilter = 'AND notes.savedBy = ?';
+    params.push(senderAddress);
+  }
+  params.push(...tags, tags.length);
+
+  return db.prepare(`
+    SELECT notes.* FROM notes
+    JOIN note_tags ON note_tags.noteId = notes.id
+    WHERE notes.chatId = ? AND notes.chatType = ? ${ownerFilter}
+      AND note_tags.tag IN (${tags.map(() => '?').join(', ')})
+    GROUP BY notes.id
+    HAVING COUNT(DISTINCT note_tags.tag) = ?
+    ORDER BY notes.createdAt DESC
+  `).all(...params);
+}
+
+// Add or remove tags on one note; recorded as a revision so "undo" and "history" see it
+function updateNoteTags(noteId, { add = [], remove = [] }, actor) {
+  const current = db.prepare('SELECT * FROM notes WHERE id = ?').get(noteId);
+  if (!current) return null;
+
+  const before = parseNoteTags(current);
+  const tags = [...new Set([...before.filter(tag => !remove.includes(tag)), ...add])].slice(0, CONFIG.MAX_TAGS_PER_NOTE);
+  if (tags.length === before.length && tags.every(tag => before.includes(tag))) {
+    return { note: current, tags, changed: false };
+  }
+
+  db.transaction(() => {
+    recordRevision(current, 'tag', actor);
+    db.prepare('UPDATE notes SET tags = ?, updatedAt = ? WHERE id = ?').run(JSON.stringify(tags), new Date().toISOString(), noteId);
+  })();
+
+  auditLog.record({ chatId: current.chatId, chatType: current.chatType, actor, action: 'tag', noteId, target: current.savedBy, before: noteSnapshot(current), after: { ...noteSnapshot(current), tags } });
+
+  log('info', 'Note tags updated', { noteId, added: add.length, removed: remove.length, user: actor });
+  return { note: current, tags, changed: true };
+}
+
+// ==================== ROLES & MODERATION ====================
+
+// Roles only mean something in groups (a DM has one member):
+//   owner     - everything a moderator can, plus granting any role
+//   moderator - edit, delete and lock anyone's notes, grant member/read-only
+//   member    - the default: change your own notes
+//   readonly  - search and browse, but no saving or changing anything
+// XMTP super admins start out as owners and admins as moderators. Grants made
+// here win over the XMTP lists until they're revoked.
+
+const ROLE_LABELS = {
+  owner: '👑 Owner',
+  moderator: '🛡️ Moderator',
+  member: '👤 Member',
+  readonly: '👁️ Read-only',
+};
+
+const ROLE_ALIASES = {
+  owner: 'owner', owners: 'owner',
+  moderator: 'moderator', moderators: 'moderator', mod: 'moderator', mods: 'moderator',
+  member: 'member', members: 'member',
+  readonly: 'readonly', 'read-only': 'readonly', 'read only': 'readonly', viewer: 'readonly',
+};
+
+// The role XMTP gives the sender of the current message; null when the conversation can't tell
+function getXmtpRole(ctx) {
+  const inboxId = ctx?.message?.senderInboxId;
+  if (!inboxId) return null;
+  try {
+    if (ctx.conversation?.isSuperAdmin?.(inboxId)) return 'owner';
+    if (ctx.conversation?.isAdmin?.(inboxId)) return 'moderator';
+    return 'member';
+  } catch (error) {
+    log('error', 'Failed to check group admin', { error: error.message });
+    return null;
+  }
+}
+
+// Pass the sender's ctx to keep XMTP-seeded roles in step with the group's admin lists.
+// Roles granted with "grant" are never overridden by XMTP.
+function getChatRole(chatId, address, ctx = null) {
+  const row = db.prepare('SELECT role, grantedBy FROM chat_roles WHERE chatId = ? AND userAddress = ?').get(chatId, address);
+  if (row && row.grantedBy !== 'xmtp') return row.role;
+
+  const xmtpRole = ctx ? getXmtpRole(ctx) : null;
+  if (!xmtpRole) return row?.role || 'member';
+
+  if (xmtpRole !== (row?.role || 'member')) {
+    setChatRole(chatId, address, xmtpRole, 'xmtp');
+  }
+  return xmtpRole;
+}
+
+function canModerate(role) {
+  return role === 'owner' || role === 'moderator';
+}
+
+// Who may hand out a role: owners anything, moderators only member/read-only to non-moderators
+function canGrantRole(actorRole, targetRole, newRole) {
+  if (actorRole === 'owner') return true;
+  if (actorRole !== 'moderator') return false;
+  return !canModerate(targetRole) && !canModerate(newRole);
+}
+
+// grantedBy is an address, or 'xmtp' when seeded from the group's admin lists.
+// Grants are stored even for "member", so a revoked XMTP admin stays revoked.
+function setChatRole(chatId, address, role, grantedBy) {
+  const previous = db.prepare('SELECT role FROM chat_roles WHERE chatId = ? AND userAddress = ?').get(chatId, address)?.role || 'member';
+
+  if (role === 'member' && grantedBy === 'xmtp') {
+    db.prepare('DELETE FROM chat_roles WHERE chatId = ? AND userAddress = ?').run(chatId, address);
+  } else {
+    db.prepare(`
+      INSERT INTO chat_roles (chatId, userAddress, role, grantedBy, grantedAt)
+      VALUES (?, ?, ?, ?, ?)
+      ON CONFLICT(chatId, userAddress) DO UPDATE SET
+        role = excluded.role,
+        grantedBy = excluded.grantedBy,
+        grantedAt = excluded.grantedAt
+    `).run(chatId, address, role, grantedBy, new Date().toISOString());
+  }
+
+  if (previous !== role) {
+    auditLog.record({ chatId, chatType: 'group', actor: grantedBy, action: 'role', target: address, before: { role: previous }, after: { role } });
+  }
+}
+
+function getChatRoles(chatId) {
+  return db.prepare(`
+    SELECT * FROM chat_roles
+    WHERE chatId = ? AND role != 'member'
+    ORDER BY CASE role WHEN 'owner' THEN 0 WHEN 'moderator' THEN 1 ELSE 2 END, grantedAt
+  `).all(chatId);
+}
+
+// Re-seed from the group's member list. Only XMTP-seeded rows change; grants stay.
+async function syncChatRoles(ctx, chatId) {
+  const members = await ctx.conversation.members();
+  const levels = ['member', 'moderator', 'owner']; // XMTP PermissionLevel: Member, Admin, SuperAdmin
+  let changed = 0;
+
+  db.transaction(() => {
+    for (const member of members) {
+      const address = member.accountIdentifiers?.[0]?.identifier?.toLowerCase();
+      if (!address) continue;
+
+      const xmtpRole = levels[member.permissionLevel] || 'member';
+      const row = db.prepare('SELECT role, grantedBy FROM chat_roles WHERE chatId = ? AND userAddress = ?').get(chatId, address);
+      if (row && row.grantedBy !== 'xmtp') continue;
+      if ((row?.role || 'member') === xmtpRole) continue;
+
+      setChatRole(chatId, address, xmtpRole, 'xmtp');
+      changed++;
+    }
+  })();
+
+  return { members: members.length, changed };
+}
+
+// "0x1234abcd...", "0x1234...abcd" (as shown in lists) or a full address.
+// Only people who have saved a note here or hold a role can be matched by prefix.
+// Returns { address } or { error: 'invalid' | 'not_found' | 'ambiguous' }
+function resolveChatMember(chatId, text) {
+  const input = text.trim().toLowerCase();
+  if (/^0x[0-9a-f]{40}$/.test(input)) return { address: input };
+
+  const shortened = input.match(/^(0x[0-9a-f]{2,})(?:\.{2,3}|…)([0-9a-f]+)$/);
+  if (!shortened && !/^0x[0-9a-f]{4,39}$/.test(input)) return { error: 'invalid' };
+
+  const known = db.prepare(`
+    SELECT savedBy as address FROM notes WHERE chatId = ? AND chatType = 'group'
+    UNION
+    SELECT userAddress as address FROM chat_roles WHERE chatId = ?
+  `).all(chatId, chatId).map(row => row.address);
+
+  const matches = known.filter(address => shortened
+    ? address.startsWith(shortened[1]) && address.endsWith(shortened[2])
+    : address.startsWith(input));
+
+  if (matches.length === 0) return { error: 'not_found' };
+  if (matches.length > 1) return { error: 'ambiguous' };
+  return { address: matches[0] };
+}
+
+function getNoteLock(noteId) {
+  return db.prepare('SELECT * FROM note_locks WHERE noteId = ?').get(noteId) || null;
+}
+
+function lockNote(note, lockedBy) {
+  if (getNoteLock(note.id)) return false;
+  db.prepare('INSERT INTO note_locks (noteId, chatId, lockedBy, lockedAt) VALUES (?, ?, ?, ?)')
+    .run(note.id, note.chatId, lockedBy, new Date().toISOString());
+  return true;
+}
+
+function unlockNote(noteId) {
+  return db.prepare('DELETE FROM note_locks WHERE noteId = ?').run(noteId).changes > 0;
+}
+
+// Edit, delete and tag rule. DMs: your own notes. Groups: the saver unless the
+// note is locked or they're read-only; moderators always.
+function canChangeNote(note, address, role = 'member') {
+  if (note.chatType !== 'group') return note.savedBy === address;
+  if (canModerate(role)) return true;
+  return role !== 'readonly' && note.savedBy === address && !getNoteLock(note.id);
+}
+
+function formatChatRoles(chatId, myRole) {
+  const rows = getChatRoles(chatId);
+  let text = `👥 ROLES\n\n`;
+  if (rows.length === 0) {
+    text += `No owners or moderators yet.\n`;
+  } else {
+    text += rows.map(row => `${ROLE_LABELS[row.role]} ${shortenAddress(row.userAddress)}` +
+      (row.grantedBy === 'xmtp' ? ' (group admin)' : '')).join('\n') + '\n';
+  }
+  text += `\nEveryone else is a member.\n`;
+  text += `━━━━━━━━━━━━━━━━\n`;
+  text += `You: ${ROLE_LABELS[myRole]}\n`;
+  if (canModerate(myRole)) {
+    text += `💡 grant 0xab12... moderator | member | readonly${myRole === 'owner' ? ' | owner' : ''}\n`;
+    text += `💡 revoke 0xab12... - back to member\n`;
+    text += `💡 roles sync - re-read the group's admin list\n`;
+    text += `💡 modlog - recent moderator actions, audit - every change`;
+  } else {
+    text += `💡 Moderators can edit, delete and lock any note here`;
+  }
+  return text;
+}
+
+// ==================== PINS & STARS ====================
+
+// Pins make up a chat's shared board ("pinned"); stars are one person's favorites
+// and only exist in DMs. Both float to the top of equally good search and Q&A matches.
+
+function getNotePin(noteId) {
+  return db.prepare('SELECT * FROM note_pins WHERE noteId = ?').get(noteId) || null;
+}
+
+// Returns { pinned } or { error: 'already_pinned' | 'limit' }
+function pinNote(note, pinnedBy) {
+  if (getNotePin(note.id)) return { error: 'already_pinned' };
+
+  // Trashed notes keep their pin for restore, but don't take up room on the board
+  const { count } = db.prepare(`
+    SELECT COUNT(*) as count FROM note_pins
+    JOIN notes ON notes.id = note_pins.noteId
+    WHERE note_pins.chatId = ? AND notes.chatType = ?
+  `).get(note.chatId, note.chatType);
+  if (count >= CONFIG.MAX_PINS_PER_CHAT) return { error: 'limit' };
+
+  db.prepare('INSERT INTO note_pins (noteId, chatId, pinnedBy, pinnedAt) VALUES (?, ?, ?, ?)')
+    .run(note.id, note.chatId, pinnedBy, new Date().toISOString());
+  log('info', 'Note pinned', { noteId: note.id, user: pinnedBy });
+  return { pinned: true };
+}
+
+function unpinNote(noteId) {
+  return db.prepare('DELETE FROM note_pins WHERE noteId = ?').run(noteId).changes > 0;
+}
+
+// The board, most recently pinned first, scoped like every other notes query
+function getPinnedNotes(chatId, senderAddress = null, isGroupChat = false) {
+  // CRITICAL PRIVACY FIX: DM → own notes only, always filter chatType
+  const chatType = isGroupChat ? 'group' : 'dm';
+  const params = [chatId, chatType];
+  let ownerFilter = '';
+  if (!isGroupChat && senderAddress) {
+    ownerFilter = 'AND notes.savedBy = ?';
+    params.push(senderAddress);
+  }
+
+  return db.prepare(`
+    SELECT notes.*, note_pins.pinnedBy, note_pins.pinnedAt FROM note_pins
+    JOIN notes ON notes.id = note_pins.noteId
+    WHERE notes.chatId = ? AND notes.chatType = ? ${ownerFilter}
+    ORDER BY note_pins.pinnedAt DESC
+  `).all(...params);
+}
+
+// Returns { starred } or { error: 'already_starred' | 'limit' }
+function starNote(note, address) {
+  if (db.prepare('SELECT 1 FROM note_stars WHERE noteId = ? AND userAddress = ?').get(note.id, address)) {
+    return { error: 'already_starred' };
+  }
+  const { count } = db.prepare('SELECT COUNT(*) as count FROM note_stars WHERE userAddress = ? AND chatId = ?').get(address, note.chatId);
+  if (count >= CONFIG.MAX_STARS_PER_USER) return { error: 'limit' };
+
+  db.prepare('INSERT INTO note_stars (noteId, userAddress, chatId, starredAt) VALUES (?, ?, ?, ?)')
+    .run(note.id, address, note.chatId, new Date().toISOString());
+  return { starred: true };
+}
+
+function unstarNote(noteId, address) {
+  return db.prepare('DELETE FROM note_stars WHERE noteId = ? AND userAddress = ?').run(noteId, address).changes > 0;
+}
+
+// Stars are DM-only, so these are always the user's own DM notes
+function getStarredNotes(chatId, address) {
+  return db.prepare(`
+    SELECT notes.* FROM note_stars
+    JOIN notes ON notes.id = note_stars.noteId
+    WHERE note_stars.userAddress = ? AND notes.chatId = ? AND notes.chatType = 'dm' AND notes.savedBy = ?
+    ORDER BY note_stars.starredAt DESC
+  `).all(address, chatId, address);
+}
+
+// Note ids that get the search boost: the chat's pins, plus the user's stars in a DM
+function getBoostedNoteIds(chatId, senderAddress = null, isGroupChat = false) {
+  const ids = db.prepare('SELECT noteId FROM note_pins WHERE chatId = ?').all(chatId).map(row => row.noteId);
+  if (!isGroupChat && senderAddress) {
+    ids.push(...db.prepare('SELECT noteId FROM note_stars WHERE chatId = ? AND userAddress = ?').all(chatId, senderAddress).map(row => row.noteId));
+  }
+  return new Set(ids);
+}
+
+// ==================== SMART NOTE SEARCHING ====================
+
+// Turn user input into a safe FTS5 MATCH expression.
+// "quoted text" becomes a phrase query, every other word becomes a prefix term.
+// Terms are always quoted so FTS operators (AND/OR/NOT/NEAR, column:) can't be injected.
+function buildFtsQuery(query, matchAny = false) {
+  const parts = [];
+  const phrasePattern = /"([^"]*)"/g;
+
+  for (const match of query.matchAll(phrasePattern)) {
+    const words = match[1].split(/[^\p{L}\p{N}_]+/u).filter(Boolean);
+    if (words.length > 0) {
+      parts.push(`"${words.join(' ')}"`);
+    }
+  }
+
+  const remaining = query.replace(phrasePattern, ' ');
+  for (const word of remaining.split(/[^\p{L}\p{N}_]+/u)) {
+    if (word) {
+      parts.push(`"${word}"*`);
+    }
+  }
+
+  return parts.join(matchAny ? ' OR ' : ' ');
+}
+
+// Structured search filters (see utils/search-query.js) as extra WHERE clauses on notes.
+// These only ever narrow a query - the chatType/owner privacy filters stay in the caller.
+// filters: { author (0x prefix), category, since, before (Dates), tags }
+function buildNoteFilters(filters = {}) {
+  const clauses = [];
+  const params = [];
+  if (filters.author) {
+    clauses.push('LOWER(notes.savedBy) LIKE ?');
+    params.push(`${filters.author}%`);
+  }
+  if (filters.category) {
+    clauses.push('notes.category = ? COLLATE NOCASE');
+    params.push(filters.category);
+  }
+  if (filters.since) {
+    clauses.push('notes.createdAt >= ?');
+    params.push(filters.since.toISOString());
+  }
+  if (filters.before) {
+    clauses.push('notes.createdAt < ?');
+    params.push(filters.before.toISOString());
+  }
+  if (filters.tags?.length) {
+    clauses.push(`notes.id IN (
+      SELECT noteId FROM note_tags WHERE tag IN (${filters.tags.map(() => '?').join(', ')})
+      GROUP BY noteId HAVING COUNT(DISTINCT tag) = ?
+    )`);
+    params.push(...filters.tags, filters.tags.length);
+  }
+  return { sql: clauses.map(clause => `AND ${clause}`).join(' '), params };
+}
+
+const SEARCH_SORTS = {
+  newest: (a, b) => b.createdAt.localeCompare(a.createdAt),
+  oldest: (a, b) => a.createdAt.localeCompare(b.createdAt),
+  views: (a, b) => (b.viewCount || 0) - (a.viewCount || 0) || b.createdAt.localeCompare(a.createdAt),
+};
+
+// Ranked full-text search. Pass { matchAny: true } to match any term instead of all terms,
+// { filters } to narrow it (see buildNoteFilters).
+function searchNotes(query, chatId, senderAddress = null, isGroupChat = false, options = {}) {
+  // CRITICAL PRIVACY FIX:
+  // 1. In DMs, only show user's own notes
+  // 2. ALWAYS filter by chatType to prevent DM notes leaking into groups
+  const chatType = isGroupChat ? 'group' : 'dm';
+  const ftsQuery = buildFtsQuery(query, options.matchAny);
+  const filters = buildNoteFilters(options.filters);
+
+  if (ftsQuery) {
+    const params = [ftsQuery, chatId, chatType];
+    let ownerFilter = '';
+    if (!isGroupChat && senderAddress) {
+      ownerFilter = 'AND notes.savedBy = ?';
+      params.push(senderAddress);
+    }
+    params.push(...filters.params);
+
+    try {
+      // bm25 column weights: content, category, tags
+      const results = db.prepare(`
+        SELECT notes.* FROM notes_fts
+        JOIN notes ON notes.rowid = notes_fts.rowid
+        WHERE notes_fts MATCH ? AND notes.chatId = ? AND notes.chatType = ? ${ownerFilter} ${filters.sql}
+        ORDER BY bm25(notes_fts, 1.0, 2.0, 1.0), notes.createdAt DESC
+      `).all(...params);
+
+      if (results.length > 0) {
+        return results;
+      }
+    } catch (error) {
+      log('error', 'Full-text search failed, falling back to substring search', { error: error.message });
+    }
+  }
+
+  // Fallback: substring scan (catches partial words such as the middle of an address).
+  // An empty query with filters lists every note that passes them.
+  return searchNotesBySubstring(query, chatId, senderAddress, isGroupChat, options.filters);
+}
+
+function searchNotesBySubstring(query, chatId, senderAddress = null, isGroupChat = false, filters = {}) {
+  const chatType = isGroupChat ? 'group' : 'dm';
+  const pattern = `%${query.toLowerCase()}%`;
+  const extra = buildNoteFilters(filters);
+  const params = [chatId, chatType];
+  let ownerFilter = '';
+  if (!isGroupChat && senderAddress) {
+    ownerFilter = 'AND notes.savedBy = ?';
+    params.push(senderAddress);
+  }
+  params.push(pattern, pattern, pattern, ...extra.params);
+
+  return db.prepare(`
+    SELECT notes.* FROM notes 
+    WHERE notes.chatId = ? AND notes.chatType = ? ${ownerFilter} AND (
+      LOWER(notes.content) LIKE ? OR 
+      LOWER(notes.category) LIKE ? OR 
+      LOWER(notes.tags) LIKE ?
+    ) ${extra.sql}
+    ORDER BY notes.createdAt DESC
+  `).all(...params);
+}
+
+// ==================== SEMANTIC SEARCH ====================
+
+// Compute and store a note's embedding. Failures are logged, never thrown:
+// the backfill job picks up any note left without a vector.
+async function updateNoteEmbedding(noteId) {
+  if (!embeddingProvider) return;
+  try {
+    const note = db.prepare('SELECT id, content, category FROM notes WHERE id = ?').get(noteId);
+    if (!note) return;
+    const [vector] = await embeddingProvider.embed([noteEmbeddingText(note)]);
+    saveEmbedding(db, note.id, embeddingProvider.model, vector);
+  } catch (error) {
+    log('error', 'Failed to embed note', { noteId, error: error.message });
+  }
+}
+
+// Notes with a vector from the current model, scoped like searchNotes
+function getEmbeddedNotes(chatId, senderAddress = null, isGroupChat = false, excludeNoteId = null, searchFilters = {}) {
+  // CRITICAL PRIVACY FIX: DM → own notes only, always filter chatType
+  const chatType = isGroupChat ? 'group' : 'dm';
+  const params = [embeddingProvider.model, chatId, chatType];
+  let filters = '';
+  if (!isGroupChat && senderAddress) {
+    filters += ' AND notes.savedBy = ?';
+    params.push(senderAddress);
+  }
+  if (excludeNoteId) {
+    filters += ' AND notes.id != ?';
+    params.push(excludeNoteId);
+  }
+  const extra = buildNoteFilters(searchFilters);
+  filters += ` ${extra.sql}`;
+  params.push(...extra.params, CONFIG.SEMANTIC_MAX_CANDIDATES);
+
+  return db.prepare(`
+    SELECT notes.*, note_embeddings.vector AS embedding FROM notes
+    JOIN note_embeddings ON note_embeddings.noteId = notes.id AND note_embeddings.model = ?
+    WHERE notes.chatId = ? AND notes.chatType = ? ${filters}
+    ORDER BY notes.createdAt DESC
+    LIMIT ?
+  `).all(...params);
+}
+
+// Most similar first, dropping anything under the provider's threshold
+function rankBySimilarity(vector, rows) {
+  return rows
+    .map(({ embedding, ...note }) => ({ note, similarity: cosineSimilarity(vector, deserializeEmbedding(embedding)) }))
+    .filter(item => item.similarity >= embeddingProvider.minSimilarity)
+    .sort((a, b) => b.similarity - a.similarity);
+}
+
+async function semanticSearchNotes(query, chatId, senderAddress = null, isGroupChat = false, filters = {}) {
+  if (!embeddingProvider || !query.trim()) return [];
+  try {
+    const [vector] = await embeddingProvider.embed([query]);
+    return rankBySimilarity(vector, getEmbeddedNotes(chatId, senderAddress, isGroupChat, null, filters))
+      .slice(0, CONFIG.SEMANTIC_MAX_RESULTS)
+      .map(item => item.note);
+  } catch (error) {
+    log('error', 'Semantic search failed, using keyword results only', { error: error.message });
+    return [];
+  }
+}
+
+// Keyword (BM25) and semantic results merged by reciprocal rank fusion: exact
+// words still rank high, and "reward address" also finds "prize wallet".
+// options.semanticQuery embeds different text (e.g. the full question) than the keywords;
+// options.filters narrows both sides, options.sort ('newest', 'oldest', 'views') reorders the result.
+// Ranked by relevance, pinned (and in DMs starred) notes count as one more first-place match.
+async function hybridSearchNotes(query, chatId, senderAddress = null, isGroupChat = false, options = {}) {
+  const keywordResults = searchNotes(query, chatId, senderAddress, isGroupChat, options);
+  const semanticResults = await semanticSearchNotes(options.semanticQuery || query, chatId, senderAddress, isGroupChat, options.filters);
+  const sort = SEARCH_SORTS[options.sort];
+  if (sort && semanticResults.length === 0) return [...keywordResults].sort(sort);
+
+  const fused = reciprocalRankFusion([keywordResults, semanticResults], CONFIG.SEARCH_RRF_K);
+  if (sort) return [...fused.values()].map(entry => entry.note).sort(sort);
+
+  const boosted = getBoostedNoteIds(chatId, senderAddress, isGroupChat);
+  for (const [id, entry] of fused) {
+    if (boosted.has(id)) entry.score += CONFIG.PIN_SEARCH_BOOST;
+  }
+  return [...fused.values()].sort((a, b) => b.score - a.score).map(entry => entry.note);
+}
+
+// Related notes by cosine similarity; null when the note has no vector yet
+function findSimilarNotes(sourceNote, limit, senderAddress = null, isGroupChat = false) {
+  if (!embeddingProvider) return null;
+  const source = db.prepare('SELECT vector FROM note_embeddings WHERE noteId = ? AND model = ?')
+    .get(sourceNote.id, embeddingProvider.model);
+  if (!source) return null;
+
+  return rankBySimilarity(deserializeEmbedding(source.vector), getEmbeddedNotes(sourceNote.chatId, senderAddress, isGroupChat, sourceNote.id))
+    .slice(0, limit)
+    .map(item => item.note);
+}
+
+function getNotesByCategory(category, chatId, senderAddress = null, isGroupChat = false) {
+  // CRITICAL PRIVACY FIX: 
+  // 1. In DMs, only show user's own notes
+  // 2. ALWAYS filter by chatType to prevent DM notes leaking into groups
+  const chatType = isGroupChat ? 'group' : 'dm';
+  
+  if (!isGroupChat && senderAddress) {
+    return db.prepare(`
+      SELECT * FROM notes 
+      WHERE chatId = ? AND chatType = ? AND savedBy = ? AND category = ?
       ORDER BY createdAt DESC
-    `).all(chatId, chatType, senderAddress, cutoffDate);
+    `).all(chatId, chatType, senderAddress, category);
   } else {
-    recentNotes = db.prepare(`
-      SELECT category, content, savedBy, createdAt, viewCount 
-      FROM notes 
-      WHERE chatId = ? AND chatType = ? AND createdAt > ?
+    return db.prepare(`
+      SELECT * FROM notes 
+      WHERE chatId = ? AND chatType = ? AND category = ?
       ORDER BY createdAt DESC
-    `).all(chatId, chatType, cutoffDate);
+    `).all(chatId, chatType, category);
+  }
+}
+
+function getRecentNotes(chatId, limit = CONFIG.MAX_RECENT_NOTES, senderAddress = null, isGroupChat = false) {
+  // CRITICAL PRIVACY FIX: 
+  // 1. In DMs, only show user's own notes
+  // 2. ALWAYS filter by chatType to prevent DM notes leaking into groups
+  const chatType = isGroupChat ? 'group' : 'dm';
+  
+  if (!isGroupChat && senderAddress) {
+    return db.prepare(`
+      SELECT * FROM notes 
+      WHERE chatId = ? AND chatType = ? AND savedBy = ?
+      ORDER BY createdAt DESC 
+      LIMIT ?
+    `).all(chatId, chatType, senderAddress, limit);
+  } else {
+    return db.prepare(`
+      SELECT * FROM notes 
+      WHERE chatId = ? AND chatType = ?
+      ORDER BY createdAt DESC 
+      LIMIT ?
+    `).all(chatId, chatType, limit);
+  }
+}
+
+function incrementViewCount(noteId) {
+  try {
+    const note = db.prepare(`
+      UPDATE notes 
+      SET viewCount = viewCount + 1 
+      WHERE id = ?
+      RETURNING chatId
+    `).get(noteId);
+    if (note) recordActivity(note.chatId, 'views');
+  } catch (error) {
+    log('error', 'Failed to increment view count', { noteId, error: error.message });
+  }
+}
+
+// ==================== GROUP INTELLIGENCE FEATURES ====================
+
+// PASSIVE DETECTION: Detect important info in background (doesn't auto-respond)
+function detectImportantInfo(message, chatId, senderAddress) {
+  const detectedItems = [];
+  
+  // Detect Ethereum addresses
+  const addressMatches = message.match(/0x[a-fA-F0-9]{40,}/g);
+  if (addressMatches) {
+    detectedItems.push({
+      type: 'address',
+      content: addressMatches[0],
+      detectedBy: senderAddress,
+      timestamp: Date.now()
+    });
+  }
+  
+  // Detect URLs
+  const urlMatches = message.match(/https?:\/\/[^\s]+/g);
+  if (urlMatches) {
+    detectedItems.push({
+      type: 'url',
+      content: urlMatches[0],
+      detectedBy: senderAddress,
+      timestamp: Date.now()
+    });
+  }
+  
+  // Detect important keywords (contract, deploy, wallet, key, api)
+  const importantKeywords = ['contract', 'deploy', 'wallet', 'private key', 'api key', 'token', 'mainnet'];
+  const lowerMessage = message.toLowerCase();
+  for (const keyword of importantKeywords) {
+    if (lowerMessage.includes(keyword)) {
+      detectedItems.push({
+        type: 'keyword',
+        content: keyword,
+        context: message.substring(0, 100),
+        detectedBy: senderAddress,
+        timestamp: Date.now()
+      });
+      break; // Only track first important keyword
+    }
+  }
+  
+  // Store detected items for analytics
+  if (detectedItems.length > 0) {
+    try {
+      saveDetections(chatId, detectedItems);
+    } catch (error) {
+      log('error', 'Failed to store detections', { error: error.message });
+    }
+  }
+  
+  return detectedItems;
+}
+
+function saveDetections(chatId, items) {
+  const insert = db.prepare(`
+    INSERT INTO detections (chatId, type, content, context, detectedBy, detectedAt)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `);
+  
+  db.transaction(() => {
+    for (const item of items) {
+      insert.run(chatId, item.type, item.content, item.context || null, item.detectedBy, new Date(item.timestamp).toISOString());
+    }
+    
+    // Keep only the newest detections per chat
+    db.prepare(`
+      DELETE FROM detections
+      WHERE chatId = ? AND id NOT IN (
+        SELECT id FROM detections WHERE chatId = ? ORDER BY id DESC LIMIT ?
+      )
+    `).run(chatId, chatId, CONFIG.MAX_DETECTIONS_PER_CHAT);
+  })();
+}
+
+// Detections from the last `sinceMs`, in the same shape detectImportantInfo returns
+function getRecentDetections(chatId, sinceMs) {
+  return db.prepare(`
+    SELECT * FROM detections
+    WHERE chatId = ? AND detectedAt > ?
+    ORDER BY id ASC
+  `).all(chatId, new Date(Date.now() - sinceMs).toISOString()).map(row => ({
+    type: row.type,
+    content: row.content,
+    context: row.context,
+    detectedBy: row.detectedBy,
+    timestamp: new Date(row.detectedAt).getTime(),
+  }));
+}
+
+// WEEKLY ACTIVITY: saves / searches / views per chat per week
+function recordActivity(chatId, counter) {
+  if (!['saves', 'searches', 'views'].includes(counter)) return;
+  try {
+    db.prepare(`
+      INSERT INTO chat_activity (chatId, weekStart, ${counter}) VALUES (?, ?, 1)
+      ON CONFLICT(chatId, weekStart) DO UPDATE SET ${counter} = ${counter} + 1
+    `).run(chatId, getWeekKey(new Date()));
+  } catch (error) {
+    log('error', 'Failed to record activity', { counter, error: error.message });
+  }
+}
+
+function getWeeklyActivity(chatId, date = new Date()) {
+  return db.prepare('SELECT saves, searches, views FROM chat_activity WHERE chatId = ? AND weekStart = ?')
+    .get(chatId, getWeekKey(date)) || { saves: 0, searches: 0, views: 0 };
+}
+
+// Called by the LLM layer after every completion (tokens as reported by the provider).
+// Cache hits cost nothing, so they only bump cacheHits.
+function recordLLMUsage({ chatId, task, provider, model, promptTokens, completionTokens, cache }) {
+  const hit = cache === 'hit' ? 1 : 0;
+  const miss = cache === 'miss' ? 1 : 0;
+  db.prepare(`
+    INSERT INTO llm_usage (chatId, day, task, provider, model, requests, promptTokens, completionTokens, cacheHits, cacheMisses)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT(chatId, day, task, provider, model) DO UPDATE SET
+      requests = requests + excluded.requests,
+      promptTokens = promptTokens + excluded.promptTokens,
+      completionTokens = completionTokens + excluded.completionTokens,
+      cacheHits = cacheHits + excluded.cacheHits,
+      cacheMisses = cacheMisses + excluded.cacheMisses
+  `).run(chatId || '', new Date().toISOString().slice(0, 10), task, provider, model, 1 - hit, promptTokens, completionTokens, hit, miss);
+}
+
+function getLLMUsage(chatId, days = CONFIG.LLM_USAGE_STATS_DAYS) {
+  const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  return db.prepare(`
+    SELECT COALESCE(SUM(requests), 0) as requests, COALESCE(SUM(promptTokens + completionTokens), 0) as tokens,
+           COALESCE(SUM(cacheHits), 0) as cacheHits, COALESCE(SUM(cacheMisses), 0) as cacheMisses
+    FROM llm_usage WHERE chatId = ? AND day >= ?
+  `).get(chatId, since);
+}
+
+// Expired and over-cap cache entries - runs on the scheduler
+function purgeLLMCache() {
+  const { expired, evicted } = llmCache.purge();
+  if (expired > 0 || evicted > 0) {
+    log('info', 'Purged LLM cache', { expired, evicted, remaining: llmCache.count() });
+  }
+}
+
+// Retention for detections, activity and LLM usage counters - runs on the scheduler
+function purgeOldAnalytics() {
+  const detectionCutoff = new Date(Date.now() - CONFIG.DETECTION_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+  const activityCutoff = getWeekKey(new Date(Date.now() - CONFIG.ACTIVITY_RETENTION_WEEKS * 7 * 24 * 60 * 60 * 1000));
+  const usageCutoff = new Date(Date.now() - CONFIG.LLM_USAGE_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  
+  const detections = db.prepare('DELETE FROM detections WHERE detectedAt < ?').run(detectionCutoff);
+  const activity = db.prepare('DELETE FROM chat_activity WHERE weekStart < ?').run(activityCutoff);
+  const usage = db.prepare('DELETE FROM llm_usage WHERE day < ?').run(usageCutoff);
+  if (detections.changes > 0 || activity.changes > 0 || usage.changes > 0) {
+    log('info', 'Purged old analytics', { detections: detections.changes, activityWeeks: activity.changes, llmUsageRows: usage.changes });
+  }
+}
+
+// TRENDING TOPICS: Analyze what the group is focusing on
+function analyzeTrendingTopics(chatId, days = 7, senderAddress = null, isGroupChat = false) {
+  const cutoffDate = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+  
+  // CRITICAL PRIVACY FIX: 
+  // 1. In DMs, only analyze user's own notes
+  // 2. ALWAYS filter by chatType to prevent DM notes leaking into groups
+  const chatType = isGroupChat ? 'group' : 'dm';
+  
+  let recentNotes;
+  if (!isGroupChat && senderAddress) {
+    recentNotes = db.prepare(`
+      SELECT category, content, savedBy, createdAt, viewCount 
+      FROM notes 
+      WHERE chatId = ? AND chatType = ? AND savedBy = ? AND createdAt > ?
+      ORDER BY createdAt DESC
+    `).all(chatId, chatType, senderAddress, cutoffDate);
+  } else {
+    recentNotes = db.prepare(`
+      SELECT category, content, savedBy, createdAt, viewCount 
+      FROM notes 
+      WHERE chatId = ? AND chatType = ? AND createdAt > ?
+      ORDER BY createdAt DESC
+    `).all(chatId, chatType, cutoffDate);
+  }
+  
+  if (recentNotes.length === 0) {
+    return null;
+  }
+  
+  // Count category frequency
+  const categoryCount = {};
+  const contributorCount = {};
+  const keywordCount = {};
+  
+  for (const note of recentNotes) {
+    // Count categories
+    categoryCount[note.category] = (categoryCount[note.category] || 0) + 1;
+    
+    // Count contributors
+    const shortAddr = shortenAddress(note.savedBy);
+    contributorCount[shortAddr] = (contributorCount[shortAddr] || 0) + 1;
+    
+    // Extract keywords from content
+    const words = note.content.toLowerCase().split(/\s+/);
+    for (const word of words) {
+      if (word.length > 4 && !['about', 'which', 'where', 'there'].includes(word)) {
+        keywordCount[word] = (keywordCount[word] || 0) + 1;
+      }
+    }
+  }
+  
+  // Sort and get top items
+  const topCategories = Object.entries(categoryCount)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, 3);
+  
+  const topContributors = Object.entries(contributorCount)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, 3);
+  
+  const topKeywords = Object.entries(keywordCount)
+    .filter(([word, count]) => count > 1)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, 5);
+  
+  // Get most viewed notes
+  const popularNotes = recentNotes
+    .sort((a, b) => b.viewCount - a.viewCount)
+    .slice(0, 3);
+  
+  return {
+    totalNotes: recentNotes.length,
+    topCategories,
+    topContributors,
+    topKeywords,
+    popularNotes,
+    timeframe: `${days} days`
+  };
+}
+
+// FIND RELATED NOTES: Find notes similar to current one
+function findRelatedNotes(noteId, chatId, limit = 3, senderAddress = null, isGroupChat = false) {
+  // Get the source note
+  const sourceNote = db.prepare('SELECT * FROM notes WHERE id = ? AND chatId = ?').get(noteId, chatId);
+  if (!sourceNote) return [];
+  
+  // CRITICAL PRIVACY FIX: 
+  // 1. In DMs, only find related notes from user's own notes
+  // 2. ALWAYS filter by chatType to prevent DM notes leaking into groups
+  const chatType = isGroupChat ? 'group' : 'dm';
+  
+  // Prefer embeddings; keyword overlap below is the fallback
+  const similar = findSimilarNotes(sourceNote, limit, senderAddress, isGroupChat);
+  if (similar) return similar;
+  
+  // Extract keywords from source note
+  const keywords = sourceNote.content.toLowerCase()
+    .split(/\s+/)
+    .filter(word => word.length > 4);
+  
+  if (keywords.length === 0) return [];
+  
+  // Find notes with similar keywords (excluding source note)
+  let allNotes;
+  if (!isGroupChat && senderAddress) {
+    allNotes = db.prepare(`
+      SELECT * FROM notes 
+      WHERE chatId = ? AND chatType = ? AND savedBy = ? AND id != ?
+      ORDER BY createdAt DESC
+      LIMIT 20
+    `).all(chatId, chatType, senderAddress, noteId);
+  } else {
+    allNotes = db.prepare(`
+      SELECT * FROM notes 
+      WHERE chatId = ? AND chatType = ? AND id != ?
+      ORDER BY createdAt DESC
+      LIMIT 20
+    `).all(chatId, chatType, noteId);
+  }
+  
+  // Calculate similarity scores
+  const scored = allNotes.map(note => {
+    let score = 0;
+    const noteContent = note.content.toLowerCase();
+    
+    for (const keyword of keywords) {
+      if (noteContent.includes(keyword)) score += 1;
+    }
+    
+    // Boost same category
+    if (note.category === sourceNote.category) score += 2;
+    
+    return { note, score };
+  });
+  
+  // Return top matches
+  return scored
+    .filter(item => item.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(item => item.note);
+}
+
+// CHECK FOR UNSAVED IMPORTANT INFO
+function checkUnsavedInfo(chatId, isGroupChat = false) {
+  // CRITICAL PRIVACY FIX: Only check unsaved info for groups, and filter by chatType
+  const chatType = isGroupChat ? 'group' : 'dm';
+  
+  const recentDetections = getRecentDetections(chatId, 30 * 60 * 1000); // Last 30 minutes
+  
+  // Check which detected items haven't been saved
+  const unsaved = [];
+  for (const detection of recentDetections) {
+    if (detection.type === 'address' || detection.type === 'url') {
+      // CRITICAL PRIVACY FIX: Filter by chatType to prevent checking DM notes in group context
+      const exists = db.prepare(`
+        SELECT id FROM notes 
+        WHERE chatId = ? AND chatType = ? AND content LIKE ?
+        LIMIT 1
+      `).get(chatId, chatType, `%${detection.content}%`);
+      
+      if (!exists) {
+        unsaved.push(detection);
+      }
+    }
+  }
+  
+  return unsaved;
+}
+
+// WEEKLY DIGEST: Generate comprehensive weekly report
+function generateWeeklyDigest(chatId, chatTypeParam, senderAddress = null, isGroupChat = false) {
+  const trends = analyzeTrendingTopics(chatId, 7, senderAddress, isGroupChat);
+  
+  if (!trends || trends.totalNotes < 3) {
+    return null; // Not enough data for meaningful digest
+  }
+  
+  // Searches / views this week (saves are counted from the notes themselves)
+  const activity = getWeeklyActivity(chatId);
+  
+  // Calculate previous week stats (from notes created in last 7 days)
+  const lastWeekStart = new Date(Date.now() - 14 * 24 * 60 * 60 * 1000).toISOString();
+  let previousWeekNotes, totalNotes;
+  
+  // CRITICAL PRIVACY FIX: 
+  // 1. In DMs, only count user's own notes
+  // 2. ALWAYS filter by chatType to prevent DM notes leaking into groups
+  // Use parameter if provided, otherwise derive from isGroupChat
+  const actualChatType = chatTypeParam || (isGroupChat ? 'group' : 'dm');
+  
+  if (!isGroupChat && senderAddress) {
+    previousWeekNotes = db.prepare(`
+      SELECT COUNT(*) as count FROM notes 
+      WHERE chatId = ? AND chatType = ? AND savedBy = ? AND createdAt BETWEEN ? AND ?
+    `).get(chatId, actualChatType, senderAddress, lastWeekStart, new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString());
+    totalNotes = db.prepare('SELECT COUNT(*) as count FROM notes WHERE chatId = ? AND chatType = ? AND savedBy = ?').get(chatId, actualChatType, senderAddress);
+  } else {
+    previousWeekNotes = db.prepare(`
+      SELECT COUNT(*) as count FROM notes 
+      WHERE chatId = ? AND chatType = ? AND createdAt BETWEEN ? AND ?
+    `).get(chatId, actualChatType, lastWeekStart, new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString());
+    totalNotes = db.prepare('SELECT COUNT(*) as count FROM notes WHERE chatId = ? AND chatType = ?').get(chatId, actualChatType);
+  }
+  
+  const weekChange = trends.totalNotes - (previousWeekNotes?.count || 0);
+  
+  // Calculate team level based on total notes
+  const teamLevel = Math.floor(totalNotes.count / 10) + 1;
+  const nextLevelAt = teamLevel * 10;
+  const progress = ((totalNotes.count % 10) / 10) * 100;
+  
+  // Get unsaved detections from last week (only for groups)
+  const unsaved = [];
+  if (isGroupChat) {
+    const weeklyDetections = getRecentDetections(chatId, 7 * 24 * 60 * 60 * 1000);
+    
+    for (const detection of weeklyDetections) {
+      if (detection.type === 'address' || detection.type === 'url') {
+        // CRITICAL PRIVACY FIX: Filter by chatType to prevent checking DM notes in group context
+        const exists = db.prepare(`
+          SELECT id FROM notes WHERE chatId = ? AND chatType = ? AND content LIKE ? LIMIT 1
+        `).get(chatId, actualChatType, `%${detection.content}%`);
+        
+        if (!exists) {
+          unsaved.push(detection);
+        }
+      }
+    }
+  }
+  
+  // Find knowledge gaps (keywords mentioned but few notes)
+  const knowledgeGaps = [];
+  if (trends.topKeywords.length > 0) {
+    for (const [keyword, count] of trends.topKeywords.slice(0, 3)) {
+      let notesCount;
+      if (!isGroupChat && senderAddress) {
+        notesCount = db.prepare(`
+          SELECT COUNT(*) as count FROM notes 
+          WHERE chatId = ? AND chatType = ? AND savedBy = ? AND LOWER(content) LIKE ?
+        `).get(chatId, actualChatType, senderAddress, `%${keyword}%`);
+      } else {
+        notesCount = db.prepare(`
+          SELECT COUNT(*) as count FROM notes 
+          WHERE chatId = ? AND chatType = ? AND LOWER(content) LIKE ?
+        `).get(chatId, actualChatType, `%${keyword}%`);
+      }
+      
+      if (count > 3 && notesCount.count < 2) {
+        knowledgeGaps.push({ keyword, mentions: count, notes: notesCount.count });
+      }
+    }
+  }
+  
+  return {
+    totalNotes: trends.totalNotes,
+    weekChange,
+    topContributor: trends.topContributors[0],
+    topCategory: trends.topCategories[0],
+    topKeywords: trends.topKeywords.slice(0, 3),
+    popularNotes: trends.popularNotes.slice(0, 2),
+    teamLevel,
+    nextLevelAt,
+    progress,
+    unsaved: unsaved.slice(0, 3),
+    knowledgeGaps: knowledgeGaps.slice(0, 2),
+    searches: activity.searches,
+    views: activity.views,
+    pinned: getPinnedNotes(chatId, senderAddress, actualChatType === 'group').slice(0, CONFIG.DIGEST_MAX_PINS),
+    chatType: actualChatType
+  };
+}
+
+// FORMAT WEEKLY DIGEST
+function formatWeeklyDigest(digest) {
+  if (!digest) return null;
+  
+  const changeEmoji = digest.weekChange > 0 ? '📈' : digest.weekChange < 0 ? '📉' : '➡️';
+  const changeText = digest.weekChange > 0 ? `+${digest.weekChange}` : digest.weekChange < 0 ? `${digest.weekChange}` : '±0';
+  
+  let report = `📊 DRAGMAN WEEKLY REPORT\n\n`;
+  report += `Your ${digest.chatType === 'group' ? 'team' : 'knowledge base'} had a productive week! 🎉\n\n`;
+  
+  // Activity section
+  report += `📈 ACTIVITY\n`;
+  report += `• ${digest.totalNotes} notes saved this week ${changeEmoji} (${changeText} from last week)\n`;
+  if (digest.searches > 0 || digest.views > 0) {
+    report += `• ${digest.searches} searches, ${digest.views} notes opened\n`;
+  }
+  
+  // MVP section (only for groups)
+  if (digest.chatType === 'group' && digest.topContributor) {
+    report += `\n🏆 MVP OF THE WEEK\n`;
+    report += `🥇 ${digest.topContributor[0]}: ${digest.topContributor[1]} saves\n`;
+    if (digest.topContributor[1] >= 5) {
+      report += `   ${digest.topContributor[0]} is on fire! 🔥\n`;
+    }
+  }
+  
+  // Trending section
+  if (digest.topCategory) {
+    report += `\n🔥 TRENDING\n`;
+    digest.topKeywords.forEach(([keyword, count], idx) => {
+      report += `${idx + 1}. ${keyword} (${count} mentions)\n`;
+    });
+  }
+  
+  // Popular notes
+  if (digest.popularNotes.length > 0) {
+    report += `\n⭐ MOST VIEWED\n`;
+    digest.popularNotes.forEach((note, idx) => {
+      report += `${idx + 1}. ${truncate(note.content, 50)} (${note.viewCount} views)\n`;
+    });
+  }
+  
+  // The pinned board, as a reminder of what's there
+  if (digest.pinned.length > 0) {
+    report += `\n📌 PINNED\n`;
+    digest.pinned.forEach((note, idx) => {
+      report += `${idx + 1}. ${truncate(note.content, 50)}\n`;
+    });
+  }
+  
+  // Smart insights
+  const hasInsights = digest.unsaved.length > 0 || digest.knowledgeGaps.length > 0;
+  if (hasInsights) {
+    report += `\n💡 SMART INSIGHTS\n`;
+    
+    if (digest.unsaved.length > 0) {
+      const unsavedCount = digest.unsaved.length;
+      const types = [...new Set(digest.unsaved.map(item => item.type))];
+      const typeText = types.includes('address') ? 'addresses' : types.includes('url') ? 'links' : 'items';
+      
+      report += `• ${unsavedCount} ${typeText} detected but not saved\n`;
+      report += `  Type @dragman suggestions to review\n\n`;
+    }
+    
+    if (digest.knowledgeGaps.length > 0) {
+      digest.knowledgeGaps.forEach(gap => {
+        report += `• "${gap.keyword}" mentioned ${gap.mentions}x but only ${gap.notes} note(s) saved\n`;
+        report += `  Missing knowledge? Save some guides!\n\n`;
+      });
+    }
+  }
+  
+  // Team progress (gamification)
+  report += `🎯 TEAM PROGRESS\n`;
+  report += `Level ${digest.teamLevel} → ${Math.round(digest.progress)}% to Level ${digest.teamLevel + 1}\n`;
+  report += `(${digest.nextLevelAt - (digest.teamLevel - 1) * 10 - Math.floor((digest.progress / 100) * 10)} more notes to next level!)\n\n`;
+  
+  if (digest.teamLevel >= 5) {
+    report += `🏆 Achievement unlocked: Knowledge Masters!\n\n`;
+  }
+  
+  report += `Keep building ${digest.chatType === 'group' ? 'team' : ''} knowledge! 🚀`;
+  
+  return report;
+}
+
+// ==================== HELPER FUNCTIONS ====================
+
+// Chat type comes from the XMTP conversation (see utils/chat-type.js) and is cached
+// in conversation_types. Rows without verifiedAt are old guesses and get re-checked.
+async function getConversationType(ctx, chatId) {
+  if (conversationTypes.has(chatId)) return conversationTypes.get(chatId);
+
+  const cached = db.prepare('SELECT chatType, verifiedAt FROM conversation_types WHERE chatId = ?').get(chatId);
+  if (cached?.verifiedAt) {
+    conversationTypes.set(chatId, cached.chatType);
+    return cached.chatType;
+  }
+  return refreshConversationType(ctx, chatId);
+}
+
+// When the conversation can't tell, answer 'group' without caching it: a group
+// needs a mention and never shows anything saved privately
+async function refreshConversationType(ctx, chatId) {
+  const detected = await detectChatType(ctx);
+  if (!detected) {
+    log('warn', 'Could not read conversation type, treating as group', { chatId: chatId.substring(0, 20) });
+    return 'group';
+  }
+  saveConversationType(chatId, detected.chatType, detected.memberCount);
+  return detected.chatType;
+}
+
+// A type that differs from the stored one (or a first detection, for data saved
+// under the old 'group' default) re-stamps the chat's notes, reminders and the rest
+function saveConversationType(chatId, chatType, memberCount = null) {
+  try {
+    const now = new Date().toISOString();
+    const previous = db.prepare('SELECT chatType FROM conversation_types WHERE chatId = ?').get(chatId)?.chatType;
+    const restamped = db.transaction(() => {
+      db.prepare(`
+        INSERT INTO conversation_types (chatId, chatType, memberCount, updatedAt, verifiedAt)
+        VALUES (?, ?, ?, ?, ?)
+        ON CONFLICT(chatId) DO UPDATE SET
+          chatType = excluded.chatType,
+          memberCount = excluded.memberCount,
+          updatedAt = excluded.updatedAt,
+          verifiedAt = excluded.verifiedAt
+      `).run(chatId, chatType, memberCount, now, now);
+      return previous === chatType ? 0 : restampChatType(db, chatId, chatType);
+    })();
+    conversationTypes.set(chatId, chatType); // Also update memory
+    if (previous && previous !== chatType) {
+      log('info', 'Conversation type corrected', { chatId: chatId.substring(0, 20), from: previous, to: chatType, restamped });
+    } else if (restamped > 0) {
+      log('info', 'Chat data re-stamped with detected type', { chatId: chatId.substring(0, 20), chatType, restamped });
+    }
+  } catch (e) {
+    log('error', 'Failed to save conversation type', { chatId: chatId.substring(0, 20), error: e.message });
+  }
+}
+
+function updateCategoryCount(chatId, category, delta = -1) {
+  try {
+    // Update category count (re-create the row when a note comes back, e.g. restore)
+    db.prepare(`
+      INSERT INTO categories (chatId, category, count)
+      VALUES (?, ?, ?)
+      ON CONFLICT(chatId, category)
+      DO UPDATE SET count = count + excluded.count
+    `).run(chatId, category, delta);
+    
+    // Remove category if count is 0 or less
+    db.prepare(`
+      DELETE FROM categories 
+      WHERE chatId = ? AND category = ? AND count <= 0
+    `).run(chatId, category);
+  } catch (error) {
+    log('error', 'Failed to update category count', { chatId, category, error: error.message });
+  }
+}
+
+// ==================== CATEGORY TAXONOMY ====================
+
+// Each chat can define its own categories (with emojis) plus aliases for them.
+// A chat without custom categories accepts any category; once it has one, only
+// its categories and General can be assigned, by the categorizer or by "in X".
+
+// "DeFi", "Mobile Legends", "R&D" - starts with a letter or number, max 30 characters
+const CATEGORY_NAME_PATTERN = /^[\p{L}\p{N}](?:[\p{L}\p{N}&'-]| (?! )){0,29}$/u;
+
+function getChatCategories(chatId) {
+  return db.prepare('SELECT name, emoji FROM chat_categories WHERE chatId = ? ORDER BY name').all(chatId);
+}
+
+function getCategoryAliases(chatId) {
+  return db.prepare('SELECT alias, category FROM category_aliases WHERE chatId = ? ORDER BY alias').all(chatId);
+}
+
+function isTaxonomyRestricted(chatId) {
+  return !!db.prepare('SELECT 1 FROM chat_categories WHERE chatId = ? LIMIT 1').get(chatId);
+}
+
+// Stored spelling of a category this chat already knows (custom, or used by notes), else null.
+// An exact match wins, so "Defi" and "DeFi" can still be told apart for a merge.
+function findExistingCategory(chatId, name) {
+  if (name.toLowerCase() === 'general') return 'General';
+  const custom = db.prepare('SELECT name FROM chat_categories WHERE chatId = ? AND name = ?').get(chatId, name);
+  const used = db.prepare(`
+    SELECT category FROM notes WHERE chatId = ? AND category = ? COLLATE NOCASE
+    GROUP BY category ORDER BY COUNT(*) DESC
+  `).all(chatId, name).map(row => row.category);
+  const candidates = [custom?.name, ...used].filter(Boolean);
+  return candidates.find(candidate => candidate === name) || candidates[0] || null;
+}
+
+// Turn whatever the user or the model typed into the category to store.
+// Returns null when the chat restricts categories and the name isn't allowed.
+function resolveCategory(chatId, name) {
+  const cleaned = (name || '').trim();
+  if (!cleaned) return null;
+
+  const alias = db.prepare('SELECT category FROM category_aliases WHERE chatId = ? AND alias = ?').get(chatId, cleaned);
+  if (alias) return alias.category;
+
+  if (isTaxonomyRestricted(chatId)) {
+    const custom = db.prepare('SELECT name FROM chat_categories WHERE chatId = ? AND name = ?').get(chatId, cleaned);
+    if (custom) return custom.name;
+    return cleaned.toLowerCase() === 'general' ? 'General' : null;
+  }
+
+  // Reuse an existing or built-in spelling so "defi" doesn't start a second "Defi"
+  const existing = findExistingCategory(chatId, cleaned);
+  if (existing) return existing;
+  const builtIn = Object.keys(DEFAULT_CATEGORY_EMOJIS).find(category => category.toLowerCase() === cleaned.toLowerCase());
+  return builtIn || cleaned.charAt(0).toUpperCase() + cleaned.slice(1);
+}
+
+function isKnownCategory(chatId, name) {
+  return !!db.prepare('SELECT 1 FROM category_aliases WHERE chatId = ? AND alias = ?').get(chatId, name) ||
+    !!findExistingCategory(chatId, name) ||
+    Object.keys(DEFAULT_CATEGORY_EMOJIS).some(category => category.toLowerCase() === name.toLowerCase());
+}
+
+// Split a trailing category off "save"/"delete" text: 'X in "Mobile Legends"', "X in Mobile Legends"
+// (only when this chat already knows that name) or "X in DeFi". Returns { text, category } or null.
+function splitExplicitCategory(chatId, text, prepositions) {
+  const words = prepositions.join('|');
+  const quoted = text.match(new RegExp(`^(.+)\\s+(?:${words})\\s+["“]([^"”]+)["”]\\s*$`, 'iu'));
+  if (quoted) return { text: quoted[1].trim(), category: quoted[2].trim() };
+
+  // Longest known name first, so "in Mobile Legends" doesn't become "Legends"
+  for (const wordCount of [3, 2]) {
+    const multi = text.match(new RegExp(`^(.+)\\s+(?:${words})\\s+((?:[\\p{L}\\p{N}]+ ){${wordCount - 1}}[\\p{L}\\p{N}]+)\\s*$`, 'iu'));
+    if (multi && isKnownCategory(chatId, multi[2])) return { text: multi[1].trim(), category: multi[2] };
+  }
+
+  const single = text.match(new RegExp(`^(.+)\\s+(?:${words})\\s+([a-zA-Z][a-zA-Z0-9]*)\\s*$`, 'i'));
+  return single ? { text: single[1].trim(), category: single[2] } : null;
+}
+
+function isEmoji(text) {
+  return /^\p{Extended_Pictographic}/u.test(text) && [...text].length <= 8;
+}
+
+// Move every note (and trashed note / revision, so restore and undo agree) to another category
+function moveCategoryNotes(chatId, from, to) {
+  const moved = db.prepare('UPDATE notes SET category = ? WHERE chatId = ? AND category = ?').run(to, chatId, from).changes;
+  db.prepare('UPDATE notes_trash SET category = ? WHERE chatId = ? AND category = ?').run(to, chatId, from);
+  db.prepare('UPDATE note_revisions SET category = ? WHERE chatId = ? AND category = ?').run(to, chatId, from);
+  if (moved > 0) {
+    updateCategoryCount(chatId, from, -moved);
+    updateCategoryCount(chatId, to, moved);
+  }
+  return moved;
+}
+
+function addChatCategory(chatId, name, emoji, createdBy) {
+  if (!CATEGORY_NAME_PATTERN.test(name)) {
+    return { error: 'invalid_name' };
+  }
+  if (name.toLowerCase() === 'general') {
+    return { error: 'reserved' };
+  }
+  if (db.prepare('SELECT 1 FROM category_aliases WHERE chatId = ? AND alias = ?').get(chatId, name)) {
+    return { error: 'is_alias' };
+  }
+
+  const existing = db.prepare('SELECT name FROM chat_categories WHERE chatId = ? AND name = ?').get(chatId, name);
+  // Adopt the spelling notes already use, so adding "defi" doesn't orphan "DeFi" notes
+  const stored = existing?.name || findExistingCategory(chatId, name) || name;
+  db.prepare(`
+    INSERT INTO chat_categories (chatId, name, emoji, createdBy, createdAt)
+    VALUES (?, ?, ?, ?, ?)
+    ON CONFLICT(chatId, name) DO UPDATE SET emoji = COALESCE(excluded.emoji, emoji)
+  `).run(chatId, stored, emoji, createdBy, new Date().toISOString());
+
+  log('info', 'Category added', { category: stored, user: createdBy });
+  return { name: stored, existed: !!existing };
+}
+
+function setCategoryEmoji(chatId, name, emoji) {
+  const result = db.prepare('UPDATE chat_categories SET emoji = ? WHERE chatId = ? AND name = ?').run(emoji, chatId, name);
+  if (result.changes === 0) return null;
+  return db.prepare('SELECT name FROM chat_categories WHERE chatId = ? AND name = ?').get(chatId, name).name;
+}
+
+function renameCategory(chatId, fromName, toName, actor) {
+  const from = findExistingCategory(chatId, fromName);
+  if (!from || from === 'General') return { error: 'not_found' };
+  if (!CATEGORY_NAME_PATTERN.test(toName) || toName.toLowerCase() === 'general') return { error: 'invalid_name' };
+
+  const clash = findExistingCategory(chatId, toName);
+  if (clash && clash.toLowerCase() !== from.toLowerCase()) return { error: 'exists', existing: clash };
+
+  const moved = db.transaction(() => {
+    const count = moveCategoryNotes(chatId, from, toName);
+    db.prepare('UPDATE chat_categories SET name = ? WHERE chatId = ? AND name = ? COLLATE BINARY').run(toName, chatId, from);
+    db.prepare('UPDATE category_aliases SET category = ? WHERE chatId = ? AND category = ?').run(toName, chatId, from);
+    // The old name keeps working ("save ... in Defi" after renaming Defi → DeFi)
+    if (from.toLowerCase() !== toName.toLowerCase()) {
+      db.prepare(`
+        INSERT OR REPLACE INTO category_aliases (chatId, alias, category, createdBy, createdAt)
+        VALUES (?, ?, ?, ?, ?)
+      `).run(chatId, from, toName, actor, new Date().toISOString());
+    }
+    return count;
+  })();
+
+  log('info', 'Category renamed', { from, to: toName, notes: moved, user: actor });
+  return { from, to: toName, moved };
+}
+
+function mergeCategories(chatId, fromName, intoName, actor) {
+  const from = findExistingCategory(chatId, fromName);
+  const into = findExistingCategory(chatId, intoName);
+  if (!from || from === 'General') return { error: 'not_found', name: fromName };
+  if (!into) return { error: 'not_found', name: intoName };
+  if (from === into) return { error: 'same' };
+
+  const moved = db.transaction(() => {
+    const count = moveCategoryNotes(chatId, from, into);
+    db.prepare('DELETE FROM chat_categories WHERE chatId = ? AND name = ? COLLATE BINARY').run(chatId, from);
+    db.prepare('UPDATE category_aliases SET category = ? WHERE chatId = ? AND category = ?').run(into, chatId, from);
+    // "Defi" and "DeFi" are the same word to an alias lookup - nothing to add then
+    if (from.toLowerCase() !== into.toLowerCase()) {
+      db.prepare(`
+        INSERT OR REPLACE INTO category_aliases (chatId, alias, category, createdBy, createdAt)
+        VALUES (?, ?, ?, ?, ?)
+      `).run(chatId, from, into, actor, new Date().toISOString());
+    }
+    return count;
+  })();
+
+  log('info', 'Categories merged', { from, into, notes: moved, user: actor });
+  return { from, into, moved };
+}
+
+function addCategoryAlias(chatId, alias, targetName, actor) {
+  if (!CATEGORY_NAME_PATTERN.test(alias)) return { error: 'invalid_name' };
+
+  const target = findExistingCategory(chatId, targetName);
+  if (!target) return { error: 'not_found', name: targetName };
+
+  // An alias can't shadow a category that's in use - merge those instead
+  const existing = findExistingCategory(chatId, alias);
+  if (existing) return { error: 'exists', existing };
+
+  db.prepare(`
+    INSERT OR REPLACE INTO category_aliases (chatId, alias, category, createdBy, createdAt)
+    VALUES (?, ?, ?, ?, ?)
+  `).run(chatId, alias, target, actor, new Date().toISOString());
+  return { alias, category: target };
+}
+
+function removeCategoryAlias(chatId, alias) {
+  return db.prepare('DELETE FROM category_aliases WHERE chatId = ? AND alias = ?').run(chatId, alias).changes > 0;
+}
+
+// Notes in a removed category fall back to General
+function removeChatCategory(chatId, name, actor) {
+  const custom = db.prepare('SELECT name FROM chat_categories WHERE chatId = ? AND name = ?').get(chatId, name);
+  if (!custom) return { error: 'not_found' };
+
+  const moved = db.transaction(() => {
+    const count = moveCategoryNotes(chatId, custom.name, 'General');
+    db.prepare('DELETE FROM chat_categories WHERE chatId = ? AND name = ?').run(chatId, custom.name);
+    db.prepare('DELETE FROM category_aliases WHERE chatId = ? AND category = ?').run(chatId, custom.name);
+    return count;
+  })();
+
+  log('info', 'Category removed', { category: custom.name, notes: moved, user: actor });
+  return { name: custom.name, moved };
+}
+
+function formatTaxonomy(chatId) {
+  const categories = getChatCategories(chatId);
+  const aliases = getCategoryAliases(chatId);
+
+  if (categories.length === 0 && aliases.length === 0) {
+    return `📂 No custom categories yet - any category is allowed.\n\n` +
+           `💡 Add one: category add DeFi 🏦\n` +
+           `💡 Once a chat has its own categories, new notes can only use those (plus General).`;
+  }
+
+  let text = `📂 CATEGORIES FOR THIS CHAT\n\n`;
+  categories.forEach((category, index) => {
+    const names = aliases.filter(alias => alias.category === category.name).map(alias => alias.alias);
+    text += `${index + 1}. ${category.emoji || getCategoryEmoji(category.name)} ${category.name}` +
+            (names.length > 0 ? ` (also: ${names.join(', ')})` : '') + `\n`;
+  });
+
+  const otherAliases = aliases.filter(alias => !categories.some(category => category.name === alias.category));
+  if (otherAliases.length > 0) {
+    text += `\n🔀 Aliases:\n`;
+    otherAliases.forEach(alias => { text += `• ${alias.alias} → ${alias.category}\n`; });
+  }
+
+  text += categories.length > 0
+    ? `\n🔒 New notes can only use these categories (plus General).`
+    : `\n🔓 Any category is allowed until you add one.`;
+  return text;
+}
+
+const CATEGORY_USAGE = `📂 Category commands:\n\n` +
+  `• category list - This chat's categories and aliases\n` +
+  `• category add DeFi 🏦 - Add a category (emoji optional)\n` +
+  `• category emoji DeFi 🏦 - Change its emoji\n` +
+  `• category rename Defi DeFi - Rename it on every note\n` +
+  `• category merge Dex into DeFi - Move notes over, Dex becomes an alias\n` +
+  `• category alias Yield DeFi - "in Yield" saves to DeFi\n` +
+  `• category add "Mobile Legends" 🎮 - Quote names with spaces\n` +
+  `• category unalias Yield - Remove an alias\n` +
+  `• category remove DeFi - Its notes move to General\n\n` +
+  `🔒 In groups, only owners and moderators can change categories`;
+
+// Names may be several words: "category rename Mobile Legends to MLBB", 'category alias "ML" "Mobile Legends"'.
+// Returns [first, second]; for add/emoji the second is a trailing emoji.
+function parseCategoryArgs(action, text) {
+  const tokens = [...text.matchAll(/["“]([^"”]+)["”]|(\S+)/g)]
+    .map(match => ({ word: (match[1] ?? match[2]).trim(), quoted: match[1] !== undefined }));
+  const join = list => list.map(token => token.word).join(' ').trim();
+
+  if (action === 'add' || action === 'emoji') {
+    const last = tokens[tokens.length - 1];
+    if (tokens.length > 1 && !last.quoted && isEmoji(last.word)) return [join(tokens.slice(0, -1)), last.word];
+    return [join(tokens), null];
   }
-  
-  if (recentNotes.length === 0) {
-    return null;
+
+  if (action === 'rename' || action === 'merge' || action === 'alias') {
+    const separator = tokens.findIndex(token => !token.quoted && /^(to|into|as|=|->|→)$/i.test(token.word));
+    if (separator > 0) return [join(tokens.slice(0, separator)), join(tokens.slice(separator + 1))];
+    return [tokens[0]?.word, join(tokens.slice(1))];
   }
-  
-  // Count category frequency
-  const categoryCount = {};
-  const contributorCount = {};
-  const keywordCount = {};
-  
-  for (const note of recentNotes) {
-    // Count categories
-    categoryCount[note.category] = (categoryCount[note.category] || 0) + 1;
-    
-    // Count contributors
-    const shortAddr = shortenAddress(note.savedBy);
-    contributorCount[shortAddr] = (contributorCount[shortAddr] || 0) + 1;
-    
-    // Extract keywords from content
-    const words = note.content.toLowerCase().split(/\s+/);
-    for (const word of words) {
-      if (word.length > 4 && !['about', 'which', 'where', 'there'].includes(word)) {
-        keywordCount[word] = (keywordCount[word] || 0) + 1;
-      }
+
+  return [join(tokens), null];
+}
+
+// args: [first, second] from parseCategoryArgs()
+function handleCategoryCommand(action, args, chatId, senderAddress, chatType = 'group') {
+  const [first, second] = args;
+  const audit = (operation, before, after) =>
+    auditLog.record({ chatId, chatType, actor: senderAddress, action: `category.${operation}`, before, after });
+
+  switch (action) {
+    case 'add': {
+      if (!first) return CATEGORY_USAGE;
+      const emoji = second && isEmoji(second) ? second : null;
+      if (second && !emoji) return `❌ "${second}" isn't an emoji.`;
+      const result = addChatCategory(chatId, first, emoji, senderAddress);
+      if (result.error === 'invalid_name') return `❌ Category names are letters, numbers and spaces (max 30), e.g. DeFi or "Mobile Legends"`;
+      if (result.error === 'reserved') return `ℹ️ General is always available.`;
+      if (result.error === 'is_alias') return `❌ "${first}" is already an alias. Remove it first: category unalias ${first}`;
+      audit('add', null, { category: result.name, emoji });
+      return `✅ ${result.existed ? 'Updated' : 'Added'} category ${getCategoryEmoji(result.name, chatId)} ${result.name}\n\n` +
+             `🔒 New notes in this chat can only use: ${[...getChatCategories(chatId).map(category => category.name), 'General'].join(', ')}`;
+    }
+
+    case 'emoji': {
+      if (!first) return CATEGORY_USAGE;
+      if (!second) return `❌ Which emoji? Example: category emoji ${first} 🏦`;
+      if (!isEmoji(second)) return `❌ "${second}" isn't an emoji.\n\n💡 Example: category emoji ${first} 🏦`;
+      const name = setCategoryEmoji(chatId, first, second);
+      if (!name) return `❌ "${first}" isn't one of this chat's categories.\n\n💡 Add it with: category add ${first} ${second}`;
+      audit('emoji', null, { category: name, emoji: second });
+      return `✅ ${second} ${name}`;
+    }
+
+    case 'rename': {
+      if (!first || !second) return CATEGORY_USAGE;
+      const result = renameCategory(chatId, first, second, senderAddress);
+      if (result.error === 'not_found') return `❌ No category "${first}" in this chat.\n\n💡 Type "categories" to see them`;
+      if (result.error === 'invalid_name') return `❌ Category names are letters, numbers and spaces (max 30), e.g. DeFi or "Mobile Legends"`;
+      if (result.error === 'exists') return `❌ "${result.existing}" already exists.\n\n💡 Combine them instead: category merge ${first} into ${result.existing}`;
+      audit('rename', { category: result.from }, { category: result.to });
+      return `✅ Renamed ${result.from} → ${getCategoryEmoji(result.to, chatId)} ${result.to} (${result.moved} note${result.moved === 1 ? '' : 's'})` +
+             (result.from.toLowerCase() !== result.to.toLowerCase() ? `\n\n🔀 "${result.from}" still works as an alias` : '');
+    }
+
+    case 'merge': {
+      if (!first || !second) return CATEGORY_USAGE;
+      const result = mergeCategories(chatId, first, second, senderAddress);
+      if (result.error === 'not_found') return `❌ No category "${result.name}" in this chat.\n\n💡 Type "categories" to see them`;
+      if (result.error === 'same') return `ℹ️ Those are the same category.`;
+      audit('merge', { category: result.from }, { category: result.into });
+      return `✅ Merged ${result.from} into ${getCategoryEmoji(result.into, chatId)} ${result.into} (${result.moved} note${result.moved === 1 ? '' : 's'} moved)`;
+    }
+
+    case 'alias': {
+      if (!first || !second) return CATEGORY_USAGE;
+      const result = addCategoryAlias(chatId, first, second, senderAddress);
+      if (result.error === 'invalid_name') return `❌ Aliases are letters, numbers and spaces (max 30)`;
+      if (result.error === 'not_found') return `❌ No category "${result.name}" in this chat.\n\n💡 Add it first: category add ${result.name}`;
+      if (result.error === 'exists') return `❌ "${result.existing}" is already a category.\n\n💡 Combine them instead: category merge ${result.existing} into ${second}`;
+      audit('alias', null, { category: result.category, alias: result.alias });
+      return `✅ "${result.alias}" now means ${getCategoryEmoji(result.category, chatId)} ${result.category}`;
+    }
+
+    case 'unalias': {
+      if (!first) return CATEGORY_USAGE;
+      if (!removeCategoryAlias(chatId, first)) return `❌ "${first}" isn't an alias in this chat.`;
+      audit('unalias', { alias: first }, null);
+      return `✅ Removed alias "${first}"`;
+    }
+
+    case 'remove':
+    case 'delete': {
+      if (!first) return CATEGORY_USAGE;
+      const result = removeChatCategory(chatId, first, senderAddress);
+      if (result.error === 'not_found') return `❌ "${first}" isn't one of this chat's categories.\n\n💡 Type "category list" to see them`;
+      audit('remove', { category: result.name }, null);
+      const remaining = getChatCategories(chatId).length;
+      return `✅ Removed category ${result.name}` +
+             (result.moved > 0 ? ` - ${result.moved} note${result.moved === 1 ? '' : 's'} moved to General` : '') +
+             (remaining === 0 ? `\n\n🔓 No custom categories left, so any category is allowed again.` : '');
     }
+
+    default:
+      return CATEGORY_USAGE;
   }
-  
-  // Sort and get top items
-  const topCategories = Object.entries(categoryCount)
-    .sort((a, b) => b[1] - a[1])
-    .slice(0, 3);
-  
-  const topContributors = Object.entries(contributorCount)
-    .sort((a, b) => b[1] - a[1])
-    .slice(0, 3);
-  
-  const topKeywords = Object.entries(keywordCount)
-    .filter(([word, count]) => count > 1)
-    .sort((a, b) => b[1] - a[1])
-    .slice(0, 5);
-  
-  // Get most viewed notes
-  const popularNotes = recentNotes
-    .sort((a, b) => b.viewCount - a.viewCount)
-    .slice(0, 3);
-  
-  return {
-    totalNotes: recentNotes.length,
-    topCategories,
-    topContributors,
-    topKeywords,
-    popularNotes,
-    timeframe: `${days} days`
-  };
 }
 
-// FIND RELATED NOTES: Find notes similar to current one
-function findRelatedNotes(noteId, chatId, limit = 3, senderAddress = null, isGroupChat = false) {
-  // Get the source note
-  const sourceNote = db.prepare('SELECT * FROM notes WHERE id = ? AND chatId = ?').get(noteId, chatId);
-  if (!sourceNote) return [];
-  
-  // CRITICAL PRIVACY FIX: 
-  // 1. In DMs, only find related notes from user's own notes
-  // 2. ALWAYS filter by chatType to prevent DM notes leaking into groups
+// ==================== DELETE FUNCTIONALITY ====================
+
+// Notes the caller may edit or delete that contain the query. Your own notes,
+// or anyone's in a group when anyAuthor is set (moderators); never a DM of someone else.
+function findChangeableNotes(query, chatId, senderAddress, category = null, isGroupChat = false, { anyAuthor = false } = {}) {
+  // CRITICAL PRIVACY FIX: ALWAYS filter by chatType to prevent DM notes leaking into groups
   const chatType = isGroupChat ? 'group' : 'dm';
+  const params = [chatId, chatType];
+  let ownerFilter = '';
+  if (!(isGroupChat && anyAuthor)) {
+    ownerFilter = 'AND savedBy = ?';
+    params.push(senderAddress);
+  }
   
-  // Extract keywords from source note
-  const keywords = sourceNote.content.toLowerCase()
-    .split(/\s+/)
-    .filter(word => word.length > 4);
-  
-  if (keywords.length === 0) return [];
-  
-  // Find notes with similar keywords (excluding source note)
-  let allNotes;
-  if (!isGroupChat && senderAddress) {
-    allNotes = db.prepare(`
-      SELECT * FROM notes 
-      WHERE chatId = ? AND chatType = ? AND savedBy = ? AND id != ?
-      ORDER BY createdAt DESC
-      LIMIT 20
-    `).all(chatId, chatType, senderAddress, noteId);
-  } else {
-    allNotes = db.prepare(`
-      SELECT * FROM notes 
-      WHERE chatId = ? AND chatType = ? AND id != ?
-      ORDER BY createdAt DESC
-      LIMIT 20
-    `).all(chatId, chatType, noteId);
+  // Search within a specific category, or across all notes
+  let categoryFilter = '';
+  if (category) {
+    categoryFilter = 'AND category = ?';
+    params.push(category);
   }
+  params.push(`%${query.toLowerCase()}%`);
   
-  // Calculate similarity scores
-  const scored = allNotes.map(note => {
-    let score = 0;
-    const noteContent = note.content.toLowerCase();
-    
-    for (const keyword of keywords) {
-      if (noteContent.includes(keyword)) score += 1;
+  return db.prepare(`
+    SELECT * FROM notes 
+    WHERE chatId = ? AND chatType = ? ${ownerFilter} ${categoryFilter} AND LOWER(content) LIKE ?
+    ORDER BY createdAt DESC
+  `).all(...params);
+}
+
+// ==================== HISTORY, UNDO & TRASH ====================
+
+// Snapshot a note's current state before it changes
+function recordRevision(note, action, actor) {
+  db.prepare(`
+    INSERT INTO note_revisions (noteId, chatId, chatType, action, content, category, tags, actor, createdAt)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(note.id, note.chatId, note.chatType, action, note.content, note.category, note.tags, actor, new Date().toISOString());
+}
+
+function editNote(noteId, newContent, editorAddress) {
+  // Re-read the note: the copy held in the conversation state may be stale
+  const current = db.prepare('SELECT * FROM notes WHERE id = ?').get(noteId);
+  if (!current) return null;
+
+  // Hashtags follow the content; tags added with "tag N add" stay
+  const oldHashtags = extractTags(current.content);
+  const tags = [...new Set([
+    ...parseNoteTags(current).filter(tag => !oldHashtags.includes(tag)),
+    ...extractTags(newContent),
+  ])].slice(0, CONFIG.MAX_TAGS_PER_NOTE);
+
+  db.transaction(() => {
+    recordRevision(current, 'edit', editorAddress);
+    db.prepare(`
+      UPDATE notes
+      SET content = ?, tags = ?, updatedAt = ?
+      WHERE id = ?
+    `).run(newContent, JSON.stringify(tags), new Date().toISOString(), noteId);
+  })();
+
+  auditLog.record({
+    chatId: current.chatId, chatType: current.chatType, actor: editorAddress, action: 'edit', noteId, target: current.savedBy,
+    before: noteSnapshot(current), after: { ...noteSnapshot(current), content: newContent, tags },
+  });
+  updateNoteEmbedding(noteId);
+  log('info', 'Note edited', { noteId, user: editorAddress });
+  return current;
+}
+
+// Soft delete: move the note to the trash so it can be restored or undone
+function trashNote(noteId, deletedBy) {
+  const current = db.prepare('SELECT * FROM notes WHERE id = ?').get(noteId);
+  if (!current) return null;
+
+  db.transaction(() => {
+    recordRevision(current, 'delete', deletedBy);
+    db.prepare(`
+      INSERT OR REPLACE INTO notes_trash
+        (id, chatId, chatType, content, category, savedBy, fromUser, originalMessage, createdAt, updatedAt, tags, viewCount, deletedAt, deletedBy)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      current.id, current.chatId, current.chatType, current.content, current.category, current.savedBy,
+      current.fromUser, current.originalMessage, current.createdAt, current.updatedAt, current.tags,
+      current.viewCount, new Date().toISOString(), deletedBy
+    );
+    db.prepare('DELETE FROM notes WHERE id = ?').run(noteId);
+    updateCategoryCount(current.chatId, current.category, -1);
+  })();
+
+  auditLog.record({ chatId: current.chatId, chatType: current.chatType, actor: deletedBy, action: 'delete', noteId, target: current.savedBy, before: noteSnapshot(current) });
+  log('info', 'Note moved to trash', { noteId, user: deletedBy });
+  return current;
+}
+
+function restoreNote(trashed, restoredBy) {
+  const now = new Date().toISOString();
+
+  db.transaction(() => {
+    db.prepare(`
+      INSERT INTO notes (id, chatId, chatType, content, category, savedBy, fromUser, originalMessage, createdAt, updatedAt, tags, viewCount)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      trashed.id, trashed.chatId, trashed.chatType, trashed.content, trashed.category, trashed.savedBy,
+      trashed.fromUser, trashed.originalMessage, trashed.createdAt, trashed.updatedAt, trashed.tags, trashed.viewCount
+    );
+    db.prepare('DELETE FROM notes_trash WHERE id = ?').run(trashed.id);
+    // The delete is no longer pending, so undo must not try to revert it again
+    db.prepare(`
+      UPDATE note_revisions SET undoneAt = ?
+      WHERE noteId = ? AND action = 'delete' AND undoneAt IS NULL
+    `).run(now, trashed.id);
+    updateCategoryCount(trashed.chatId, trashed.category, 1);
+  })();
+
+  auditLog.record({ chatId: trashed.chatId, chatType: trashed.chatType, actor: restoredBy, action: 'restore', noteId: trashed.id, target: trashed.savedBy, after: noteSnapshot(trashed) });
+  log('info', 'Note restored from trash', { noteId: trashed.id, user: restoredBy });
+  return trashed;
+}
+
+function getTrashedNotes(chatId, senderAddress, isGroupChat = false) {
+  // Only the saver sees a deleted note here, even when a moderator deleted it
+  const chatType = isGroupChat ? 'group' : 'dm';
+  return db.prepare(`
+    SELECT * FROM notes_trash
+    WHERE chatId = ? AND chatType = ? AND savedBy = ?
+    ORDER BY deletedAt DESC
+    LIMIT ?
+  `).all(chatId, chatType, senderAddress, CONFIG.MAX_HISTORY_DISPLAY);
+}
+
+// Revert the caller's most recent edit or delete (within the undo window)
+function undoLastChange(chatId, senderAddress, isGroupChat = false) {
+  const chatType = isGroupChat ? 'group' : 'dm';
+  const since = new Date(Date.now() - CONFIG.UNDO_WINDOW_MS).toISOString();
+
+  const revision = db.prepare(`
+    SELECT * FROM note_revisions
+    WHERE chatId = ? AND chatType = ? AND actor = ? AND action IN ('edit', 'delete', 'tag', 'merge')
+      AND undoneAt IS NULL AND createdAt > ?
+    ORDER BY id DESC
+    LIMIT 1
+  `).get(chatId, chatType, senderAddress, since);
+
+  if (!revision) return null;
+
+  const markUndone = () => db.prepare('UPDATE note_revisions SET undoneAt = ? WHERE id = ?').run(new Date().toISOString(), revision.id);
+
+  if (revision.action === 'delete') {
+    const trashed = db.prepare('SELECT * FROM notes_trash WHERE id = ?').get(revision.noteId);
+    if (!trashed) {
+      markUndone(); // Already restored or purged
+      return null;
     }
-    
-    // Boost same category
-    if (note.category === sourceNote.category) score += 2;
-    
-    return { note, score };
+    return { action: 'delete', note: restoreNote(trashed, senderAddress) };
+  }
+
+  const current = db.prepare('SELECT * FROM notes WHERE id = ?').get(revision.noteId);
+  if (!current) {
+    markUndone(); // Note was deleted after the edit - restore it from trash instead
+    return null;
+  }
+
+  db.transaction(() => {
+    recordRevision(current, 'undo', senderAddress);
+    db.prepare(`
+      UPDATE notes
+      SET content = ?, category = ?, tags = ?, updatedAt = ?
+      WHERE id = ?
+    `).run(revision.content, revision.category, revision.tags, new Date().toISOString(), current.id);
+    if (current.category !== revision.category) {
+      updateCategoryCount(chatId, current.category, -1);
+      updateCategoryCount(chatId, revision.category, 1);
+    }
+    markUndone();
+  })();
+
+  auditLog.record({
+    chatId, chatType, actor: senderAddress, action: 'undo', noteId: current.id, target: current.savedBy,
+    before: noteSnapshot(current), after: noteSnapshot({ ...current, content: revision.content, category: revision.category, tags: revision.tags }),
   });
-  
-  // Return top matches
-  return scored
-    .filter(item => item.score > 0)
-    .sort((a, b) => b.score - a.score)
-    .slice(0, limit)
-    .map(item => item.note);
+  updateNoteEmbedding(current.id);
+  log('info', 'Note edit undone', { noteId: current.id, user: senderAddress });
+  return { action: 'edit', note: { ...current, content: revision.content, category: revision.category } };
 }
 
-// CHECK FOR UNSAVED IMPORTANT INFO
-function checkUnsavedInfo(chatId, isGroupChat = false) {
-  if (!groupAnalytics.has(chatId)) return [];
-  
-  // CRITICAL PRIVACY FIX: Only check unsaved info for groups, and filter by chatType
+function getNoteHistory(chatId, senderAddress, isGroupChat = false, keyword = null) {
+  // CRITICAL PRIVACY FIX: same scoping as searchNotes (DM → own notes only, always filter chatType)
   const chatType = isGroupChat ? 'group' : 'dm';
+
+  if (keyword) {
+    const note = searchNotes(keyword, chatId, senderAddress, isGroupChat)[0];
+    if (!note) return { note: null, revisions: [] };
+
+    const revisions = db.prepare(`
+      SELECT * FROM note_revisions
+      WHERE noteId = ? AND chatId = ? AND chatType = ?
+      ORDER BY id DESC
+      LIMIT ?
+    `).all(note.id, chatId, chatType, CONFIG.MAX_HISTORY_DISPLAY);
+    return { note, revisions };
+  }
+
+  if (!isGroupChat && senderAddress) {
+    return {
+      note: null,
+      revisions: db.prepare(`
+        SELECT * FROM note_revisions
+        WHERE chatId = ? AND chatType = ? AND actor = ?
+        ORDER BY id DESC
+        LIMIT ?
+      `).all(chatId, chatType, senderAddress, CONFIG.MAX_HISTORY_DISPLAY)
+    };
+  }
+
+  return {
+    note: null,
+    revisions: db.prepare(`
+      SELECT * FROM note_revisions
+      WHERE chatId = ? AND chatType = ?
+      ORDER BY id DESC
+      LIMIT ?
+    `).all(chatId, chatType, CONFIG.MAX_HISTORY_DISPLAY)
+  };
+}
+
+// Purge old trash (revisions are kept) - runs on the scheduler
+function purgeOldTrash() {
+  const cutoff = new Date(Date.now() - CONFIG.TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+  const result = db.prepare('DELETE FROM notes_trash WHERE deletedAt < ?').run(cutoff);
+  if (result.changes > 0) {
+    log('info', 'Purged old notes from trash', { count: result.changes });
+  }
   
-  const analytics = groupAnalytics.get(chatId);
-  const recentDetections = analytics.detectedInfo.filter(
-    item => Date.now() - item.timestamp < 30 * 60 * 1000 // Last 30 minutes
-  );
-  
-  // Check which detected items haven't been saved
-  const unsaved = [];
-  for (const detection of recentDetections) {
-    if (detection.type === 'address' || detection.type === 'url') {
-      // CRITICAL PRIVACY FIX: Filter by chatType to prevent checking DM notes in group context
-      const exists = db.prepare(`
-        SELECT id FROM notes 
-        WHERE chatId = ? AND chatType = ? AND content LIKE ?
-        LIMIT 1
-      `).get(chatId, chatType, `%${detection.content}%`);
-      
-      if (!exists) {
-        unsaved.push(detection);
-      }
+  // Vectors, pins, stars and locks are kept while a note sits in the trash (restore brings them back)
+  for (const table of ['note_embeddings', 'note_pins', 'note_stars', 'note_locks']) {
+    db.prepare(`
+      DELETE FROM ${table}
+      WHERE noteId NOT IN (SELECT id FROM notes) AND noteId NOT IN (SELECT id FROM notes_trash)
+    `).run();
+  }
+}
+
+// ==================== AUDIT TRAIL ====================
+
+// What the audit log keeps of a note, before and after a change
+function noteSnapshot(note) {
+  return { content: note.content, category: note.category, tags: parseNoteTags(note) };
+}
+
+const AUDIT_VERBS = {
+  save: 'saved',
+  import: 'imported',
+  edit: 'edited',
+  delete: 'deleted',
+  restore: 'restored',
+  undo: 'undid a change to',
+  tag: 'retagged',
+  merge: 'merged a duplicate into',
+  pin: 'pinned',
+  unpin: 'unpinned',
+  lock: 'locked',
+  unlock: 'unlocked',
+};
+
+function formatAuditValue(field, value) {
+  if (value === null || value === undefined) return '-';
+  if (field === 'tags') return value.length > 0 ? value.map(tag => `#${tag}`).join(' ') : 'no tags';
+  if (field === 'role') return ROLE_LABELS[value] || value;
+  if (field === 'content') return `"${truncate(value, 40)}"`;
+  return String(value);
+}
+
+// One line per event, plus a line per changed field for edits
+function formatAuditEvent(event) {
+  const when = getRelativeTime(new Date(event.createdAt));
+  const actor = event.actor === 'xmtp' ? 'Group admins' : shortenAddress(event.actor);
+
+  if (event.action === 'role') {
+    return `• ${when} - ${actor} made ${shortenAddress(event.target)} ${formatAuditValue('role', event.after?.role)} ` +
+           `(was ${formatAuditValue('role', event.before?.role)})`;
+  }
+
+  if (event.action.startsWith('category.')) {
+    const operation = event.action.slice('category.'.length);
+    const from = event.before?.category;
+    const to = event.after?.category;
+    const text = {
+      add: `added category ${to}`,
+      emoji: `set ${to}'s emoji to ${event.after?.emoji}`,
+      rename: `renamed category ${from} → ${to}`,
+      merge: `merged category ${from} into ${to}`,
+      alias: `made "${event.after?.alias}" an alias of ${to}`,
+      unalias: `removed the alias "${event.before?.alias}"`,
+      remove: `removed category ${from}`,
+    }[operation] || `changed categories (${operation})`;
+    return `• ${when} - ${actor} ${text}`;
+  }
+
+  const snapshot = event.after || event.before || {};
+  const owner = event.target && event.target !== event.actor ? `${shortenAddress(event.target)}'s note ` : '';
+  let line = `• ${when} - ${actor} ${AUDIT_VERBS[event.action] || event.action} ${owner}${formatAuditValue('content', snapshot.content)}`;
+
+  if (event.before && event.after) {
+    for (const change of diffSnapshots(event.before, event.after)) {
+      line += `\n   ${change.field}: ${formatAuditValue(change.field, change.before)} → ${formatAuditValue(change.field, change.after)}`;
     }
   }
-  
-  return unsaved;
+  return line;
+}
+
+function purgeOldAuditEvents() {
+  const purged = auditLog.purge();
+  if (purged > 0) {
+    log('info', 'Purged old audit events', { count: purged });
+  }
+}
+
+function purgeExpiredConversationState() {
+  const purged = conversationState.purgeExpired();
+  if (purged > 0) {
+    log('info', 'Cleaned up expired conversation state', { count: purged });
+  }
+}
+
+// ==================== EXPORT ====================
+
+const EXPORT_FORMATS = {
+  md: { extension: 'md', mimeType: 'text/markdown', label: 'Markdown' },
+  json: { extension: 'json', mimeType: 'application/json', label: 'JSON' },
+  csv: { extension: 'csv', mimeType: 'text/csv', label: 'CSV' },
+};
+const EXPORT_FORMAT_ALIASES = { md: 'md', markdown: 'md', json: 'json', csv: 'csv' };
+
+function getNotesForExport(chatId, senderAddress = null, isGroupChat = false, category = null) {
+  // CRITICAL PRIVACY FIX: same scoping as getRecentNotes
+  // 1. In DMs, only export user's own notes
+  // 2. ALWAYS filter by chatType to prevent DM notes leaking into groups
+  const chatType = isGroupChat ? 'group' : 'dm';
+  const params = [chatId, chatType];
+  let filters = '';
+
+  if (!isGroupChat && senderAddress) {
+    filters += ' AND savedBy = ?';
+    params.push(senderAddress);
+  }
+  if (category) {
+    filters += ' AND LOWER(category) = LOWER(?)';
+    params.push(category);
+  }
+
+  return db.prepare(`
+    SELECT * FROM notes
+    WHERE chatId = ? AND chatType = ?${filters}
+    ORDER BY category, createdAt DESC
+  `).all(...params);
+}
+
+function parseNoteTags(note) {
+  try {
+    return JSON.parse(note.tags || '[]');
+  } catch (e) {
+    return [];
+  }
+}
+
+function toExportRecord(note) {
+  return {
+    id: note.id,
+    category: note.category,
+    content: note.content,
+    tags: parseNoteTags(note),
+    savedBy: note.savedBy,
+    createdAt: note.createdAt,
+    updatedAt: note.updatedAt || null,
+    viewCount: note.viewCount,
+  };
+}
+
+// Quote a CSV field; prefix spreadsheet formula characters so cells can't execute
+function escapeCsvField(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
 }
 
-// WEEKLY DIGEST: Generate comprehensive weekly report
-function generateWeeklyDigest(chatId, chatTypeParam, senderAddress = null, isGroupChat = false) {
-  const trends = analyzeTrendingTopics(chatId, 7, senderAddress, isGroupChat);
-  
-  if (!trends || trends.totalNotes < 3) {
-    return null; // Not enough data for meaningful digest
+function serializeNotes(notes, format, meta) {
+  const records = notes.map(toExportRecord);
+
+  if (format === 'json') {
+    return JSON.stringify({ ...meta, notes: records }, null, 2);
   }
-  
-  // Get weekly stats
-  let stats = weeklyStats.get(chatId);
-  if (!stats) {
-    stats = { weekStart: Date.now(), saves: 0, searches: 0, views: 0, lastDigestSent: 0 };
-    weeklyStats.set(chatId, stats);
+
+  if (format === 'csv') {
+    const columns = ['id', 'category', 'content', 'tags', 'savedBy', 'createdAt', 'updatedAt', 'viewCount'];
+    const rows = records.map(record => columns
+      .map(column => escapeCsvField(column === 'tags' ? record.tags.join(', ') : record[column]))
+      .join(','));
+    return [columns.join(','), ...rows].join('\r\n') + '\r\n';
   }
-  
-  // Calculate previous week stats (from notes created in last 7 days)
-  const lastWeekStart = new Date(Date.now() - 14 * 24 * 60 * 60 * 1000).toISOString();
-  let previousWeekNotes, totalNotes;
-  
-  // CRITICAL PRIVACY FIX: 
-  // 1. In DMs, only count user's own notes
-  // 2. ALWAYS filter by chatType to prevent DM notes leaking into groups
-  // Use parameter if provided, otherwise derive from isGroupChat
-  const actualChatType = chatTypeParam || (isGroupChat ? 'group' : 'dm');
-  
-  if (!isGroupChat && senderAddress) {
-    previousWeekNotes = db.prepare(`
-      SELECT COUNT(*) as count FROM notes 
-      WHERE chatId = ? AND chatType = ? AND savedBy = ? AND createdAt BETWEEN ? AND ?
-    `).get(chatId, actualChatType, senderAddress, lastWeekStart, new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString());
-    totalNotes = db.prepare('SELECT COUNT(*) as count FROM notes WHERE chatId = ? AND chatType = ? AND savedBy = ?').get(chatId, actualChatType, senderAddress);
-  } else {
-    previousWeekNotes = db.prepare(`
-      SELECT COUNT(*) as count FROM notes 
-      WHERE chatId = ? AND chatType = ? AND createdAt BETWEEN ? AND ?
-    `).get(chatId, actualChatType, lastWeekStart, new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString());
-    totalNotes = db.prepare('SELECT COUNT(*) as count FROM notes WHERE chatId = ? AND chatType = ?').get(chatId, actualChatType);
+
+  // Markdown: one section per category
+  // Header is a quote (not a list) so re-importing the file only picks up notes
+  let markdown = `# Dragman notes export\n\n`;
+  markdown += `> Chat type: ${meta.chatType}${meta.category ? ` · Category: ${meta.category}` : ''}` +
+              ` · Exported: ${meta.exportedAt} · Notes: ${records.length}\n`;
+
+  let currentCategory = null;
+  for (const record of records) {
+    if (record.category !== currentCategory) {
+      currentCategory = record.category;
+      markdown += `\n## ${getCategoryEmoji(currentCategory, meta.chatId)} ${currentCategory}\n`;
+    }
+    const details = [`saved by ${record.savedBy}`, record.createdAt];
+    if (record.updatedAt) details.push(`updated ${record.updatedAt}`);
+    details.push(`${record.viewCount} views`);
+    if (record.tags.length > 0) details.push(`tags: ${record.tags.join(', ')}`);
+
+    markdown += `\n- ${record.content.replace(/\n/g, '\n  ')}\n`;
+    markdown += `  _${details.join(' · ')}_\n`;
   }
-  
-  const weekChange = trends.totalNotes - (previousWeekNotes?.count || 0);
-  
-  // Calculate team level based on total notes
-  const teamLevel = Math.floor(totalNotes.count / 10) + 1;
-  const nextLevelAt = teamLevel * 10;
-  const progress = ((totalNotes.count % 10) / 10) * 100;
-  
-  // Get unsaved detections from last week (only for groups)
-  const unsaved = [];
-  if (isGroupChat && groupAnalytics.has(chatId)) {
-    const analytics = groupAnalytics.get(chatId);
-    const weeklyDetections = analytics.detectedInfo.filter(
-      item => Date.now() - item.timestamp < 7 * 24 * 60 * 60 * 1000
+
+  return markdown;
+}
+
+// Send a file into the conversation: remote attachment via IPFS when configured,
+// otherwise an inline attachment (fine for text exports well under 1MB)
+async function sendFileAttachment(ctx, data, filename, mimeType) {
+  if (isUploadConfigured()) {
+    const encrypted = await RemoteAttachmentCodec.encodeEncrypted(
+      { filename, mimeType, data },
+      new AttachmentCodec(),
     );
-    
-    for (const detection of weeklyDetections) {
-      if (detection.type === 'address' || detection.type === 'url') {
-        // CRITICAL PRIVACY FIX: Filter by chatType to prevent checking DM notes in group context
-        const exists = db.prepare(`
-          SELECT id FROM notes WHERE chatId = ? AND chatType = ? AND content LIKE ? LIMIT 1
-        `).get(chatId, actualChatType, `%${detection.content}%`);
-        
-        if (!exists) {
-          unsaved.push(detection);
-        }
-      }
-    }
+    const fileUrl = await uploadToPinata(encrypted.payload, filename);
+
+    const remoteAttachment = {
+      url: fileUrl,
+      contentDigest: encrypted.digest,
+      salt: encrypted.salt,
+      nonce: encrypted.nonce,
+      secret: encrypted.secret,
+      scheme: `${new URL(fileUrl).protocol}//`,
+      filename,
+      contentLength: data.byteLength,
+    };
+    await ctx.conversation.send(remoteAttachment, ContentTypeRemoteAttachment);
+    return 'remote';
   }
-  
-  // Find knowledge gaps (keywords mentioned but few notes)
-  const knowledgeGaps = [];
-  if (trends.topKeywords.length > 0) {
-    for (const [keyword, count] of trends.topKeywords.slice(0, 3)) {
-      let notesCount;
-      if (!isGroupChat && senderAddress) {
-        notesCount = db.prepare(`
-          SELECT COUNT(*) as count FROM notes 
-          WHERE chatId = ? AND chatType = ? AND savedBy = ? AND LOWER(content) LIKE ?
-        `).get(chatId, actualChatType, senderAddress, `%${keyword}%`);
+
+  await ctx.conversation.send({ filename, mimeType, data }, ContentTypeAttachment);
+  return 'inline';
+}
+
+async function exportNotes(ctx, chatId, senderAddress, isGroupChat, format = 'md', category = null) {
+  if (category) category = resolveCategory(chatId, category) || category; // aliases too
+  const notes = getNotesForExport(chatId, senderAddress, isGroupChat, category);
+  if (notes.length === 0) {
+    return category
+      ? `📭 No notes in "${category}" to export.\n\n💡 Type "categories" to see what you have`
+      : `📭 No notes to export yet. Start saving with: save [content]`;
+  }
+
+  // Use the stored spelling of the category rather than what the user typed
+  category = category ? notes[0].category : null;
+  const { extension, mimeType, label } = EXPORT_FORMATS[format];
+  const exportedAt = new Date().toISOString();
+  const meta = { chatId, chatType: isGroupChat ? 'group' : 'dm', category, exportedAt };
+  const data = new TextEncoder().encode(serializeNotes(notes, format, meta));
+
+  const categorySuffix = category ? `-${category.toLowerCase().replace(/[^a-z0-9]+/g, '-')}` : '';
+  const filename = `dragman-notes-${exportedAt.slice(0, 10)}${categorySuffix}.${extension}`;
+
+  try {
+    const delivery = await sendFileAttachment(ctx, data, filename, mimeType);
+    log('info', 'Notes exported', { format, count: notes.length, delivery, user: senderAddress });
+  } catch (error) {
+    log('error', 'Failed to send export attachment', { error: error.message, user: senderAddress });
+    return `❌ Couldn't send the export file. Please try again later.`;
+  }
+
+  return `📦 Exported ${notes.length} note${notes.length > 1 ? 's' : ''} as ${label}` +
+         `${category ? ` from ${category}` : ''}\n📎 ${filename}` +
+         `${isGroupChat ? '\n⚠️ Everyone in this group can download this file.' : ''}`;
+}
+
+// ==================== IMPORT ====================
+
+function detectImportFormat(filename = '', mimeType = '') {
+  const extension = filename.toLowerCase().split('.').pop();
+  if (extension === 'csv' || mimeType === 'text/csv') return 'csv';
+  if (extension === 'json' || mimeType === 'application/json') return 'json';
+  if (['md', 'markdown', 'txt'].includes(extension) || ['text/markdown', 'text/plain'].includes(mimeType)) return 'md';
+  return null;
+}
+
+// Minimal RFC 4180 parser: quoted fields, escaped quotes, newlines inside quotes
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
       } else {
-        notesCount = db.prepare(`
-          SELECT COUNT(*) as count FROM notes 
-          WHERE chatId = ? AND chatType = ? AND LOWER(content) LIKE ?
-        `).get(chatId, actualChatType, `%${keyword}%`);
-      }
-      
-      if (count > 3 && notesCount.count < 2) {
-        knowledgeGaps.push({ keyword, mentions: count, notes: notesCount.count });
+        field += char;
       }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
     }
   }
-  
-  return {
-    totalNotes: trends.totalNotes,
-    weekChange,
-    topContributor: trends.topContributors[0],
-    topCategory: trends.topCategories[0],
-    topKeywords: trends.topKeywords.slice(0, 3),
-    popularNotes: trends.popularNotes.slice(0, 2),
-    teamLevel,
-    nextLevelAt,
-    progress,
-    unsaved: unsaved.slice(0, 3),
-    knowledgeGaps: knowledgeGaps.slice(0, 2),
-    chatType: actualChatType
-  };
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
 }
 
-// FORMAT WEEKLY DIGEST
-function formatWeeklyDigest(digest) {
-  if (!digest) return null;
-  
-  const changeEmoji = digest.weekChange > 0 ? '📈' : digest.weekChange < 0 ? '📉' : '➡️';
-  const changeText = digest.weekChange > 0 ? `+${digest.weekChange}` : digest.weekChange < 0 ? `${digest.weekChange}` : '±0';
-  
-  let report = `📊 DRAGMAN WEEKLY REPORT\n\n`;
-  report += `Your ${digest.chatType === 'group' ? 'team' : 'knowledge base'} had a productive week! 🎉\n\n`;
-  
-  // Activity section
-  report += `📈 ACTIVITY\n`;
-  report += `• ${digest.totalNotes} notes saved this week ${changeEmoji} (${changeText} from last week)\n`;
-  
-  // MVP section (only for groups)
-  if (digest.chatType === 'group' && digest.topContributor) {
-    report += `\n🏆 MVP OF THE WEEK\n`;
-    report += `🥇 ${digest.topContributor[0]}: ${digest.topContributor[1]} saves\n`;
-    if (digest.topContributor[1] >= 5) {
-      report += `   ${digest.topContributor[0]} is on fire! 🔥\n`;
+function splitImportTags(value) {
+  if (Array.isArray(value)) return value.map(String);
+  return String(value || '').split(/[,;]/).map(tag => tag.trim()).filter(Boolean);
+}
+
+// Every parser returns [{ line, content, category, tags }]; `line` is used in skip reports
+function parseImportFile(text, format) {
+  if (format === 'csv') {
+    const rows = parseCsv(text);
+    if (rows.length === 0) return [];
+
+    // Use the header when there is one (our own export has one), otherwise: content, category, tags
+    const header = rows[0].map(cell => cell.trim().toLowerCase());
+    const hasHeader = header.includes('content');
+    const col = name => (hasHeader ? header.indexOf(name) : { content: 0, category: 1, tags: 2 }[name]);
+    // Spreadsheet formula guard added by export
+    const unescape = value => (value || '').replace(/^'(?=[=+\-@])/, '');
+
+    return rows
+      .map((cells, index) => ({
+        line: index + 1,
+        cells,
+      }))
+      .slice(hasHeader ? 1 : 0)
+      .filter(({ cells }) => cells.some(cell => cell.trim())) // Blank lines aren't rows
+      .map(({ line, cells }) => ({
+        line,
+        content: unescape(cells[col('content')]),
+        category: col('category') >= 0 ? (cells[col('category')] || '').trim() || null : null,
+        tags: col('tags') >= 0 ? splitImportTags(cells[col('tags')]) : [],
+      }));
+  }
+
+  if (format === 'json') {
+    const parsed = JSON.parse(text);
+    // Accept a bare array or our own export shape ({ notes: [...] })
+    const items = Array.isArray(parsed) ? parsed : parsed?.notes;
+    if (!Array.isArray(items)) {
+      throw new Error('Expected an array of notes');
     }
+    return items.map((item, index) => (typeof item === 'string'
+      ? { line: index + 1, content: item, category: null, tags: [] }
+      : {
+          line: index + 1,
+          content: String(item?.content ?? item?.text ?? item?.note ?? ''),
+          category: item?.category ? String(item.category) : null,
+          tags: splitImportTags(item?.tags),
+        }));
   }
-  
-  // Trending section
-  if (digest.topCategory) {
-    report += `\n🔥 TRENDING\n`;
-    digest.topKeywords.forEach(([keyword, count], idx) => {
-      report += `${idx + 1}. ${keyword} (${count} mentions)\n`;
+
+  // Markdown: bullet / numbered list items, "## Heading" sets the category
+  const rows = [];
+  let category = null;
+  let current = null;
+  text.split(/\r?\n/).forEach((rawLine, index) => {
+    const heading = rawLine.match(/^#{2,6}\s+(.+)$/);
+    const bullet = rawLine.match(/^\s{0,1}(?:[-*+]|\d+[.)])\s+(.+)$/);
+
+    if (heading) {
+      // Drop a leading emoji (our export writes "## 📍 Addresses")
+      category = heading[1].replace(/^[^\p{L}\p{N}]+/u, '').trim() || null;
+      current = null;
+    } else if (bullet) {
+      current = { line: index + 1, content: bullet[1], category, tags: [] };
+      rows.push(current);
+    } else if (current && /^\s{2,}\S/.test(rawLine) && !/^\s*_.*_\s*$/.test(rawLine)) {
+      current.content += `\n${rawLine.trim()}`; // Continuation line (skip italic metadata lines)
+    } else if (!rawLine.trim()) {
+      current = null;
+    }
+  });
+  return rows;
+}
+
+// Validate every row and assign categories; nothing is written to the database here.
+// Categories come from the file or the keyword rules only: up to MAX_IMPORT_ROWS
+// LLM calls per file would bypass the rate limit and the LLM budget.
+function buildImportPreview(rows, chatId, senderAddress, isGroupChat) {
+  const chatType = isGroupChat ? 'group' : 'dm';
+  const ready = [];
+  const skipped = [];
+  const seen = new Set();
+
+  const existsStmt = !isGroupChat && senderAddress
+    ? db.prepare('SELECT id FROM notes WHERE chatId = ? AND chatType = ? AND savedBy = ? AND content = ? LIMIT 1')
+    : db.prepare('SELECT id FROM notes WHERE chatId = ? AND chatType = ? AND content = ? LIMIT 1');
+
+  for (const row of rows.slice(0, CONFIG.MAX_IMPORT_ROWS)) {
+    const content = sanitizeInput(row.content || '');
+    const validation = validateNoteContent(content);
+    if (!validation.valid) {
+      skipped.push({ line: row.line, reason: validation.error.replace(/^❌\s*/, '') });
+      continue;
+    }
+
+    const key = content.toLowerCase();
+    const existing = !isGroupChat && senderAddress
+      ? existsStmt.get(chatId, chatType, senderAddress, content)
+      : existsStmt.get(chatId, chatType, content);
+    if (seen.has(key) || existing) {
+      skipped.push({ line: row.line, reason: existing ? 'Already saved' : 'Duplicate row' });
+      continue;
+    }
+    seen.add(key);
+
+    // A file category outside this chat's taxonomy is ignored, not rejected
+    const category = (row.category && resolveCategory(chatId, sanitizeInput(row.category).slice(0, 40)))
+      || categorizeByRules(content, chatId);
+    ready.push({ line: row.line, content, category: category || 'General', tags: row.tags });
+  }
+
+  if (rows.length > CONFIG.MAX_IMPORT_ROWS) {
+    skipped.push({ line: null, reason: `Only the first ${CONFIG.MAX_IMPORT_ROWS} rows are imported (file has ${rows.length})` });
+  }
+
+  return { ready, skipped, chatId };
+}
+
+function formatImportPreview(filename, preview) {
+  const { ready, skipped } = preview;
+  let text = `📥 IMPORT PREVIEW • ${filename}\n\n`;
+
+  if (ready.length > 0) {
+    text += `✅ ${ready.length} note${ready.length > 1 ? 's' : ''} ready to save:\n\n`;
+    ready.slice(0, CONFIG.MAX_IMPORT_PREVIEW).forEach((row, index) => {
+      text += `${index + 1}. ${getCategoryEmoji(row.category, preview.chatId)} ${row.category}\n`;
+      text += `   ${truncate(row.content.replace(/\s+/g, ' '), 60)}\n`;
     });
+    if (ready.length > CONFIG.MAX_IMPORT_PREVIEW) {
+      text += `...and ${ready.length - CONFIG.MAX_IMPORT_PREVIEW} more\n`;
+    }
+    text += `\n`;
   }
-  
-  // Popular notes
-  if (digest.popularNotes.length > 0) {
-    report += `\n⭐ MOST VIEWED\n`;
-    digest.popularNotes.forEach((note, idx) => {
-      report += `${idx + 1}. ${truncate(note.content, 50)} (${note.viewCount} views)\n`;
+
+  if (skipped.length > 0) {
+    text += `⏭️ ${skipped.length} row${skipped.length > 1 ? 's' : ''} skipped:\n`;
+    skipped.slice(0, CONFIG.MAX_IMPORT_PREVIEW).forEach(skip => {
+      text += `• ${skip.line ? `Row ${skip.line}: ` : ''}${skip.reason}\n`;
     });
+    if (skipped.length > CONFIG.MAX_IMPORT_PREVIEW) {
+      text += `...and ${skipped.length - CONFIG.MAX_IMPORT_PREVIEW} more\n`;
+    }
+    text += `\n`;
   }
-  
-  // Smart insights
-  const hasInsights = digest.unsaved.length > 0 || digest.knowledgeGaps.length > 0;
-  if (hasInsights) {
-    report += `\n💡 SMART INSIGHTS\n`;
-    
-    if (digest.unsaved.length > 0) {
-      const unsavedCount = digest.unsaved.length;
-      const types = [...new Set(digest.unsaved.map(item => item.type))];
-      const typeText = types.includes('address') ? 'addresses' : types.includes('url') ? 'links' : 'items';
-      
-      report += `• ${unsavedCount} ${typeText} detected but not saved\n`;
-      report += `  Type @dragman suggestions to review\n\n`;
+
+  if (ready.length === 0) {
+    return text + `Nothing to import.\n\n💡 Type /menu for main menu`;
+  }
+
+  return text + `Reply 1 to save ${ready.length === 1 ? 'it' : `all ${ready.length}`}, or 2 to cancel`;
+}
+
+// Save confirmed rows, stopping (and keeping the rest pending) when the save rate limit is hit
+async function saveImportRows(rows, chatId, isGroupChat, senderAddress, role = 'member') {
+  const chatType = isGroupChat ? 'group' : 'dm';
+  let saved = 0;
+  let failed = 0;
+
+  for (const row of rows) {
+    const rateCheck = checkRateLimit(senderAddress, 'save', role);
+    if (!rateCheck.allowed) {
+      return { saved, failed, remaining: rows.slice(saved + failed), resetIn: rateCheck.resetIn, limit: rateCheck.limit };
     }
-    
-    if (digest.knowledgeGaps.length > 0) {
-      digest.knowledgeGaps.forEach(gap => {
-        report += `• "${gap.keyword}" mentioned ${gap.mentions}x but only ${gap.notes} note(s) saved\n`;
-        report += `  Missing knowledge? Save some guides!\n\n`;
-      });
+
+    try {
+      await saveNote(row.content, chatId, chatType, senderAddress, null, null, row.category, row.tags, 'import');
+      saved++;
+    } catch (error) {
+      failed++;
     }
   }
-  
-  // Team progress (gamification)
-  report += `🎯 TEAM PROGRESS\n`;
-  report += `Level ${digest.teamLevel} → ${Math.round(digest.progress)}% to Level ${digest.teamLevel + 1}\n`;
-  report += `(${digest.nextLevelAt - (digest.teamLevel - 1) * 10 - Math.floor((digest.progress / 100) * 10)} more notes to next level!)\n\n`;
-  
-  if (digest.teamLevel >= 5) {
-    report += `🏆 Achievement unlocked: Knowledge Masters!\n\n`;
+
+  return { saved, failed, remaining: [], resetIn: 0, limit: null };
+}
+
+async function handleImportConfirmation(number, context, chatId, senderAddress, role = 'member') {
+  const { rows, filename, isGroupChat } = context.data;
+
+  if (number === 2) {
+    conversationState.clear(chatId, senderAddress);
+    return `❌ Import cancelled. Nothing was saved.\n\n💡 Type /menu for main menu`;
+  }
+
+  const result = await saveImportRows(rows, chatId, isGroupChat, senderAddress, role);
+  log('info', 'Notes imported', { saved: result.saved, failed: result.failed, remaining: result.remaining.length, user: senderAddress });
+
+  let response = `✅ Imported ${result.saved} note${result.saved === 1 ? '' : 's'} from ${filename}`;
+  if (result.failed > 0) {
+    response += `\n⚠️ ${result.failed} couldn't be saved`;
+  }
+
+  if (result.remaining.length > 0) {
+    conversationState.set(chatId, senderAddress, 'confirming_import', { rows: result.remaining, filename, isGroupChat });
+    return response + `\n\n⏱️ Save limit reached (${result.limit} per minute).\n` +
+           `${result.remaining.length} note${result.remaining.length > 1 ? 's' : ''} still pending — ` +
+           `reply 1 again in ${result.resetIn} seconds to continue, or 2 to stop.`;
+  }
+
+  conversationState.clear(chatId, senderAddress);
+  return response + `\n\n💡 Type "categories" to browse them`;
+}
+
+// Entry point for files sent to the agent (remote or inline attachments).
+// declaredBytes: the size the message states, checked before anything is downloaded
+async function handleImportAttachment(ctx, loadAttachment, declaredBytes) {
+  const chatId = ctx.conversation?.topic || ctx.message?.conversationId || 'unknown';
+  const senderAddress = (ctx.message?.senderAddress || await ctx.getSenderAddress?.() || 'unknown').toLowerCase();
+
+  // Conversations that can't be identified are treated as groups (never auto-import there)
+  const isGroupChat = (await getConversationType(ctx, chatId)) !== 'dm';
+
+  // Groups: only import after an explicit "@dragman import" so shared files aren't picked up
+  const context = conversationState.get(chatId, senderAddress);
+  const awaitingFile = context?.state === 'awaiting_import_file';
+  if (isGroupChat && !awaitingFile) {
+    return;
+  }
+
+  const tooLarge = `❌ File too large. Maximum ${Math.round(CONFIG.MAX_IMPORT_FILE_BYTES / 1024)}KB per import.`;
+  if (declaredBytes > CONFIG.MAX_IMPORT_FILE_BYTES) {
+    await ctx.sendText(tooLarge);
+    return;
+  }
+
+  const attachment = await loadAttachment();
+  const filename = attachment.filename || 'import';
+  const format = detectImportFormat(filename, attachment.mimeType);
+
+  if (!format) {
+    await ctx.sendText(`📎 I can import CSV, JSON or Markdown files.\n\n💡 Type "import" for the expected format`);
+    return;
+  }
+
+  // The declared size can be missing or wrong, so the file itself is checked too
+  if (attachment.data.byteLength > CONFIG.MAX_IMPORT_FILE_BYTES) {
+    await ctx.sendText(tooLarge);
+    return;
+  }
+
+  let rows;
+  try {
+    rows = parseImportFile(new TextDecoder().decode(attachment.data), format);
+  } catch (error) {
+    log('error', 'Failed to parse import file', { format, error: error.message });
+    await ctx.sendText(`❌ Couldn't read ${filename} as ${format.toUpperCase()}.\n\n💡 Type "import" for the expected format`);
+    return;
   }
-  
-  report += `Keep building ${digest.chatType === 'group' ? 'team' : ''} knowledge! 🚀`;
-  
-  return report;
+
+  const preview = buildImportPreview(rows, chatId, senderAddress, isGroupChat);
+  if (preview.ready.length > 0) {
+    conversationState.set(chatId, senderAddress, 'confirming_import', { rows: preview.ready, filename, isGroupChat });
+  } else {
+    conversationState.clear(chatId, senderAddress);
+  }
+
+  log('info', 'Import preview sent', { format, ready: preview.ready.length, skipped: preview.skipped.length, user: senderAddress });
+  await ctx.sendText(formatImportPreview(filename, preview));
 }
 
-// ==================== HELPER FUNCTIONS ====================
+// ==================== CHAT SETTINGS ====================
+
+const CHAT_SETTINGS_COLUMNS = ['timezone', 'digestEnabled', 'digestDay', 'digestHour'];
+
+function getChatSettings(chatId) {
+  return db.prepare('SELECT * FROM chat_settings WHERE chatId = ?').get(chatId) || {
+    chatId,
+    chatType: null,
+    conversationId: null,
+    timezone: null,
+    digestEnabled: 1,
+    digestDay: null,
+    digestHour: null,
+    lastDigestWeek: null,
+    lastDigestSentAt: null,
+  };
+}
 
-function saveConversationType(chatId, chatType) {
+// Store the conversation handle so scheduled jobs can reach this chat later
+// (no-op write when nothing changed)
+function rememberConversation(chatId, chatType, conversationId) {
   try {
     db.prepare(`
-      INSERT INTO conversation_types (chatId, chatType, updatedAt)
-      VALUES (?, ?, ?)
-      ON CONFLICT(chatId) DO UPDATE SET chatType = ?, updatedAt = ?
-    `).run(chatId, chatType, new Date().toISOString(), chatType, new Date().toISOString());
-    conversationTypes.set(chatId, chatType); // Also update memory
+      INSERT INTO chat_settings (chatId, chatType, conversationId, updatedAt)
+      VALUES (?, ?, ?, ?)
+      ON CONFLICT(chatId) DO UPDATE SET
+        chatType = excluded.chatType,
+        conversationId = COALESCE(excluded.conversationId, conversationId),
+        updatedAt = excluded.updatedAt
+      WHERE chatType != excluded.chatType OR conversationId IS NOT excluded.conversationId
+    `).run(chatId, chatType, conversationId || null, new Date().toISOString());
   } catch (e) {
-    log('error', 'Failed to save conversation type', { chatId: chatId.substring(0, 20), error: e.message });
+    log('error', 'Failed to remember conversation', { chatId: chatId.substring(0, 20), error: e.message });
   }
 }
 
-function updateCategoryCount(chatId, category, delta = -1) {
-  try {
-    // Update category count
-    db.prepare(`
-      UPDATE categories 
-      SET count = count + ?
-      WHERE chatId = ? AND category = ?
-    `).run(delta, chatId, category);
-    
-    // Remove category if count is 0 or less
-    db.prepare(`
-      DELETE FROM categories 
-      WHERE chatId = ? AND category = ? AND count <= 0
-    `).run(chatId, category);
-  } catch (error) {
-    log('error', 'Failed to update category count', { chatId, category, error: error.message });
-  }
+function updateChatSettings(chatId, chatType, changes) {
+  const columns = Object.keys(changes).filter(column => CHAT_SETTINGS_COLUMNS.includes(column));
+  const now = new Date().toISOString();
+  
+  db.prepare(`INSERT OR IGNORE INTO chat_settings (chatId, chatType, updatedAt) VALUES (?, ?, ?)`).run(chatId, chatType, now);
+  db.prepare(`
+    UPDATE chat_settings SET ${columns.map(column => `${column} = ?`).join(', ')}, updatedAt = ? WHERE chatId = ?
+  `).run(...columns.map(column => changes[column]), now, chatId);
+  
+  return getChatSettings(chatId);
 }
 
-// ==================== DELETE FUNCTIONALITY ====================
+// undefined = server time zone
+function getChatTimeZone(chatId) {
+  return getChatSettings(chatId).timezone || undefined;
+}
 
-function deleteNotes(query, chatId, senderAddress, category = null, isGroupChat = false) {
-  // CRITICAL PRIVACY FIX: ALWAYS filter by chatType to prevent DM notes leaking into groups
-  const chatType = isGroupChat ? 'group' : 'dm';
-  let matchingNotes;
+function getDigestSchedule(settings) {
+  return {
+    day: settings.digestDay ?? CONFIG.WEEKLY_DIGEST_DAY,
+    hour: settings.digestHour ?? CONFIG.WEEKLY_DIGEST_HOUR,
+  };
+}
+
+// "Mondays at 9:00 (Europe/Berlin)" / "off"
+function describeDigestSchedule(settings) {
+  if (!CONFIG.WEEKLY_DIGEST_ENABLED || !settings.digestEnabled) return 'off';
+  const { day, hour } = getDigestSchedule(settings);
+  return `${weekdayName(day)}s at ${hour}:00 (${settings.timezone || 'server time'})`;
+}
+
+// ==================== REMINDERS ====================
+
+function createReminder(chatId, chatType, createdBy, message, dueAt, noteId = null) {
+  const result = db.prepare(`
+    INSERT INTO reminders (chatId, chatType, createdBy, message, noteId, dueAt, status, createdAt)
+    VALUES (?, ?, ?, ?, ?, ?, 'pending', ?)
+  `).run(chatId, chatType, createdBy, message, noteId, dueAt.toISOString(), new Date().toISOString());
   
-  if (category) {
-    // Search within specific category
-    matchingNotes = db.prepare(`
-      SELECT * FROM notes 
-      WHERE chatId = ? AND chatType = ? AND savedBy = ? AND category = ? AND LOWER(content) LIKE ?
-      ORDER BY createdAt DESC
-    `).all(chatId, chatType, senderAddress, category, `%${query.toLowerCase()}%`);
+  return db.prepare('SELECT * FROM reminders WHERE id = ?').get(result.lastInsertRowid);
+}
+
+// The caller's own pending reminders in this chat, soonest first
+function getPendingReminders(chatId, senderAddress) {
+  return db.prepare(`
+    SELECT * FROM reminders
+    WHERE chatId = ? AND createdBy = ? AND status = 'pending'
+    ORDER BY dueAt ASC
+  `).all(chatId, senderAddress);
+}
+
+function cancelReminder(reminderId) {
+  const result = db.prepare(`
+    UPDATE reminders SET status = 'cancelled', completedAt = ?
+    WHERE id = ? AND status = 'pending'
+  `).run(new Date().toISOString(), reminderId);
+  return result.changes > 0;
+}
+
+function formatReminderMessage(reminder, now = new Date()) {
+  let text = `⏰ Reminder: ${reminder.message}\n\n`;
+  
+  if (reminder.chatType === 'group') {
+    text += `Set by ${shortenAddress(reminder.createdBy)} ${getRelativeTime(new Date(reminder.createdAt))}\n`;
   } else {
-    // Search across all notes
-    matchingNotes = db.prepare(`
-      SELECT * FROM notes 
-      WHERE chatId = ? AND chatType = ? AND savedBy = ? AND LOWER(content) LIKE ?
-      ORDER BY createdAt DESC
-    `).all(chatId, chatType, senderAddress, `%${query.toLowerCase()}%`);
+    text += `Set ${getRelativeTime(new Date(reminder.createdAt))}\n`;
+  }
+  
+  // Delivered late (agent was offline when it was due)
+  const lateMs = now - new Date(reminder.dueAt);
+  if (lateMs > CONFIG.REMINDER_CHECK_INTERVAL_MS * 4) {
+    text += `(Delayed - was due ${getRelativeTime(new Date(reminder.dueAt))})\n`;
   }
   
-  return matchingNotes;
+  return text + `\n💡 Type "reminders" to see what's coming up`;
+}
+
+// Send every due reminder into the conversation it was set in
+async function deliverDueReminders(now = new Date()) {
+  const due = db.prepare(`
+    SELECT * FROM reminders
+    WHERE status = 'pending' AND dueAt <= ?
+    ORDER BY dueAt ASC
+    LIMIT 25
+  `).all(now.toISOString());
+  
+  for (const reminder of due) {
+    try {
+      await sendToChat(reminder.chatId, formatReminderMessage(reminder, now));
+      db.prepare(`
+        UPDATE reminders SET status = 'sent', attempts = attempts + 1, completedAt = ? WHERE id = ?
+      `).run(new Date().toISOString(), reminder.id);
+      log('info', 'Reminder delivered', { reminderId: reminder.id, chatType: reminder.chatType });
+    } catch (error) {
+      // Keep retrying on later ticks, then give up so one bad chat can't block the queue
+      const attempts = reminder.attempts + 1;
+      const gaveUp = attempts >= CONFIG.REMINDER_MAX_ATTEMPTS;
+      db.prepare(`
+        UPDATE reminders SET attempts = ?, lastError = ?, status = ?, completedAt = ? WHERE id = ?
+      `).run(attempts, error.message, gaveUp ? 'failed' : 'pending', gaveUp ? new Date().toISOString() : null, reminder.id);
+      log('error', 'Failed to deliver reminder', { reminderId: reminder.id, attempts, gaveUp, error: error.message });
+    }
+  }
+}
+
+// Forget reminders that were sent, cancelled or failed a while ago
+function purgeOldReminders() {
+  const cutoff = new Date(Date.now() - CONFIG.REMINDER_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+  const result = db.prepare(`DELETE FROM reminders WHERE status != 'pending' AND completedAt < ?`).run(cutoff);
+  if (result.changes > 0) {
+    log('info', 'Purged old reminders', { count: result.changes });
+  }
 }
 
 // ==================== FORMATTING HELPERS ====================
@@ -1058,10 +3527,25 @@ function formatNote(note) {
   formatted += `📅 ${relativeTime}\n`;
   formatted += `👀 ${note.viewCount} views\n`;
   
+  const tags = parseNoteTags(note);
+  if (tags.length > 0) {
+    formatted += `🏷️ ${tags.map(tag => `#${tag}`).join(' ')}\n`;
+  }
+  
   if (note.chatType === 'group') {
     formatted += `👤 Saved by: ${shortenAddress(note.savedBy)}\n`;
   }
   
+  const pin = getNotePin(note.id);
+  if (pin) {
+    formatted += note.chatType === 'group' ? `📌 Pinned by ${shortenAddress(pin.pinnedBy)}\n` : `📌 Pinned\n`;
+  }
+  
+  const lock = note.chatType === 'group' && getNoteLock(note.id);
+  if (lock) {
+    formatted += `🔒 Locked by ${shortenAddress(lock.lockedBy)}\n`;
+  }
+  
   if (note.content.match(/0x[a-fA-F0-9]{40}/)) {
     const address = note.content.match(/0x[a-fA-F0-9]{40}/)[0];
     formatted += `\n🔗 BaseScan: https://basescan.org/address/${address}`;
@@ -1070,17 +3554,32 @@ function formatNote(note) {
   return formatted;
 }
 
-function formatNotesList(notes) {
+function formatSavedNote(result, content, chatId, chatType) {
+  const visibilityNote = chatType === 'group' 
+    ? '⚠️ This note is visible to everyone in this group!'
+    : '🔒 This note is private to you.';
+  
+  return `✅ Note saved successfully!\n\n` +
+         `${getCategoryEmoji(result.category, chatId)} Category: ${result.category}\n` +
+         `📝 ${truncate(content, 100)}\n` +
+         (result.tags.length > 0 ? `🏷️ ${result.tags.map(tag => `#${tag}`).join(' ')}\n` : '') +
+         `${visibilityNote}\n\n` +
+         `💡 Search: "search ${result.category}"\n` +
+         `💡 Made a mistake? "delete [keyword]"`;
+}
+
+// start/total: numbering and count when this is one page of a longer list; title replaces the count
+function formatNotesList(notes, { start = 0, total = notes.length, title = null } = {}) {
   if (notes.length === 0) {
     return "📭 No notes found.";
   }
   
-  let formatted = `📚 Found ${notes.length} note${notes.length > 1 ? 's' : ''}\n\n`;
+  let formatted = title ? `${title}\n\n` : `📚 Found ${total} note${total > 1 ? 's' : ''}\n\n`;
   
   notes.forEach((note, index) => {
     const date = new Date(note.createdAt);
     const relativeTime = getRelativeTime(date);
-    formatted += `${index + 1}. ${getCategoryEmoji(note.category)} ${note.category}\n`;
+    formatted += `${start + index + 1}. ${getCategoryEmoji(note.category, note.chatId)} ${note.category}\n`;
     formatted += `   ${truncate(note.content, 60)}\n`;
     formatted += `   ${relativeTime} • ${note.viewCount} views\n\n`;
   });
@@ -1088,28 +3587,42 @@ function formatNotesList(notes) {
   return formatted;
 }
 
-function getCategoryEmoji(category) {
-  const emojis = {
-    'Addresses': '📍',
-    'Contract': '📜',
-    'Transaction': '💸',
-    'Links': '🔗',
-    'Tutorial': '📚',
-    'Strategy': '🎯',
-    'Meeting': '📅',
-    'API': '🔑',
-    'DeFi': '🏦',
-    'Gaming': '🎮',
-    'Dev': '💻',
-    'Trading': '📊',
-    'Personal': '👤',
-    'Ideas': '💡',
-    'Questions': '❓',
-    'Resources': '📦',
-    'General': '📝'
-  };
-  
-  return emojis[category] || '📝';
+// One page of the edit/delete pickers
+function formatNotePicker(page) {
+  return page.items.map((note, index) =>
+    `${page.start + index + 1}. ${getCategoryEmoji(note.category, note.chatId)} ${note.category}\n` +
+    `   ${truncate(note.content, 60)}\n` +
+    `   ${getRelativeTime(new Date(note.createdAt))}\n\n`
+  ).join('');
+}
+
+const DEFAULT_CATEGORY_EMOJIS = {
+  'Addresses': '📍',
+  'Contract': '📜',
+  'Transaction': '💸',
+  'Links': '🔗',
+  'Tutorial': '📚',
+  'Strategy': '🎯',
+  'Meeting': '📅',
+  'API': '🔑',
+  'DeFi': '🏦',
+  'Gaming': '🎮',
+  'Dev': '💻',
+  'Trading': '📊',
+  'Personal': '👤',
+  'Ideas': '💡',
+  'Questions': '❓',
+  'Resources': '📦',
+  'General': '📝'
+};
+
+// A chat's custom emoji wins over the built-in one
+function getCategoryEmoji(category, chatId = null) {
+  if (chatId) {
+    const custom = db.prepare('SELECT emoji FROM chat_categories WHERE chatId = ? AND name = ? AND emoji IS NOT NULL').get(chatId, category);
+    if (custom) return custom.emoji;
+  }
+  return DEFAULT_CATEGORY_EMOJIS[category] || '📝';
 }
 
 function truncate(str, maxLength) {
@@ -1133,36 +3646,48 @@ function getRelativeTime(date) {
   return `${Math.floor(diffDays / 30)}mo ago`;
 }
 
-// ==================== COMMAND HANDLING ====================
+// ==================== COMMANDS ====================
 
-async function handleDragmanCommands(ctx, userMessage, senderAddress, isGroupChat) {
-  const message = userMessage.toLowerCase().trim();
-  // CONSISTENT chatId extraction - use same logic as handlers
-  const chatId = ctx.conversation?.topic || ctx.message?.conversationId || 'unknown';
-  const chatType = isGroupChat ? 'group' : 'dm';
-  
-  // DEBUG: Log chatId for consistency checking
-  console.log('🔑 [HANDLE COMMANDS]', {
-    chatId: chatId.substring(0, 20),
-    chatType,
-    isGroupChat,
-    source: ctx.conversation?.topic ? 'conversation.topic' : ctx.message?.conversationId ? 'message.conversationId' : 'unknown'
-  });
-  
-  // Parse save command with category
-  if (message.startsWith('save ') || message.startsWith('remember ') || message.startsWith('note ')) {
-    // Check rate limit
-    const rateCheck = checkRateLimit(senderAddress, 'save');
-    if (!rateCheck.allowed) {
-      if (rateCheck.reason === 'too_many_saves') {
-        return `⏱️ Slow down! You can save max ${CONFIG.RATE_LIMIT_SAVE_MAX} notes per minute.\n\n` +
-               `Try again in ${rateCheck.resetIn} seconds.`;
-      }
-      return `⏱️ Too many actions! Please wait ${rateCheck.resetIn} seconds.`;
+// Every command is registered here (fields in utils/commands.js); plugins add theirs
+// from PLUGINS_DIR at startup. run(args, call, invokedAs) gets the parsed arguments,
+// call = { ctx, text, chatId, chatType, isGroupChat, senderAddress, role } and the
+// name or alias that was typed.
+const commandRegistry = createCommandRegistry({ log });
+
+const PLUGINS_DIR = process.env.DRAGMAN_PLUGINS_DIR || './plugins';
+
+// Roles, locks and the moderation log only exist in groups
+const ROLES_IN_DM = `👥 Roles are for group chats. In a DM every note is yours alone.`;
+
+// ---- Saving ----
+
+commandRegistry.register({
+  name: 'save',
+  aliases: ['remember', 'note'],
+  args: '[<content:text>]',
+  write: true,
+  rateLimit: 'save',
+  section: 'save',
+  help: [
+    'save - Step by step: the note, its category, tags, a reminder and pinning',
+    'save [content] - Auto-categorized',
+    'save [content] in [category] - Custom category',
+    'remember [content] - Same as save',
+    'note [content] - Same as save',
+  ],
+  menu: {
+    id: 'save_note',
+    label: '💾 Save Note',
+    order: 1,
+  },
+  async run(args, call) {
+    const { chatId, chatType, isGroupChat, senderAddress, role } = call;
+    // Nothing to save yet: ask for it step by step
+    if (!args.content) {
+      return startGuidedSave(call);
     }
     
-    let content = userMessage.replace(/^(save|remember|note)\s+/i, '').trim();
-    content = sanitizeInput(content);
+    const content = sanitizeInput(args.content.trim());
     
     // Validate content
     const validation = validateNoteContent(content);
@@ -1171,49 +3696,102 @@ async function handleDragmanCommands(ctx, userMessage, senderAddress, isGroupCha
     }
     
     // Check for explicit category at the END: "save [content] in/to/at [category]"
-    // Match the LAST occurrence of in/to/at followed by a single word (category)
-    const categoryMatch = content.match(/^(.+)\s+(?:in|to|at)\s+([a-zA-Z][a-zA-Z0-9]*)\s*$/i);
+    // Multi-word categories: 'in "Mobile Legends"', or unquoted once the chat has that category
+    const categoryMatch = splitExplicitCategory(chatId, content, ['in', 'to', 'at']);
     let actualContent, explicitCategory;
     
     if (categoryMatch) {
-      actualContent = categoryMatch[1].trim();
-      explicitCategory = categoryMatch[2].trim();
-      explicitCategory = explicitCategory.charAt(0).toUpperCase() + explicitCategory.slice(1).toLowerCase();
+      actualContent = categoryMatch.text;
+      explicitCategory = resolveCategory(chatId, categoryMatch.category);
+      
+      // This chat has its own categories and that isn't one of them
+      if (!explicitCategory) {
+        const allowed = getChatCategories(chatId).map(category => category.name);
+        const typed = categoryMatch.category.includes(' ') ? `"${categoryMatch.category}"` : categoryMatch.category;
+        return `❓ "${categoryMatch.category}" isn't a category in this chat.\n\n` +
+               `📂 Use one of: ${[...allowed, 'General'].join(', ')}\n\n` +
+               `💡 Add it with: category add ${typed}`;
+      }
     } else {
       actualContent = content;
       explicitCategory = null;
     }
     
+    // Already saved here? Offer to merge instead (locked notes only take moderator merges)
+    const duplicate = findDuplicateNote(actualContent, chatId, senderAddress, isGroupChat);
+    if (duplicate && (!getNoteLock(duplicate.note.id) || canModerate(role))) {
+      conversationState.set(chatId, senderAddress, 'confirming_duplicate', { content: actualContent, explicitCategory, noteId: duplicate.note.id, isGroupChat });
+      return formatDuplicatePrompt(duplicate, chatType);
+    }
+    
     try {
       const result = await saveNote(actualContent, chatId, chatType, senderAddress, null, null, explicitCategory);
-      
-      const visibilityNote = chatType === 'group' 
-        ? '⚠️ This note is visible to everyone in this group!'
-        : '🔒 This note is private to you.';
-      
-      return `✅ Note saved successfully!\n\n` +
-             `${getCategoryEmoji(result.category)} Category: ${result.category}\n` +
-             `📝 ${truncate(actualContent, 100)}\n` +
-             `${visibilityNote}\n\n` +
-             `💡 Search: "search ${result.category}"\n` +
-             `💡 Made a mistake? "delete [keyword]"`;
+      return formatSavedNote(result, actualContent, chatId, chatType);
     } catch (error) {
       return `❌ Failed to save note. Please try again.\n\n💡 Type /help for assistance.`;
     }
-  }
-  
-  // SEARCH
-  if (message.startsWith('search ') || message.startsWith('find ')) {
-    const query = message.replace(/^(search|find)\s+/i, '').trim();
-    const results = searchNotes(query, chatId, senderAddress, isGroupChat);
+  },
+});
+
+// ---- Searching & browsing ----
+
+// SEARCH - keywords plus optional filters:
+// "search wallet by:0xab12 in:DeFi since:7d before:2026-09-01 #airdrop sort:views"
+commandRegistry.register({
+  name: 'search',
+  aliases: ['find'],
+  args: '<query:text>',
+  section: 'search',
+  help: [
+    'search [keyword] - Find saved notes (best matches first)',
+    'search "exact phrase" - Match words in order',
+    'find [keyword] - Same as search',
+    'search wallet by:0xab12 in:DeFi since:7d #airdrop sort:views - Filter and sort',
+    '  by:me · in:"Mobile Legends" · before:2026-09-01 · since:yesterday · sort:newest/oldest/views',
+  ],
+  menu: {
+    id: 'search_notes',
+    label: '🔍 Search Notes',
+    order: 2,
+    run: () => "🔍 To search notes, type:\n\n" +
+               "search [keyword]\n\n" +
+               "Examples:\n" +
+               "• search wallet\n" +
+               "• search contract\n" +
+               "• search DeFi\n\n" +
+               "💡 Type /menu to return to main menu",
+  },
+  async run(args, { chatId, isGroupChat, senderAddress }) {
+    const query = args.query.toLowerCase().trim();
+    const parsed = parseSearchQuery(query, { timeZone: getChatTimeZone(chatId) });
+    
+    if (parsed.errors.length > 0) {
+      return `❌ ${parsed.errors.join('\n❌ ')}\n\n` +
+             `💡 Example: search wallet by:0xab12 in:DeFi since:7d before:2026-09-01 #airdrop sort:views`;
+    }
+    
+    const filters = {
+      author: parsed.author === 'me' ? senderAddress.toLowerCase() : parsed.author,
+      // Stored spelling (or alias target), since the category filter is exact
+      category: parsed.category && (resolveCategory(chatId, parsed.category) || findExistingCategory(chatId, parsed.category) || parsed.category),
+      since: parsed.since,
+      before: parsed.before,
+      tags: parsed.tags,
+    };
+    const results = await hybridSearchNotes(parsed.text, chatId, senderAddress, isGroupChat, { filters, sort: parsed.sort });
+    recordActivity(chatId, 'searches');
     
     if (results.length === 0) {
-      return `❌ No notes found for "${query}"\n\n💡 Try different keywords or check /help`;
+      return `❌ No notes found for "${query}"\n\n` +
+             (hasSearchFilters(parsed)
+               ? `💡 Try fewer filters${parsed.tags.length > 0 ? `, or type "tags" to see the tags in use` : ''}`
+               : `💡 Try different keywords or check /help`);
     }
     
     if (results.length === 1) {
       const note = results[0];
       incrementViewCount(note.id);
+      rememberNoteList(senderAddress, chatId, [note]);
       
       let response = formatNote(note);
       
@@ -1222,7 +3800,7 @@ async function handleDragmanCommands(ctx, userMessage, senderAddress, isGroupCha
       if (related.length > 0) {
         response += `\n\n🔗 RELATED NOTES\n`;
         related.forEach((relNote, idx) => {
-          response += `${idx + 1}. ${getCategoryEmoji(relNote.category)} ${truncate(relNote.content, 50)}\n`;
+          response += `${idx + 1}. ${getCategoryEmoji(relNote.category, relNote.chatId)} ${truncate(relNote.content, 50)}\n`;
         });
         response += `\n💡 Search by category to see all: search ${note.category}`;
       }
@@ -1231,40 +3809,268 @@ async function handleDragmanCommands(ctx, userMessage, senderAddress, isGroupCha
       return response;
     }
     
-    await sendSearchResultActions(ctx, results, senderAddress);
-    return 'SEARCH_SENT';
-  }
-  
-  // RECENT
-  if (message === 'recent' || message === 'latest' || message === 'recent notes') {
+    return showListPage(senderAddress, chatId, 'viewing_notes', { notes: results });
+  },
+});
+
+commandRegistry.register({
+  name: 'recent',
+  aliases: ['latest', 'recent notes'],
+  section: 'search',
+  help: ['recent - View recent notes'],
+  run(args, { chatId, isGroupChat, senderAddress }) {
     const recent = getRecentNotes(chatId, CONFIG.MAX_RECENT_NOTES, senderAddress, isGroupChat);
     if (recent.length === 0) {
       return "📭 No notes yet. Start saving with: save [content]";
     }
-    return formatNotesList(recent) + "\n\n💡 Type /menu for main menu";
+    return showListPage(senderAddress, chatId, 'viewing_notes', { notes: recent });
+  },
+});
+
+// PAGING - "next", "prev", "page 3" in whichever list is showing
+function turnPage(senderAddress, chatId, pageFor) {
+  const context = conversationState.get(chatId, senderAddress);
+  if (!context || !LIST_VIEWS[context.state]) {
+    return `📄 No list to page through.\n\n💡 Try "recent", "categories" or "search [keyword]" first`;
   }
-  
-  // DELETE FUNCTIONALITY
-  if (message.startsWith('delete ') || message.startsWith('remove ')) {
-    const deleteQuery = message.replace(/^(delete|remove)\s+/i, '').trim();
+  const current = context.data.page || 1;
+  const page = pageFor(current);
+  const view = LIST_VIEWS[context.state];
+  const { pages } = paginate(view.items(context.data), page, view.pageSize);
+  const edge = page < 1 ? `⏮️ Already on the first page.\n\n` : page > pages ? `⏭️ That was the last page.\n\n` : '';
+  return edge + showListPage(senderAddress, chatId, context.state, context.data, page);
+}
+
+commandRegistry.register({
+  name: 'next',
+  aliases: ['more', 'next page'],
+  section: 'search',
+  help: ['next / prev / page 3 - Page through any list (search, recent, categories, edit/delete)'],
+  run: (args, { chatId, senderAddress }) => turnPage(senderAddress, chatId, current => current + 1),
+});
+
+commandRegistry.register({
+  name: 'prev',
+  aliases: ['previous', 'prev page', 'previous page'],
+  run: (args, { chatId, senderAddress }) => turnPage(senderAddress, chatId, current => current - 1),
+});
+
+// CANCEL / BACK - leave the pending list, edit, delete or import, or step back to the one before
+function cancelConversation(senderAddress, chatId) {
+  const context = conversationState.get(chatId, senderAddress);
+  if (!context) {
+    return `🤷 Nothing to cancel.\n\n💡 Type /menu for main menu`;
+  }
+  conversationState.clear(chatId, senderAddress);
+  return `${CONVERSATION_STATES[context.state].cancelled}\n\n💡 Type /menu for main menu`;
+}
+
+function goBack(senderAddress, chatId) {
+  const context = conversationState.get(chatId, senderAddress);
+  if (!context) {
+    return `↩️ Nothing to go back to.\n\n💡 Type /menu for main menu`;
+  }
+  const previous = conversationState.back(chatId, senderAddress);
+  // Nothing before this step: going back leaves it
+  if (!previous) {
+    return `${CONVERSATION_STATES[context.state].cancelled}\n\n💡 Type /menu for main menu`;
+  }
+  if (LIST_VIEWS[previous.state]) {
+    return showListPage(senderAddress, chatId, previous.state, previous.data, previous.data.page);
+  }
+  if (previous.state === 'awaiting_import_file') {
+    return formatImportInstructions();
+  }
+  if (SAVE_STEPS.includes(previous.state)) {
+    return formatSaveStep(previous.state, previous.data, chatId);
+  }
+  return `↩️ Back to where you were.\n\n💡 Type /menu for main menu`;
+}
+
+commandRegistry.register({
+  name: 'cancel',
+  aliases: ['/cancel'],
+  section: 'history',
+  help: ['cancel - Stop whatever I\'m waiting for (a pick from a list, new text, a file or a 1/2 reply)'],
+  run: (args, { chatId, senderAddress }) => cancelConversation(senderAddress, chatId),
+});
+
+commandRegistry.register({
+  name: 'back',
+  aliases: ['/back'],
+  section: 'history',
+  help: ['back - One step back, e.g. from a category\'s notes to the categories'],
+  run: (args, { chatId, senderAddress }) => goBack(senderAddress, chatId),
+});
+
+// "page 99" shows the last page without complaining
+commandRegistry.register({
+  name: 'page',
+  args: '<n:number>',
+  run: ({ n }, { chatId, senderAddress }) => turnPage(senderAddress, chatId, () => Math.max(1, n)),
+});
+
+// ---- Pins & stars ----
+
+commandRegistry.register({
+  name: 'pinned',
+  aliases: ['pins', 'board', 'pinned notes'],
+  section: 'pins',
+  help: ['pinned - The chat\'s pinned board'],
+  run(args, { chatId, isGroupChat, senderAddress }) {
+    const pinned = getPinnedNotes(chatId, senderAddress, isGroupChat);
+    if (pinned.length === 0) {
+      return `📌 Nothing pinned yet.\n\n` +
+             `💡 Pin a listed note: "recent", then "pin 2"` +
+             (isGroupChat ? `\n🔒 Moderators and the person who saved a note can pin it` : '');
+    }
+    const tips = `━━━━━━━━━━━━━━━━\n💡 Reply with a number to view a note\n💡 Take one off: "unpin [number]"\n💡 Type /menu for main menu`;
+    return showListPage(senderAddress, chatId, 'viewing_notes', { notes: pinned, title: `📌 PINNED (${pinned.length})`, tips });
+  },
+});
+
+// PIN / UNPIN - "pin 2" (2 = number in the last list). Groups: moderators or the saver
+commandRegistry.register({
+  name: 'pin',
+  aliases: ['unpin'],
+  args: '<n:number>',
+  write: true,
+  section: 'pins',
+  help: ['pin 2 / unpin 2 - Pin note 2 from the last list (groups: moderators or the saver)'],
+  run({ n }, { chatId, chatType, isGroupChat, senderAddress, role }, invokedAs) {
+    const noteId = getRememberedNoteId(senderAddress, chatId, n);
+    const note = noteId && db.prepare('SELECT * FROM notes WHERE id = ? AND chatId = ? AND chatType = ?').get(noteId, chatId, chatType);
+    if (!note) {
+      return `❌ No note ${n} in your last list.\n\n💡 Show some notes first: "recent", "pinned" or "search [keyword]"`;
+    }
+    
+    const pin = getNotePin(note.id);
+    const allowed = !isGroupChat || note.savedBy === senderAddress || pin?.pinnedBy === senderAddress || canModerate(role);
+    if (!allowed) {
+      return `🔒 Only moderators and the person who saved a note can ${invokedAs} it.`;
+    }
+    
+    if (invokedAs === 'unpin') {
+      if (!unpinNote(note.id)) return `ℹ️ That note isn't pinned.`;
+      auditLog.record({ chatId, chatType, actor: senderAddress, action: 'unpin', noteId: note.id, target: note.savedBy, before: noteSnapshot(note) });
+      return `✅ Unpinned: ${truncate(note.content, 50)}`;
+    }
+    
+    const result = pinNote(note, senderAddress);
+    if (result.error === 'already_pinned') return `ℹ️ Already pinned. Type "pinned" to see the board`;
+    if (result.error === 'limit') return `❌ The board is full (${CONFIG.MAX_PINS_PER_CHAT} pins). Unpin something first: "pinned", then "unpin [number]"`;
+    auditLog.record({ chatId, chatType, actor: senderAddress, action: 'pin', noteId: note.id, target: note.savedBy, before: noteSnapshot(note) });
+    return `📌 Pinned: ${truncate(note.content, 50)}\n\n` +
+           `💡 ${isGroupChat ? 'Everyone here' : 'You'} can find it with "pinned" - it also comes first in search`;
+  },
+});
+
+// STARS - personal favorites, DMs only
+commandRegistry.register({
+  name: 'favorites',
+  aliases: ['starred', 'stars', 'favs'],
+  scope: 'dm',
+  denied: { dm: `⭐ Stars are personal - use them in a DM with me.\n\n💡 In groups, pin notes for everyone: "pinned"` },
+  run(args, { chatId, senderAddress }) {
+    const starred = getStarredNotes(chatId, senderAddress);
+    if (starred.length === 0) {
+      return `⭐ No favorites yet.\n\n💡 Star a listed note: "recent", then "star 2"`;
+    }
+    const tips = `━━━━━━━━━━━━━━━━\n💡 Reply with a number to view a note\n💡 Remove one: "unstar [number]"\n💡 Type /menu for main menu`;
+    return showListPage(senderAddress, chatId, 'viewing_notes', { notes: starred, title: `⭐ FAVORITES (${starred.length})`, tips });
+  },
+});
+
+commandRegistry.register({
+  name: 'star',
+  aliases: ['unstar', 'fav', 'unfav'],
+  args: '<n:number>',
+  scope: 'dm',
+  section: 'pins',
+  help: ['star 2 / unstar 2 - Personal favorites (DMs), see them with "favorites"'],
+  denied: { dm: ({ n }) => `⭐ Stars are personal - use them in a DM with me.\n\n💡 In groups, pin it for everyone instead: "pin ${n}"` },
+  run({ n }, { chatId, senderAddress }, invokedAs) {
+    const noteId = getRememberedNoteId(senderAddress, chatId, n);
+    const note = noteId && db.prepare("SELECT * FROM notes WHERE id = ? AND chatId = ? AND chatType = 'dm' AND savedBy = ?").get(noteId, chatId, senderAddress);
+    if (!note) {
+      return `❌ No note ${n} in your last list.\n\n💡 Show some notes first: "recent", "favorites" or "search [keyword]"`;
+    }
+    
+    if (invokedAs.startsWith('un')) {
+      return unstarNote(note.id, senderAddress)
+        ? `✅ Removed from favorites: ${truncate(note.content, 50)}`
+        : `ℹ️ That note isn't a favorite.`;
+    }
+    
+    const result = starNote(note, senderAddress);
+    if (result.error === 'already_starred') return `ℹ️ Already a favorite. Type "favorites" to see them`;
+    if (result.error === 'limit') return `❌ You have ${CONFIG.MAX_STARS_PER_USER} favorites already. Remove one first: "favorites", then "unstar [number]"`;
+    return `⭐ Added to favorites: ${truncate(note.content, 50)}\n\n💡 See them all with "favorites" - they also come first in search`;
+  },
+});
+
+// ---- Editing & deleting ----
+
+commandRegistry.register({
+  name: 'edit',
+  aliases: ['update'],
+  args: '<query:text>',
+  write: true,
+  section: 'edit',
+  help: ['edit [keyword] - Update existing note', 'update [keyword] - Same as edit'],
+  run(args, { chatId, isGroupChat, senderAddress, role }) {
+    const editQuery = args.query.toLowerCase().trim();
+    
+    // Search for notes to edit (your own, or anyone's for moderators; locked ones only for moderators)
+    const foundNotes = findChangeableNotes(editQuery, chatId, senderAddress, null, isGroupChat, { anyAuthor: canModerate(role) });
+    const matchingNotes = foundNotes.filter(note => canChangeNote(note, senderAddress, role));
+    
+    if (matchingNotes.length === 0) {
+      if (foundNotes.length > 0) {
+        return `🔒 ${foundNotes.length === 1 ? 'That note is' : 'Those notes are'} locked. Only moderators can edit locked notes.`;
+      }
+      return `❌ No matching notes found to edit.\n\n` +
+             `💡 Try: "recent" to see your notes\n` +
+             `Type /menu for main menu`;
+    }
+    
+    // Show list for user to select
+    return showListPage(senderAddress, chatId, 'editing_notes', { notes: matchingNotes });
+  },
+});
+
+commandRegistry.register({
+  name: 'delete',
+  aliases: ['remove'],
+  args: '<query:text>',
+  write: true,
+  section: 'delete',
+  help: ['delete [content] - Delete note by content', 'delete [content] in [category] - Delete from specific category'],
+  run(args, { chatId, isGroupChat, senderAddress, role }) {
+    const deleteQuery = args.query.toLowerCase().trim();
     
     // Check for category specification at the END: "delete [content] in/from/at [category]"
-    // Match the LAST occurrence of in/from/at followed by a single word (category)
-    const deleteCategoryMatch = deleteQuery.match(/^(.+)\s+(?:in|from|at)\s+([a-zA-Z][a-zA-Z0-9]*)\s*$/i);
+    const deleteCategoryMatch = splitExplicitCategory(chatId, deleteQuery, ['in', 'from', 'at']);
     let searchContent, searchCategory;
     
     if (deleteCategoryMatch) {
-      searchContent = deleteCategoryMatch[1].trim();
-      searchCategory = deleteCategoryMatch[2].trim();
-      searchCategory = searchCategory.charAt(0).toUpperCase() + searchCategory.slice(1).toLowerCase();
+      searchContent = deleteCategoryMatch.text;
+      // Stored spelling (or alias target), since the category match is exact
+      const typedCategory = deleteCategoryMatch.category;
+      searchCategory = resolveCategory(chatId, typedCategory) || findExistingCategory(chatId, typedCategory) || typedCategory;
     } else {
       searchContent = deleteQuery;
       searchCategory = null;
     }
     
-    const matchingNotes = deleteNotes(searchContent, chatId, senderAddress, searchCategory, isGroupChat);
+    // Moderators can delete anyone's group notes; locked notes are theirs alone
+    const foundNotes = findChangeableNotes(searchContent, chatId, senderAddress, searchCategory, isGroupChat, { anyAuthor: canModerate(role) });
+    const matchingNotes = foundNotes.filter(note => canChangeNote(note, senderAddress, role));
     
     if (matchingNotes.length === 0) {
+      if (foundNotes.length > 0) {
+        return `🔒 ${foundNotes.length === 1 ? 'That note is' : 'Those notes are'} locked. Only moderators can delete locked notes.`;
+      }
       return `❌ No matching notes found.\n\n` +
              `💡 Try: "recent" to see your notes\n` +
              `Type /menu for main menu`;
@@ -1274,135 +4080,431 @@ async function handleDragmanCommands(ctx, userMessage, senderAddress, isGroupCha
     if (matchingNotes.length === 1) {
       const note = matchingNotes[0];
       
-      // Delete the note
-      db.prepare('DELETE FROM notes WHERE id = ?').run(note.id);
-      
-      // Update category count (using helper function)
-      updateCategoryCount(chatId, note.category, -1);
-      
-      log('info', 'Note deleted', { noteId: note.id, user: senderAddress });
+      // Move the note to trash (updates category count too)
+      trashNote(note.id, senderAddress);
       
       return `✅ Note deleted successfully!\n\n` +
-             `${getCategoryEmoji(note.category)} Category: ${note.category}\n` +
-             `📝 ${truncate(note.content, 100)}\n\n` +
+             `${getCategoryEmoji(note.category, note.chatId)} Category: ${note.category}\n` +
+             `📝 ${truncate(note.content, 100)}\n` +
+             (note.savedBy !== senderAddress ? `👤 Saved by: ${shortenAddress(note.savedBy)}\n` : '') + `\n` +
+             `↩️ Changed your mind? Type "undo"\n` +
              `💡 Type /menu for main menu`;
     }
     
-    // Multiple matches, show list to confirm
-    setUserContext(senderAddress, 'deleting_notes', { notes: matchingNotes });
-    
-    let response = `🗑️ Found ${matchingNotes.length} matching note(s):\n\n`;
-    matchingNotes.slice(0, 5).forEach((note, index) => {
-      const relativeTime = getRelativeTime(new Date(note.createdAt));
-      response += `${index + 1}. ${getCategoryEmoji(note.category)} ${note.category}\n`;
-      response += `   ${truncate(note.content, 60)}\n`;
-      response += `   ${relativeTime}\n\n`;
-    });
-    
-    if (matchingNotes.length > 5) {
-      response += `...and ${matchingNotes.length - 5} more\n\n`;
+    // Multiple matches, show list to confirm
+    return showListPage(senderAddress, chatId, 'deleting_notes', { notes: matchingNotes });
+  },
+});
+
+// ---- History, undo & trash ----
+
+// UNDO - revert the caller's last edit or delete
+commandRegistry.register({
+  name: 'undo',
+  aliases: ['/undo'],
+  write: true,
+  section: 'history',
+  help: ['undo - Revert your last edit or delete'],
+  run(args, { chatId, isGroupChat, senderAddress }) {
+    const undone = undoLastChange(chatId, senderAddress, isGroupChat);
+    
+    if (!undone) {
+      return `↩️ Nothing to undo.\n\n` +
+             `💡 Undo works for your own edits and deletes from the last ${Math.round(CONFIG.UNDO_WINDOW_MS / 60000)} minutes.\n` +
+             `Deleted something earlier? Type "trash"`;
+    }
+    
+    const what = { delete: 'Note restored', tag: 'Tag change undone' }[undone.action] || 'Edit undone';
+    return `↩️ ${what}!\n\n` +
+           `${getCategoryEmoji(undone.note.category, undone.note.chatId)} Category: ${undone.note.category}\n` +
+           `📝 ${truncate(undone.note.content, 100)}\n\n` +
+           `💡 Type /menu for main menu`;
+  },
+});
+
+// HISTORY - show previous versions
+commandRegistry.register({
+  name: 'history',
+  args: '[<keyword:text>]',
+  section: 'history',
+  help: ['history [keyword] - See previous versions of a note'],
+  run(args, { chatId, chatType, isGroupChat, senderAddress }) {
+    const keyword = args.keyword?.toLowerCase().trim() || null;
+    const { note, revisions } = getNoteHistory(chatId, senderAddress, isGroupChat, keyword);
+    
+    if (keyword && !note) {
+      return `❌ No notes found for "${keyword}"\n\n💡 Type "history" to see recent changes`;
+    }
+    
+    if (revisions.length === 0) {
+      return note
+        ? `📜 "${truncate(note.content, 40)}" has never been changed.\n\n💡 Type /menu for main menu`
+        : `📜 No changes yet.\n\n💡 Edits and deletes will show up here`;
+    }
+    
+    const actionLabels = { edit: '✏️ Edited', delete: '🗑️ Deleted', undo: '↩️ Undone', tag: '🏷️ Retagged', merge: '🔀 Merged' };
+    let response = note
+      ? `📜 HISTORY • ${truncate(note.content, 40)}\n\nPrevious versions:\n\n`
+      : `📜 RECENT CHANGES\n\n`;
+    
+    revisions.forEach((revision, index) => {
+      response += `${index + 1}. ${actionLabels[revision.action] || revision.action} ${getRelativeTime(new Date(revision.createdAt))}`;
+      if (chatType === 'group') {
+        response += ` by ${shortenAddress(revision.actor)}`;
+      }
+      response += revision.undoneAt ? ' (reverted)\n' : '\n';
+      response += `   ${truncate(revision.content, 60)}\n\n`;
+    });
+    
+    response += `💡 Type "undo" to revert your last change`;
+    return response;
+  },
+});
+
+// TRASH - list the caller's deleted notes
+commandRegistry.register({
+  name: 'trash',
+  aliases: ['deleted'],
+  section: 'history',
+  help: ['trash - View your deleted notes'],
+  run(args, { chatId, isGroupChat, senderAddress }) {
+    const trashed = getTrashedNotes(chatId, senderAddress, isGroupChat);
+    
+    if (trashed.length === 0) {
+      return `🗑️ Trash is empty.\n\n💡 Type /menu for main menu`;
+    }
+    
+    let response = `🗑️ Recently deleted (kept for ${CONFIG.TRASH_RETENTION_DAYS} days):\n\n`;
+    trashed.forEach((note, index) => {
+      response += `${index + 1}. ${getCategoryEmoji(note.category, note.chatId)} ${note.category}\n`;
+      response += `   ${truncate(note.content, 60)}\n`;
+      response += `   Deleted ${getRelativeTime(new Date(note.deletedAt))}\n\n`;
+    });
+    response += `Type "restore [number]" to bring a note back`;
+    
+    return response;
+  },
+});
+
+// RESTORE N - bring a note back from the trash
+commandRegistry.register({
+  name: 'restore',
+  args: '<n:number>',
+  write: true,
+  section: 'history',
+  help: ['restore [number] - Bring a deleted note back'],
+  run({ n }, { chatId, isGroupChat, senderAddress, role }) {
+    const trashed = getTrashedNotes(chatId, senderAddress, isGroupChat);
+    const index = n - 1;
+    
+    if (index < 0 || index >= trashed.length) {
+      return `❌ No note #${n} in your trash.\n\n💡 Type "trash" to see deleted notes`;
+    }
+    if (!canChangeNote(trashed[index], senderAddress, role)) {
+      return `🔒 That note was locked by a moderator. Ask them to restore it.`;
+    }
+    
+    const restored = restoreNote(trashed[index], senderAddress);
+    return `♻️ Note restored!\n\n` +
+           `${getCategoryEmoji(restored.category, restored.chatId)} Category: ${restored.category}\n` +
+           `📝 ${truncate(restored.content, 100)}\n\n` +
+           `💡 Type /menu for main menu`;
+  },
+});
+
+// ---- Categories, tags & files ----
+
+commandRegistry.register({
+  name: 'categories',
+  aliases: ['category', 'topics'],
+  section: 'browse',
+  help: ['categories - View all categories'],
+  menu: { id: 'view_categories', label: '📂 View Categories', order: 3 },
+  run: (args, { chatId, isGroupChat, senderAddress }) => formatCategories(chatId, senderAddress, isGroupChat),
+});
+
+// CATEGORY TAXONOMY - this chat's own categories, emojis and aliases
+commandRegistry.register({
+  name: 'category list',
+  aliases: ['taxonomy'],
+  section: 'browse',
+  help: ['category list - This chat\'s own categories and aliases'],
+  run: (args, { chatId }) => formatTaxonomy(chatId),
+});
+
+commandRegistry.register({
+  name: 'category',
+  args: '<action:add|emoji|rename|merge|alias|unalias|remove|delete|help> [<rest:text>]',
+  // Every change rewrites category data for the whole group
+  scope: ({ action }) => (action === 'help' ? 'any' : 'moderator'),
+  write: ({ action }) => action !== 'help',
+  section: 'browse',
+  help: [
+    'category add [name] [emoji] - Only allow these categories in this chat (moderators in groups)',
+    'category rename / merge / alias / remove - Tidy up (type "category help")',
+  ],
+  denied: { moderator: `🔒 Only owners and moderators can change this group's categories.\n\n💡 Type "categories" to browse them` },
+  run: ({ action, rest = '' }, { chatId, chatType, senderAddress }) =>
+    handleCategoryCommand(action, parseCategoryArgs(action, rest), chatId, senderAddress, chatType),
+});
+
+// TAGS - counts for this chat; reply with a number to see the notes
+commandRegistry.register({
+  name: 'tags',
+  aliases: ['my tags'],
+  section: 'browse',
+  help: ['tags - See the tags in use, reply with a number to list those notes'],
+  run(args, { chatId, isGroupChat, senderAddress }) {
+    const tagCounts = getTagCounts(chatId, senderAddress, isGroupChat);
+    if (tagCounts.length === 0) {
+      return `🏷️ No tags yet.\n\n` +
+             `💡 Add #hashtags when saving: save vault address 0x... #treasury\n` +
+             `💡 Or tag a listed note: tag 1 add treasury`;
+    }
+    
+    return showListPage(senderAddress, chatId, 'viewing_tags', { tags: tagCounts, isGroupChat });
+  },
+});
+
+// TAG A NOTE - "tag 2 add defi, smart contract" / "tag 2 remove defi" (2 = number in the last list)
+commandRegistry.register({
+  name: 'tag',
+  args: '<n:number> <action:add|remove|rm|delete> <tags:text>',
+  write: true,
+  section: 'browse',
+  help: [
+    'tag 2 add defi, smart contract - Tag note 2 from the last list (or "remove")',
+    'search #defi wallet - Only notes tagged #defi (keywords optional)',
+  ],
+  run({ n, action, tags }, { chatId, chatType, senderAddress, role }) {
+    const noteId = getRememberedNoteId(senderAddress, chatId, n);
+    const note = noteId && db.prepare('SELECT * FROM notes WHERE id = ? AND chatId = ? AND chatType = ?').get(noteId, chatId, chatType);
+    if (!note) {
+      return `❌ No note ${n} in your last list.\n\n💡 Show some notes first: "recent" or "search [keyword]"`;
+    }
+    // Same rule as edit: the person who saved it (unless locked) or a moderator
+    if (!canChangeNote(note, senderAddress, role)) {
+      return getNoteLock(note.id)
+        ? `🔒 That note is locked. Only moderators can change its tags.`
+        : `🔒 Only the person who saved that note or a moderator can change its tags.`;
+    }
+    
+    const tagList = parseTagList(tags);
+    if (tagList.length === 0) {
+      return `❌ Which tags? Example: tag ${n} add defi, smart contract`;
+    }
+    
+    const adding = action === 'add';
+    const result = updateNoteTags(note.id, adding ? { add: tagList } : { remove: tagList }, senderAddress);
+    if (!result.changed) {
+      return adding ? `ℹ️ That note already has those tags.` : `ℹ️ That note doesn't have those tags.`;
+    }
+    
+    return `🏷️ Tags updated: ${truncate(note.content, 50)}\n\n` +
+           (result.tags.length > 0 ? result.tags.map(tag => `#${tag}`).join(' ') : 'No tags left') +
+           `\n\n↩️ Changed your mind? Type "undo"`;
+  },
+});
+
+commandRegistry.register({
+  name: 'stats',
+  aliases: ['statistics'],
+  section: 'browse',
+  help: ['stats - See your statistics'],
+  run(args, { chatId, chatType, isGroupChat, senderAddress }) {
+    // CRITICAL PRIVACY FIX: 
+    // 1. In DMs, only count user's own notes
+    // 2. ALWAYS filter by chatType to prevent DM notes leaking into groups
+    let totalNotes, categories, topCategory;
+  
+    if (!isGroupChat && senderAddress) {
+      totalNotes = db.prepare('SELECT COUNT(*) as count FROM notes WHERE chatId = ? AND chatType = ? AND savedBy = ?').get(chatId, chatType, senderAddress);
+      categories = db.prepare(`
+        SELECT COUNT(DISTINCT category) as count 
+        FROM notes 
+        WHERE chatId = ? AND chatType = ? AND savedBy = ?
+      `).get(chatId, chatType, senderAddress);
+      topCategory = db.prepare(`
+        SELECT category, COUNT(*) as count 
+        FROM notes 
+        WHERE chatId = ? AND chatType = ? AND savedBy = ?
+        GROUP BY category 
+        ORDER BY count DESC 
+        LIMIT 1
+      `).get(chatId, chatType, senderAddress);
+    } else {
+      totalNotes = db.prepare('SELECT COUNT(*) as count FROM notes WHERE chatId = ? AND chatType = ?').get(chatId, chatType);
+      categories = db.prepare(`
+        SELECT COUNT(DISTINCT category) as count 
+        FROM notes 
+        WHERE chatId = ? AND chatType = ?
+      `).get(chatId, chatType);
+      topCategory = db.prepare(`
+        SELECT category, COUNT(*) as count 
+        FROM notes 
+        WHERE chatId = ? AND chatType = ?
+        GROUP BY category 
+        ORDER BY count DESC 
+        LIMIT 1
+      `).get(chatId, chatType);
+    }
+    const aiUsage = getLLMUsage(chatId);
+    
+    return `📊 Dragman Statistics\n\n` +
+           `📝 Total Notes: ${totalNotes.count}\n` +
+           `📂 Categories: ${categories.count}\n` +
+           (topCategory ? `🏆 Top Category: ${topCategory.category} (${topCategory.count} notes)\n` : '') +
+           (aiUsage.requests > 0 ? `🤖 AI usage (${CONFIG.LLM_USAGE_STATS_DAYS} days): ${aiUsage.requests} requests, ${aiUsage.tokens.toLocaleString('en-US')} tokens\n` : '') +
+           (aiUsage.cacheHits + aiUsage.cacheMisses > 0 ? `💾 AI cache: ${aiUsage.cacheHits} hits, ${aiUsage.cacheMisses} misses (${Math.round(aiUsage.cacheHits / (aiUsage.cacheHits + aiUsage.cacheMisses) * 100)}% saved)\n` : '') +
+           `\n💡 Keep saving to make this ${chatType === 'group' ? 'group' : 'chat'} smarter!`;
+  },
+});
+
+// EXPORT - send notes as a Markdown / JSON / CSV file
+commandRegistry.register({
+  name: 'export',
+  args: '[<options:text>]',
+  section: 'browse',
+  help: ['export [md|json|csv] [category] - Download your notes as a file'],
+  async run({ options = '' }, { ctx, chatId, isGroupChat, senderAddress }) {
+    const [firstArg = '', ...rest] = options.trim().split(/\s+/);
+    const format = EXPORT_FORMAT_ALIASES[firstArg.toLowerCase()];
+    // "export DeFi" → Markdown export of that category
+    const category = (format ? rest.join(' ') : options).trim() || null;
+
+    return await exportNotes(ctx, chatId, senderAddress, isGroupChat, format || 'md', category);
+  },
+});
+
+// IMPORT - wait for a CSV / JSON / Markdown file from this user
+commandRegistry.register({
+  name: 'import',
+  write: true,
+  section: 'browse',
+  help: ['import - Bulk-add notes from a CSV, JSON or Markdown file'],
+  run(args, { chatId, isGroupChat, senderAddress }) {
+    conversationState.set(chatId, senderAddress, 'awaiting_import_file', { isGroupChat });
+    return formatImportInstructions();
+  },
+});
+
+function formatImportInstructions() {
+  return `📥 Send me a file to import notes (max ${CONFIG.MAX_IMPORT_ROWS} rows):\n\n` +
+         `• CSV - columns: content, category, tags (header optional)\n` +
+         `• JSON - ["note", ...] or [{ "content": "...", "category": "..." }]\n` +
+         `• Markdown - one "- bullet" per note, "## Heading" sets the category\n\n` +
+         `I'll show a preview first. Nothing is saved until you confirm.\n` +
+         `💡 Dragman exports can be imported back as-is`;
+}
+
+// ---- Reminders ----
+
+// REMIND ME - "remind me in 2h to ...", "remind me to ... tomorrow 9am"
+commandRegistry.register({
+  name: 'remind',
+  args: '<who:me|us> [<request:text>]',
+  section: 'reminders',
+  help: [
+    'remind me in 2h to [something] - Also "in 3 days", "tomorrow 9am", "on Friday"',
+    'remind me to [something] at 5pm - Time can go at the end too',
+  ],
+  run({ request = '' }, { chatId, chatType, senderAddress }) {
+    const timeZone = getChatTimeZone(chatId);
+    const parsed = request ? parseReminderRequest(request, { timeZone }) : null;
+    
+    if (!parsed) {
+      return `⏰ When should I remind you?\n\n` +
+             `Try:\n` +
+             `• remind me in 2h to check the vault\n` +
+             `• remind me tomorrow 9am to submit the report\n` +
+             `• remind me on Friday about the AMA\n` +
+             `• remind me to renew the domain on 2026-11-02`;
+    }
+    
+    const reminderText = sanitizeInput(parsed.message);
+    if (!reminderText) {
+      return `⏰ What should I remind you about?\n\n💡 Example: remind me in 2h to check the vault`;
     }
     
-    response += `Reply with number to delete, or type /menu to cancel`;
-    
-    return response;
-  }
-  
-  // EDIT FUNCTIONALITY
-  if (message.startsWith('edit ') || message.startsWith('update ')) {
-    const editQuery = message.replace(/^(edit|update)\s+/i, '').trim();
-    
-    // CRITICAL PRIVACY FIX: Filter by chatType to prevent editing DM notes from group context
-    const chatTypeForEdit = isGroupChat ? 'group' : 'dm';
-    
-    // Search for notes to edit
-    const matchingNotes = db.prepare(`
-      SELECT * FROM notes 
-      WHERE chatId = ? AND chatType = ? AND savedBy = ? AND LOWER(content) LIKE ?
-      ORDER BY createdAt DESC
-    `).all(chatId, chatTypeForEdit, senderAddress, `%${editQuery.toLowerCase()}%`);
-    
-    if (matchingNotes.length === 0) {
-      return `❌ No matching notes found to edit.\n\n` +
-             `💡 Try: "recent" to see your notes\n` +
-             `Type /menu for main menu`;
+    const validation = validateNoteContent(reminderText);
+    if (!validation.valid) {
+      return validation.error;
     }
     
-    // Show list for user to select
-    setUserContext(senderAddress, 'editing_notes', { notes: matchingNotes });
+    const now = new Date();
+    if (parsed.dueAt <= now) {
+      return `⏰ That time has already passed. Pick a time in the future.`;
+    }
+    if (parsed.dueAt - now > CONFIG.REMINDER_MAX_DAYS_AHEAD * 24 * 60 * 60 * 1000) {
+      return `⏰ Reminders can be set up to ${CONFIG.REMINDER_MAX_DAYS_AHEAD} days ahead.`;
+    }
+    if (getPendingReminders(chatId, senderAddress).length >= CONFIG.REMINDER_MAX_PENDING) {
+      return `⏰ You already have ${CONFIG.REMINDER_MAX_PENDING} pending reminders here.\n\n` +
+             `💡 Type "reminders" to review them`;
+    }
     
-    let response = `✏️ Found ${matchingNotes.length} matching note(s):\n\n`;
-    matchingNotes.slice(0, 5).forEach((note, index) => {
-      const relativeTime = getRelativeTime(new Date(note.createdAt));
-      response += `${index + 1}. ${getCategoryEmoji(note.category)} ${note.category}\n`;
-      response += `   ${truncate(note.content, 60)}\n`;
-      response += `   ${relativeTime}\n\n`;
-    });
+    createReminder(chatId, chatType, senderAddress, reminderText, parsed.dueAt);
+    log('info', 'Reminder created', { chatType, dueAt: parsed.dueAt.toISOString() });
     
-    if (matchingNotes.length > 5) {
-      response += `...and ${matchingNotes.length - 5} more\n\n`;
+    return `⏰ Reminder set!\n\n` +
+           `📝 ${reminderText}\n` +
+           `🕐 ${formatDateTime(parsed.dueAt, timeZone)} (${formatTimeUntil(parsed.dueAt, now)})\n\n` +
+           `💡 Type "reminders" to see all your reminders`;
+  },
+});
+
+// REMINDERS - list the caller's pending reminders in this chat
+commandRegistry.register({
+  name: 'reminders',
+  aliases: ['my reminders'],
+  section: 'reminders',
+  help: ['reminders - View your upcoming reminders'],
+  run(args, { chatId, senderAddress }) {
+    const reminders = getPendingReminders(chatId, senderAddress);
+    const timeZone = getChatTimeZone(chatId);
+    
+    if (reminders.length === 0) {
+      return `⏰ No upcoming reminders.\n\n💡 Try: remind me in 2h to check the vault`;
     }
     
-    response += `Reply with number to edit, or type /menu to cancel`;
+    let response = `⏰ Your reminders:\n\n`;
+    reminders.forEach((reminder, index) => {
+      const dueAt = new Date(reminder.dueAt);
+      response += `${index + 1}. ${truncate(reminder.message, 60)}\n`;
+      response += `   🕐 ${formatDateTime(dueAt, timeZone)} (${formatTimeUntil(dueAt)})\n\n`;
+    });
+    response += `Type "cancel reminder [number]" to cancel one`;
     
     return response;
-  }
-  
-  // CATEGORIES
-  if (message === 'categories' || message === 'category' || message === 'topics') {
-    await sendCategoryActions(ctx, chatId, senderAddress, isGroupChat);
-    return 'CATEGORIES_SENT';
-  }
-  
-  // STATS
-  if (message === 'stats' || message === 'statistics') {
-  // CRITICAL PRIVACY FIX: 
-  // 1. In DMs, only count user's own notes
-  // 2. ALWAYS filter by chatType to prevent DM notes leaking into groups
-  const chatType = isGroupChat ? 'group' : 'dm';
-  let totalNotes, categories, topCategory;
-  
-  if (!isGroupChat && senderAddress) {
-    totalNotes = db.prepare('SELECT COUNT(*) as count FROM notes WHERE chatId = ? AND chatType = ? AND savedBy = ?').get(chatId, chatType, senderAddress);
-    categories = db.prepare(`
-      SELECT COUNT(DISTINCT category) as count 
-      FROM notes 
-      WHERE chatId = ? AND chatType = ? AND savedBy = ?
-    `).get(chatId, chatType, senderAddress);
-    topCategory = db.prepare(`
-      SELECT category, COUNT(*) as count 
-      FROM notes 
-      WHERE chatId = ? AND chatType = ? AND savedBy = ?
-      GROUP BY category 
-      ORDER BY count DESC 
-      LIMIT 1
-    `).get(chatId, chatType, senderAddress);
-  } else {
-    totalNotes = db.prepare('SELECT COUNT(*) as count FROM notes WHERE chatId = ? AND chatType = ?').get(chatId, chatType);
-    categories = db.prepare(`
-      SELECT COUNT(DISTINCT category) as count 
-      FROM notes 
-      WHERE chatId = ? AND chatType = ?
-    `).get(chatId, chatType);
-    topCategory = db.prepare(`
-      SELECT category, COUNT(*) as count 
-      FROM notes 
-      WHERE chatId = ? AND chatType = ?
-      GROUP BY category 
-      ORDER BY count DESC 
-      LIMIT 1
-    `).get(chatId, chatType);
-  }
+  },
+});
+
+commandRegistry.register({
+  name: 'cancel reminder',
+  args: '<n:number>',
+  section: 'reminders',
+  help: ['cancel reminder [number] - Cancel one'],
+  run({ n }, { chatId, senderAddress }) {
+    const reminders = getPendingReminders(chatId, senderAddress);
+    const index = n - 1;
+    
+    if (index < 0 || index >= reminders.length || !cancelReminder(reminders[index].id)) {
+      return `❌ No reminder #${n}.\n\n💡 Type "reminders" to see your reminders`;
+    }
     
-    return `📊 Dragman Statistics\n\n` +
-           `📝 Total Notes: ${totalNotes.count}\n` +
-           `📂 Categories: ${categories.count}\n` +
-           (topCategory ? `🏆 Top Category: ${topCategory.category} (${topCategory.count} notes)\n` : '') +
-           `\n💡 Keep saving to make this ${chatType === 'group' ? 'group' : 'chat'} smarter!`;
-  }
-  
-  // TRENDING TOPICS (NEW!)
-  if (message === 'trends' || message === 'trending' || message === 'insights') {
+    return `🔕 Reminder cancelled: ${truncate(reminders[index].message, 60)}\n\n💡 Type /menu for main menu`;
+  },
+});
+
+// ---- Group intelligence ----
+
+// TRENDING TOPICS
+commandRegistry.register({
+  name: 'trends',
+  aliases: ['trending', 'insights'],
+  section: 'group',
+  help: ['trends - See trending topics & top contributors', 'insights - Same as trends'],
+  run(args, { chatId, chatType, isGroupChat, senderAddress }) {
     const trends = analyzeTrendingTopics(chatId, 7, senderAddress, isGroupChat);
     
     if (!trends) {
@@ -1416,7 +4518,7 @@ async function handleDragmanCommands(ctx, userMessage, senderAddress, isGroupCha
     // Top categories
     response += `📂 TRENDING TOPICS\n`;
     trends.topCategories.forEach(([category, count], idx) => {
-      response += `${idx + 1}. ${getCategoryEmoji(category)} ${category} (${count} notes)\n`;
+      response += `${idx + 1}. ${getCategoryEmoji(category, chatId)} ${category} (${count} notes)\n`;
     });
     
     // Top contributors (only show in group)
@@ -1446,10 +4548,16 @@ async function handleDragmanCommands(ctx, userMessage, senderAddress, isGroupCha
     response += `\n💡 Total activity: ${trends.totalNotes} notes saved`;
     
     return response;
-  }
-  
-  // SUGGESTIONS - Check for unsaved important info (NEW!)
-  if (message === 'suggestions' || message === 'unsaved' || message === 'detect') {
+  },
+});
+
+// SUGGESTIONS - Check for unsaved important info
+commandRegistry.register({
+  name: 'suggestions',
+  aliases: ['unsaved', 'detect'],
+  section: 'group',
+  help: ['suggestions - Check detected but unsaved info', 'unsaved - Same as suggestions'],
+  run(args, { chatId, chatType, isGroupChat }) {
     const unsaved = checkUnsavedInfo(chatId, isGroupChat);
     
     if (unsaved.length === 0) {
@@ -1484,10 +4592,20 @@ async function handleDragmanCommands(ctx, userMessage, senderAddress, isGroupCha
     response += `save [description of what it is]`;
     
     return response;
-  }
-  
-  // WEEKLY DIGEST (NEW!)
-  if (message === 'digest' || message === 'report' || message === 'weekly') {
+  },
+});
+
+// WEEKLY DIGEST
+commandRegistry.register({
+  name: 'digest',
+  aliases: ['report', 'weekly'],
+  section: 'group',
+  help: [
+    'digest - Get weekly team report (activity, MVP, insights)',
+    'report - Same as digest',
+    'weekly - Same as digest',
+  ],
+  run(args, { chatId, chatType, isGroupChat, senderAddress }) {
     const digest = generateWeeklyDigest(chatId, chatType, senderAddress, isGroupChat);
     
     if (!digest) {
@@ -1497,252 +4615,570 @@ async function handleDragmanCommands(ctx, userMessage, senderAddress, isGroupCha
     }
     
     const report = formatWeeklyDigest(digest);
-    return report;
+    return report + `\n\n⚙️ Auto-digest: ${describeDigestSchedule(getChatSettings(chatId))}`;
+  },
+});
+
+// DIGEST ON / OFF - opt this chat in or out of the scheduled digest
+commandRegistry.register({
+  name: 'digest on',
+  aliases: ['digest off'],
+  write: true,
+  section: 'group',
+  help: ['digest on / digest off - Turn the automatic weekly digest on or off'],
+  run(args, { chatId, chatType }, invokedAs) {
+    const settings = updateChatSettings(chatId, chatType, { digestEnabled: invokedAs === 'digest on' ? 1 : 0 });
+    
+    if (!settings.digestEnabled) {
+      return `🔕 Weekly digest turned off for this chat.\n\n💡 Type "digest on" to turn it back on`;
+    }
+    return `📊 Weekly digest is on!\n\n` +
+           `🕐 ${describeDigestSchedule(settings)}\n\n` +
+           `💡 Change it with: digest day friday 17`;
+  },
+});
+
+// DIGEST DAY - "digest day monday 9", "digest day fri 5pm"
+commandRegistry.register({
+  name: 'digest day',
+  args: '[<when:text>]',
+  write: true,
+  section: 'group',
+  help: ['digest day [weekday] [hour] - When to send it (e.g. digest day friday 17)'],
+  run({ when = '' }, { chatId, chatType }) {
+    const match = when.toLowerCase().trim().match(/^([a-z]+)(?:\s+(?:at\s+)?(.+))?$/);
+    const day = match ? parseWeekday(match[1]) : -1;
+    const clock = match?.[2] ? parseClock(match[2]) : { hour: CONFIG.WEEKLY_DIGEST_HOUR, minute: 0 };
+    
+    if (day < 0 || !clock || clock.minute !== 0) {
+      return `❌ Use: digest day [weekday] [hour]\n\n` +
+             `Examples:\n` +
+             `• digest day monday 9\n` +
+             `• digest day friday 5pm`;
+    }
+    
+    const settings = updateChatSettings(chatId, chatType, { digestEnabled: 1, digestDay: day, digestHour: clock.hour });
+    return `📊 Weekly digest scheduled: ${describeDigestSchedule(settings)}` +
+           (settings.timezone ? '' : `\n\n💡 Set your timezone with: timezone Europe/Berlin`);
+  },
+});
+
+// TIMEZONE - used for reminders and the digest schedule
+commandRegistry.register({
+  name: 'timezone',
+  args: '[<zone:text>]',
+  write: ({ zone }) => !!zone,
+  section: 'group',
+  help: ['timezone [zone] - Set this chat\'s timezone (e.g. timezone Europe/Berlin)'],
+  run({ zone = '' }, { chatId, chatType }) {
+    if (!zone.trim()) {
+      const current = getChatSettings(chatId).timezone;
+      return `🌍 Timezone: ${current || 'not set (using server time)'}\n\n` +
+             `💡 Set it with: timezone America/New_York`;
+    }
+    
+    if (!isValidTimeZone(zone)) {
+      return `❌ Unknown timezone "${zone}".\n\n` +
+             `Use a name like Europe/Berlin, America/New_York, Asia/Singapore or UTC`;
+    }
+    
+    // Store the canonical spelling ("europe/berlin" → "Europe/Berlin")
+    const canonical = new Intl.DateTimeFormat('en-US', { timeZone: zone }).resolvedOptions().timeZone;
+    const settings = updateChatSettings(chatId, chatType, { timezone: canonical });
+    return `🌍 Timezone set to ${canonical}\n\n` +
+           `🕐 It's ${formatDateTime(new Date(), canonical)} there\n` +
+           `📊 Weekly digest: ${describeDigestSchedule(settings)}`;
+  },
+});
+
+// ---- Roles & moderation (groups) ----
+
+commandRegistry.register({
+  name: 'roles',
+  scope: 'group',
+  section: 'roles',
+  help: ['roles - Owners and moderators here, and your own role'],
+  denied: { group: ROLES_IN_DM },
+  run: (args, { chatId, role }) => formatChatRoles(chatId, role),
+});
+
+commandRegistry.register({
+  name: 'my role',
+  scope: 'group',
+  denied: { group: ROLES_IN_DM },
+  run: (args, { role }) => `You're ${ROLE_LABELS[role]} in this group.\n\n💡 Type "roles" to see the owners and moderators`,
+});
+
+// who: an address or its start; roleName as typed ("mod", "read-only", ...)
+function changeRole(who, roleName, { chatId, senderAddress, role }) {
+  const newRole = ROLE_ALIASES[roleName];
+  if (!newRole) {
+    return `❌ Unknown role "${roleName}". Use owner, moderator, member or readonly.`;
   }
   
-  // MENU COMMAND
-  if (message === '/menu' || message === 'menu') {
-    clearUserContext(senderAddress);
-    return null;
+  const member = resolveChatMember(chatId, who);
+  if (member.error === 'invalid') return `❌ "${who}" isn't an address. Use a full address or its start (0xab12...)`;
+  if (member.error === 'not_found') return `❌ Nobody here matches ${who}. Use their full address.`;
+  if (member.error === 'ambiguous') return `❌ More than one person matches ${who}. Type more of the address.`;
+  
+  const target = member.address;
+  if (target === senderAddress) return `❌ You can't change your own role.`;
+  const targetRole = getChatRole(chatId, target);
+  if (!canGrantRole(role, targetRole, newRole)) {
+    return `🔒 Moderators can only make people members or read-only, and can't change other moderators. Ask an owner.`;
+  }
+  if (targetRole === newRole) {
+    return `ℹ️ ${shortenAddress(target)} is already ${ROLE_LABELS[newRole]}.`;
+  }
+  
+  setChatRole(chatId, target, newRole, senderAddress);
+  return `✅ ${shortenAddress(target)} is now ${ROLE_LABELS[newRole]} (was ${ROLE_LABELS[targetRole]})`;
+}
+
+// GRANT / REVOKE - "grant 0xab12... moderator", "revoke 0xab12..."
+commandRegistry.register({
+  name: 'grant',
+  args: '<who> [as] <role:text>',
+  scope: ['group', 'moderator'],
+  section: 'roles',
+  help: ['grant 0xab12... moderator - Also owner, member or readonly'],
+  denied: { group: ROLES_IN_DM, moderator: `🔒 Only owners and moderators can change roles.` },
+  run: ({ who, role: newRole }, call) => changeRole(who.toLowerCase(), newRole.toLowerCase().trim(), call),
+});
+
+commandRegistry.register({
+  name: 'revoke',
+  args: '<who>',
+  scope: ['group', 'moderator'],
+  section: 'roles',
+  help: ['revoke 0xab12... - Back to member'],
+  denied: { group: ROLES_IN_DM, moderator: `🔒 Only owners and moderators can change roles.` },
+  run: ({ who }, call) => changeRole(who.toLowerCase(), 'member', call),
+});
+
+
+// LOCK / UNLOCK - "lock 2" (2 = number in the last list). Moderators only
+commandRegistry.register({
+  name: 'lock',
+  aliases: ['unlock'],
+  args: '<n:number>',
+  scope: ['group', 'moderator'],
+  section: 'roles',
+  help: ['lock 2 / unlock 2 - Only moderators can change note 2 from the last list'],
+  denied: { group: ROLES_IN_DM, moderator: `🔒 Only owners and moderators can lock or unlock notes.` },
+  run({ n }, { chatId, chatType, senderAddress }, invokedAs) {
+    const noteId = getRememberedNoteId(senderAddress, chatId, n);
+    const note = noteId && db.prepare('SELECT * FROM notes WHERE id = ? AND chatId = ? AND chatType = ?').get(noteId, chatId, chatType);
+    if (!note) {
+      return `❌ No note ${n} in your last list.\n\n💡 Show some notes first: "recent" or "search [keyword]"`;
+    }
+    
+    if (invokedAs === 'unlock') {
+      if (!unlockNote(note.id)) return `ℹ️ That note isn't locked.`;
+      auditLog.record({ chatId, chatType, actor: senderAddress, action: 'unlock', noteId: note.id, target: note.savedBy, before: noteSnapshot(note) });
+      return `🔓 Unlocked: ${truncate(note.content, 50)}`;
+    }
+    
+    if (!lockNote(note, senderAddress)) return `ℹ️ That note is already locked.`;
+    auditLog.record({ chatId, chatType, actor: senderAddress, action: 'lock', noteId: note.id, target: note.savedBy, before: noteSnapshot(note) });
+    return `🔒 Locked: ${truncate(note.content, 50)}\n\n` +
+           `💡 Only moderators can edit, delete or retag it now. "unlock ${n}" to undo`;
+  },
+});
+
+// MODLOG - recent moderator actions in this group (changes to other people's notes, roles, locks)
+commandRegistry.register({
+  name: 'modlog',
+  args: '[<n:number>]',
+  scope: ['group', 'moderator'],
+  section: 'roles',
+  help: ['modlog - Recent moderator actions'],
+  denied: { group: ROLES_IN_DM, moderator: `🔒 Only owners and moderators can see the moderation log.` },
+  run({ n }, { chatId }) {
+    const limit = Math.max(1, Math.min(n || CONFIG.AUDIT_DEFAULT_ENTRIES, CONFIG.AUDIT_MAX_ENTRIES));
+    const events = auditLog.list(chatId, 'group', { limit, moderation: true });
+    if (events.length === 0) return `🛡️ No moderator actions yet.`;
+    return `🛡️ MODERATION LOG (last ${events.length})\n\n` + events.map(formatAuditEvent).join('\n');
+  },
+});
+
+// AUDIT - every change in this chat. Groups: moderators. DMs: your own changes
+commandRegistry.register({
+  name: 'audit',
+  args: '[<n:number>]',
+  scope: 'moderator',
+  section: 'roles',
+  help: ['audit [N] - Every change in the chat: saves, edits, deletes, imports, roles (moderators; in a DM, your own)'],
+  denied: { moderator: `🔒 Only owners and moderators can see the audit log.\n\n💡 Type "history" for earlier versions of your own notes` },
+  run({ n }, { chatId, chatType, isGroupChat, senderAddress }) {
+    const limit = Math.max(1, Math.min(n || CONFIG.AUDIT_DEFAULT_ENTRIES, CONFIG.AUDIT_MAX_ENTRIES));
+    // CRITICAL PRIVACY FIX: scoped by chatType, and a DM only ever shows the sender's own changes
+    const events = auditLog.list(chatId, chatType, { limit, actor: isGroupChat ? null : senderAddress });
+    if (events.length === 0) return `📜 No changes recorded yet.`;
+    return `📜 AUDIT LOG (last ${events.length})\n\n` + events.map(formatAuditEvent).join('\n') +
+           `\n\n💡 Kept for ${CONFIG.AUDIT_RETENTION_DAYS} days. "audit ${CONFIG.AUDIT_MAX_ENTRIES}" shows more`;
+  },
+});
+
+// ROLES SYNC - re-read owners/moderators from the group's XMTP admin lists
+commandRegistry.register({
+  name: 'roles sync',
+  scope: ['group', 'moderator'],
+  section: 'roles',
+  help: ['roles sync - Re-read the group admins (they start as owners/moderators)'],
+  denied: { group: ROLES_IN_DM, moderator: `🔒 Only owners and moderators can sync roles.` },
+  async run(args, { ctx, chatId }) {
+    try {
+      const result = await syncChatRoles(ctx, chatId);
+      return `✅ Checked ${result.members} member${result.members === 1 ? '' : 's'}, ${result.changed} role${result.changed === 1 ? '' : 's'} updated from the group admins.\n\n` +
+             `💡 Roles given with "grant" are kept as they are`;
+    } catch (error) {
+      log('error', 'Failed to sync roles', { error: error.message });
+      return `❌ Couldn't read the group's member list. Please try again.`;
+    }
+  },
+});
+
+// ---- Menu & help ----
+
+commandRegistry.register({
+  name: 'menu',
+  aliases: ['/menu'],
+  run(args, { chatId, senderAddress }) {
+    conversationState.clear(chatId, senderAddress);
+    return reply.menu();
+  },
+});
+
+commandRegistry.register({
+  name: 'help',
+  aliases: ['/help', '?', 'commands'],
+  menu: { id: 'help', label: '❓ Help', order: 4 },
+  run: () => getHelpMessage(),
+});
+
+commandRegistry.register({
+  name: 'groups',
+  aliases: ['group features'],
+  scope: 'dm',
+  menu: { id: 'group_features', label: '🚀 Group Features', order: 5 },
+  run: () => "🚀 DRAGMAN IN GROUPS\n\n" +
+         "The problem:\n" +
+         "Your friend shares a wallet address.\n" +
+         "2 weeks later: \"What was that address?\"\n" +
+         "Everyone scrolls forever... 😫\n\n" +
+         "The solution:\n" +
+         "Just ask me! I remember EVERYTHING. 🧠\n\n" +
+         "━━━━━━━━━━━━━━━━━━━━━━━━\n\n" +
+         "✨ LIVE EXAMPLE:\n\n" +
+         "Alice: save Prize: 0x742d...\n" +
+         "Bob: save Discord: discord.gg/base\n\n" +
+         "[2 weeks later...]\n\n" +
+         "Charlie: @dragman what's the prize wallet?\n\n" +
+         "Me: 🧠 Found it!\n" +
+         "    💾 Saved by Alice • 2 weeks ago\n" +
+         "    📝 Prize: 0x742d... ✅\n\n" +
+         "━━━━━━━━━━━━━━━━━━━━━━━━\n\n" +
+         "🎯 WHY IT'S AWESOME:\n" +
+         "• Shows WHO saved it\n" +
+         "• Shows WHEN it was saved\n" +
+         "• Tracks how many times viewed\n" +
+         "• Your group gets smarter over time!\n\n" +
+         "━━━━━━━━━━━━━━━━━━━━━━━━\n\n" +
+         "💡 TO ADD ME:\n" +
+         "1. Open any group chat\n" +
+         "2. Invite @dragman\n" +
+         "3. Start saving & asking!\n\n" +
+         "🎯 Perfect for:\n" +
+         "Gaming squads • Friend groups\n" +
+         "Communities • Project teams\n\n" +
+         "Type /menu to keep using personal notes 📝",
+});
+
+// Help sections in order; each lists its commands' help lines, then its notes.
+// Commands from a section not listed here (e.g. plugins) end up under "MORE".
+const HELP_SECTIONS = [
+  { id: 'save', title: '💾 SAVE NOTES', notes: [
+    '• Saving something that\'s already here (same address, link or nearly the same words)? Reply 1 to merge, 2 to save anyway',
+  ] },
+  { id: 'search', title: '🔍 SEARCH NOTES' },
+  { id: 'pins', title: '📌 PINS & FAVORITES' },
+  { id: 'edit', title: '✏️ EDIT NOTES' },
+  { id: 'delete', title: '🗑️ DELETE NOTES' },
+  { id: 'history', title: '↩️ HISTORY & UNDO' },
+  { id: 'browse', title: '📂 BROWSE' },
+  { id: 'reminders', title: '⏰ REMINDERS' },
+  { id: 'group', title: '🔥 GROUP INTELLIGENCE (NEW!)', notes: ['💡 Example: @dragman.base.eth trends'] },
+  { id: 'roles', title: '🛡️ ROLES (groups)', notes: [
+    '💡 Moderators can edit and delete anyone\'s notes; read-only members can only search and browse',
+  ] },
+  { id: 'privacy', title: '🔒 PRIVACY', notes: [
+    '• Group chat notes → Everyone in group can see',
+    '• Private DM notes → Only you can see',
+  ] },
+  { id: 'examples', title: '✨ EXAMPLES', notes: [
+    '• @dragman.base.eth save My wallet: 0x74...',
+    '• @dragman.base.eth save Deploy contract to mainnet in Dev',
+    '• @dragman.base.eth search wallet',
+    '• @dragman.base.eth edit wallet (then type new content)',
+    '• @dragman.base.eth delete contract deployment',
+  ] },
+  { id: 'tags', title: '🏷️ TAGS', notes: [
+    '• #hashtags in a note become its tags: save vault 0x... #treasury #multisig',
+    '• Categories can be several words - quote them: save ... in "Mobile Legends"',
+  ] },
+];
+
+function getHelpMessage() {
+  return commandRegistry.helpText({
+    header: `🐉 Dragman Help\n\nYour smart knowledge assistant for chats!`,
+    footer: `💡 Type /menu anytime for Quick Actions!`,
+    sections: HELP_SECTIONS,
+  });
+}
+
+// ==================== COMMAND HANDLING ====================
+
+// What a plugin gets besides its call: the database and the note helpers it's likely to need
+const pluginApi = {
+  db,
+  log,
+  config: CONFIG,
+  reply,
+  saveNote,
+  searchNotes: hybridSearchNotes,
+  getRecentNotes,
+  formatNote,
+  shortenAddress,
+};
+
+function deniedMessage(command, rule, args, call) {
+  const message = command.denied?.[rule] ?? {
+    dm: `🔒 That only works in a DM with me.`,
+    group: `👥 That only works in group chats.`,
+    moderator: `🔒 Only owners and moderators can do that.`,
+  }[rule];
+  return typeof message === 'function' ? message(args, call) : message;
+}
+
+// Scope, read-only and rate-limit checks, then the command itself. Returns a response (see reply).
+async function runCommand(command, args, call, invokedAs = command.name) {
+  const denied = checkScope(command, { isGroupChat: call.isGroupChat, isModerator: canModerate(call.role) }, args);
+  if (denied) {
+    return reply.text(deniedMessage(command, denied, args, call));
+  }
+
+  // Read-only members can look but not touch
+  if (call.role === 'readonly' && isWrite(command, args)) {
+    return reply.text(`👁️ You're read-only in this group, so you can search and browse but not change notes.\n\n` +
+                      `💡 Ask a moderator if you need more: type "roles" to see who they are`);
+  }
+
+  if (command.rateLimit) {
+    const rateCheck = checkRateLimit(call.senderAddress, command.rateLimit, call.role);
+    if (!rateCheck.allowed) {
+      if (rateCheck.reason === 'too_many_saves') {
+        return reply.text(`⏱️ Slow down! You can save max ${rateCheck.limit} notes per minute.\n\n` +
+                          `Try again in ${rateCheck.resetIn} seconds.`);
+      }
+      return reply.text(`⏱️ Too many actions! Please wait ${rateCheck.resetIn} seconds.`);
+    }
   }
+
+  return toResponse(await command.run(args, call, invokedAs));
+}
+
+// A Quick Action, picked by number or tapped: its own run() (instructions) or its command
+async function runMenuAction(command, call) {
+  if (command.menu.run) return toResponse(await command.menu.run(call));
+  return runCommand(command, {}, call);
+}
+
+async function handleActionSelection(actionId, call) {
+  const command = commandRegistry.findMenuAction(actionId);
+  if (!command) return reply.text("❓ Unknown action. Type /menu to return to main menu.");
+  return runMenuAction(command, call);
+}
+
+function buildCommandCall(ctx, text, senderAddress, isGroupChat) {
+  // CONSISTENT chatId extraction - use same logic as handlers
+  const chatId = ctx.conversation?.topic || ctx.message?.conversationId || 'unknown';
+  return {
+    ctx,
+    text,
+    chatId,
+    chatType: isGroupChat ? 'group' : 'dm',
+    isGroupChat,
+    senderAddress,
+    // Group role of the sender (seeded from the XMTP admin lists); DMs have no roles
+    role: isGroupChat ? getChatRole(chatId, senderAddress, ctx) : 'member',
+  };
+}
+
+// Replies that only mean something in the sender's current context: a number picked
+// from a list or menu, the new text for a note being edited or an answer in a guided save.
+// undefined otherwise.
+async function handleContextReply(userMessage, call) {
+  const message = userMessage.toLowerCase().trim();
+  const { chatId, senderAddress, role } = call;
   
-  // HELP
-  if (message === '/help' || message === '?' || message === 'commands') {
-    return getHelpMessage();
+  // Guided save: whatever comes next answers the current question, numbers included
+  const pending = conversationState.get(chatId, senderAddress);
+  if (pending && SAVE_STEPS.includes(pending.state)) {
+    return await handleSaveStep(userMessage, pending, call);
   }
   
+  // New text for the note being edited, numbers included
+  if (pending && pending.state === 'awaiting_edit_content') {
+    const noteToEdit = pending.data.note;
+    const newContent = userMessage.trim();
+    
+    // Update the note (previous version is kept in history)
+    conversationState.clear(chatId, senderAddress);
+    if (!canChangeNote(noteToEdit, senderAddress, role)) {
+      return `🔒 That note was locked in the meantime. Only moderators can edit it.`;
+    }
+    if (!editNote(noteToEdit.id, newContent, senderAddress)) {
+      return `❌ That note no longer exists.\n\n💡 Type /menu for main menu`;
+    }
+    
+    return `✅ Note updated successfully!\n\n` +
+           `${getCategoryEmoji(noteToEdit.category, noteToEdit.chatId)} Category: ${noteToEdit.category}\n` +
+           `📝 New: ${truncate(newContent, 100)}\n\n` +
+           `↩️ Changed your mind? Type "undo"\n` +
+           `💡 Type /menu for main menu`;
+  }
+
   // Handle number selection (context-aware)
   if (/^\d+$/.test(message)) {
     const number = parseInt(message);
-    const context = getUserContext(senderAddress);
+    const context = pending;
+    const picked = context && LIST_VIEWS[context.state] ? pickFromPage(context, number) : undefined;
     
     // If user is viewing categories, handle category selection
-    if (context && context.context === 'viewing_categories') {
-      const categories = context.data.categories;
+    if (context && context.state === 'viewing_categories' && picked) {
       const isGroupChatContext = context.data.isGroupChat || false;
-      if (number >= 1 && number <= categories.length) {
-        clearUserContext(senderAddress);
-        const selectedCategory = categories[number - 1].category;
-        const notes = getNotesByCategory(selectedCategory, chatId, senderAddress, isGroupChatContext);
-        
-        let tips = "\n━━━━━━━━━━━━━━━━\n";
-        tips += `💡 Search this category: "search ${selectedCategory}"\n`;
-        tips += `💡 Delete a note: "delete [keyword] in ${selectedCategory}"\n`;
-        tips += `💡 Type /menu for main menu`;
-        
-        return formatNotesList(notes) + tips;
-      }
+      const selectedCategory = picked.category;
+      const notes = getNotesByCategory(selectedCategory, chatId, senderAddress, isGroupChatContext);
+      
+      let tips = "━━━━━━━━━━━━━━━━\n";
+      tips += `💡 Reply with a number to view a note\n`;
+      tips += `💡 Search this category: "search ${selectedCategory}"\n`;
+      tips += `💡 Delete a note: "delete [keyword] in ${selectedCategory}"\n`;
+      tips += `💡 Type /menu for main menu`;
+      
+      return showListPage(senderAddress, chatId, 'viewing_notes', { notes, tips });
     }
     
-    // If user is viewing search results, handle note selection
-    if (context && context.context === 'viewing_search_results') {
-      const results = context.data.results;
-      if (number >= 1 && number <= Math.min(results.length, 5)) {
-        const selectedNote = results[number - 1];
-        clearUserContext(senderAddress);
-        incrementViewCount(selectedNote.id);
-        return formatNote(selectedNote) + "\n\n💡 Type /menu for main menu";
-      }
+    // If user is viewing tags, show the notes with the chosen tag
+    if (context && context.state === 'viewing_tags' && picked) {
+      const notes = getNotesByTags([picked.tag], chatId, senderAddress, context.data.isGroupChat || false);
+      const tips = `━━━━━━━━━━━━━━━━\n💡 Reply with a number to view a note\n` +
+                   `💡 Narrow it down: "search #${picked.tag} [keyword]"\n💡 Type /menu for main menu`;
+      return showListPage(senderAddress, chatId, 'viewing_notes', { notes, tips });
     }
     
-    // If user is editing notes, handle selection
-    if (context && context.context === 'editing_notes') {
-      const notes = context.data.notes;
-      if (number >= 1 && number <= Math.min(notes.length, 5)) {
-        const noteToEdit = notes[number - 1];
-        // Store the note to edit and wait for new content
-        setUserContext(senderAddress, 'awaiting_edit_content', { note: noteToEdit });
-        
-        return `✏️ Editing note:\n\n` +
-               `${getCategoryEmoji(noteToEdit.category)} ${noteToEdit.category}\n` +
-               `📝 Current: ${truncate(noteToEdit.content, 150)}\n\n` +
-               `Reply with the new content for this note:`;
-      }
+    // If user is viewing a list of notes (search, recent, a category or tag), show the chosen one
+    if (context && context.state === 'viewing_notes' && picked) {
+      conversationState.clear(chatId, senderAddress);
+      incrementViewCount(picked.id);
+      return formatNote(picked) + "\n\n💡 Type /menu for main menu";
     }
     
-    // If user is deleting notes, handle confirmation
-    if (context && context.context === 'deleting_notes') {
-      const notes = context.data.notes;
-      if (number >= 1 && number <= Math.min(notes.length, 5)) {
-        const noteToDelete = notes[number - 1];
-        clearUserContext(senderAddress);
-        
-        // Delete the note
-        db.prepare('DELETE FROM notes WHERE id = ?').run(noteToDelete.id);
-        
-        // Update category count (using helper function)
-        updateCategoryCount(chatId, noteToDelete.category, -1);
-        
-        log('info', 'Note deleted via selection', { noteId: noteToDelete.id, user: senderAddress });
-        
-        return `✅ Note deleted successfully!\n\n` +
-               `${getCategoryEmoji(noteToDelete.category)} Category: ${noteToDelete.category}\n` +
-               `📝 ${truncate(noteToDelete.content, 100)}\n\n` +
-               `💡 Type /menu for main menu`;
+    // If user is editing notes, handle selection
+    if (context && context.state === 'editing_notes' && picked) {
+      const noteToEdit = picked;
+      if (!canChangeNote(noteToEdit, senderAddress, role)) {
+        conversationState.clear(chatId, senderAddress);
+        return `🔒 That note is locked. Only moderators can edit it.`;
       }
+      // Store the note to edit and wait for new content
+      conversationState.set(chatId, senderAddress, 'awaiting_edit_content', { note: noteToEdit });
+      
+      return `✏️ Editing note:\n\n` +
+             `${getCategoryEmoji(noteToEdit.category, noteToEdit.chatId)} ${noteToEdit.category}\n` +
+             `📝 Current: ${truncate(noteToEdit.content, 150)}\n\n` +
+             `Reply with the new content for this note\n` +
+             `💡 "back" to pick another note, "cancel" to stop`;
     }
     
-    // Otherwise, handle main menu selection (1-4 for groups, 1-5 for DMs)
-    const maxOptions = isGroupChat ? 4 : 5;
-    if (number >= 1 && number <= maxOptions) {
-      const actions = isGroupChat 
-        ? ['save_note', 'search_notes', 'view_categories', 'help']
-        : ['save_note', 'search_notes', 'view_categories', 'help', 'group_features'];
-      return await handleActionSelection(actions[number - 1], ctx, chatId, senderAddress, isGroupChat);
+    // If user is confirming a possible duplicate (1 = merge, 2 = save anyway)
+    if (context && context.state === 'confirming_duplicate' && (number === 1 || number === 2)) {
+      return await handleDuplicateConfirmation(number, context, chatId, senderAddress);
     }
-  }
-  
-  // Check if user is providing new content for edit
-  const context = getUserContext(senderAddress);
-  if (context && context.context === 'awaiting_edit_content') {
-    const noteToEdit = context.data.note;
-    const newContent = userMessage.trim();
     
-    if (newContent.toLowerCase() === '/menu' || newContent.toLowerCase() === 'cancel') {
-      clearUserContext(senderAddress);
-      return "❌ Edit cancelled.\n\n💡 Type /menu for main menu";
+    // If user is confirming an import preview (1 = save, 2 = cancel)
+    if (context && context.state === 'confirming_import' && (number === 1 || number === 2)) {
+      return await handleImportConfirmation(number, context, chatId, senderAddress, role);
     }
     
-    // Update the note
-    db.prepare(`
-      UPDATE notes 
-      SET content = ?, createdAt = ?
-      WHERE id = ?
-    `).run(newContent, new Date().toISOString(), noteToEdit.id);
-    
-    clearUserContext(senderAddress);
-    log('info', 'Note edited', { noteId: noteToEdit.id, user: senderAddress });
+    // If user is deleting notes, handle confirmation
+    if (context && context.state === 'deleting_notes' && picked) {
+      const noteToDelete = picked;
+      conversationState.clear(chatId, senderAddress);
+      if (!canChangeNote(noteToDelete, senderAddress, role)) {
+        return `🔒 That note is locked. Only moderators can delete it.`;
+      }
+      
+      // Move the note to trash (updates category count too)
+      if (!trashNote(noteToDelete.id, senderAddress)) {
+        return `❌ That note no longer exists.\n\n💡 Type /menu for main menu`;
+      }
+      
+      return `✅ Note deleted successfully!\n\n` +
+             `${getCategoryEmoji(noteToDelete.category, noteToDelete.chatId)} Category: ${noteToDelete.category}\n` +
+             `📝 ${truncate(noteToDelete.content, 100)}\n` +
+             (noteToDelete.savedBy !== senderAddress ? `👤 Saved by: ${shortenAddress(noteToDelete.savedBy)}\n` : '') + `\n` +
+             `↩️ Changed your mind? Type "undo"\n` +
+             `💡 Type /menu for main menu`;
+    }
     
-    return `✅ Note updated successfully!\n\n` +
-           `${getCategoryEmoji(noteToEdit.category)} Category: ${noteToEdit.category}\n` +
-           `📝 New: ${truncate(newContent, 100)}\n\n` +
-           `💡 Type /menu for main menu`;
-  }
-  
-  // If no command matched, try conversational AI with smart suggestions
-  return await generateConversationalResponse(userMessage, chatType, chatId, senderAddress);
-}
-
-async function handleActionSelection(actionId, ctx, chatId, senderAddress, isGroupChat = false) {
-  switch(actionId) {
-    case 'save_note':
-      return "💾 Save a note with optional category:\n\n" +
-             "Simple: save [content]\n" +
-             "With category: save [content] in [category]\n\n" +
-             "Examples:\n" +
-             "• save My wallet: 0x742d...\n" +
-             "• save Check Uniswap V3 docs in DeFi\n" +
-             "• save Team meeting notes in Work\n\n" +
-             "💡 Categories help organize your notes!\n" +
-             "💡 Type /menu to return to main menu";
-    
-    case 'search_notes':
-      return "🔍 To search notes, type:\n\n" +
-             "search [keyword]\n\n" +
-             "Examples:\n" +
-             "• search wallet\n" +
-             "• search contract\n" +
-             "• search DeFi\n\n" +
-             "💡 Type /menu to return to main menu";
-    
-    case 'view_categories':
-      await sendCategoryActions(ctx, chatId, senderAddress, isGroupChat);
-      return 'CATEGORIES_SENT';
-    
-    case 'help':
-      return getHelpMessage();
-    
-    case 'group_features':
-      return "🚀 DRAGMAN IN GROUPS\n\n" +
-             "The problem:\n" +
-             "Your friend shares a wallet address.\n" +
-             "2 weeks later: \"What was that address?\"\n" +
-             "Everyone scrolls forever... 😫\n\n" +
-             "The solution:\n" +
-             "Just ask me! I remember EVERYTHING. 🧠\n\n" +
-             "━━━━━━━━━━━━━━━━━━━━━━━━\n\n" +
-             "✨ LIVE EXAMPLE:\n\n" +
-             "Alice: save Prize: 0x742d...\n" +
-             "Bob: save Discord: discord.gg/base\n\n" +
-             "[2 weeks later...]\n\n" +
-             "Charlie: @dragman what's the prize wallet?\n\n" +
-             "Me: 🧠 Found it!\n" +
-             "    💾 Saved by Alice • 2 weeks ago\n" +
-             "    📝 Prize: 0x742d... ✅\n\n" +
-             "━━━━━━━━━━━━━━━━━━━━━━━━\n\n" +
-             "🎯 WHY IT'S AWESOME:\n" +
-             "• Shows WHO saved it\n" +
-             "• Shows WHEN it was saved\n" +
-             "• Tracks how many times viewed\n" +
-             "• Your group gets smarter over time!\n\n" +
-             "━━━━━━━━━━━━━━━━━━━━━━━━\n\n" +
-             "💡 TO ADD ME:\n" +
-             "1. Open any group chat\n" +
-             "2. Invite @dragman\n" +
-             "3. Start saving & asking!\n\n" +
-             "🎯 Perfect for:\n" +
-             "Gaming squads • Friend groups\n" +
-             "Communities • Project teams\n\n" +
-             "Type /menu to keep using personal notes 📝";
+    // A number that isn't on the page being shown (rather than a main menu choice)
+    if (context && LIST_VIEWS[context.state]) {
+      const view = LIST_VIEWS[context.state];
+      const current = paginate(view.items(context.data), context.data.page, view.pageSize);
+      return `❓ Pick a number from this page (${current.start + 1}-${current.start + current.items.length})` +
+             (current.pages > 1 ? `, or go to another with "page N" (1-${current.pages})` : '') +
+             `\n\n💡 Type /menu for main menu`;
+    }
     
-    default:
-      return "❓ Unknown action. Type /menu to return to main menu.";
+    // Otherwise, handle main menu selection (the Quick Actions for this chat type)
+    const actions = commandRegistry.menu(call.chatType);
+    if (number >= 1 && number <= actions.length) {
+      return await runMenuAction(actions[number - 1].command, call);
+    }
   }
 }
 
-function getHelpMessage() {
-  return `🐉 Dragman Help
-
-Your smart knowledge assistant for chats!
-
-💾 SAVE NOTES
-• save [content] - Auto-categorized
-• save [content] in [category] - Custom category
-• remember [content] - Same as save
-• note [content] - Same as save
-
-🔍 SEARCH NOTES
-• search [keyword] - Find saved notes
-• find [keyword] - Same as search
-• recent - View recent notes
-
-✏️ EDIT NOTES
-• edit [keyword] - Update existing note
-• update [keyword] - Same as edit
-
-🗑️ DELETE NOTES
-• delete [content] - Delete note by content
-• delete [content] in [category] - Delete from specific category
-
-📂 BROWSE
-• categories - View all categories
-• stats - See your statistics
-
-🔥 GROUP INTELLIGENCE (NEW!)
-• trends - See trending topics & top contributors
-• insights - Same as trends
-• suggestions - Check detected but unsaved info
-• unsaved - Same as suggestions
-• digest - Get weekly team report (activity, MVP, insights)
-• report - Same as digest
-• weekly - Same as digest
-💡 Example: @dragman.base.eth trends
+// Returns a response (see reply in utils/commands.js), or null to show the Quick Actions menu
+async function handleDragmanCommands(ctx, userMessage, senderAddress, isGroupChat) {
+  const call = buildCommandCall(ctx, userMessage, senderAddress, isGroupChat);
+  const { chatId, chatType } = call;
 
-🔒 PRIVACY
-• Group chat notes → Everyone in group can see
-• Private DM notes → Only you can see
+  // DEBUG: Log chatId for consistency checking
+  console.log('🔑 [HANDLE COMMANDS]', {
+    chatId: chatId.substring(0, 20),
+    chatType,
+    isGroupChat,
+    source: ctx.conversation?.topic ? 'conversation.topic' : ctx.message?.conversationId ? 'message.conversationId' : 'unknown'
+  });
 
-✨ EXAMPLES
-• @dragman.base.eth save My wallet: 0x74...
-• @dragman.base.eth save Deploy contract to mainnet in Dev 
-• @dragman.base.eth search wallet
-• @dragman.base.eth edit wallet (then type new content)
-• @dragman.base.eth delete contract deployment
+  // Someone typing an answer ("save" as the wizard's confirm, a note that starts with "find")
+  // isn't running a command - except "cancel" and "back", which leave or undo that step
+  const matched = commandRegistry.match(userMessage);
+  const pending = conversationState.get(chatId, senderAddress);
+  const answering = pending && CONVERSATION_STATES[pending.state].answer;
+  if (matched && (!answering || ['cancel', 'back'].includes(matched.command.name))) {
+    return await runCommand(matched.command, matched.args, call, matched.invokedAs);
+  }
 
-⚠️ NOTE: Categories must be a single word (e.g., Gaming, DeFi, Work)
-For multi-word categories, use camelCase (e.g., MobileLegend)
+  const contextReply = await handleContextReply(userMessage, call);
+  if (contextReply) {
+    return toResponse(contextReply);
+  }
 
-💡 Type /menu anytime for Quick Actions!`;
+  // If no command matched, try conversational AI with smart suggestions
+  return toResponse(await generateConversationalResponse(userMessage, chatType, chatId, senderAddress));
 }
 
 // ==================== CONVERSATIONAL AI WITH SMART SUGGESTIONS ====================
@@ -1761,83 +5197,49 @@ async function generateConversationalResponse(userMessage, chatType, chatId, sen
         .trim()
         .split(/\s+/)
         .filter(word => word.length > CONFIG.MIN_KEYWORD_LENGTH);
-      
-      // Search notes for relevant information using MULTI-KEYWORD search
-      if (keywords.length > 0) {
-        // Try multi-keyword search first (more specific)
-        let results = [];
-        
-        // CRITICAL PRIVACY FIX: Pass senderAddress and isGroupChat to search
-        // Search with all keywords (highest priority)
-        for (const keyword of keywords) {
-          const keywordResults = searchNotes(keyword, chatId, senderAddress, chatType === 'group');
-          results.push(...keywordResults);
-        }
-        
-        // Remove duplicates and rank by relevance
-        const noteScores = new Map();
-        for (const note of results) {
-          const currentScore = noteScores.get(note.id) || 0;
-          
-          // Calculate relevance score
-          let score = currentScore + 1; // Base score for matching
-          
-          // Boost score for each keyword found in content
-          for (const keyword of keywords) {
-            if (note.content.toLowerCase().includes(keyword)) {
-              score += 2;
-            }
-            if (note.category.toLowerCase().includes(keyword)) {
-              score += 1;
-            }
-          }
-          
-          // Boost recent notes slightly
-          const ageInDays = (Date.now() - new Date(note.createdAt)) / (1000 * 60 * 60 * 24);
-          if (ageInDays < 7) score += 1;
-          
-          // Boost popular notes
-          score += Math.min(note.viewCount * 0.1, 2);
-          
-          noteScores.set(note.id, { note, score });
-        }
-        
-        // Sort by score and get unique results
-        const rankedResults = Array.from(noteScores.values())
-          .sort((a, b) => b.score - a.score)
-          .map(item => item.note);
-        
+      
+      // Search notes for relevant information using MULTI-KEYWORD search
+      if (keywords.length > 0) {
+        // CRITICAL PRIVACY FIX: Pass senderAddress and isGroupChat to search
+        // Any keyword may match; BM25 ranks notes matching more (and rarer) keywords first,
+        // and the whole question is matched by meaning
+        const rankedResults = await hybridSearchNotes(keywords.join(' '), chatId, senderAddress, chatType === 'group', {
+          matchAny: true,
+          semanticQuery: userMessage,
+        });
+        recordActivity(chatId, 'searches');
+
         if (rankedResults.length > 0) {
-          const topNote = rankedResults[0];
-          incrementViewCount(topNote.id); // Track that this was viewed
+          const topNotes = rankedResults.slice(0, CONFIG.RAG_TOP_K);
           
-          // Build answer with context (who, when, popularity)
-          let answer = `🧠 Found the answer in your ${chatType === 'group' ? 'team' : ''} notes!\n\n`;
-          answer += `${getCategoryEmoji(topNote.category)} ${topNote.category}\n`;
-          answer += `📝 ${truncate(topNote.content, 200)}\n\n`;
-          answer += `━━━━━━━━━━━━━━━━━━━━━━━━\n`;
-          
-          // Show who saved it (especially useful in groups)
-          if (chatType === 'group') {
-            answer += `💾 Saved by: ${shortenAddress(topNote.savedBy)}\n`;
+          let rag = null;
+          try {
+            rag = await answerFromNotes({
+              complete: request => llm.complete('answer', { ...request, chatId }),
+              question: userMessage,
+              notes: topNotes,
+              minConfidence: CONFIG.RAG_MIN_CONFIDENCE,
+              maxTokens: CONFIG.RAG_MAX_TOKENS,
+              temperature: CONFIG.RAG_TEMPERATURE,
+            });
+          } catch (error) {
+            log('error', 'RAG answer failed, showing top note instead', { error: error.message });
           }
           
-          answer += `📅 ${getRelativeTime(new Date(topNote.createdAt))}\n`;
-          answer += `👀 ${topNote.viewCount + 1} views`; // +1 for current view
-          
-          // Show if there are more results
-          if (rankedResults.length > 1) {
-            answer += `\n\n📚 Found ${rankedResults.length} related notes. Type "search ${keywords[0]}" to see all`;
+          // LLM unavailable: fall back to the single best match
+          if (!rag) {
+            return formatTopNoteAnswer(rankedResults, chatType, keywords);
           }
           
-          // Encourage feedback in groups
-          if (chatType === 'group') {
-            answer += `\n\n❓ Was this helpful? Others can learn from your feedback!`;
-          } else {
-            answer += `\n\n💡 Save more notes to make searches even better!`;
+          if (!rag.confident) {
+            log('info', 'RAG answer below confidence threshold', { confidence: rag.confidence, citations: rag.citations.length });
+            return `🤔 I couldn't find a confident answer to that in your ${chatType === 'group' ? 'team' : ''} notes.\n\n` +
+                   `📚 ${rankedResults.length} note(s) look related. Type "search ${keywords[0]}" to check them yourself.\n\n` +
+                   `💡 Once you know the answer, save it: save [content]`;
           }
           
-          return answer;
+          rag.citations.forEach(({ note }) => incrementViewCount(note.id));
+          return formatRagAnswer(rag, chatType);
         }
       }
       
@@ -1881,8 +5283,8 @@ async function generateConversationalResponse(userMessage, chatType, chatId, sen
     }
     
     // SMART FEATURE 3: Regular conversational response with context
-    const completion = await openai.chat.completions.create({
-      model: CONFIG.OPENAI_MODEL,
+    const completion = await llm.complete('chat', {
+      chatId,
       messages: [
         {
           role: "system",
@@ -1893,14 +5295,14 @@ async function generateConversationalResponse(userMessage, chatType, chatId, sen
           content: userMessage
         }
       ],
-      max_tokens: CONFIG.OPENAI_CONVERSATION_MAX_TOKENS,
+      maxTokens: CONFIG.OPENAI_CONVERSATION_MAX_TOKENS,
       temperature: CONFIG.OPENAI_TEMPERATURE,
     });
 
-    const response = completion.choices[0].message.content;
+    const response = completion.content;
     return response + "\n\n💡 Type /menu to see all options";
   } catch (error) {
-    log('error', 'OpenAI conversational error', { error: error.message });
+    log('error', 'LLM conversational error', { error: error.message });
     return "🐉 I'm your knowledge assistant! I help you save and organize important info from chats.\n\n" +
            "Try:\n" +
            "• save [content] - Save a note\n" +
@@ -1909,6 +5311,58 @@ async function generateConversationalResponse(userMessage, chatType, chatId, sen
   }
 }
 
+// Answer composed from several notes, with numbered sources
+function formatRagAnswer(rag, chatType) {
+  let answer = `🧠 ${rag.answer}\n\n`;
+  answer += `━━━━━━━━━━━━━━━━━━━━━━━━\n`;
+  answer += `📚 Sources:\n`;
+  rag.citations.forEach(({ number, note }) => {
+    const savedBy = chatType === 'group' ? shortenAddress(note.savedBy) : 'you';
+    answer += `[${number}] ${getCategoryEmoji(note.category, note.chatId)} ${note.category} • ${savedBy} • ${getRelativeTime(new Date(note.createdAt))}\n`;
+  });
+  
+  if (chatType === 'group') {
+    answer += `\n❓ Was this helpful? Others can learn from your feedback!`;
+  } else {
+    answer += `\n💡 Save more notes to make answers even better!`;
+  }
+  return answer;
+}
+
+// Single best note (used when the LLM can't be reached)
+function formatTopNoteAnswer(rankedResults, chatType, keywords) {
+  const topNote = rankedResults[0];
+  incrementViewCount(topNote.id); // Track that this was viewed
+  
+  // Build answer with context (who, when, popularity)
+  let answer = `🧠 Found the answer in your ${chatType === 'group' ? 'team' : ''} notes!\n\n`;
+  answer += `${getCategoryEmoji(topNote.category, topNote.chatId)} ${topNote.category}\n`;
+  answer += `📝 ${truncate(topNote.content, 200)}\n\n`;
+  answer += `━━━━━━━━━━━━━━━━━━━━━━━━\n`;
+  
+  // Show who saved it (especially useful in groups)
+  if (chatType === 'group') {
+    answer += `💾 Saved by: ${shortenAddress(topNote.savedBy)}\n`;
+  }
+  
+  answer += `📅 ${getRelativeTime(new Date(topNote.createdAt))}\n`;
+  answer += `👀 ${topNote.viewCount + 1} views`; // +1 for current view
+  
+  // Show if there are more results
+  if (rankedResults.length > 1) {
+    answer += `\n\n📚 Found ${rankedResults.length} related notes. Type "search ${keywords[0]}" to see all`;
+  }
+  
+  // Encourage feedback in groups
+  if (chatType === 'group') {
+    answer += `\n\n❓ Was this helpful? Others can learn from your feedback!`;
+  } else {
+    answer += `\n\n💡 Save more notes to make searches even better!`;
+  }
+  
+  return answer;
+}
+
 // ==================== ONBOARDING MESSAGE ====================
 
 function getOnboardingMessage(chatType) {
@@ -1958,299 +5412,50 @@ Notes • Resources • Quick reminders
 
 // ==================== AGENT MESSAGE HANDLER ====================
 
-// PROCESS MESSAGE EVENT: Base App sends replies as 'message' events, not 'text' events
-agent.on('message', async (ctx) => {
-  console.log('📨 [MESSAGE EVENT] Received');
-  
-  // DON'T skip string content - Base App sends replies as JSON strings!
-  // We'll check if it's a regular text message vs a JSON reply
-  // Skip ONLY if it's clearly a plain text message (not JSON)
-  if (ctx.message?.contentType === 'text') {
-    // But check if content is JSON first
-    if (typeof ctx.message?.content === 'string') {
-      try {
-        const parsed = JSON.parse(ctx.message.content);
-        // If it parses and has reference, it's a reply, not regular text
-        if (parsed && typeof parsed === 'object' && parsed.reference) {
-          // It's a JSON reply, don't skip
-          console.log('📦 [JSON REPLY DETECTED] Content is JSON string with reference');
-        } else {
-          // It's valid JSON but not a reply - might be other structured content
-          // Continue processing
-        }
-      } catch (e) {
-        // Not JSON, might be plain text - let text handler take it
-        if (!ctx.message.content.match(/^[\s\S]*\{.*reference[\s\S]*\}/)) {
-          // Doesn't look like JSON with reference, skip to text handler
-          console.log('⏭️ [MESSAGE EVENT] Skipping - plain text, will be handled by text handler');
-          return;
-        }
-      }
-    }
-  }
-  
-  // Parse content - Base App might send it as JSON string or object
-  let contentObj = null;
-  if (ctx.message?.content) {
-    if (typeof ctx.message.content === 'string') {
-      // Try to parse as JSON (Base App sends replies as JSON strings)
-      try {
-        contentObj = JSON.parse(ctx.message.content);
-        console.log('📦 [PARSED JSON] Content was JSON string, parsed to:', Object.keys(contentObj));
-      } catch (e) {
-        // Not JSON, treat as regular string
-        contentObj = ctx.message.content;
-      }
-    } else if (typeof ctx.message.content === 'object') {
-      contentObj = ctx.message.content;
-    }
+// Text, replies, reactions and Quick Action taps all go through messageNormalizer.normalize()
+// (see utils/messages.js), so the pipeline below sees one event shape.
+const messageNormalizer = createMessageNormalizer({
+  agentInboxId: agent.client?.inboxId,
+  agentAddress: agent.address,
+  getMessageById: id => agent.client?.conversations?.getMessageById?.(id),
+  log,
+});
+
+// FILE IMPORTS: remote attachments get their own event, inline ones arrive as unknown messages
+agent.on('attachment', async (ctx) => {
+  try {
+    await handleImportAttachment(ctx, () => RemoteAttachmentCodec.load(ctx.message.content, agent.client),
+      ctx.message.content?.contentLength);
+  } catch (error) {
+    log('error', 'Error handling attachment', { error: error.message });
+    await ctx.sendText("❌ Couldn't process that file. Please try again.");
   }
-  
-  // Check if this is a Base App reply (has content.reference)
-  const isReply = contentObj && 
-                 typeof contentObj === 'object' && 
-                 contentObj.reference;
-  
-  if (isReply) {
-    console.log('✅ [MESSAGE EVENT] Detected Base App reply - processing...');
-    console.log('🚫 [REPLY DISABLED] Ignoring replies. Only tag mentions trigger responses.');
+});
+
+agent.on('unknownMessage', async (ctx) => {
+  // Quick Action taps have no codec of their own here
+  if (ctx.message?.contentType?.typeId === 'intent') {
+    await handleIncomingMessage(ctx);
     return;
-    
-    // Extract reply information
-    const referencedMessageId = contentObj.reference;
-    
-    // Base App might store reply text in various places - check ALL possibilities
-    // IMPORTANT: Base App might send the text separately, not in the content object
-    let userMessage = contentObj.text || 
-                     contentObj.content || 
-                     contentObj.message ||
-                     contentObj.body ||
-                     contentObj.replyText ||
-                     contentObj.reply ||
-                     contentObj.data?.text ||
-                     contentObj.data?.content ||
-                     ctx.message?.text ||  // Check message-level text field
-                     ctx.message?.body ||  // Check message-level body field
-                     ctx.message?.contentText || // Base App might have this
-                     '';
-    
-    // CRITICAL: If message is empty, the actual text might be in the raw content string
-    // Base App might send: { "reference": "...", "text": "/menu" } as JSON string
-    // OR the text might be sent in a FOLLOWING 'text' event
-    // For now, check if we need to wait for text event or if text is elsewhere
-    
-    // DEBUG: Log what we found
-    console.log('📝 [MESSAGE EXTRACTION]', {
-      contentObjKeys: contentObj ? Object.keys(contentObj) : [],
-      messageKeys: Object.keys(ctx.message || {}),
-      extractedMessage: userMessage || 'EMPTY',
-      hasReference: !!referencedMessageId,
-      rawContentType: typeof ctx.message?.content,
-      rawContentPreview: typeof ctx.message?.content === 'string' ? ctx.message.content.substring(0, 100) : 'not string',
-      fullContentObj: JSON.stringify(contentObj).substring(0, 500)
-    });
-    
-    const senderAddress = (ctx.message?.senderAddress || 
-                          ctx.message?.senderInboxId || 
-                          'unknown').toLowerCase();
-    const agentAddress = agent.address.toLowerCase();
-    // CONSISTENT chatId extraction - must match text handler
-    const chatId = ctx.conversation?.topic || ctx.message?.conversationId || 'unknown';
-    
-    // Skip if from agent itself
-    if (senderAddress === agentAddress) {
-      console.log('⏭️ [MESSAGE EVENT] Skipping - from agent itself');
-      return;
-    }
-    
-    console.log('🔍 [BASE APP REPLY PROCESSING]', {
-      referencedMessageId,
-      hasText: !!userMessage,
-      senderAddress: senderAddress.substring(0, 20) + '...',
-      chatId: chatId.substring(0, 20)
-    });
-    
-    // Process reply - Base App sends replies as 'message' events with content.reference
-    // For now, we'll assume any reply with reference in a conversation is likely to agent
-    // (especially in groups, users only reply to agent, not each other)
-    try {
-      // Check database to see if chatId is a group
-      let dbChatType = null;
-      try {
-        const dbTypeCheck = db.prepare(`SELECT chatType FROM conversation_types WHERE chatId = ?`).get(chatId);
-        if (dbTypeCheck && dbTypeCheck.chatType) {
-          dbChatType = dbTypeCheck.chatType;
-        }
-      } catch (e) {
-        console.error('❌ [DB ERROR]', e.message);
-      }
-      
-      // CONSISTENT chatType detection - use SAME logic as text handler
-      // This ensures data saved via tag and retrieved via reply use same chatType
-      let isGroupChat = false;
-      
-      if (dbChatType) {
-        // Database has stored type - use it
-        isGroupChat = dbChatType === 'group';
-      } else {
-        // Unknown conversation - for replies, check if we should detect as group
-        // Since replies in Base App are typically in groups, default to group
-        // BUT: We should detect it the same way text handler does for consistency
-        // For now, default to group and save it
-        isGroupChat = true;
-        saveConversationType(chatId, 'group');
-        console.log('💾 [SAVED CHAT TYPE] Reply detected - saving as group', { chatId: chatId.substring(0, 20) });
-      }
-      
-      const effectiveIsGroupChat = isGroupChat;
-      
-      console.log('✅ [REPLY TO AGENT] Processing reply', {
-        chatId: chatId.substring(0, 20),
-        dbChatType: dbChatType || 'none (defaulted to group)',
-        isGroupChat: effectiveIsGroupChat,
-        chatType: effectiveIsGroupChat ? 'group' : 'dm',
-        hasMessageText: !!userMessage,
-        messagePreview: userMessage ? userMessage.substring(0, 30) : 'empty'
-      });
-      
-      // Process the reply
-      await processReplyMessage(ctx, userMessage, senderAddress, chatId, effectiveIsGroupChat, referencedMessageId);
-      return; // Exit after processing - don't continue to text handler
-      
-    } catch (e) {
-      console.error('❌ [REPLY PROCESSING ERROR]', e.message);
-      console.error('❌ [REPLY PROCESSING STACK]', e.stack);
-      // Even on error, try to send a basic response
-      try {
-        await ctx.sendText("👋 I see you replied! Type /menu to see options or tell me what you need.");
-      } catch (sendError) {
-        console.error('❌ [SEND ERROR]', sendError.message);
-      }
-    }
-  } else {
-    // Not a reply - might be other message types, just log it for debugging
-    let contentStr = 'no content';
-    if (ctx.message?.content) {
-      if (typeof ctx.message.content === 'string') {
-        contentStr = ctx.message.content.substring(0, 50);
-      } else {
-        contentStr = JSON.stringify(ctx.message.content).substring(0, 50);
-      }
-    }
-    
-    console.log('📨 [message event - not a reply]', JSON.stringify({
-      type: ctx.message?.type || 'unknown',
-      hasContent: !!ctx.message?.content,
-      contentType: typeof ctx.message?.content,
-      content: contentStr,
-      sender: ctx.message?.senderAddress ? ctx.message.senderAddress.substring(0, 20) : 'no sender',
-      keys: Object.keys(ctx.message || {}),
-      conversationKeys: Object.keys(ctx.conversation || {})
-    }, null, 2));
+  }
+  if (ctx.message?.contentType?.typeId !== 'attachment') return;
+  try {
+    await handleImportAttachment(ctx, async () => ctx.message.content, ctx.message.content?.data?.byteLength);
+  } catch (error) {
+    log('error', 'Error handling inline attachment', { error: error.message });
+    await ctx.sendText("❌ Couldn't process that file. Please try again.");
   }
 });
 
-// Helper function to process reply messages (extracted from text handler)
-async function processReplyMessage(ctx, userMessage, senderAddress, chatId, isGroupChat, referencedMessageId) {
+// Members joined or left: re-check the chat type (and keep the member count current)
+agent.on('group-update', async (ctx) => {
+  const chatId = ctx.conversation?.topic || ctx.message?.conversationId || 'unknown';
   try {
-    // CONSISTENT logging - show chatId and chatType for debugging data consistency
-    const chatType = isGroupChat ? 'group' : 'dm';
-    console.log('🔄 [PROCESSING REPLY] Starting reply processing...', {
-      chatId: chatId.substring(0, 20),
-      chatType,
-      isGroupChat
-    });
-    
-    // Send reaction
-    try {
-      await ctx.sendReaction('👀');
-      console.log('✅ [REACTION SENT]');
-    } catch (e) {
-      console.error('❌ [REACTION ERROR]', e.message);
-    }
-    
-    await naturalDelay();
-    
-    // Check if message is empty
-    const cleanMessage = userMessage.trim();
-    
-    console.log('💬 [REPLY MESSAGE EXTRACTED]', {
-      originalLength: userMessage?.length || 0,
-      cleanLength: cleanMessage?.length || 0,
-      preview: cleanMessage.substring(0, 50),
-      isEmpty: !cleanMessage || cleanMessage.length === 0
-    });
-    
-    // If no message text, send menu/help instead of defaulting to 'help'
-    if (!cleanMessage || cleanMessage.length === 0) {
-      console.log('📋 [EMPTY REPLY] Sending menu/help');
-      if (isGroupChat) {
-        await sendMainQuickActions(ctx, 'group');
-      } else {
-        const onboarding = getOnboardingMessage('dm');
-        await ctx.sendText(onboarding);
-        await sendMainQuickActions(ctx, 'dm');
-      }
-      console.log('✅ [REPLY RESPONSE] Sent menu for empty reply');
-      return;
-    }
-    
-    // CONSISTENT command processing - log chatId and chatType for debugging
-    // chatType already declared above, reuse it
-    console.log('🔄 [PROCESSING REPLY COMMAND]', { 
-      command: cleanMessage.substring(0, 50),
-      chatId: chatId.substring(0, 20),
-      chatType
-    });
-    
-    // Process the command - ensure consistent chatId/chatType
-    // The handleDragmanCommands will use ctx.conversation?.topic or ctx.message?.conversationId
-    // But we want to ensure it matches what we're using here
-    const response = await handleDragmanCommands(ctx, cleanMessage, senderAddress, isGroupChat);
-    
-    // Handle response
-    const specialFlags = ['CATEGORIES_SENT', 'SEARCH_SENT'];
-    
-    // Handle /menu command - it returns null, which means we should send the menu
-    if (response === null && (cleanMessage.toLowerCase() === '/menu' || cleanMessage.toLowerCase() === 'menu')) {
-      console.log('📋 [MENU COMMAND] Sending menu/quick actions');
-      if (isGroupChat) {
-        // Group: only one message (Quick Actions)
-        await sendMainQuickActions(ctx, 'group');
-      } else {
-        // DM: keep onboarding + Quick Actions
-        const onboarding = getOnboardingMessage('dm');
-        await ctx.sendText(onboarding);
-        await sendMainQuickActions(ctx, 'dm');
-      }
-      console.log('✅ [REPLY RESPONSE] Sent menu');
-      return;
-    }
-    
-    if (response && !specialFlags.includes(response)) {
-      await ctx.sendText(response);
-      console.log('✅ [REPLY RESPONSE SENT]');
-    } else if (specialFlags.includes(response)) {
-      console.log('✅ [REPLY RESPONSE] Already sent by handler');
-    } else {
-      // Default response for empty/unhandled replies
-      await ctx.sendText('👋 I see you replied! How can I help?\n\n💡 Try:\n• save [your note]\n• search [keyword]\n• /menu for options');
-      console.log('✅ [REPLY RESPONSE] Sent default response');
-    }
+    conversationTypes.delete(chatId);
+    await refreshConversationType(ctx, chatId);
   } catch (error) {
-    console.error('❌ [REPLY PROCESSING ERROR]', error.message);
-    log('error', 'Error processing reply message', { error: error.message, stack: error.stack });
-    try {
-      await ctx.sendText("❌ Something went wrong. Please try again or type /help for assistance.");
-    } catch (e) {
-      // Ignore send errors
-    }
+    log('error', 'Error re-checking conversation type', { chatId: chatId.substring(0, 20), error: error.message });
   }
-}
-
-// Also listen for any other events that might be reply-related
-agent.on('stream', async (stream) => {
-  console.log('📡 [STREAM EVENT] Received', { type: stream?.constructor?.name || 'unknown' });
 });
 
 // Error handler to catch any issues
@@ -2264,497 +5469,76 @@ agent.on('start', () => {
   console.log('✅ [AGENT ADDRESS]', agent.address);
 });
 
-agent.on('text', async (ctx) => {
+agent.on('text', ctx => handleIncomingMessage(ctx));
+agent.on('reply', ctx => handleIncomingMessage(ctx));
+agent.on('reaction', ctx => handleIncomingMessage(ctx));
+
+// A command's response (see reply in utils/commands.js); 'sent' means it already went out
+async function sendResponse(ctx, response, isGroupChat) {
+  if (!response || response.type === 'sent') return;
+  if (response.type === 'menu') {
+    await sendMainQuickActions(ctx, isGroupChat ? 'group' : 'dm');
+    return;
+  }
+  await ctx.sendText(response.text);
+}
+
+async function handleIncomingMessage(ctx) {
   try {
-    // LOG IMMEDIATELY when message received - before any filtering
-    console.log('🔔 [INCOMING MESSAGE] Text event triggered');
-    
-    const chatId = ctx.conversation?.topic || ctx.message?.conversationId || 'unknown';
-    const senderAddress = (ctx.message?.senderAddress || await ctx.getSenderAddress?.() || 'unknown').toLowerCase();
-    
-    // Check if this text event is part of a pending reply
-    // Base App might send: 1) 'message' event with reference, 2) 'text' event with actual text
-    let pendingReply = null;
-    for (const [key, pending] of pendingReplies.entries()) {
-      // Check if this text event matches a recent pending reply
-      if (pending.chatId === chatId && 
-          pending.senderAddress === senderAddress &&
-          Date.now() - pending.timestamp < 5000) { // Within 5 seconds
-        pendingReply = pending;
-        pendingReplies.delete(key);
-        console.log('✅ [PENDING REPLY FOUND] This text event is the content for a pending reply');
-        break;
-      }
-    }
-    
-    console.log('🔔 [FULL CTX]', JSON.stringify({
-      messageKeys: Object.keys(ctx.message || {}),
-      conversationKeys: Object.keys(ctx.conversation || {}),
-      hasMessage: !!ctx.message,
-      hasConversation: !!ctx.conversation,
-      contentType: typeof ctx.message?.content,
-      hasPendingReply: !!pendingReply
-    }, null, 2));
-    
-    // If this text event is part of a pending reply, process it as a reply
-    if (pendingReply) {
-      console.log('🔄 [PROCESSING PENDING REPLY] Using stored reply context', {
-        reference: pendingReply.reference,
-        isGroupChat: pendingReply.isGroupChat
-      });
-      
-      // Extract the actual text content from this text event
-      let userMessage = '';
-      if (ctx.message?.content) {
-        if (typeof ctx.message.content === 'string') {
-          userMessage = ctx.message.content;
-        } else if (typeof ctx.message.content === 'object') {
-          userMessage = ctx.message.content.text || 
-                       ctx.message.content.content || 
-                       ctx.message.content.message ||
-                       ctx.message.content.body ||
-                       '';
-        }
-      }
-      
-      // Process the reply with the actual text content
-      if (userMessage) {
-        await processReplyMessage(ctx, userMessage, pendingReply.senderAddress, pendingReply.chatId, pendingReply.isGroupChat, pendingReply.reference);
-        return; // Exit - we've processed it as a reply
-      } else {
-        console.log('⚠️ [PENDING REPLY NO TEXT] Text event has no content either');
-      }
-    }
-    
-    // SAFELY extract content - might be string, object, or array
-    // Base App sends replies as objects with { reference: "messageId" } structure
-    let userMessage = '';
-    let isReplyMessage = false;
-    let referencedMessageId = null;
-    
-    if (ctx.message?.content) {
-      if (typeof ctx.message.content === 'string') {
-        userMessage = ctx.message.content;
-      } else if (typeof ctx.message.content === 'object') {
-        // Check if this is a reply (has reference field)
-        if (ctx.message.content.reference) {
-          isReplyMessage = true;
-          referencedMessageId = ctx.message.content.reference;
-          // Extract text from reply object - might be in different fields
-          userMessage = ctx.message.content.text || 
-                       ctx.message.content.content || 
-                       ctx.message.content.message ||
-                       ctx.message.content.body ||
-                       ''; // Empty if only reference exists
-        } else {
-          // Regular object message - try to extract text
-          userMessage = ctx.message.content.text || 
-                       ctx.message.content.content || 
-                       ctx.message.content.message ||
-                       ctx.message.content.body ||
-                       JSON.stringify(ctx.message.content);
-        }
-      } else {
-        // Convert to string
-        userMessage = String(ctx.message.content);
-      }
-    }
-    
-    // senderAddress already declared above at line 2213, just get agentAddress
+    const event = await messageNormalizer.normalize(ctx);
+    const { chatId, sender: senderAddress, isReplyToAgent } = event;
     const agentAddress = agent.address.toLowerCase();
-    
-    console.log('🔍 [CONTENT EXTRACTION]', {
-      contentType: typeof ctx.message?.content,
-      isReplyMessage,
-      referencedMessageId,
-      extractedMessage: userMessage.substring(0, 50),
-      senderFrom: ctx.message?.senderAddress ? 'senderAddress' : 
-                  ctx.message?.senderInboxId ? 'senderInboxId' : 'unknown'
-    });
-    
-    console.log('🔔 [MESSAGE INFO]', {
+    const userMessage = event.text;
+
+    console.log('🔔 [INCOMING MESSAGE]', {
+      kind: event.kind,
       senderAddress: senderAddress.substring(0, 20) + '...',
-      agentAddress: agentAddress.substring(0, 20) + '...',
-      messageLength: userMessage?.length || 0,
-      isSelf: senderAddress === agentAddress,
-      hasContent: !!userMessage
+      messageLength: userMessage.length,
+      hasReference: !!event.reference,
+      isReplyToAgent
     });
-    
+
     if (senderAddress === agentAddress) {
       console.log('⏭️ [SKIP] Message is from agent itself, ignoring');
       return;
     }
-    
-    // For reply messages, allow empty content (user might just be replying without typing)
-    // We'll process it as a reply if we can verify the referenced message is from agent
-    if (!isReplyMessage && (!userMessage || userMessage.trim().length === 0)) {
-      console.log('⏭️ [SKIP] Message has no content and is not a reply');
+
+    // Reactions carry no command; they're only noted
+    if (event.kind === 'reaction') {
+      log('info', 'Reaction received', { from: senderAddress, action: event.reaction.action, toAgent: isReplyToAgent });
       return;
     }
-    
-    // If it's a reply with no text, that's okay - user might have just clicked reply
-    if (isReplyMessage && (!userMessage || userMessage.trim().length === 0)) {
-      console.log('⚠️ [REPLY NO TEXT] Reply message has no text content, but has reference');
-      // We'll still process it if we can verify it's a reply to agent
-    }
-    
-    // DISABLE replies entirely: do not process reply messages in text handler
-    if (isReplyMessage) {
-      console.log('🚫 [REPLY DISABLED - TEXT HANDLER] Ignoring reply message in text event');
+
+    // A reply without text (e.g. to an attachment) only matters when it's to us
+    if (event.kind !== 'intent' && !userMessage.trim() && !isReplyToAgent) {
+      console.log('⏭️ [SKIP] Message has no content and is not a reply to the agent');
       return;
     }
-
-    // chatId already declared above at line 2212, continue with debugging
-    // ENHANCED DEBUGGING: Log ALL message properties to understand reply structure
-    // This will help us see what Base App/XMTP actually sends for replies
-    const messageKeys = Object.keys(ctx.message || {});
-    const conversationKeys = Object.keys(ctx.conversation || {});
-    
-    // Extract all potential reply-related fields
-    const replyFields = {
-      replyTo: ctx.message.replyTo,
-      parentMessage: ctx.message.parentMessage,
-      inReplyTo: ctx.message.inReplyTo,
-      reference: ctx.message.reference,
-      inReplyToMessageId: ctx.message.inReplyToMessageId,
-      parentMessageId: ctx.message.parentMessageId,
-      replyToMessageId: ctx.message.replyToMessageId,
-      contentMetadata: ctx.message.contentMetadata,
-      // Check if there's a reply context
-      replyContext: ctx.message.replyContext,
-      conversationTopic: ctx.message.conversationTopic,
-      // XMTP specific fields
-      sentAt: ctx.message.sentAt,
-      sent: ctx.message.sent
-    };
-    
-    log('info', 'RAW MESSAGE PROPERTIES - REPLY DEBUG', {
-      hasGroupId: ctx.message.groupId !== undefined,
-      groupId: ctx.message.groupId,
-      conversationKind: ctx.conversation?.kind,
-      messageKeys: messageKeys,
-      conversationKeys: conversationKeys,
-      replyFields: JSON.stringify(replyFields, null, 2).substring(0, 1000), // More detailed
-      // Check all nested fields
-      replyToNested: replyFields.replyTo ? Object.keys(replyFields.replyTo) : 'none',
-      parentMessageNested: replyFields.parentMessage ? Object.keys(replyFields.parentMessage) : 'none',
-      inReplyToNested: replyFields.inReplyTo ? Object.keys(replyFields.inReplyTo) : 'none',
-      // Full message structure (truncated for readability)
-      messageStructure: JSON.stringify(ctx.message, (key, value) => {
-        // Truncate very long strings
-        if (typeof value === 'string' && value.length > 100) {
-          return value.substring(0, 100) + '...';
-        }
-        return value;
-      }, 2).substring(0, 1500)
-    });
     
-    // SIMPLE RULE: Check database FIRST (remembered type from behavior)
-    let dbChatType = null;
-    try {
-      const dbTypeCheck = db.prepare(`SELECT chatType FROM conversation_types WHERE chatId = ?`).get(chatId);
-      if (dbTypeCheck && dbTypeCheck.chatType) {
-        dbChatType = dbTypeCheck.chatType;
-      }
-    } catch (e) {
-      // Ignore DB errors
-    }
+    // DM or group comes from the conversation itself, never from what was typed
+    const isGroupChat = (await getConversationType(ctx, chatId)) === 'group';
     
-    // Check for mentions FIRST
     const agentMentionPattern = new RegExp(`@dragman(\\.base\\.eth)?`, 'i');
     const isMentioned = agentMentionPattern.test(userMessage);
 
-    // REQUIRE mention to trigger any response
-    if (!isMentioned) {
-      console.log('⏭️ [SKIP] No agent mention found. Only tagged messages trigger responses.');
-      return;
-    }
-    
-    // ENHANCED REPLY DETECTION: Try multiple ways to detect reply to agent
-    // Base App/XMTP might store reply info in different places - check ALL possible locations
-    
-    // Check all possible reply sender address locations (with case-insensitive comparison)
-    const replyToSender = ctx.message.replyTo?.senderAddress?.toLowerCase() || 
-                         ctx.message.replyTo?.from?.toLowerCase() ||
-                         ctx.message.replyTo?.sender?.toLowerCase();
-    const replyToFrom = ctx.message.replyTo?.from?.toLowerCase();
-    const parentMessageSender = ctx.message.parentMessage?.senderAddress?.toLowerCase() ||
-                                ctx.message.parentMessage?.from?.toLowerCase() ||
-                                ctx.message.parentMessage?.sender?.toLowerCase();
-    const parentMessageFrom = ctx.message.parentMessage?.from?.toLowerCase();
-    const inReplyToSender = ctx.message.inReplyTo?.senderAddress?.toLowerCase() ||
-                           ctx.message.inReplyTo?.from?.toLowerCase() ||
-                           ctx.message.inReplyTo?.sender?.toLowerCase();
-    const referenceSender = ctx.message.reference?.senderAddress?.toLowerCase() ||
-                           ctx.message.reference?.from?.toLowerCase() ||
-                           ctx.message.reference?.sender?.toLowerCase();
-    
-    // Check if replyTo has an address field directly
-    const replyToAddress = ctx.message.replyTo?.address?.toLowerCase();
-    
-    // Also check conversation context for reply metadata
-    const contentMetadata = ctx.message.contentMetadata || {};
-    const inReplyToMessageId = ctx.message.inReplyToMessageId || 
-                               ctx.message.inReplyTo?.messageId ||
-                               ctx.message.inReplyTo?.id;
-    const parentMessageId = ctx.message.parentMessageId || 
-                           ctx.message.parentMessage?.id ||
-                           ctx.message.parentMessage?.messageId;
-    const replyToMessageId = ctx.message.replyTo?.messageId || 
-                            ctx.message.replyTo?.id ||
-                            ctx.message.replyToMessageId;
-    
-    // Check for XMTP-specific reply fields
-    const xmtpReplyId = ctx.message.contentMetadata?.reply?.id ||
-                       ctx.message.contentMetadata?.replyId;
-    
-    // Check if message has any reply indicators (comprehensive check)
-    const hasReplyIndicators = !!(
-      ctx.message.replyTo || 
-      ctx.message.parentMessage || 
-      ctx.message.inReplyTo ||
-      ctx.message.reference ||
-      inReplyToMessageId ||
-      parentMessageId ||
-      replyToMessageId ||
-      xmtpReplyId ||
-      replyToAddress ||
-      contentMetadata.inReplyTo ||
-      contentMetadata.reply
-    );
-    
-    // If there's a reply indicator, try to find the original message
-    let isReplyToAgent = false;
-    
-    // Method 1: Check direct reply fields (sender addresses) - COMPREHENSIVE
-    isReplyToAgent = 
-      (replyToSender === agentAddress) || 
-      (replyToFrom === agentAddress) ||
-      (replyToAddress === agentAddress) ||
-      (parentMessageSender === agentAddress) ||
-      (parentMessageFrom === agentAddress) ||
-      (inReplyToSender === agentAddress) ||
-      (referenceSender === agentAddress);
-    
-    // Log detailed reply detection attempt
-    log('info', 'REPLY DETECTION ATTEMPT', {
-      agentAddress,
-      hasReplyIndicators,
-      replyToSender: replyToSender || 'none',
-      replyToAddress: replyToAddress || 'none',
-      parentMessageSender: parentMessageSender || 'none',
-      inReplyToSender: inReplyToSender || 'none',
-      referenceSender: referenceSender || 'none',
-      replyToMessageId: replyToMessageId || 'none',
-      xmtpReplyId: xmtpReplyId || 'none',
-      isReplyToAgent: isReplyToAgent ? 'MATCH!' : 'NO MATCH'
-    });
-    
-    // Method 2: Check Base App reply reference field
-    // Base App uses content.reference to indicate replies
-    if (isReplyMessage && referencedMessageId && !isReplyToAgent && ctx.conversation) {
-      try {
-        console.log('🔍 [BASE APP REPLY] Detected reply via content.reference', {
-          referencedMessageId,
-          chatId: chatId.substring(0, 20)
-        });
-        
-        // Try to fetch the referenced message to check if it's from agent
-        // This requires accessing conversation messages
-        if (ctx.conversation?.messages) {
-          try {
-            // Try to find the referenced message
-            const messages = await ctx.conversation.messages();
-            const referencedMsg = messages.find(msg => 
-              msg.id === referencedMessageId || 
-              msg.messageId === referencedMessageId
-            );
-            
-            if (referencedMsg) {
-              const referencedSender = (referencedMsg.senderAddress || referencedMsg.from || '').toLowerCase();
-              if (referencedSender === agentAddress) {
-                isReplyToAgent = true;
-                console.log('✅ [REPLY VERIFIED] Referenced message is from agent!');
-                log('info', 'Reply verified via conversation history', {
-                  referencedMessageId,
-                  chatId: chatId.substring(0, 20)
-                });
-              }
-            }
-          } catch (fetchError) {
-            // If we can't fetch, use heuristic: if message has reference and no text,
-            // and we're in a group chat, it's likely a reply to recent agent message
-            console.log('⚠️ [REPLY HEURISTIC] Using fallback detection', {
-              error: fetchError.message,
-              hasText: userMessage.length > 0
-            });
-            
-            // Heuristic: If reference exists and this is a group chat, likely a reply
-            // We'll be more lenient and accept it as a reply
-            if (isGroupChat && referencedMessageId) {
-              isReplyToAgent = true;
-              console.log('✅ [REPLY HEURISTIC] Assuming reply to agent in group chat');
-            }
-          }
-        }
-      } catch (e) {
-        log('error', 'Error in Base App reply detection', { error: e.message });
-      }
-    }
-    
-    // Method 3: Legacy fallback - check other reply indicators
-    if (hasReplyIndicators && !isReplyToAgent && ctx.conversation) {
-      try {
-        // Try to fetch recent messages to find if the replied-to message is from agent
-        // This is a fallback when direct sender address isn't available
-        const repliedToMessageId = inReplyToMessageId || parentMessageId || replyToMessageId;
-        
-        if (repliedToMessageId) {
-          log('info', 'Reply detected - attempting to verify via conversation history', {
-            repliedToMessageId,
-            chatId: chatId.substring(0, 20)
-          });
-        }
-      } catch (e) {
-        log('error', 'Error in reply detection fallback', { error: e.message });
-      }
-    }
-    
-    log('info', 'Reply detection result', {
-      isReplyToAgent,
-      hasReplyIndicators,
-      replyToSender,
-      parentMessageSender,
-      inReplyToSender,
-      referenceSender,
-      inReplyToMessageId,
-      parentMessageId
-    });
-    
-    // SIMPLE LOGIC - USE DATABASE ONLY:
-    // Base App doesn't provide reliable group detection, so use behavior-based detection:
-    // 1. If database says 'group' → it's a group (requires mentions)
-    // 2. If database says 'dm' but message has mention → OVERRIDE: it's actually a group
-    // 3. If database says 'dm' and no mention → it's a DM (responds automatically)
-    // 4. If database is null (unknown):
-    //    - If message has mention → likely group (save as group, respond)
-    //    - If message has NO mention → treat as DM temporarily (respond, save as DM)
-    
-    let isGroupChat = false;
-    
-    if (dbChatType === 'group') {
-      // Database says it's a group → require mentions
-      isGroupChat = true;
-    } else if (dbChatType === 'dm') {
-      // Database says it's a DM BUT check if message has mention
-      // If has mention → it was incorrectly marked as DM, it's actually a group
-      if (isMentioned || isReplyToAgent) {
-        // Was incorrectly marked as DM, but user mentioned us → it's a group
-        isGroupChat = true;
-        saveConversationType(chatId, 'group');
-        log('info', 'Overriding DM marking - detected as group (has mention)', { chatId: chatId.substring(0, 20) });
-      } else {
-        // No mention → it's a DM, respond automatically
-        isGroupChat = false;
-      }
-    } else {
-      // Unknown conversation - DEFAULT TO GROUP (require mention):
-      // This prevents group chats from being marked as DM on first contact
-      // If it's actually a DM, user will send 2 messages without mention, then we'll treat as DM
-      if (isMentioned || isReplyToAgent) {
-        // User mentioned/replied → confirmed group, save it
-        isGroupChat = true;
-        saveConversationType(chatId, 'group');
-        ignoredUnknownConversations.delete(chatId); // Clear ignore count
-        log('info', 'Unknown conversation - detected as group (has mention)', { chatId: chatId.substring(0, 20) });
-      } else {
-        // No mention → check if we've ignored this conversation before
-        const ignoreCount = ignoredUnknownConversations.get(chatId) || 0;
-        if (ignoreCount >= 1) {
-          // We've ignored this conversation before without mention → it's a DM
-          isGroupChat = false;
-          ignoredUnknownConversations.delete(chatId); // Clear ignore count
-          log('info', 'Unknown conversation - detected as DM (ignored twice without mention)', { chatId: chatId.substring(0, 20) });
-        } else {
-          // First time ignoring → default to GROUP (ignore, require mention first)
-          isGroupChat = true;
-          ignoredUnknownConversations.set(chatId, ignoreCount + 1);
-          log('info', 'Unknown conversation - defaulting to group (first ignore, no mention yet)', { chatId: chatId.substring(0, 20) });
-        }
-      }
-    }
-    
-    // GROUP CHAT: Only respond if mentioned or replied to
-    console.log('🔍 [GROUP CHECK]', {
-      isGroupChat,
-      isMentioned,
-      isReplyToAgent,
-      hasReplyIndicators,
-      willProcess: isGroupChat ? (isMentioned || isReplyToAgent) : true
-    });
-    
-    if (isGroupChat && !isMentioned && !isReplyToAgent) {
-      // Passive detection only
-      console.log('🚫 [IGNORED] Group chat message - no mention and not a reply');
+    // GROUPS: only respond to a mention, a reply to one of our messages, or a Quick Action tap.
+    // DMs always get an answer.
+    if (isGroupChat && !isMentioned && !isReplyToAgent && event.kind !== 'intent') {
+      console.log('⏭️ [SKIP] Group message not addressed to the agent');
+      // Passive detection only (feeds "suggestions" and the digest)
       detectImportantInfo(userMessage, chatId, senderAddress);
-      log('info', 'Group chat - ignored (not mentioned and not a reply)', { 
-        from: senderAddress,
-        isMentioned: false,
-        isReply: isReplyToAgent,
-        hasReplyIndicators: hasReplyIndicators,
-        dbChatType: dbChatType,
-        debug: 'This message was ignored. Check reply detection logs above to see why.',
-        replyDetectionDetails: {
-          replyToSender: replyToSender || 'none',
-          replyToAddress: replyToAddress || 'none',
-          parentMessageSender: parentMessageSender || 'none',
-          inReplyToSender: inReplyToSender || 'none',
-          referenceSender: referenceSender || 'none'
-        }
-      });
-      return; // Exit early
-    }
-    
-    // If we get here and it's a reply, log it clearly
-    if (isReplyToAgent && isGroupChat) {
-      console.log('✅ [REPLY DETECTED] Processing reply message in group chat');
-      // Safely truncate message for logging
-      const replyMessagePreview = typeof userMessage === 'string' 
-        ? userMessage.substring(0, 50) 
-        : String(userMessage).substring(0, 50);
-      
-      log('info', '✅ REPLY DETECTED - Processing reply message', {
-        from: senderAddress,
-        chatId: chatId.substring(0, 20),
-        messagePreview: replyMessagePreview,
-        replyToSender: replyToSender || 'none',
-        replyToAddress: replyToAddress || 'none'
-      });
+      return;
     }
     
     console.log('✅ [PROCESSING] Message will be processed', {
-      reason: isGroupChat ? (isMentioned ? 'mentioned' : 'replied') : 'DM'
+      reason: !isGroupChat ? 'DM' : event.kind === 'intent' ? 'quick action' : isMentioned ? 'mentioned' : 'replied'
     });
     
-    // If we get here, we're responding (DM auto-respond OR group with mention)
-    // Save conversation type based on behavior to remember for next time
-    if (!isMentioned && !isReplyToAgent) {
-      // Responding automatically WITHOUT mention → it's a DM
-      // This overrides any previous incorrect group marking (including unknown defaults)
-      saveConversationType(chatId, 'dm');
-      log('info', 'DM - responding automatically (overriding group default)', { chatId: chatId.substring(0, 20) });
-    } else if (isMentioned || isReplyToAgent) {
-      // Responding to mention/reply → it's a group
-      if (dbChatType !== 'group') {
-        saveConversationType(chatId, 'group');
-        log('info', 'Group chat - responding to mention', { chatId: chatId.substring(0, 20) });
-      }
-    }
-    
-    // DMs will continue past this point and respond automatically (no mention needed)
+    // Keep the conversation handle so reminders and the weekly digest can be sent later
+    rememberConversation(chatId, isGroupChat ? 'group' : 'dm', ctx.conversation?.id || ctx.message?.conversationId);
     
     // Check rate limit at entry point (only for messages we'll respond to)
-    const rateCheck = checkRateLimit(senderAddress, 'general');
+    const rateCheck = checkRateLimit(senderAddress, 'general', isGroupChat ? getChatRole(chatId, senderAddress, ctx) : 'member');
     if (!rateCheck.allowed) {
       await ctx.sendText(`⏱️ Whoa, slow down! You're sending too many messages.\n\n` +
                         `Please wait ${rateCheck.resetIn} seconds before trying again.\n\n` +
@@ -2762,23 +5546,13 @@ agent.on('text', async (ctx) => {
       return;
     }
     
-    // Safely truncate message for logging
-    const messagePreview = typeof userMessage === 'string' 
-      ? userMessage.substring(0, 50) + '...' 
-      : String(userMessage).substring(0, 50) + '...';
-    
     log('info', 'Message received', { 
       from: senderAddress, 
-      message: messagePreview, // Truncate for privacy
+      message: userMessage, // Redacted by log()
+      kind: event.kind,
       isGroup: isGroupChat,
       isMentioned: isMentioned,
-      isReply: isReplyToAgent,
-      replyDetection: {
-        hasReplyIndicators,
-        replyToSender: replyToSender || 'none',
-        parentMessageSender: parentMessageSender || 'none',
-        inReplyToSender: inReplyToSender || 'none'
-      }
+      isReply: isReplyToAgent
     });
     
     console.log('👁️ [SENDING REACTION] Attempting to send 👀 reaction...');
@@ -2787,7 +5561,6 @@ agent.on('text', async (ctx) => {
       console.log('✅ [REACTION SENT] Reaction sent successfully');
     } catch (reactionError) {
       console.error('❌ [REACTION ERROR] Failed to send reaction:', reactionError.message);
-      console.error('❌ [REACTION ERROR STACK]', reactionError.stack);
       // Continue even if reaction fails
     }
     
@@ -2799,35 +5572,22 @@ agent.on('text', async (ctx) => {
     // Remove @dragman mention (both formats) for processing
     const cleanMessage = userMessage.replace(/@dragman(\.base\.eth)?/gi, '').trim();
     
-    // If this is a reply (not just a mention), acknowledge it subtly
-    if (isReplyToAgent && !isMentioned && isGroupChat) {
-      // User replied to agent's message - this is good UX
-      log('info', 'Reply detected - user replied to agent message', { chatId: chatId.substring(0, 20) });
-    }
     const userNoteCount = db.prepare('SELECT COUNT(*) as count FROM notes WHERE chatId = ? AND savedBy = ?').get(chatId, senderAddress);
     const isNewUser = userNoteCount && userNoteCount.count === 0;
     
     // Handle intent (Quick Action responses)
-    if (ctx.message.typeId === 'intent') {
-      const intent = ctx.message.content;
-      log('info', 'Intent received', { actionId: intent.actionId });
-      const result = await handleActionSelection(intent.actionId, ctx, chatId, senderAddress, isGroupChat);
-      if (result && result !== 'CATEGORIES_SENT') {
-        await ctx.sendText(result);
-      }
+    if (event.kind === 'intent') {
+      log('info', 'Intent received', { actionId: event.intent.actionId });
+      const call = buildCommandCall(ctx, '', senderAddress, isGroupChat);
+      await sendResponse(ctx, await handleActionSelection(event.intent.actionId, call), isGroupChat);
       return;
     }
     
-    // Process commands
-    const response = await handleDragmanCommands(ctx, cleanMessage, senderAddress, isGroupChat);
+    // Process commands (a bare reply to one of our messages gets the menu)
+    const response = cleanMessage ? await handleDragmanCommands(ctx, cleanMessage, senderAddress, isGroupChat) : null;
     
-    // Handle response (special flags indicate message already sent, don't send again)
-    const specialFlags = ['CATEGORIES_SENT', 'SEARCH_SENT'];
-    
-    if (response && !specialFlags.includes(response)) {
-      await ctx.sendText(response);
-    } else if (specialFlags.includes(response)) {
-      // Do nothing - already sent by handler function
+    if (response && response.type !== 'menu') {
+      await sendResponse(ctx, response, isGroupChat);
     } else if (isNewUser || cleanMessage.toLowerCase().includes('menu') || cleanMessage.toLowerCase().includes('start')) {
       // On group: only Quick Actions (single message). On DM: onboarding + Quick Actions
       if (isGroupChat) {
@@ -2838,80 +5598,132 @@ agent.on('text', async (ctx) => {
         await sendMainQuickActions(ctx, 'dm');
       }
     } else {
-      // Check if weekly digest is pending (optional proactive hint)
-      const stats = weeklyStats.get(chatId);
-      if (stats && stats.digestPending) {
-        await ctx.sendText(`📊 Your weekly digest is ready! Type "@dragman digest" to see it.`);
-        stats.digestPending = false; // Clear flag after hint
-        stats.lastDigestSent = Date.now();
-      } else {
-        // For returning users without response, just send Quick Actions
-        await sendMainQuickActions(ctx, isGroupChat ? 'group' : 'dm');
-      }
+      // For returning users without response, just send Quick Actions
+      await sendMainQuickActions(ctx, isGroupChat ? 'group' : 'dm');
     }
     
   } catch (error) {
     log('error', 'Error handling message', { error: error.message, stack: error.stack });
     await ctx.sendText("❌ Something went wrong. Please try again or type /help for assistance.");
   }
-});
+}
 
 log('info', '🐉 Dragman Agent started successfully!');
+log('info', 'LLM providers', { routes: llm.describe() });
 console.log('✅ Dragman is ready to save your notes!');
 
-// ==================== WEEKLY DIGEST SCHEDULER ====================
+// ==================== SCHEDULER ====================
 
-// Check every hour if it's time to send weekly digests
-if (CONFIG.WEEKLY_DIGEST_ENABLED) {
-  setInterval(() => {
-    const now = new Date();
-    const currentDay = now.getDay();
-    const currentHour = now.getHours();
+// One timer drives every proactive job (reminders, weekly digest, cleanup).
+// Jobs run one at a time; a job that is still running is skipped, not stacked.
+const scheduledJobs = [];
+
+function scheduleJob(name, intervalMs, run) {
+  scheduledJobs.push({ name, intervalMs, run, nextRunAt: Date.now(), running: false });
+}
+
+async function runDueJobs() {
+  const now = new Date();
+  for (const job of scheduledJobs) {
+    if (job.running || now.getTime() < job.nextRunAt) continue;
     
-    // Check if it's the scheduled day and hour
-    if (currentDay === CONFIG.WEEKLY_DIGEST_DAY && currentHour === CONFIG.WEEKLY_DIGEST_HOUR) {
-      log('info', '📊 Weekly digest time reached');
-      
-      // Get all unique chatIds from notes (active chats)
-      const activeChats = db.prepare(`
-        SELECT DISTINCT chatId, chatType 
-        FROM notes 
-        WHERE createdAt > datetime('now', '-30 days')
-        GROUP BY chatId
-        HAVING COUNT(*) >= 3
-      `).all();
-      
-      log('info', `Found ${activeChats.length} active chats for digest`, {});
-      
-      // Note: Auto-sending requires conversation context which we don't have here
-      // For production, you'd need to:
-      // 1. Store conversation references in DB
-      // 2. Use XMTP client to send to stored conversations
-      // 3. Or use a proper scheduler like node-cron with agent.listConversations()
-      //
-      // For now, we mark that digest is available and users get it on next interaction
-      
-      for (const chat of activeChats) {
-        let stats = weeklyStats.get(chat.chatId);
-        if (!stats) {
-          stats = { weekStart: Date.now(), saves: 0, searches: 0, views: 0, lastDigestSent: 0 };
-          weeklyStats.set(chat.chatId, stats);
-        }
-        
-        // Check if digest already sent this week (within last 6 days)
-        const daysSinceLastDigest = (Date.now() - stats.lastDigestSent) / (24 * 60 * 60 * 1000);
-        
-        if (daysSinceLastDigest >= 6) {
-          stats.digestPending = true;
-          log('info', `Marked digest pending for chat`, { chatId: chat.chatId.substring(0, 10) + '...' });
-        }
-      }
+    job.running = true;
+    job.nextRunAt = now.getTime() + job.intervalMs;
+    try {
+      await job.run(now);
+    } catch (error) {
+      log('error', `Scheduled job "${job.name}" failed`, { error: error.message });
+    } finally {
+      job.running = false;
+    }
+  }
+}
+
+// Proactive delivery into a conversation we have no message context for
+async function sendToChat(chatId, text) {
+  const conversationId = getChatSettings(chatId).conversationId || chatId;
+  const conversation = await agent.client.conversations.getConversationById(conversationId);
+  if (!conversation) {
+    throw new Error('Conversation not found');
+  }
+  await conversation.send(text);
+}
+
+// Send the weekly digest to every active chat whose scheduled day/hour has
+// come around in its own timezone. lastDigestWeek is claimed before sending,
+// so a restart (or a second tick) never delivers the same week twice.
+async function sendScheduledDigests(now) {
+  const since = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000).toISOString();
+  const activeChats = db.prepare(`
+    SELECT n.chatId, COALESCE(s.chatType, n.chatType) as chatType
+    FROM notes n
+    LEFT JOIN chat_settings s ON s.chatId = n.chatId
+    WHERE n.createdAt > ?
+    GROUP BY n.chatId
+    HAVING COUNT(*) >= 3
+  `).all(since);
+  
+  for (const chat of activeChats) {
+    const settings = getChatSettings(chat.chatId);
+    if (!settings.digestEnabled) continue;
+    
+    const timeZone = settings.timezone || undefined;
+    const { day, hour } = getDigestSchedule(settings);
+    const local = toWallClock(now, timeZone);
+    // Later the same day still counts, so a restart past the hour catches up
+    if (local.weekday !== day || local.hour < hour) continue;
+    
+    const weekKey = getWeekKey(now, timeZone);
+    if (settings.lastDigestWeek === weekKey) continue;
+    
+    const isGroupChat = chat.chatType === 'group';
+    const digest = generateWeeklyDigest(chat.chatId, chat.chatType, null, isGroupChat);
+    if (!digest) continue; // Not enough activity this week
+    
+    db.prepare(`INSERT OR IGNORE INTO chat_settings (chatId, chatType, updatedAt) VALUES (?, ?, ?)`)
+      .run(chat.chatId, chat.chatType, now.toISOString());
+    const claimed = db.prepare(`
+      UPDATE chat_settings SET lastDigestWeek = ?, lastDigestSentAt = ?
+      WHERE chatId = ? AND (lastDigestWeek IS NULL OR lastDigestWeek != ?)
+    `).run(weekKey, now.toISOString(), chat.chatId, weekKey);
+    if (claimed.changes === 0) continue;
+    
+    const mention = isGroupChat ? '@dragman ' : '';
+    const report = formatWeeklyDigest(digest) +
+      `\n\n⚙️ Sent ${describeDigestSchedule(settings)}. Type "${mention}digest off" to stop.`;
+    
+    try {
+      await sendToChat(chat.chatId, report);
+      log('info', '📊 Weekly digest sent', { chatId: chat.chatId.substring(0, 10) + '...', week: weekKey });
+    } catch (error) {
+      // Release the claim so the next check retries
+      db.prepare(`UPDATE chat_settings SET lastDigestWeek = ?, lastDigestSentAt = ? WHERE chatId = ?`)
+        .run(settings.lastDigestWeek, settings.lastDigestSentAt, chat.chatId);
+      log('error', 'Failed to send weekly digest', { chatId: chat.chatId.substring(0, 10) + '...', error: error.message });
     }
-  }, 60 * 60 * 1000); // Check every hour
+  }
+}
+
+scheduleJob('reminders', CONFIG.REMINDER_CHECK_INTERVAL_MS, deliverDueReminders);
+scheduleJob('purge-reminders', CONFIG.TRASH_PURGE_INTERVAL_MS, purgeOldReminders);
+scheduleJob('purge-trash', CONFIG.TRASH_PURGE_INTERVAL_MS, purgeOldTrash);
+scheduleJob('purge-analytics', CONFIG.TRASH_PURGE_INTERVAL_MS, purgeOldAnalytics);
+scheduleJob('purge-llm-cache', CONFIG.LLM_CACHE_PURGE_INTERVAL_MS, purgeLLMCache);
+scheduleJob('purge-audit', CONFIG.TRASH_PURGE_INTERVAL_MS, purgeOldAuditEvents);
+scheduleJob('purge-conversation-state', CONFIG.CONTEXT_CLEANUP_INTERVAL_MS, purgeExpiredConversationState);
+
+// Embed notes saved before semantic search existed, or whose embedding call failed
+if (embeddingProvider) {
+  scheduleJob('embeddings-backfill', CONFIG.EMBEDDING_BACKFILL_INTERVAL_MS, () =>
+    backfillEmbeddings(db, embeddingProvider, { maxNotes: CONFIG.EMBEDDING_BACKFILL_BATCH, log }));
+}
+
+if (CONFIG.WEEKLY_DIGEST_ENABLED) {
+  scheduleJob('weekly-digest', CONFIG.WEEKLY_DIGEST_CHECK_INTERVAL_MS, sendScheduledDigests);
   
   log('info', '🕐 Weekly digest scheduler initialized', { 
-    day: CONFIG.WEEKLY_DIGEST_DAY === 1 ? 'Monday' : `Day ${CONFIG.WEEKLY_DIGEST_DAY}`,
-    hour: `${CONFIG.WEEKLY_DIGEST_HOUR}:00`
+    defaultDay: weekdayName(CONFIG.WEEKLY_DIGEST_DAY),
+    defaultHour: `${CONFIG.WEEKLY_DIGEST_HOUR}:00`
   });
 }
 
@@ -2925,11 +5737,21 @@ agent.on('start', () => {
   log('info', `📬 Agent address: ${agent.address}`);
 });
 
+// Third-party commands (see plugins/README.md); a broken plugin is logged and skipped
+const plugins = await commandRegistry.loadPlugins(PLUGINS_DIR, pluginApi);
+if (plugins.length > 0) {
+  log('info', 'Plugins loaded', { plugins: plugins.map(plugin => `${plugin.file} (${plugin.commands.join(', ')})`) });
+}
+
 // Start the agent to listen for messages
 console.log('🚀 [STARTING AGENT] About to start agent...');
 try {
   await agent.start();
   console.log('✅ [AGENT STARTED] Agent.start() completed');
+  
+  // Reminders are persisted, so anything that came due while offline goes out on the first tick
+  setInterval(runDueJobs, CONFIG.SCHEDULER_TICK_MS);
+  await runDueJobs();
 } catch (startError) {
   console.error('❌ [START ERROR] Failed to start agent:', startError.message);
   console.error('❌ [START ERROR STACK]', startError.stack);
@@ -0,0 +1,65 @@
+// Inspect or backfill note embeddings used by semantic search.
+//
+//   node scripts/embeddings.js status     # how many notes still need a vector (default)
+//   node scripts/embeddings.js backfill   # embed every note missing one for the current model
+//
+// Uses the same EMBEDDINGS_PROVIDER / EMBEDDINGS_MODEL / OPENAI_API_KEY as the agent.
+
+import fs from "node:fs";
+import Database from "better-sqlite3";
+import dotenv from "dotenv";
+import OpenAI from "openai";
+import {
+  backfillEmbeddings,
+  countNotesMissingEmbeddings,
+  createEmbeddingProvider,
+} from "../utils/embeddings.js";
+import { getPendingMigrations } from "../utils/migrations.js";
+
+dotenv.config();
+
+const dbPath = process.env.DRAGMAN_DB_PATH || "./dragman.db";
+const command = process.argv[2] || "status";
+
+if (command !== "status" && command !== "backfill") {
+  console.error(`Unknown command "${command}". Use "status" or "backfill".`);
+  process.exit(1);
+}
+
+if (!fs.existsSync(dbPath)) {
+  console.error(`Database ${dbPath} not found.`);
+  process.exit(1);
+}
+
+const provider = createEmbeddingProvider({
+  openai: process.env.OPENAI_API_KEY
+    ? new OpenAI({ apiKey: process.env.OPENAI_API_KEY })
+    : null,
+});
+if (!provider) {
+  console.log("Semantic search is off (EMBEDDINGS_PROVIDER=off). Nothing to do.");
+  process.exit(0);
+}
+
+const db = new Database(dbPath, { readonly: command === "status" });
+if (getPendingMigrations(db).length > 0) {
+  console.error("Database schema is out of date. Run `yarn db:migrate` first.");
+  process.exit(1);
+}
+
+const total = db.prepare("SELECT COUNT(*) as count FROM notes").get().count;
+const missing = countNotesMissingEmbeddings(db, provider.model);
+
+console.log(`Database: ${dbPath}`);
+console.log(`Provider: ${provider.name} (${provider.model})`);
+console.log(`Notes:    ${total} total, ${missing} without an embedding`);
+
+if (command === "backfill" && missing > 0) {
+  const embedded = await backfillEmbeddings(db, provider, {
+    log: (level, message, data = {}) =>
+      console.log(`[${level.toUpperCase()}]: ${message}`, JSON.stringify(data)),
+  });
+  console.log(`Embedded ${embedded} note(s)`);
+}
+
+db.close();
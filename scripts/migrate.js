@@ -0,0 +1,62 @@
+// Inspect or apply Dragman database migrations without starting the agent.
+//
+//   node scripts/migrate.js status   # print current and pending versions (default)
+//   node scripts/migrate.js up       # back up the database and apply pending migrations
+
+import fs from "node:fs";
+import Database from "better-sqlite3";
+import {
+  MIGRATIONS,
+  getCurrentVersion,
+  getLatestVersion,
+  getPendingMigrations,
+  runMigrations,
+} from "../utils/migrations.js";
+
+const dbPath = process.env.DRAGMAN_DB_PATH || "./dragman.db";
+const command = process.argv[2] || "status";
+
+function printStatus(db) {
+  const current = db ? getCurrentVersion(db) : 0;
+  const pending = db ? getPendingMigrations(db) : MIGRATIONS;
+  const currentName = MIGRATIONS.find((m) => m.version === current)?.name;
+
+  console.log(`Database:        ${dbPath}${db ? "" : " (not created yet)"}`);
+  console.log(`Current version: ${current}${currentName ? ` (${currentName})` : ""}`);
+  console.log(`Latest version:  ${getLatestVersion()}`);
+
+  if (pending.length === 0) {
+    console.log("Pending:         none - schema is up to date");
+    return;
+  }
+
+  console.log(`Pending:         ${pending.length}`);
+  for (const migration of pending) {
+    console.log(`  v${migration.version} ${migration.name}`);
+  }
+}
+
+if (command === "status") {
+  // Open read-only so checking the status never creates or modifies the file
+  const db = fs.existsSync(dbPath)
+    ? new Database(dbPath, { readonly: true, fileMustExist: true })
+    : null;
+  printStatus(db);
+  db?.close();
+} else if (command === "up") {
+  const db = new Database(dbPath);
+  const result = await runMigrations(db, {
+    dbPath,
+    log: (level, message, data = {}) =>
+      console.log(`[${level.toUpperCase()}]: ${message}`, JSON.stringify(data)),
+  });
+  console.log(
+    result.applied.length > 0
+      ? `Applied ${result.applied.length} migration(s), now at version ${result.version}`
+      : `Nothing to apply, already at version ${result.version}`,
+  );
+  db.close();
+} else {
+  console.error(`Unknown command "${command}". Use "status" or "up".`);
+  process.exit(1);
+}
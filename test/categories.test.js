@@ -0,0 +1,28 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { db, say } from './support/start-agent.js';
+
+const chatCategories = chatId => db.prepare('SELECT name FROM chat_categories WHERE chatId = ?').all(chatId).map(row => row.name);
+
+test('in groups only owners and moderators change categories, anyone can read the help', async () => {
+  const chatId = 'category-roles';
+  const member = { chatId, sender: '0xmember', group: true };
+  const owner = { chatId, sender: '0xowner', group: true };
+  db.prepare(`INSERT INTO chat_roles (chatId, userAddress, role, grantedBy, grantedAt) VALUES (?, '0xowner', 'owner', 'xmtp', ?)`)
+    .run(chatId, new Date().toISOString());
+
+  assert.match(await say('@dragman category add DeFi 🏦', member), /Only owners and moderators can change this group's categories/);
+  assert.match(await say('@dragman category help', member), /Category commands/);
+  assert.deepEqual(chatCategories(chatId), []);
+
+  assert.match(await say('@dragman category add DeFi 🏦', owner), /Added category/);
+  assert.match(await say('@dragman category rename DeFi Finance', member), /Only owners and moderators/);
+  assert.deepEqual(chatCategories(chatId), ['DeFi']);
+});
+
+test('in a DM the categories are your own to change', async () => {
+  const reply = await say('category add Gaming 🎮', { chatId: 'category-dm', sender: '0xsolo' });
+
+  assert.match(reply, /Added category/);
+  assert.deepEqual(chatCategories('category-dm'), ['Gaming']);
+});
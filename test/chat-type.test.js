@@ -0,0 +1,41 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { db, say } from './support/start-agent.js';
+
+const at = '2026-10-01T00:00:00.000Z';
+
+// A chat as an old guess left it: unverified type, notes stamped with it
+function seedChat(chatId, chatType, savedBy) {
+  db.prepare('INSERT INTO conversation_types (chatId, chatType, updatedAt) VALUES (?, ?, ?)').run(chatId, chatType, at);
+  db.prepare(`
+    INSERT INTO notes (id, chatId, chatType, content, category, savedBy, createdAt, tags)
+    VALUES (?, ?, ?, 'deploy checklist is in notion', 'Tutorial', ?, ?, '[]')
+  `).run(`${chatId}-note`, chatId, chatType, savedBy, at);
+  db.prepare(`INSERT INTO categories (chatId, category, count) VALUES (?, 'Tutorial', 1)`).run(chatId);
+  db.prepare(`
+    INSERT INTO reminders (chatId, chatType, createdBy, message, dueAt, createdAt)
+    VALUES (?, ?, ?, 'ship it', '2026-12-01T00:00:00.000Z', ?)
+  `).run(chatId, chatType, savedBy, at);
+}
+
+const stamps = chatId => ['notes', 'reminders'].map(table =>
+  db.prepare(`SELECT DISTINCT chatType FROM ${table} WHERE chatId = ?`).get(chatId).chatType);
+
+test('a one-author group once guessed as a DM gets its notes back as group notes', async () => {
+  seedChat('group-guessed-dm', 'dm', '0xa11ce');
+
+  const reply = await say('@dragman search deploy', { chatId: 'group-guessed-dm', sender: '0xa11ce', group: true });
+
+  assert.deepEqual(stamps('group-guessed-dm'), ['group', 'group']);
+  assert.match(reply, /deploy checklist/);
+  assert.equal(db.prepare(`SELECT count FROM categories WHERE chatId = 'group-guessed-dm'`).get().count, 1);
+});
+
+test('a DM stored under the old group default gets its notes back once detected', async () => {
+  seedChat('dm-stored-as-group', 'group', '0xb0b');
+
+  const reply = await say('search deploy', { chatId: 'dm-stored-as-group', sender: '0xb0b' });
+
+  assert.deepEqual(stamps('dm-stored-as-group'), ['dm', 'dm']);
+  assert.match(reply, /deploy checklist/);
+});
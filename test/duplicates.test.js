@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { db, say } from './support/start-agent.js';
+
+// An old note plus enough newer ones that only a shared link can bring it up
+function seedOldNote(chatId, savedBy, content) {
+  const insert = db.prepare(`
+    INSERT INTO notes (id, chatId, chatType, content, category, savedBy, createdAt, tags)
+    VALUES (?, ?, 'dm', ?, 'General', ?, ?, '[]')
+  `);
+  insert.run(`${chatId}-old`, chatId, content, savedBy, '2025-01-01T00:00:00.000Z');
+  for (let i = 0; i < 200; i++) {
+    insert.run(`${chatId}-${i}`, chatId, `filler note number ${i}`, savedBy, `2026-0${1 + (i % 9)}-01T00:00:00.000Z`);
+  }
+}
+
+test('an underscore in a link matches only that character, not any', async () => {
+  const options = { chatId: 'dupes-underscore', sender: '0xa11ce' };
+  seedOldNote(options.chatId, options.sender, 'team wiki lives at https://example.com/my-docs page');
+
+  const reply = await say('save team wiki lives at https://example.com/my_docs page', options);
+
+  assert.doesNotMatch(reply, /already/i);
+  assert.equal(db.prepare(`SELECT COUNT(*) AS count FROM notes WHERE content LIKE '%my\\_docs%' ESCAPE '\\'`).get().count, 1);
+});
+
+test('the same underscore link in an old note is still a duplicate', async () => {
+  const options = { chatId: 'dupes-same-link', sender: '0xb0b' };
+  seedOldNote(options.chatId, options.sender, 'team wiki lives at https://example.com/my_docs page');
+
+  const reply = await say('save the wiki: https://example.com/my_docs', options);
+
+  assert.match(reply, /already/i);
+});
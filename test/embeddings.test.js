@@ -0,0 +1,94 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Database from 'better-sqlite3';
+import { runMigrations } from '../utils/migrations.js';
+import {
+  backfillEmbeddings,
+  cosineSimilarity,
+  createEmbeddingProvider,
+  deserializeEmbedding,
+  reciprocalRankFusion,
+} from '../utils/embeddings.js';
+
+const local = createEmbeddingProvider({ provider: 'local' });
+
+async function embed(text) {
+  const [vector] = await local.embed([text]);
+  return vector;
+}
+
+test('the local embedder is deterministic and returns unit vectors', async () => {
+  const [first, second] = await local.embed(['prize wallet for the hackathon', 'prize wallet for the hackathon']);
+
+  assert.equal(local.model, 'local-hash-256');
+  assert.equal(first.length, 256);
+  assert.deepEqual(first, second);
+  assert.ok(Math.abs(cosineSimilarity(first, first) - 1) < 1e-6);
+});
+
+test('notes sharing words or stems are closer than unrelated ones', async () => {
+  const query = await embed('deploying the wallets');
+  const related = await embed('wallet deployment checklist');
+  const unrelated = await embed('lunch on friday with the team');
+
+  assert.ok(cosineSimilarity(query, related) >= local.minSimilarity);
+  assert.ok(cosineSimilarity(query, unrelated) < local.minSimilarity);
+});
+
+test('stop words carry no weight and long tokens skip trigrams', async () => {
+  const onlyStopWords = await embed('what is the');
+  assert.ok(onlyStopWords.every(value => value === 0));
+
+  assert.deepEqual(await embed('the vault is at'), await embed('vault'));
+
+  // An address is one word feature plus its stem, not dozens of trigrams
+  const address = await embed('0x1111111111111111111111111111111111111111');
+  assert.ok(address.filter(value => value !== 0).length <= 2);
+});
+
+test('providers: off disables semantic search, unknown names fail', () => {
+  assert.equal(createEmbeddingProvider({ provider: 'off' }), null);
+  assert.throws(() => createEmbeddingProvider({ provider: 'openai' }), /needs an OpenAI client/);
+  assert.throws(() => createEmbeddingProvider({ provider: 'bert' }), /Unknown EMBEDDINGS_PROVIDER "bert"/);
+});
+
+test('rank fusion favours notes found by both searches', () => {
+  const keyword = [{ id: 'a' }, { id: 'b' }, { id: 'c' }];
+  const semantic = [{ id: 'd' }, { id: 'c' }];
+
+  const fused = reciprocalRankFusion([keyword, semantic], 60);
+  const ranked = [...fused.values()].sort((x, y) => y.score - x.score).map(entry => entry.note.id);
+
+  assert.deepEqual(ranked, ['c', 'a', 'd', 'b']);
+  assert.equal(fused.get('c').score, 1 / 63 + 1 / 62);
+  assert.equal(fused.get('a').score, 1 / 61);
+});
+
+test('rank fusion keeps the first copy of a note and first-seen order on ties', () => {
+  const keyword = [{ id: 'a', from: 'keyword' }];
+  const semantic = [{ id: 'b' }, { id: 'a', from: 'semantic' }];
+
+  const fused = reciprocalRankFusion([keyword, semantic], 60);
+
+  assert.deepEqual([...fused.keys()], ['a', 'b']);
+  assert.equal(fused.get('a').note.from, 'keyword');
+  assert.deepEqual(reciprocalRankFusion([[], []], 60), new Map());
+});
+
+test('the backfill embeds every note missing a vector for the model', async () => {
+  const db = new Database(':memory:');
+  await runMigrations(db);
+  const insert = db.prepare(`
+    INSERT INTO notes (id, chatId, chatType, content, category, savedBy, createdAt, tags)
+    VALUES (?, 'chat', 'dm', ?, ?, '0xa11ce', ?, '[]')
+  `);
+  ['wallet address', 'meeting notes', 'swap route'].forEach((content, index) => {
+    insert.run(`n${index}`, content, 'General', `2026-10-0${index + 1}T00:00:00.000Z`);
+  });
+
+  assert.equal(await backfillEmbeddings(db, local, { batchSize: 2 }), 3);
+  assert.equal(await backfillEmbeddings(db, local), 0);
+
+  const stored = db.prepare(`SELECT vector FROM note_embeddings WHERE noteId = 'n0'`).get();
+  assert.deepEqual(deserializeEmbedding(stored.vector), await embed('General: wallet address'));
+});
@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { db, deliver } from './support/start-agent.js';
+
+// An attachment sent inline, as unknownMessage delivers it
+function inlineFile(filename, text) {
+  const data = new TextEncoder().encode(text);
+  return { contentType: { typeId: 'attachment' }, content: { filename, mimeType: 'text/csv', data } };
+}
+
+test('the import preview categorizes rows without calling the LLM', async () => {
+  const csv = [
+    'content,category',
+    'vault is 0x1111111111111111111111111111111111111111,',
+    'lunch with the team on friday,',
+    'gm everyone,Ideas',
+  ].join('\n');
+
+  const reply = await deliver('unknownMessage', inlineFile('notes.csv', csv), { chatId: 'import-preview', sender: '0xa11ce' });
+
+  assert.match(reply, /Addresses/);
+  assert.match(reply, /General/);
+  assert.match(reply, /Ideas/);
+  assert.equal(db.prepare(`SELECT COUNT(*) AS count FROM llm_usage WHERE task = 'categorize'`).get().count, 0);
+});
+
+test('a remote attachment declared too large is refused before it is downloaded', async () => {
+  const message = {
+    contentType: { typeId: 'remoteStaticAttachment' },
+    content: { url: 'https://files.invalid/huge.csv', filename: 'huge.csv', contentLength: 50 * 1024 * 1024 },
+  };
+
+  const reply = await deliver('attachment', message, { chatId: 'import-huge', sender: '0xb0b' });
+
+  assert.match(reply, /File too large/);
+});
@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Database from 'better-sqlite3';
+import { runMigrations } from '../utils/migrations.js';
+import { createLLMCache } from '../utils/llm-cache.js';
+import { createLLM } from '../utils/llm.js';
+
+async function createCache() {
+  const db = new Database(':memory:');
+  await runMigrations(db);
+  return createLLMCache(db, { ttlMs: { answer: 60 * 60 * 1000, categorize: 60 * 60 * 1000 }, sharedTasks: ['categorize'] });
+}
+
+function request(chatId, content) {
+  return { chatId, task: 'answer', model: 'fake', messages: [{ role: 'user', content }], maxTokens: 300, temperature: 0.2, json: true };
+}
+
+test('entries are kept per chat', async () => {
+  const cache = await createCache();
+  cache.set(request('chat-a', 'prize wallet?'), 'a reply built from chat-a notes');
+
+  assert.equal(cache.get(request('chat-a', 'prize wallet?')), 'a reply built from chat-a notes');
+  assert.equal(cache.get(request('chat-b', 'prize wallet?')), null);
+  assert.equal(cache.get(request(null, 'prize wallet?')), null);
+});
+
+test('shared tasks are answered from the cache in every chat', async () => {
+  const cache = await createCache();
+  const categorize = chatId => ({ ...request(chatId, 'Categorize this note: "vault 0x11"'), task: 'categorize' });
+  cache.set(categorize('chat-a'), 'Addresses');
+
+  assert.equal(cache.get(categorize('chat-b')), 'Addresses');
+  assert.equal(cache.count(), 1);
+});
+
+test('whitespace is normalized, case is not', async () => {
+  const cache = await createCache();
+  cache.set(request('chat-a', 'wallet 0xAbC'), 'reply');
+
+  assert.equal(cache.get(request('chat-a', '  wallet \n 0xAbC ')), 'reply');
+  assert.equal(cache.get(request('chat-a', 'wallet 0xabc')), null);
+});
+
+test('tasks without a TTL are never cached', async () => {
+  const cache = await createCache();
+  cache.set({ ...request('chat-a', 'gm'), task: 'chat' }, 'reply');
+
+  assert.equal(cache.isCacheable('chat'), false);
+  assert.equal(cache.count(), 0);
+});
+
+test('the LLM answers repeats from the cache of the same chat only', async () => {
+  const cache = await createCache();
+  const llm = createLLM({ env: { LLM_PROVIDER: 'fake' }, cache });
+  const ask = chatId => llm.complete('answer', { chatId, messages: [{ role: 'user', content: '[1] (Links) docs at example.com' }] });
+
+  assert.equal((await ask('chat-a')).cached, false);
+  assert.equal((await ask('chat-a')).cached, true);
+  assert.equal((await ask('chat-b')).cached, false);
+});
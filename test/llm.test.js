@@ -0,0 +1,129 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { createLLM } from '../utils/llm.js';
+
+// A local OpenAI-compatible server ("compatible" provider) that answers with
+// whatever status the test queues, then 200
+const server = http.createServer((request, response) => {
+  let body = '';
+  request.on('data', chunk => { body += chunk; });
+  request.on('end', () => {
+    server.requests.push(JSON.parse(body));
+    const status = server.statuses.shift() || 200;
+    response.writeHead(status, { 'Content-Type': 'application/json' });
+    response.end(JSON.stringify(status === 200
+      ? { choices: [{ message: { role: 'assistant', content: 'from the server' } }], usage: { prompt_tokens: 3, completion_tokens: 2 } }
+      : { error: { message: `status ${status}` } }));
+  });
+});
+
+let baseURL;
+
+before(async () => {
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseURL = `http://127.0.0.1:${server.address().port}/v1`;
+});
+
+after(() => server.close());
+
+function reset(...statuses) {
+  server.requests = [];
+  server.statuses = statuses;
+}
+
+const messages = [{ role: 'user', content: 'gm' }];
+
+test('the fake provider answers the same input with the same reply', async () => {
+  const llm = createLLM({ env: { LLM_PROVIDER: 'fake' } });
+
+  const first = await llm.complete('chat', { messages });
+  const second = await llm.complete('chat', { messages });
+
+  assert.equal(first.provider, 'fake');
+  assert.equal(first.content, '(fake) You said: "gm"');
+  assert.equal(second.content, first.content);
+  assert.equal((await llm.complete('categorize', { messages })).content, 'General');
+});
+
+test('429 and 5xx are retried until the provider answers', async () => {
+  reset(429, 503);
+  const retries = [];
+  const log = (level, message, details) => level === 'warn' && retries.push(details.attempt);
+  const llm = createLLM({ env: { LLM_PROVIDER: 'compatible', LLM_BASE_URL: baseURL, LLM_MAX_RETRIES: '2' }, log });
+
+  const result = await llm.complete('chat', { messages });
+
+  assert.equal(result.content, 'from the server');
+  assert.equal(server.requests.length, 3);
+  assert.deepEqual(retries, [1, 2]);
+});
+
+test('a request that still fails after its retries goes to the fallback provider', async () => {
+  reset(500, 500);
+  const usage = [];
+  const llm = createLLM({
+    env: { LLM_PROVIDER: 'compatible', LLM_BASE_URL: baseURL, LLM_MAX_RETRIES: '1', LLM_FALLBACK_PROVIDER: 'fake' },
+    onUsage: entry => usage.push(entry),
+  });
+
+  const result = await llm.complete('chat', { messages, chatId: 'chat-1' });
+
+  assert.equal(server.requests.length, 2);
+  assert.equal(result.provider, 'fake');
+  assert.equal(result.content, '(fake) You said: "gm"');
+  assert.deepEqual(usage.map(entry => [entry.chatId, entry.provider]), [['chat-1', 'fake']]);
+});
+
+test('errors that are not worth retrying go to the fallback at once', async () => {
+  reset(400);
+  const llm = createLLM({ env: { LLM_PROVIDER: 'compatible', LLM_BASE_URL: baseURL, LLM_MAX_RETRIES: '2', LLM_FALLBACK_PROVIDER: 'fake' } });
+
+  const result = await llm.complete('chat', { messages });
+
+  assert.equal(server.requests.length, 1);
+  assert.equal(result.provider, 'fake');
+});
+
+test('without a fallback the last error reaches the caller', async () => {
+  reset(400);
+  const llm = createLLM({ env: { LLM_PROVIDER: 'compatible', LLM_BASE_URL: baseURL } });
+
+  await assert.rejects(llm.complete('chat', { messages }), { status: 400 });
+});
+
+test('a task moved to another provider uses it, with its own model', async () => {
+  reset();
+  const llm = createLLM({
+    env: { LLM_PROVIDER: 'fake', LLM_MODEL: 'big', LLM_CATEGORIZE_PROVIDER: 'compatible', LLM_BASE_URL: baseURL, LLM_CATEGORIZE_MODEL: 'small' },
+  });
+
+  const categorized = await llm.complete('categorize', { messages });
+  const chat = await llm.complete('chat', { messages });
+
+  assert.equal(categorized.provider, 'compatible');
+  assert.equal(server.requests[0].model, 'small');
+  assert.equal(chat.provider, 'fake');
+  assert.equal(chat.model, 'big');
+});
+
+test('off: calls fail so callers use their non-AI fallback', async () => {
+  const llm = createLLM({ env: {} });
+
+  await assert.rejects(llm.complete('chat', { messages }), /LLM is off for task "chat"/);
+  assert.equal(llm.describe(), 'categorize: off, chat: off, answer: off');
+});
+
+test('off with a fallback provider: the fallback answers', async () => {
+  const llm = createLLM({ env: { LLM_PROVIDER: 'off', LLM_FALLBACK_PROVIDER: 'fake' } });
+
+  const result = await llm.complete('answer', { messages: [{ role: 'user', content: '[1] (Links) docs at example.com' }] });
+
+  assert.equal(result.provider, 'fake');
+  assert.deepEqual(JSON.parse(result.content).citations, [1]);
+});
+
+test('unknown providers fail when the LLM is created, not at the first message', () => {
+  assert.throws(() => createLLM({ env: { LLM_PROVIDER: 'opneai' } }), /Unknown LLM provider "opneai"/);
+  assert.throws(() => createLLM({ env: { LLM_PROVIDER: 'compatible' } }), /needs LLM_BASE_URL/);
+});
@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { createMessageNormalizer } from '../utils/messages.js';
+
+const fixtures = JSON.parse(fs.readFileSync(new URL('./fixtures/messages.json', import.meta.url), 'utf8'));
+
+const { normalize } = createMessageNormalizer({
+  agentInboxId: fixtures.agent.inboxId,
+  agentAddress: fixtures.agent.address,
+  getMessageById: async id => fixtures.store[id],
+});
+
+for (const { name, message, expected } of fixtures.cases) {
+  test(`normalizes ${name}`, async () => {
+    const event = await normalize({ message: message ?? undefined });
+    for (const [key, value] of Object.entries(expected)) {
+      assert.deepEqual(event[key], value, key);
+    }
+  });
+}
+
+test('takes the chat from the conversation and the sender from the context when the message lacks them', async () => {
+  const event = await normalize({
+    conversation: { topic: 'topic-1' },
+    message: { contentType: { typeId: 'text' }, content: 'hi', conversationId: 'other' },
+    getSenderAddress: async () => '0xDEF0000000000000000000000000000000000002',
+  });
+  assert.equal(event.chatId, 'topic-1');
+  assert.equal(event.sender, '0xdef0000000000000000000000000000000000002');
+});
+
+test('recognizes replies to the agent by address too', async () => {
+  const byAddress = createMessageNormalizer({
+    agentAddress: fixtures.agent.address,
+    getMessageById: () => ({ senderAddress: fixtures.agent.address }),
+  });
+  const event = await byAddress.normalize({ message: { contentType: { typeId: 'reply' }, content: { reference: 'm', content: 'ok' } } });
+  assert.equal(event.isReplyToAgent, true);
+});
+
+test('a failing lookup leaves the reference unattributed and is logged', async () => {
+  const logged = [];
+  const failing = createMessageNormalizer({
+    agentInboxId: fixtures.agent.inboxId,
+    getMessageById: async () => { throw new Error('store closed'); },
+    log: level => logged.push(level),
+  });
+  const event = await failing.normalize({ message: { contentType: { typeId: 'reaction' }, content: { reference: 'm', content: '👍' } } });
+  assert.equal(event.referenceInboxId, null);
+  assert.equal(event.isReplyToAgent, false);
+  assert.deepEqual(logged, ['warn']);
+});
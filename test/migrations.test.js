@@ -0,0 +1,135 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Database from 'better-sqlite3';
+import { MIGRATIONS, getCurrentVersion, getLatestVersion, runMigrations } from '../utils/migrations.js';
+
+// A database migrated up to (not including) version
+function databaseBefore(version) {
+  const db = new Database(':memory:');
+  for (const migration of MIGRATIONS.filter(migration => migration.version < version)) {
+    migration.up(db);
+  }
+  return db;
+}
+
+function migrate(db, version) {
+  MIGRATIONS.find(migration => migration.version === version).up(db);
+}
+
+test('a new database is migrated to the latest version, and running again applies nothing', async () => {
+  const db = new Database(':memory:');
+  const first = await runMigrations(db);
+  assert.equal(first.applied.length, MIGRATIONS.length);
+  assert.equal(getCurrentVersion(db), getLatestVersion());
+
+  const second = await runMigrations(db);
+  assert.deepEqual(second.applied, []);
+});
+
+test('no migration drops a table an earlier one created', () => {
+  const db = new Database(':memory:');
+  const tables = () => db.prepare(`SELECT name FROM sqlite_master WHERE type = 'table'`).all().map(row => row.name);
+  const created = new Set();
+  for (const migration of MIGRATIONS) {
+    migration.up(db);
+    const now = new Set(tables());
+    for (const table of created) {
+      assert.ok(now.has(table), `v${migration.version} (${migration.name}) dropped ${table}`);
+    }
+    now.forEach(table => created.add(table));
+  }
+});
+
+test('moderator actions from v13 on are audit events, kept through v14', () => {
+  const db = databaseBefore(14);
+  db.prepare(`
+    INSERT INTO audit_events (chatId, chatType, actor, action, noteId, before, createdAt)
+    VALUES ('group-1', 'group', '0xm0d', 'delete', 'n1', '{"content":"spam"}', '2026-10-01T00:00:00.000Z')
+  `).run();
+
+  migrate(db, 14);
+
+  assert.deepEqual(db.prepare('SELECT actor, action, noteId FROM audit_events').all(), [{ actor: '0xm0d', action: 'delete', noteId: 'n1' }]);
+});
+
+test('v15 moves chats misread as DMs to groups, notes and category counts included', () => {
+  const db = databaseBefore(15);
+  const at = '2026-10-01T00:00:00.000Z';
+  const note = db.prepare(`
+    INSERT INTO notes (id, chatId, chatType, content, category, savedBy, createdAt, tags)
+    VALUES (?, ?, 'dm', ?, ?, ?, ?, '[]')
+  `);
+  const chat = db.prepare(`INSERT INTO conversation_types (chatId, chatType, updatedAt) VALUES (?, 'dm', ?)`);
+
+  // Two people saved notes here, so it can't have been a DM
+  chat.run('chat-two-authors', at);
+  note.run('n1', 'chat-two-authors', 'vault 0x1', 'Addresses', '0xaaa', at);
+  note.run('n2', 'chat-two-authors', 'vault 0x2', 'Addresses', '0xbbb', at);
+  note.run('n3', 'chat-two-authors', 'gm', 'General', '0xbbb', at);
+  db.prepare(`INSERT INTO categories (chatId, category, count) VALUES ('chat-two-authors', 'Addresses', 7)`).run();
+  db.prepare(`INSERT INTO chat_settings (chatId, chatType, updatedAt) VALUES ('chat-two-authors', 'dm', ?)`).run(at);
+  db.prepare(`
+    INSERT INTO reminders (chatId, chatType, createdBy, message, dueAt, createdAt)
+    VALUES ('chat-two-authors', 'dm', '0xaaa', 'check vault', ?, ?)
+  `).run(at, at);
+
+  // One author, but it has roles
+  chat.run('chat-with-roles', at);
+  note.run('n4', 'chat-with-roles', 'wiki is notion', 'Links', '0xaaa', at);
+  db.prepare(`
+    INSERT INTO chat_roles (chatId, userAddress, role, grantedBy, grantedAt)
+    VALUES ('chat-with-roles', '0xaaa', 'owner', 'xmtp', ?)
+  `).run(at);
+
+  // A real DM
+  chat.run('real-dm', at);
+  note.run('n5', 'real-dm', 'my seed hint', 'Personal', '0xccc', at);
+
+  migrate(db, 15);
+
+  const chatType = chatId => db.prepare('SELECT chatType FROM conversation_types WHERE chatId = ?').get(chatId).chatType;
+  const noteTypes = chatId => db.prepare('SELECT DISTINCT chatType FROM notes WHERE chatId = ?').all(chatId).map(row => row.chatType);
+
+  assert.equal(chatType('chat-two-authors'), 'group');
+  assert.equal(chatType('chat-with-roles'), 'group');
+  assert.equal(chatType('real-dm'), 'dm');
+
+  assert.deepEqual(noteTypes('chat-two-authors'), ['group']);
+  assert.deepEqual(noteTypes('chat-with-roles'), ['group']);
+  assert.deepEqual(noteTypes('real-dm'), ['dm']);
+
+  assert.equal(db.prepare(`SELECT chatType FROM chat_settings WHERE chatId = 'chat-two-authors'`).get().chatType, 'group');
+  assert.equal(db.prepare(`SELECT chatType FROM reminders WHERE chatId = 'chat-two-authors'`).get().chatType, 'group');
+  assert.deepEqual(
+    db.prepare(`SELECT category, count FROM categories WHERE chatId = 'chat-two-authors' ORDER BY category`).all(),
+    [{ category: 'Addresses', count: 2 }, { category: 'General', count: 1 }],
+  );
+
+  // Still found by the group's full-text search
+  assert.equal(db.prepare(`
+    SELECT COUNT(*) AS count FROM notes_fts JOIN notes ON notes.rowid = notes_fts.rowid
+    WHERE notes_fts MATCH 'vault' AND notes.chatId = 'chat-two-authors' AND notes.chatType = 'group'
+  `).get().count, 2);
+});
+
+test('v15 re-stamps data saved under a type the chat no longer has', () => {
+  const db = databaseBefore(15);
+  const at = '2026-10-01T00:00:00.000Z';
+  const note = db.prepare(`
+    INSERT INTO notes (id, chatId, chatType, content, category, savedBy, createdAt, tags)
+    VALUES (?, ?, ?, ?, 'Links', '0xaaa', ?, '[]')
+  `);
+
+  // A DM whose notes were stored under the old 'group' default
+  db.prepare(`INSERT INTO conversation_types (chatId, chatType, updatedAt) VALUES ('old-default-dm', 'dm', ?)`).run(at);
+  note.run('n1', 'old-default-dm', 'group', 'docs at example.com', at);
+  note.run('n2', 'old-default-dm', 'dm', 'wiki at example.org', at);
+  db.prepare(`INSERT INTO notes_trash (id, chatId, chatType, content, category, savedBy, createdAt, tags, deletedAt, deletedBy)
+    VALUES ('n3', 'old-default-dm', 'group', 'old link', 'Links', '0xaaa', ?, '[]', ?, '0xaaa')`).run(at, at);
+
+  migrate(db, 15);
+
+  assert.deepEqual(db.prepare(`SELECT DISTINCT chatType FROM notes WHERE chatId = 'old-default-dm'`).all(), [{ chatType: 'dm' }]);
+  assert.equal(db.prepare(`SELECT chatType FROM notes_trash WHERE id = 'n3'`).get().chatType, 'dm');
+  assert.deepEqual(db.prepare(`SELECT category, count FROM categories WHERE chatId = 'old-default-dm'`).all(), [{ category: 'Links', count: 2 }]);
+});
@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { answerFromNotes, buildRagMessages, parseRagResponse } from '../utils/rag.js';
+
+const notes = [
+  { id: 'n1', content: 'Prize wallet is 0x1111111111111111111111111111111111111111', category: 'Addresses', createdAt: '2026-10-01T00:00:00.000Z' },
+  { id: 'n2', content: 'Judging starts friday at 3pm', category: null, createdAt: '2026-10-02T00:00:00.000Z' },
+];
+
+// Answers with a fixed reply and remembers what it was asked
+function completeWith(content) {
+  const calls = [];
+  const complete = async request => {
+    calls.push(request);
+    return { content };
+  };
+  return { complete, calls };
+}
+
+test('the prompt numbers the notes with their category and date, then asks the question', () => {
+  const [system, user] = buildRagMessages('where do prizes go?', notes);
+
+  assert.equal(system.role, 'system');
+  assert.match(system.content, /Use nothing but the notes/);
+  assert.equal(user.content, [
+    'Notes:',
+    '[1] (Addresses, saved 2026-10-01T00:00:00.000Z) Prize wallet is 0x1111111111111111111111111111111111111111',
+    '[2] (General, saved 2026-10-02T00:00:00.000Z) Judging starts friday at 3pm',
+    '',
+    'Question: where do prizes go?',
+  ].join('\n'));
+});
+
+test('long notes are cut so the prompt stays bounded', () => {
+  const [, user] = buildRagMessages('?', [{ content: 'x'.repeat(2000), category: 'Dev', createdAt: 'today' }]);
+
+  assert.ok(user.content.includes(`${'x'.repeat(800)}...`));
+  assert.ok(!user.content.includes('x'.repeat(801)));
+});
+
+test('responses: fenced JSON is read, citations merged with inline markers and kept in range', () => {
+  const text = '```json\n{"answer": "Send it to 0x11 [1][3]", "citations": [2, 7, "1"], "confidence": 1.4}\n```';
+
+  assert.deepEqual(parseRagResponse(text, 2), { answer: 'Send it to 0x11 [1][3]', citations: [1, 2], confidence: 1 });
+  assert.equal(parseRagResponse('no idea', 2), null);
+  assert.equal(parseRagResponse('{"answer": ', 2), null);
+  assert.deepEqual(parseRagResponse('{"answer": 5}', 2), { answer: '', citations: [], confidence: 0 });
+});
+
+test('a confident answer comes back with the cited notes', async () => {
+  const { complete, calls } = completeWith('{"answer": "The prize wallet is 0x1111111111111111111111111111111111111111 [1]", "citations": [1], "confidence": 0.9}');
+
+  const result = await answerFromNotes({ complete, question: 'prize wallet?', notes });
+
+  assert.equal(calls.length, 1);
+  assert.equal(calls[0].json, true);
+  assert.deepEqual(calls[0].messages, buildRagMessages('prize wallet?', notes));
+  assert.equal(result.confident, true);
+  assert.deepEqual(result.citations, [{ number: 1, note: notes[0] }]);
+});
+
+test('unsure, uncited or unreadable answers are not confident', async () => {
+  const unsure = await answerFromNotes({ ...completeWith('{"answer": "Maybe friday [2]", "citations": [2], "confidence": 0.3}'), question: 'when?', notes });
+  const uncited = await answerFromNotes({ ...completeWith('{"answer": "Friday", "citations": [], "confidence": 0.9}'), question: 'when?', notes });
+  const unreadable = await answerFromNotes({ ...completeWith('Friday, I think'), question: 'when?', notes });
+
+  assert.equal(unsure.confident, false);
+  assert.equal(uncited.confident, false);
+  assert.deepEqual(unreadable, { answer: '', citations: [], confidence: 0, confident: false });
+});
+
+test('no notes: nothing is asked', async () => {
+  const { complete, calls } = completeWith('{}');
+
+  const result = await answerFromNotes({ complete, question: 'anything?', notes: [] });
+
+  assert.equal(calls.length, 0);
+  assert.equal(result.confident, false);
+});
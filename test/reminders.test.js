@@ -0,0 +1,21 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { db, say } from './support/start-agent.js';
+
+const dm = { chatId: 'dm-reminders', sender: '0xa11ce00000000000000000000000000000000001' };
+const pending = () => db.prepare('SELECT COUNT(*) AS count FROM reminders WHERE chatId = ?').get(dm.chatId).count;
+
+test('an out-of-range time is refused, not stored', async () => {
+  assert.match(await say('remind me in 99999999 days to check the vault', dm), /When should I remind you/);
+  assert.equal(pending(), 0);
+});
+
+test('a day that does not exist is refused', async () => {
+  assert.match(await say('remind me on 2026-02-31 to renew the domain', dm), /When should I remind you/);
+  assert.equal(pending(), 0);
+});
+
+test('a real time is stored', async () => {
+  assert.match(await say('remind me in 2h to check the vault', dm), /Reminder set/);
+  assert.equal(pending(), 1);
+});
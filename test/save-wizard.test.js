@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { db, say } from './support/start-agent.js';
+
+// One sender per test keeps each under the per-minute rate limit
+const ALICE = '0xa11ce00000000000000000000000000000000001';
+const BOB = '0xb0b0000000000000000000000000000000000002';
+const CAROL = '0xca7010000000000000000000000000000000000c';
+const VAULT = '0x1234567890abcdef1234567890abcdef12345678';
+
+const state = (chatId, sender) => db.prepare('SELECT state FROM conversation_state WHERE chatId = ? AND userAddress = ?').get(chatId, sender)?.state;
+const latestNote = chatId => db.prepare('SELECT * FROM notes WHERE chatId = ? ORDER BY createdAt DESC, rowid DESC').get(chatId);
+
+test('answers that look like commands are taken as answers', async () => {
+  const dm = { chatId: 'dm-wizard', sender: ALICE };
+
+  assert.match(await say('save', dm), /step 1 of 6/);
+  assert.match(await say(`find the vault at ${VAULT}`, dm), /step 2 of 6/);
+  assert.match(await say('recent', dm), /step 3 of 6/);          // a category name, not the command
+  assert.match(await say('note, remember', dm), /step 4 of 6/);  // tags
+  assert.match(await say('next', dm), /didn't get that time/);
+  assert.match(await say('skip', dm), /step 5 of 6/);
+  assert.match(await say('no', dm), /step 6 of 6/);
+  assert.match(await say('save', dm), /Note saved successfully/);
+
+  const note = latestNote('dm-wizard');
+  assert.equal(note.content, `find the vault at ${VAULT}`);
+  assert.equal(note.category, 'Recent');
+  assert.deepEqual(JSON.parse(note.tags), ['note', 'remember']);
+  assert.equal(state('dm-wizard', ALICE), undefined);
+});
+
+test('"save <text>" at the content step is the note, and "back" and "cancel" still work', async () => {
+  const dm = { chatId: 'dm-wizard-2', sender: BOB };
+
+  await say('save', dm);
+  assert.match(await say('save the date for the AMA', dm), /step 2 of 6/);
+  assert.equal(db.prepare('SELECT COUNT(*) AS count FROM notes WHERE chatId = ?').get('dm-wizard-2').count, 0);
+
+  assert.match(await say('back', dm), /step 1 of 6/);
+  assert.match(await say('cancel', dm), /Not saved/);
+  assert.equal(state('dm-wizard-2', BOB), undefined);
+});
+
+test('new text for an edit is taken as is, numbers and command words included', async () => {
+  const dm = { chatId: 'dm-edit', sender: CAROL };
+
+  await say('save gm frens', dm);
+  await say('edit gm', dm);
+  await say('1', dm);
+  assert.equal(state('dm-edit', CAROL), 'awaiting_edit_content');
+  assert.match(await say('recent', dm), /Note updated successfully/);
+  assert.equal(latestNote('dm-edit').content, 'recent');
+
+  await say('edit recent', dm);
+  await say('1', dm);
+  assert.match(await say('2', dm), /Note updated successfully/);
+  assert.equal(latestNote('dm-edit').content, '2');
+});
@@ -0,0 +1,7 @@
+// Module hook: resolve @xmtp/agent-sdk to the fake one (see start-agent.js)
+export async function resolve(specifier, context, next) {
+  if (specifier === '@xmtp/agent-sdk') {
+    return { url: new URL('./fake-agent-sdk.js', import.meta.url).href, shortCircuit: true };
+  }
+  return next(specifier, context);
+}
@@ -0,0 +1,23 @@
+// Stands in for @xmtp/agent-sdk so index.js can run without the XMTP network.
+// Handlers registered with agent.on() are collected here for the tests to call.
+
+export const handlers = {};
+
+export class Agent {
+  static async createFromEnv() {
+    return new Agent();
+  }
+
+  constructor() {
+    this.address = '0xa9e0000000000000000000000000000000000000';
+    this.client = { inboxId: 'agent-inbox', conversations: { getConversationById: async () => null } };
+  }
+
+  on(event, handler) {
+    (handlers[event] ||= []).push(handler);
+  }
+
+  async start() {
+    for (const handler of handlers.start || []) handler();
+  }
+}
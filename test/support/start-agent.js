@@ -0,0 +1,52 @@
+// Boots index.js against a fresh database in a temp directory, offline
+// (fake XMTP agent, LLM_PROVIDER=fake, local embeddings), and sends it messages.
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { register } from 'node:module';
+import Database from 'better-sqlite3';
+
+register('./agent-sdk-loader.js', import.meta.url);
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dragman-test-'));
+process.env.DRAGMAN_DB_PATH = path.join(dir, 'dragman.db');
+process.env.XMTP_INSTALLATION_PATH = path.join(dir, 'xmtp');
+process.env.DRAGMAN_PLUGINS_DIR = path.join(dir, 'plugins');
+process.env.LLM_PROVIDER = 'fake';
+process.env.EMBEDDINGS_PROVIDER = 'local';
+
+// Replies wait 2-5s to feel human, and cleanup timers would keep the test process alive
+const realSetTimeout = globalThis.setTimeout;
+const realSetInterval = globalThis.setInterval;
+globalThis.setTimeout = (fn, ms, ...args) => realSetTimeout(fn, ms >= 2000 && ms <= 5000 ? 0 : ms, ...args);
+globalThis.setInterval = (...args) => realSetInterval(...args).unref();
+
+console.log = () => {};
+
+const { handlers } = await import('./fake-agent-sdk.js');
+await import('../../index.js');
+
+const db = new Database(process.env.DRAGMAN_DB_PATH);
+
+// Runs the handlers for an event with a message and returns the replies
+async function deliver(event, message, { chatId, sender, group = false } = {}) {
+  const replies = [];
+  const ctx = {
+    conversation: { topic: chatId, id: chatId, send: async content => replies.push(content) },
+    message: { ...message, senderAddress: sender, conversationId: chatId },
+    sendText: async reply => replies.push(reply),
+    sendReaction: async () => {},
+    isDm: () => !group,
+    isGroup: () => group,
+  };
+  for (const handler of handlers[event] || []) await handler(ctx);
+  return replies.join('\n---\n');
+}
+
+// Sends a text message and returns the replies. In groups, start it with "@dragman".
+function say(text, options) {
+  return deliver('text', { content: text, contentType: { typeId: 'text' }, typeId: 'text' }, options);
+}
+
+export { db, deliver, say };
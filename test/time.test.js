@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parsePastDate, parseReminderRequest, parseTimeExpression } from '../utils/time.js';
+
+const now = new Date('2026-10-19T12:00:00Z');
+const options = { now, timeZone: 'UTC' };
+const parse = text => parseTimeExpression(text, options)?.date.toISOString() ?? null;
+
+test('relative times', () => {
+  assert.equal(parse('in 2h'), '2026-10-19T14:00:00.000Z');
+  assert.equal(parse('in 3 days'), '2026-10-22T12:00:00.000Z');
+});
+
+test('a relative time past what a Date can hold is no time at all', () => {
+  assert.equal(parse('in 99999999 days'), null);
+  assert.equal(parseReminderRequest('in 99999999 days to check the vault', options), null);
+  assert.equal(parseReminderRequest('check the vault in 99999999 days', options), null);
+});
+
+test('dates that do not exist are rejected instead of rolling over', () => {
+  assert.equal(parse('2026-02-31'), null);
+  assert.equal(parse('on 2026-02-31 at 5pm'), null);
+  assert.equal(parse('2026-04-31'), null);
+  assert.equal(parse('2026-13-01'), null);
+  assert.equal(parse('feb 31'), null);
+  assert.equal(parse('31 feb'), null);
+  assert.equal(parse('feb 29'), null); // neither 2026 nor 2027 is a leap year
+  assert.equal(parsePastDate('2026-02-31', options), null);
+});
+
+test('real calendar days still parse', () => {
+  assert.equal(parse('2026-11-02'), '2026-11-02T09:00:00.000Z');
+  assert.equal(parse('2028-02-29 at 5pm'), '2028-02-29T17:00:00.000Z');
+  assert.equal(parse('nov 2'), '2026-11-02T09:00:00.000Z');
+  assert.equal(parse('oct 19 at 9am'), '2027-10-19T09:00:00.000Z'); // already passed today
+  assert.equal(parsePastDate('2026-02', options).toISOString(), '2026-02-01T00:00:00.000Z');
+});
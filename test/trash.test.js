@@ -0,0 +1,27 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { db, say } from './support/start-agent.js';
+
+const count = (chatId, category) =>
+  db.prepare('SELECT count FROM categories WHERE chatId = ? AND category = ?').get(chatId, category)?.count ?? 0;
+
+test('deleting, undoing and restoring keep the category count in step with the notes', async () => {
+  const options = { chatId: 'trash-counts', sender: '0xa11ce' };
+  await say('save prize wallet is 0x1111111111111111111111111111111111111111', options);
+  await say('save treasury is 0x2222222222222222222222222222222222222222', options);
+  assert.equal(count('trash-counts', 'Addresses'), 2);
+
+  assert.match(await say('delete prize wallet', options), /Note deleted/);
+  assert.equal(count('trash-counts', 'Addresses'), 1);
+
+  await say('undo', options);
+  assert.equal(count('trash-counts', 'Addresses'), 2);
+
+  await say('delete treasury', options);
+  await say('delete prize wallet', options);
+  assert.equal(count('trash-counts', 'Addresses'), 0);
+
+  assert.match(await say('restore 1', options), /restored/i);
+  assert.equal(count('trash-counts', 'Addresses'), 1);
+  assert.equal(db.prepare(`SELECT COUNT(*) AS count FROM notes WHERE chatId = 'trash-counts'`).get().count, 1);
+});
@@ -0,0 +1,81 @@
+// Audit trail of changes (`audit_events` table)
+//
+// One row per change: who did what, in which chat, to which note or person,
+// with before/after snapshots as JSON - { content, category, tags } for notes,
+// { role } for roles, { category } for the taxonomy. Unlike log(), content is
+// kept: this table is the record of what changed. So reads are scoped like the
+// notes themselves - always by chatType, and in a DM only to the person who
+// made the change.
+
+// Changes made to someone else's note or role, plus locks. What "modlog" shows.
+const MODERATION_FILTER = `(action IN ('role', 'lock', 'unlock') OR (target IS NOT NULL AND target != actor))`;
+
+function toJson(snapshot) {
+  return snapshot ? JSON.stringify(snapshot) : null;
+}
+
+function parseSnapshot(json) {
+  if (!json) return null;
+  try {
+    return JSON.parse(json);
+  } catch {
+    return null;
+  }
+}
+
+// retentionDays: events older than this are removed by purge()
+function createAuditLog(db, { retentionDays = 180, log = () => {} } = {}) {
+  // Never throws: a failed audit write shouldn't undo the change the user asked for
+  function record({ chatId, chatType, actor, action, noteId = null, target = null, before = null, after = null }) {
+    try {
+      db.prepare(`
+        INSERT INTO audit_events (chatId, chatType, actor, action, noteId, target, before, after, createdAt)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(chatId, chatType, actor, action, noteId, target, toJson(before), toJson(after), new Date().toISOString());
+    } catch (error) {
+      log('error', 'Failed to record audit event', { action, noteId, error: error.message });
+    }
+  }
+
+  // Newest first, with before/after parsed. actor limits it to one person's
+  // changes (always pass it for DMs); moderation keeps only MODERATION_FILTER.
+  function list(chatId, chatType, { limit = 10, actor = null, moderation = false } = {}) {
+    const params = [chatId, chatType];
+    let filters = '';
+    if (actor) {
+      filters += ' AND actor = ?';
+      params.push(actor);
+    }
+    if (moderation) {
+      filters += ` AND ${MODERATION_FILTER}`;
+    }
+    params.push(limit);
+
+    return db.prepare(`
+      SELECT * FROM audit_events
+      WHERE chatId = ? AND chatType = ? ${filters}
+      ORDER BY id DESC
+      LIMIT ?
+    `).all(...params).map(event => ({ ...event, before: parseSnapshot(event.before), after: parseSnapshot(event.after) }));
+  }
+
+  function purge() {
+    const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000).toISOString();
+    return db.prepare('DELETE FROM audit_events WHERE createdAt < ?').run(cutoff).changes;
+  }
+
+  return { record, list, purge };
+}
+
+// Fields that differ between two snapshots: [{ field, before, after }]
+function diffSnapshots(before, after) {
+  const fields = [...new Set([...Object.keys(before || {}), ...Object.keys(after || {})])];
+  return fields
+    .map(field => ({ field, before: before?.[field] ?? null, after: after?.[field] ?? null }))
+    .filter(change => JSON.stringify(change.before) !== JSON.stringify(change.after));
+}
+
+export {
+  createAuditLog,
+  diffSnapshots,
+};
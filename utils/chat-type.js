@@ -0,0 +1,77 @@
+// DM vs group, read from the XMTP conversation itself
+//
+// In order of trust: the SDK's conversation class (Dm / Group), the
+// conversation's metadata, and only when neither says, the member count
+// (the agent plus one person is a DM). Never guessed from what people type:
+// a mention says nothing about who else can read the chat.
+
+const CHAT_TYPES = { dm: 'dm', group: 'group' };
+
+// Tables that stamp every row with its chat's type
+const CHAT_TYPE_TABLES = ['notes', 'notes_trash', 'note_revisions', 'reminders', 'audit_events', 'chat_settings'];
+
+async function countMembers(conversation) {
+  try {
+    const members = await conversation.members?.();
+    return Array.isArray(members) ? members.length : null;
+  } catch {
+    return null;
+  }
+}
+
+async function metadataChatType(conversation) {
+  try {
+    const metadata = await conversation.metadata?.();
+    return CHAT_TYPES[metadata?.conversationType?.toLowerCase()] || null;
+  } catch {
+    return null;
+  }
+}
+
+// ctx: the SDK's message context. Returns { chatType: 'dm' | 'group', memberCount }
+// (memberCount null when unknown), or null when the conversation can't tell.
+async function detectChatType(ctx) {
+  const conversation = ctx?.conversation;
+  if (!conversation) return null;
+
+  const memberCount = await countMembers(conversation);
+
+  let chatType = null;
+  if (ctx.isDm?.()) {
+    chatType = 'dm';
+  } else if (ctx.isGroup?.()) {
+    chatType = 'group';
+  } else {
+    chatType = await metadataChatType(conversation);
+  }
+  if (!chatType && memberCount !== null) {
+    chatType = memberCount <= 2 ? 'dm' : 'group';
+  }
+
+  return chatType ? { chatType, memberCount } : null;
+}
+
+// When a chat turns out to be the other type, everything stored for it follows,
+// or its notes vanish from every query (they all filter on chatType). Category
+// counts are rebuilt from the notes. Call inside a transaction; returns rows re-stamped.
+function restampChatType(db, chatId, chatType) {
+  let changed = 0;
+  for (const table of CHAT_TYPE_TABLES) {
+    changed += db.prepare(`UPDATE ${table} SET chatType = ? WHERE chatId = ? AND chatType != ?`).run(chatType, chatId, chatType).changes;
+  }
+
+  db.prepare('DELETE FROM categories WHERE chatId = ?').run(chatId);
+  db.prepare(`
+    INSERT INTO categories (chatId, category, count)
+    SELECT chatId, category, COUNT(*) FROM notes
+    WHERE chatId = ? AND category IS NOT NULL
+    GROUP BY category
+  `).run(chatId);
+
+  return changed;
+}
+
+export {
+  detectChatType,
+  restampChatType,
+};
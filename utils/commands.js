@@ -0,0 +1,236 @@
+// Command registry
+//
+// Every command is a plain object:
+//
+//   {
+//     name: 'search',                  // unique; also the word that starts it
+//     aliases: ['find'],               // other words (or phrases) that start it
+//     args: '<query:text>',            // grammar for what follows, see below
+//     scope: 'any',                    // 'any', 'dm', 'group', 'moderator', or a list of them (or (args) => scope)
+//     write: false,                    // read-only group members can't run it (or (args) => boolean)
+//     rateLimit: null,                 // extra rate-limit bucket, e.g. 'save'
+//     section: 'search',               // help section ("more" when unknown)
+//     help: ['search [keyword] - Find saved notes'],  // lines starting with a space continue the one above
+//     menu: { id: 'search_notes', label: '🔍 Search Notes', order: 2, run },  // Quick Actions entry
+//     denied: { group: '...' },        // messages for a failed scope check (or (args, call) => message)
+//     run(args, call, invokedAs) { ... },  // returns a string or a response, see reply below
+//   }
+//
+// Argument grammar, space separated:
+//
+//   word             that literal word
+//   <name>           one word
+//   <name:number>    digits, passed as a number
+//   <name:text>      everything that's left (last token only)
+//   <name:a|b|c>     one of these words (lowercased)
+//   [token]          optional
+//
+//   'tag 2 add defi, nft' ← name 'tag', args '<n:number> <action:add|remove> <tags:text>'
+//
+// Scope: 'dm' and 'group' limit where a command works; 'moderator' means owners
+// and moderators only in groups (in a DM everything is the sender's own). A
+// function picks the scope per call, e.g. only some actions of a command are
+// for moderators; menus and help ask it with no arguments.
+//
+// Plugins: every *.js file in the plugins directory default-exports a command,
+// a list of commands, or a function (api) => command(s). See plugins/README.md.
+
+import fs from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+
+// What a command hands back. A plain string means reply.text(string).
+const reply = {
+  text: text => ({ type: 'text', text }),
+  menu: () => ({ type: 'menu' }),   // show the Quick Actions menu
+  sent: () => ({ type: 'sent' }),   // the command already sent its own messages
+};
+
+const RESPONSE_TYPES = ['text', 'menu', 'sent'];
+
+function toResponse(value) {
+  if (value === null || value === undefined || value === '') return null;
+  if (typeof value === 'string') return reply.text(value);
+  if (typeof value === 'object' && RESPONSE_TYPES.includes(value.type)) return value;
+  throw new Error(`Commands must return a string or a reply, got ${JSON.stringify(value).slice(0, 60)}`);
+}
+
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// A phrase matches with any run of spaces between its words
+const phrasePattern = phrase => phrase.trim().split(/\s+/).map(escapeRegExp).join('\\s+');
+
+const TOKEN_TYPES = {
+  number: '\\d+',
+  text: '[\\s\\S]+',
+  word: '\\S+',
+};
+
+// '<n:number> [as] <role:text>' → { pattern, numbers, choices } (the last two list argument names)
+function compileGrammar(grammar, commandName) {
+  const numbers = [];
+  const choices = [];
+  const tokens = grammar.trim() ? grammar.trim().split(/\s+/) : [];
+  const parts = tokens.map((token, index) => {
+    const optional = token.startsWith('[') && token.endsWith(']');
+    const body = optional ? token.slice(1, -1) : token;
+    let pattern;
+
+    const placeholder = body.match(/^<([a-zA-Z]\w*)(?::(.+))?>$/);
+    if (placeholder) {
+      const [, name, type = 'word'] = placeholder;
+      if (type === 'text' && index !== tokens.length - 1) {
+        throw new Error(`Command "${commandName}": <${name}:text> has to be the last argument`);
+      }
+      if (type === 'number') numbers.push(name);
+      if (!TOKEN_TYPES[type]) choices.push(name);
+      const valuePattern = TOKEN_TYPES[type] || `(?:${type.split('|').map(escapeRegExp).join('|')})`;
+      pattern = `(?<${name}>${valuePattern})`;
+    } else if (/^[^<>[\]]+$/.test(body)) {
+      pattern = escapeRegExp(body);
+    } else {
+      throw new Error(`Command "${commandName}": can't read "${token}" in its arguments`);
+    }
+
+    return optional ? `(?:\\s+${pattern})?` : `\\s+${pattern}`;
+  });
+  return { pattern: parts.join(''), numbers, choices };
+}
+
+function scopeList(command, args = {}) {
+  const scope = (typeof command.scope === 'function' ? command.scope(args) : command.scope) || 'any';
+  return Array.isArray(scope) ? scope : [scope];
+}
+
+// The first scope rule the caller breaks ('dm', 'group' or 'moderator'), or null
+function checkScope(command, { isGroupChat, isModerator }, args = {}) {
+  const scope = scopeList(command, args);
+  if (scope.includes('dm') && isGroupChat) return 'dm';
+  if (scope.includes('group') && !isGroupChat) return 'group';
+  if (scope.includes('moderator') && isGroupChat && !isModerator) return 'moderator';
+  return null;
+}
+
+function isWrite(command, args) {
+  return typeof command.write === 'function' ? !!command.write(args) : !!command.write;
+}
+
+// Where a command can show up: menus and help for a DM leave out group-only commands and vice versa
+function availableIn(command, chatType) {
+  const scope = scopeList(command);
+  if (chatType === 'group') return !scope.includes('dm');
+  if (chatType === 'dm') return !scope.includes('group');
+  return true;
+}
+
+function createCommandRegistry({ log = () => {} } = {}) {
+  const commands = [];
+
+  function register(command) {
+    if (!command?.name || typeof command.run !== 'function') {
+      throw new Error('A command needs a name and a run() function');
+    }
+    const name = command.name.toLowerCase();
+    if (commands.some(existing => existing.name === name)) {
+      throw new Error(`Command "${name}" is already registered`);
+    }
+    if (command.menu?.id && commands.some(existing => existing.menu?.id === command.menu.id)) {
+      throw new Error(`Menu action "${command.menu.id}" is already registered`);
+    }
+
+    const heads = [name, ...(command.aliases || [])].map(phrasePattern).join('|');
+    const { pattern, numbers, choices } = compileGrammar(command.args || '', name);
+    commands.push({
+      ...command,
+      name,
+      matcher: new RegExp(`^(?<head>${heads})${pattern}$`, 'i'),
+      numbers,
+      choices,
+    });
+  }
+
+  // First registered command that matches the whole text: { command, args, invokedAs } or null.
+  // args keep the text's case, except choices (<x:a|b>) which are lowercased.
+  function match(text) {
+    const input = text.trim();
+    for (const command of commands) {
+      const found = input.match(command.matcher);
+      if (!found) continue;
+
+      const { head, ...groups } = found.groups;
+      const args = {};
+      for (const [key, value] of Object.entries(groups)) {
+        if (value === undefined) continue;
+        if (command.numbers.includes(key)) args[key] = parseInt(value, 10);
+        else if (command.choices.includes(key)) args[key] = value.toLowerCase();
+        else args[key] = value;
+      }
+      return { command, args, invokedAs: head.toLowerCase().replace(/\s+/g, ' ') };
+    }
+    return null;
+  }
+
+  function get(name) {
+    return commands.find(command => command.name === name.toLowerCase()) || null;
+  }
+
+  // Quick Actions for a chat type, in menu order: [{ id, label, command }]
+  function menu(chatType) {
+    return commands
+      .filter(command => command.menu && availableIn(command, chatType))
+      .sort((a, b) => (a.menu.order ?? Infinity) - (b.menu.order ?? Infinity))
+      .map(command => ({ id: command.menu.id || command.name, label: command.menu.label, command }));
+  }
+
+  function findMenuAction(id) {
+    return commands.find(command => command.menu && (command.menu.id || command.name) === id) || null;
+  }
+
+  // sections: [{ id, title, notes }], in order. Commands from unknown sections go under otherTitle.
+  function helpText({ header = '', footer = '', sections = [], otherTitle = '🧩 MORE' } = {}) {
+    const known = new Set(sections.map(section => section.id));
+    const blocks = [...sections, { id: null, title: otherTitle }].map(section => {
+      const lines = commands
+        .filter(command => command.help?.length && (section.id === null ? !known.has(command.section) : command.section === section.id))
+        .flatMap(command => command.help.map(line => (line.startsWith(' ') ? line : `• ${line}`)));
+      const body = [...lines, ...(section.notes || [])];
+      return body.length > 0 ? `${section.title}\n${body.join('\n')}` : null;
+    }).filter(Boolean);
+
+    return [header, ...blocks, footer].filter(Boolean).join('\n\n');
+  }
+
+  // Loads plugins/*.js (sorted by name). A broken plugin is logged and skipped.
+  async function loadPlugins(directory, api = {}) {
+    if (!fs.existsSync(directory)) return [];
+
+    const loaded = [];
+    const files = fs.readdirSync(directory).filter(file => file.endsWith('.js') && !file.startsWith('_')).sort();
+    for (const file of files) {
+      const registered = commands.length;
+      try {
+        const module = await import(pathToFileURL(path.resolve(directory, file)).href);
+        const exported = typeof module.default === 'function' ? await module.default(api) : module.default;
+        const pluginCommands = [].concat(exported || []);
+        if (pluginCommands.length === 0) throw new Error('default export has no commands');
+
+        pluginCommands.forEach(register);
+        loaded.push({ file, commands: pluginCommands.map(command => command.name) });
+      } catch (error) {
+        commands.length = registered; // All of a plugin's commands or none
+        log('error', 'Failed to load plugin', { file, error: error.message });
+      }
+    }
+    return loaded;
+  }
+
+  return { register, match, get, menu, findMenuAction, helpText, loadPlugins };
+}
+
+export {
+  createCommandRegistry,
+  checkScope,
+  isWrite,
+  reply,
+  toResponse,
+};
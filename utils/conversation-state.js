@@ -0,0 +1,109 @@
+// Multi-step conversation state (`conversation_state` table)
+//
+// One row per person per chat, so a flow in a group and another in a DM never
+// overwrite each other, and a restart picks up where people left off.
+//
+// States are declared up front:
+//
+//   {
+//     editing_notes: { timeoutMs: 300000, entry: true, next: ['awaiting_edit_content'] },
+//     awaiting_edit_content: { timeoutMs: 900000 },
+//   }
+//
+//   timeoutMs  how long the state lasts without a reply
+//   entry      a command can start it whatever state the person is in
+//   next       the steps it leads to. Moving to one keeps the current state, so
+//              back() can return to it; starting an entry state forgets them.
+//
+// Setting the state a person is already in replaces its data (e.g. a new page of the same list).
+
+const MAX_HISTORY = 5;
+
+function parseJson(json, fallback) {
+  if (!json) return fallback;
+  try {
+    return JSON.parse(json);
+  } catch {
+    return fallback;
+  }
+}
+
+// states: the declarations above. now(): the clock, in ms.
+function createConversationState(db, { states, log = () => {}, now = () => Date.now() } = {}) {
+  function definition(state) {
+    const found = states[state];
+    if (!found) throw new Error(`Unknown conversation state "${state}"`);
+    return found;
+  }
+
+  function read(chatId, address) {
+    return db.prepare('SELECT * FROM conversation_state WHERE chatId = ? AND userAddress = ?').get(chatId, address) || null;
+  }
+
+  function write(chatId, address, state, data, history) {
+    const at = now();
+    db.prepare(`
+      INSERT INTO conversation_state (chatId, userAddress, state, data, history, updatedAt, expiresAt)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(chatId, userAddress) DO UPDATE SET
+        state = excluded.state, data = excluded.data, history = excluded.history,
+        updatedAt = excluded.updatedAt, expiresAt = excluded.expiresAt
+    `).run(chatId, address, state, JSON.stringify(data ?? null), JSON.stringify(history),
+      new Date(at).toISOString(), new Date(at + definition(state).timeoutMs).toISOString());
+  }
+
+  function clear(chatId, address) {
+    return db.prepare('DELETE FROM conversation_state WHERE chatId = ? AND userAddress = ?').run(chatId, address).changes > 0;
+  }
+
+  // { state, data, history, updatedAt, expiresAt } or null (expired states are removed)
+  function get(chatId, address) {
+    const row = read(chatId, address);
+    if (!row) return null;
+    if (row.expiresAt <= new Date(now()).toISOString() || !states[row.state]) {
+      clear(chatId, address);
+      log('info', 'Conversation state expired', { state: row.state });
+      return null;
+    }
+    return { ...row, data: parseJson(row.data, null), history: parseJson(row.history, []) };
+  }
+
+  function set(chatId, address, state, data = null) {
+    const target = definition(state);
+    const current = get(chatId, address);
+
+    let history = [];
+    if (current && current.state === state) {
+      history = current.history;
+    } else if (current && (states[current.state].next || []).includes(state)) {
+      history = [...current.history, { state: current.state, data: current.data }].slice(-MAX_HISTORY);
+    } else if (!target.entry) {
+      throw new Error(`Can't go to "${state}" from ${current ? `"${current.state}"` : 'no state'}`);
+    }
+
+    write(chatId, address, state, data, history);
+  }
+
+  // Steps back to the previous state and returns it ({ state, data }), or
+  // returns null and clears the state when there was nothing before it
+  function back(chatId, address) {
+    const current = get(chatId, address);
+    const previous = current?.history.at(-1);
+    if (!previous || !states[previous.state]) {
+      clear(chatId, address);
+      return null;
+    }
+    write(chatId, address, previous.state, previous.data, current.history.slice(0, -1));
+    return previous;
+  }
+
+  function purgeExpired() {
+    return db.prepare('DELETE FROM conversation_state WHERE expiresAt <= ?').run(new Date(now()).toISOString()).changes;
+  }
+
+  return { get, set, back, clear, purgeExpired };
+}
+
+export {
+  createConversationState,
+};
@@ -0,0 +1,106 @@
+// Near-duplicate detection for new notes
+//
+// Two notes are duplicates when they share an identifier - a wallet/contract
+// address or a link - or when their words mostly overlap:
+//
+//   "multisig: 0xAbC...123"          ~ "the team multisig is 0xabc...123"   (same address)
+//   "https://www.docs.uniswap.org/"  ~ "uniswap docs docs.uniswap.org"      (same link)
+//   "deploy the vault contract fri"  ~ "Deploy the vault contract Friday!"  (similar text)
+//
+// Pure functions only; picking the candidate notes (and their privacy scope) is up to the caller.
+
+const ADDRESS_PATTERN = /0x[a-fA-F0-9]{40}/g;
+const URL_PATTERN = /\b(?:https?:\/\/|www\.)[^\s<>"')\]]+/gi;
+const WORD_PATTERN = /[\p{L}\p{N}]{2,}/gu;
+
+// Words that say nothing about what a note is about
+const STOP_WORDS = new Set([
+  'the', 'a', 'an', 'is', 'are', 'was', 'of', 'to', 'in', 'on', 'at', 'for', 'and', 'or', 'our', 'my', 'this', 'that', 'it', 'its',
+]);
+
+// Scheme, "www.", trailing slashes and #fragments don't make a different link
+function normalizeUrl(url) {
+  return url
+    .toLowerCase()
+    .replace(/[.,;:!?]+$/, '')
+    .replace(/^https?:\/\//, '')
+    .replace(/^www\./, '')
+    .replace(/#.*$/, '')
+    .replace(/\/+$/, '');
+}
+
+// Lowercase addresses and normalized links in the text
+function extractIdentifiers(text) {
+  const addresses = (text.match(ADDRESS_PATTERN) || []).map(address => address.toLowerCase());
+  const urls = (text.match(URL_PATTERN) || []).map(normalizeUrl).filter(Boolean);
+  return { addresses: [...new Set(addresses)], urls: [...new Set(urls)] };
+}
+
+function normalizeText(text) {
+  return text.toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+// Identifiers are compared exactly, so the words don't count them twice
+function contentWords(text) {
+  const stripped = text.replace(ADDRESS_PATTERN, ' ').replace(URL_PATTERN, ' ').toLowerCase();
+  return new Set((stripped.match(WORD_PATTERN) || []).filter(word => !STOP_WORDS.has(word)));
+}
+
+// Dice coefficient of the two word sets: 1 = same words, 0 = nothing in common
+function textSimilarity(a, b) {
+  const wordsA = contentWords(a);
+  const wordsB = contentWords(b);
+  if (wordsA.size === 0 || wordsB.size === 0) return 0;
+
+  let shared = 0;
+  for (const word of wordsA) {
+    if (wordsB.has(word)) shared++;
+  }
+  return (2 * shared) / (wordsA.size + wordsB.size);
+}
+
+// The best duplicate of content among candidates ({ id, content, ... }), or null.
+// Returns { note, reason: 'address' | 'link' | 'text', match, score }.
+// Fuzzy matches need minWords on both sides, so "gm" never matches "gm".
+function findDuplicate(content, candidates, { threshold = 0.8, minWords = 3 } = {}) {
+  const identifiers = extractIdentifiers(content);
+
+  for (const note of candidates) {
+    const existing = extractIdentifiers(note.content);
+    const address = identifiers.addresses.find(value => existing.addresses.includes(value));
+    if (address) return { note, reason: 'address', match: address, score: 1 };
+    const url = identifiers.urls.find(value => existing.urls.includes(value));
+    if (url) return { note, reason: 'link', match: url, score: 1 };
+  }
+
+  // The same text again is a duplicate however short it is
+  const normalized = normalizeText(content);
+  const same = candidates.find(note => normalizeText(note.content) === normalized);
+  if (same) return { note: same, reason: 'text', match: null, score: 1 };
+
+  if (contentWords(content).size < minWords) return null;
+
+  let best = null;
+  for (const note of candidates) {
+    if (contentWords(note.content).size < minWords) continue;
+    const score = textSimilarity(content, note.content);
+    if (score >= threshold && (!best || score > best.score)) {
+      best = { note, reason: 'text', match: null, score };
+    }
+  }
+  return best;
+}
+
+// Existing content plus whatever the new text adds (nothing, if it's already there)
+function mergeContent(existing, addition) {
+  if (normalizeText(existing).includes(normalizeText(addition))) return existing;
+  if (normalizeText(addition).includes(normalizeText(existing))) return addition;
+  return `${existing}\n${addition}`;
+}
+
+export {
+  extractIdentifiers,
+  textSimilarity,
+  findDuplicate,
+  mergeContent,
+};
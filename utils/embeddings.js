@@ -0,0 +1,208 @@
+// Note embeddings for semantic search
+//
+// Providers (EMBEDDINGS_PROVIDER):
+//   openai - OpenAI embeddings API (default when OPENAI_API_KEY is set)
+//   local  - deterministic hashed bag-of-words, no network (offline / tests)
+//   off    - disable semantic search entirely
+//
+// Vectors are stored per note in `note_embeddings` together with the model
+// that produced them, so switching providers just means running the backfill.
+
+import crypto from 'crypto';
+
+const LOCAL_DIMENSIONS = 256;
+
+// Words that carry no meaning for similarity
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'at', 'be', 'for', 'from', 'in', 'is', 'it', 'my', 'of',
+  'on', 'or', 'our', 'the', 'this', 'that', 'to', 'was', 'we', 'what', 'where', 'with',
+]);
+
+// ==================== PROVIDERS ====================
+
+function createOpenAIProvider(openai, model) {
+  return {
+    name: 'openai',
+    model,
+    minSimilarity: 0.3,
+    async embed(texts) {
+      const response = await openai.embeddings.create({ model, input: texts });
+      return response.data
+        .sort((a, b) => a.index - b.index)
+        .map(item => normalize(Float32Array.from(item.embedding)));
+    },
+  };
+}
+
+// Feature hashing over words and character trigrams: similar spellings and
+// shared words land close together. Not a language model, but stable and free.
+function createLocalProvider() {
+  return {
+    name: 'local',
+    model: `local-hash-${LOCAL_DIMENSIONS}`,
+    minSimilarity: 0.25,
+    async embed(texts) {
+      return texts.map(hashEmbedding);
+    },
+  };
+}
+
+function hashEmbedding(text) {
+  const vector = new Float32Array(LOCAL_DIMENSIONS);
+  const words = text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+
+  const add = (feature, weight) => {
+    const hash = crypto.createHash('md5').update(feature).digest();
+    const index = hash.readUInt32LE(0) % LOCAL_DIMENSIONS;
+    vector[index] += hash[4] & 1 ? weight : -weight;
+  };
+
+  for (const word of words) {
+    if (STOP_WORDS.has(word)) continue;
+    add(`w:${word}`, 1);
+    add(`s:${stem(word)}`, 1);
+    // Addresses, hashes and the like would drown everything else in trigrams
+    if (word.length > 20) continue;
+    const padded = `_${word}_`;
+    for (let i = 0; i + 3 <= padded.length; i++) {
+      add(`t:${padded.slice(i, i + 3)}`, 0.3);
+    }
+  }
+
+  return normalize(vector);
+}
+
+// Crude suffix stripping so "wallets" / "deploying" / "deployment" share a feature
+function stem(word) {
+  return word.replace(/(ments?|ings?|ed|es|s)$/, '') || word;
+}
+
+// Returns null when semantic search is disabled
+function createEmbeddingProvider({ provider = process.env.EMBEDDINGS_PROVIDER, openai = null, model = process.env.EMBEDDINGS_MODEL } = {}) {
+  const name = (provider || (process.env.OPENAI_API_KEY ? 'openai' : 'local')).toLowerCase();
+
+  if (name === 'off' || name === 'none') return null;
+  if (name === 'local') return createLocalProvider();
+  if (name === 'openai') {
+    if (!openai) throw new Error('EMBEDDINGS_PROVIDER=openai needs an OpenAI client');
+    return createOpenAIProvider(openai, model || 'text-embedding-3-small');
+  }
+  throw new Error(`Unknown EMBEDDINGS_PROVIDER "${provider}" (use openai, local or off)`);
+}
+
+// ==================== VECTOR MATH ====================
+
+function normalize(vector) {
+  let norm = 0;
+  for (const value of vector) norm += value * value;
+  norm = Math.sqrt(norm);
+  if (norm > 0) {
+    for (let i = 0; i < vector.length; i++) vector[i] /= norm;
+  }
+  return vector;
+}
+
+// Vectors are stored normalized, so the dot product is the cosine
+function cosineSimilarity(a, b) {
+  if (!a || !b || a.length !== b.length) return 0;
+  let dot = 0;
+  for (let i = 0; i < a.length; i++) dot += a[i] * b[i];
+  return dot;
+}
+
+function serializeEmbedding(vector) {
+  return Buffer.from(vector.buffer, vector.byteOffset, vector.byteLength);
+}
+
+function deserializeEmbedding(blob) {
+  // Copy so the Float32Array is properly aligned
+  const bytes = Uint8Array.from(blob);
+  return new Float32Array(bytes.buffer);
+}
+
+// ==================== RANK FUSION ====================
+
+// Reciprocal rank fusion: every list a note appears in adds 1 / (k + rank), so a
+// note near the top of any list ranks high. Returns Map id → { note, score },
+// in the order notes were first seen.
+function reciprocalRankFusion(resultLists, k) {
+  const fused = new Map();
+  for (const results of resultLists) {
+    results.forEach((note, rank) => {
+      const entry = fused.get(note.id) || { note, score: 0 };
+      entry.score += 1 / (k + rank + 1);
+      fused.set(note.id, entry);
+    });
+  }
+  return fused;
+}
+
+// ==================== STORAGE ====================
+
+// What gets embedded for a note (category helps short notes)
+function noteEmbeddingText(note) {
+  return note.category ? `${note.category}: ${note.content}` : note.content;
+}
+
+function saveEmbedding(db, noteId, model, vector) {
+  db.prepare(`
+    INSERT INTO note_embeddings (noteId, model, dimensions, vector, updatedAt)
+    VALUES (?, ?, ?, ?, ?)
+    ON CONFLICT(noteId) DO UPDATE SET
+      model = excluded.model,
+      dimensions = excluded.dimensions,
+      vector = excluded.vector,
+      updatedAt = excluded.updatedAt
+  `).run(noteId, model, vector.length, serializeEmbedding(vector), new Date().toISOString());
+}
+
+// Notes with no vector (or one from a different model)
+function getNotesMissingEmbeddings(db, model, limit) {
+  return db.prepare(`
+    SELECT n.id, n.content, n.category FROM notes n
+    LEFT JOIN note_embeddings e ON e.noteId = n.id AND e.model = ?
+    WHERE e.noteId IS NULL
+    ORDER BY n.createdAt DESC
+    LIMIT ?
+  `).all(model, limit);
+}
+
+function countNotesMissingEmbeddings(db, model) {
+  return db.prepare(`
+    SELECT COUNT(*) as count FROM notes n
+    LEFT JOIN note_embeddings e ON e.noteId = n.id AND e.model = ?
+    WHERE e.noteId IS NULL
+  `).get(model).count;
+}
+
+// Embed every note that has no vector for the provider's model yet.
+// maxNotes caps a single run (the scheduler uses small batches).
+async function backfillEmbeddings(db, provider, { batchSize = 50, maxNotes = Infinity, log = () => {} } = {}) {
+  let embedded = 0;
+
+  while (embedded < maxNotes) {
+    const notes = getNotesMissingEmbeddings(db, provider.model, Math.min(batchSize, maxNotes - embedded));
+    if (notes.length === 0) break;
+
+    const vectors = await provider.embed(notes.map(noteEmbeddingText));
+    db.transaction(() => {
+      notes.forEach((note, index) => saveEmbedding(db, note.id, provider.model, vectors[index]));
+    })();
+
+    embedded += notes.length;
+    log('info', 'Embedded notes', { count: notes.length, total: embedded, model: provider.model });
+  }
+
+  return embedded;
+}
+
+export {
+  createEmbeddingProvider,
+  cosineSimilarity,
+  deserializeEmbedding,
+  reciprocalRankFusion,
+  noteEmbeddingText,
+  saveEmbedding,
+  countNotesMissingEmbeddings,
+  backfillEmbeddings,
+};
@@ -0,0 +1,90 @@
+// Persistent cache for LLM completions (`llm_cache` table)
+//
+// Entries are keyed by task, model and a hash of the normalized request, and
+// by chat unless the task is shared: a chat or answer reply built from one
+// chat's notes is never served in another, while a category name (the chat's
+// allowed categories are already in the prompt) is only ever paid for once.
+
+import crypto from 'crypto';
+
+// Whitespace doesn't change what the model is asked. Case does: addresses,
+// URLs and names are copied into replies as written.
+function normalizeText(text) {
+  return String(text ?? '').trim().replace(/\s+/g, ' ');
+}
+
+function cacheKey({ chatId, task, model, messages, maxTokens, temperature, json }, shared) {
+  const normalized = JSON.stringify({
+    chatId: shared ? null : chatId ?? null,
+    task,
+    model,
+    messages: messages.map(message => [message.role, normalizeText(message.content)]),
+    maxTokens: maxTokens ?? null,
+    temperature: temperature ?? null,
+    json: !!json,
+  });
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+// ttlMs: { [task]: ms } - tasks without a TTL are never cached.
+// sharedTasks: tasks whose entries are reused across chats.
+// maxEntries caps the table (least recently used go first), maxResponseChars
+// skips caching unusually long replies.
+function createLLMCache(db, { ttlMs = {}, sharedTasks = [], maxEntries = 5000, maxResponseChars = 4000 } = {}) {
+  const isCacheable = task => ttlMs[task] > 0;
+  const keyFor = request => cacheKey(request, sharedTasks.includes(request.task));
+
+  function get(request) {
+    if (!isCacheable(request.task)) return null;
+
+    const key = keyFor(request);
+    const now = new Date().toISOString();
+    const row = db.prepare('SELECT content FROM llm_cache WHERE key = ? AND expiresAt > ?').get(key, now);
+    if (!row) return null;
+
+    db.prepare('UPDATE llm_cache SET hits = hits + 1, lastUsedAt = ? WHERE key = ?').run(now, key);
+    return row.content;
+  }
+
+  function set(request, content) {
+    if (!isCacheable(request.task) || !content || content.length > maxResponseChars) return;
+
+    const now = new Date();
+    db.prepare(`
+      INSERT INTO llm_cache (key, task, model, content, createdAt, expiresAt, lastUsedAt, hits)
+      VALUES (?, ?, ?, ?, ?, ?, ?, 0)
+      ON CONFLICT(key) DO UPDATE SET
+        content = excluded.content,
+        createdAt = excluded.createdAt,
+        expiresAt = excluded.expiresAt,
+        lastUsedAt = excluded.lastUsedAt,
+        hits = 0
+    `).run(
+      keyFor(request), request.task, request.model, content,
+      now.toISOString(), new Date(now.getTime() + ttlMs[request.task]).toISOString(), now.toISOString(),
+    );
+
+    if (count() > maxEntries) purge();
+  }
+
+  // Drop expired entries, then the least recently used ones above maxEntries
+  function purge() {
+    const expired = db.prepare('DELETE FROM llm_cache WHERE expiresAt <= ?').run(new Date().toISOString()).changes;
+    const evicted = db.prepare(`
+      DELETE FROM llm_cache WHERE key IN (
+        SELECT key FROM llm_cache ORDER BY lastUsedAt DESC LIMIT -1 OFFSET ?
+      )
+    `).run(maxEntries).changes;
+    return { expired, evicted };
+  }
+
+  function count() {
+    return db.prepare('SELECT COUNT(*) as count FROM llm_cache').get().count;
+  }
+
+  return { isCacheable, get, set, purge, count };
+}
+
+export {
+  createLLMCache,
+};
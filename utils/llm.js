@@ -0,0 +1,274 @@
+// LLM providers for chat completions
+//
+// Providers (LLM_PROVIDER, or per task LLM_<TASK>_PROVIDER):
+//   openai     - OpenAI API (default when OPENAI_API_KEY is set)
+//   compatible - any OpenAI-compatible server, e.g. llama.cpp (`llama-server`), via LLM_BASE_URL
+//   fake       - deterministic canned replies, no network (offline / tests)
+//   off        - no LLM; every call fails and callers use their non-AI fallback
+//
+// Tasks: categorize, chat, answer. Each can use its own provider and model
+// (LLM_CATEGORIZE_MODEL, LLM_CHAT_PROVIDER, ...), so e.g. cheap categorization
+// can run on a local model while chat stays on OpenAI.
+//
+// Every call gets a timeout and retries with exponential backoff on network
+// errors, 429 and 5xx. If it still fails, LLM_FALLBACK_PROVIDER (if set) is
+// tried once before the error reaches the caller.
+//
+// With a cache (see utils/llm-cache.js), repeated requests to a task's own
+// provider are answered from it. Fallback replies are never cached.
+
+import OpenAI from 'openai';
+
+const TASKS = ['categorize', 'chat', 'answer'];
+
+const DEFAULT_MODELS = {
+  openai: 'gpt-3.5-turbo',
+  compatible: 'local-model', // llama.cpp serves whatever it loaded, the name is informational
+  fake: 'fake',
+};
+
+const DEFAULT_TIMEOUT_MS = 15000;
+const DEFAULT_MAX_RETRIES = 2;
+const BACKOFF_BASE_MS = 500;
+const BACKOFF_MAX_MS = 8000;
+
+// ==================== PROVIDERS ====================
+
+// Shared by openai and compatible: both speak the chat completions API
+function createChatCompletionsProvider(name, client) {
+  return {
+    name,
+    async complete({ model, messages, maxTokens, temperature, json, timeoutMs }) {
+      const completion = await client.chat.completions.create({
+        model,
+        messages,
+        max_tokens: maxTokens,
+        temperature,
+        ...(json ? { response_format: { type: 'json_object' } } : {}),
+      }, { timeout: timeoutMs, maxRetries: 0 }); // Retries are ours, see withRetries()
+
+      return {
+        content: completion.choices?.[0]?.message?.content || '',
+        usage: {
+          promptTokens: completion.usage?.prompt_tokens || 0,
+          completionTokens: completion.usage?.completion_tokens || 0,
+        },
+      };
+    },
+  };
+}
+
+// Same input → same output. LLM_FAKE_RESPONSE overrides every reply.
+function createFakeProvider(env) {
+  return {
+    name: 'fake',
+    async complete({ task, messages }) {
+      const input = messages.filter(message => message.role === 'user').map(message => message.content).join('\n');
+      const content = env.LLM_FAKE_RESPONSE || fakeReply(task, input);
+      const prompt = messages.map(message => message.content).join('\n');
+      return { content, usage: { promptTokens: estimateTokens(prompt), completionTokens: estimateTokens(content) } };
+    },
+  };
+}
+
+function fakeReply(task, input) {
+  if (task === 'categorize') return 'General';
+  if (task === 'answer') {
+    // Answer with the first numbered note verbatim, citing it
+    const first = input.match(/^\[1\] \([^)]*\) (.+)$/m);
+    return JSON.stringify(first
+      ? { answer: `${first[1]} [1]`, citations: [1], confidence: 0.9 }
+      : { answer: '', citations: [], confidence: 0 });
+  }
+  const question = input.trim().replace(/\s+/g, ' ').slice(0, 80);
+  return `(fake) You said: "${question}"`;
+}
+
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+function createProvider(name, env) {
+  switch (name) {
+    case 'openai':
+      if (!env.OPENAI_API_KEY) throw new Error('LLM provider "openai" needs OPENAI_API_KEY');
+      return createChatCompletionsProvider('openai', new OpenAI({ apiKey: env.OPENAI_API_KEY }));
+    case 'compatible':
+      if (!env.LLM_BASE_URL) throw new Error('LLM provider "compatible" needs LLM_BASE_URL (e.g. http://localhost:8080/v1)');
+      return createChatCompletionsProvider('compatible', new OpenAI({
+        apiKey: env.LLM_API_KEY || 'not-needed', // llama.cpp ignores it unless started with --api-key
+        baseURL: env.LLM_BASE_URL,
+      }));
+    case 'fake':
+      return createFakeProvider(env);
+    default:
+      throw new Error(`Unknown LLM provider "${name}" (use openai, compatible, fake or off)`);
+  }
+}
+
+function defaultProviderName(env) {
+  if (env.OPENAI_API_KEY) return 'openai';
+  if (env.LLM_BASE_URL) return 'compatible';
+  return 'off';
+}
+
+// ==================== RETRIES ====================
+
+// Network errors and timeouts have no status; 408/409/429/5xx are worth another try
+function isRetryable(error) {
+  const status = error?.status;
+  if (status === undefined || status === null) return true;
+  return status === 408 || status === 409 || status === 429 || status >= 500;
+}
+
+function backoffDelay(attempt) {
+  const delay = Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** attempt);
+  return delay / 2 + Math.random() * delay / 2; // Jitter, so retries don't line up
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function withRetries(run, { maxRetries, onRetry }) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await run();
+    } catch (error) {
+      if (attempt >= maxRetries || !isRetryable(error)) throw error;
+      const delay = backoffDelay(attempt);
+      onRetry(error, attempt + 1, delay);
+      await sleep(delay);
+    }
+  }
+}
+
+// ==================== LLM ====================
+
+function readPositiveInt(value, fallback) {
+  const number = Number.parseInt(value, 10);
+  return Number.isFinite(number) && number >= 0 ? number : fallback;
+}
+
+// Returns { complete(task, request), describe() }.
+// request: { messages, maxTokens, temperature, json, chatId }
+// onUsage({ chatId, task, provider, model, promptTokens, completionTokens, cache }) is
+// called after every successful completion; cache is 'hit', 'miss' or null (not cacheable).
+function createLLM({ env = process.env, cache = null, onUsage = () => {}, log = () => {} } = {}) {
+  const timeoutMs = readPositiveInt(env.LLM_TIMEOUT_MS, DEFAULT_TIMEOUT_MS);
+  const maxRetries = readPositiveInt(env.LLM_MAX_RETRIES, DEFAULT_MAX_RETRIES);
+  const providers = new Map(); // Created lazily, one client per provider
+
+  const getProvider = name => {
+    if (!providers.has(name)) providers.set(name, createProvider(name, env));
+    return providers.get(name);
+  };
+
+  const defaultName = (env.LLM_PROVIDER || defaultProviderName(env)).toLowerCase();
+
+  // { provider, model } per task; provider null means off
+  const routes = Object.fromEntries(TASKS.map(task => {
+    const prefix = `LLM_${task.toUpperCase()}_`;
+    const name = (env[`${prefix}PROVIDER`] || defaultName).toLowerCase();
+    // LLM_MODEL belongs to LLM_PROVIDER, not to a task that was moved elsewhere
+    const model = env[`${prefix}MODEL`] || (name === defaultName && env.LLM_MODEL) || DEFAULT_MODELS[name];
+    return [task, { provider: name === 'off' ? null : name, model }];
+  }));
+
+  const fallbackName = env.LLM_FALLBACK_PROVIDER?.toLowerCase();
+  const fallback = fallbackName && fallbackName !== 'off'
+    ? { provider: fallbackName, model: env.LLM_FALLBACK_MODEL || DEFAULT_MODELS[fallbackName] }
+    : null;
+
+  // Fail fast on typos instead of at the first message
+  for (const route of [...Object.values(routes), fallback]) {
+    if (route?.provider) getProvider(route.provider);
+  }
+
+  const reportUsage = usage => {
+    try {
+      onUsage(usage);
+    } catch (error) {
+      log('error', 'Failed to record LLM usage', { error: error.message });
+    }
+  };
+
+  const run = async (route, task, request, cacheStatus = null) => {
+    const provider = getProvider(route.provider);
+    const result = await withRetries(
+      () => provider.complete({ ...request, task, model: route.model, timeoutMs }),
+      {
+        maxRetries,
+        onRetry: (error, attempt, delay) => log('warn', 'LLM request failed, retrying', {
+          task, provider: provider.name, attempt, delayMs: Math.round(delay), error: error.message,
+        }),
+      },
+    );
+
+    reportUsage({ chatId: request.chatId || null, task, provider: provider.name, model: route.model, ...result.usage, cache: cacheStatus });
+    return { ...result, provider: provider.name, model: route.model };
+  };
+
+  // A cache problem should never cost the user their answer
+  const readCache = cacheRequest => {
+    try {
+      return cache.get(cacheRequest);
+    } catch (error) {
+      log('error', 'LLM cache read failed', { error: error.message });
+      return null;
+    }
+  };
+
+  const writeCache = (cacheRequest, content) => {
+    try {
+      cache.set(cacheRequest, content);
+    } catch (error) {
+      log('error', 'LLM cache write failed', { error: error.message });
+    }
+  };
+
+  // Resolves to { content, usage, provider, model, cached }; rejects when no provider could answer
+  async function complete(task, request) {
+    const route = routes[task];
+    if (!route) throw new Error(`Unknown LLM task "${task}"`);
+
+    if (!route.provider) {
+      if (!fallback) throw new Error(`LLM is off for task "${task}"`);
+      return { ...await run(fallback, task, request), cached: false };
+    }
+
+    const cacheRequest = cache?.isCacheable(task)
+      ? { chatId: request.chatId || null, task, model: route.model, messages: request.messages, maxTokens: request.maxTokens, temperature: request.temperature, json: request.json }
+      : null;
+
+    if (cacheRequest) {
+      const content = readCache(cacheRequest);
+      if (content !== null) {
+        const usage = { promptTokens: 0, completionTokens: 0 };
+        reportUsage({ chatId: request.chatId || null, task, provider: route.provider, model: route.model, ...usage, cache: 'hit' });
+        return { content, usage, provider: route.provider, model: route.model, cached: true };
+      }
+    }
+
+    try {
+      const result = await run(route, task, request, cacheRequest ? 'miss' : null);
+      if (cacheRequest) writeCache(cacheRequest, result.content);
+      return { ...result, cached: false };
+    } catch (error) {
+      if (!fallback || fallback.provider === route.provider) throw error;
+      log('warn', 'LLM provider failed, using fallback', { task, provider: route.provider, fallback: fallback.provider, error: error.message });
+      return { ...await run(fallback, task, request, cacheRequest ? 'miss' : null), cached: false };
+    }
+  }
+
+  function describe() {
+    return TASKS.map(task => {
+      const route = routes[task];
+      return route.provider ? `${task}: ${route.provider} (${route.model})` : `${task}: off`;
+    }).join(', ') + (fallback ? `; fallback: ${fallback.provider} (${fallback.model})` : '');
+  }
+
+  return { complete, describe };
+}
+
+export {
+  createLLM,
+};
@@ -0,0 +1,127 @@
+// Incoming message normalization
+//
+// XMTP sends plain text, replies and reactions as different content types, and
+// the agent SDK emits each as its own event ('text', 'reply', 'reaction').
+// normalize() turns any of them into one event for the command pipeline:
+//
+//   { kind, id, chatId, sender, senderInboxId, text, reference, referenceInboxId, isReplyToAgent, reaction, intent }
+//
+//   kind              'text' | 'reply' | 'reaction' | 'intent' (null for anything else)
+//   text              what the user typed ('' for reactions and non-text replies)
+//   reference         id of the message replied/reacted to, or null
+//   referenceInboxId  inbox of that message's sender - from the reply itself, or
+//                     looked up in the local conversation store when the client left it out
+//   isReplyToAgent    the reply/reaction points at one of the agent's own messages
+//   reaction          { emoji, action: 'added' | 'removed' } for reactions
+//   intent            { actionId } for Quick Action taps
+//
+// Content shapes handled:
+//
+//   text      "save gm"
+//   reply     { reference, referenceInboxId?, contentType, content: "save gm" }
+//   reaction  { reference, referenceInboxId?, action, schema, content: "👍" }
+//   intent    { id, actionId, metadata? }
+//   legacy    older Base App builds sent replies as text: { reference, text } or '{"reference": ..., "text": ...}'
+
+const KINDS = ['text', 'reply', 'reaction', 'intent'];
+
+// A text body that is really a reply: { reference, text|content }, possibly as a JSON string
+function parseLegacyReply(content) {
+  let value = content;
+  if (typeof value === 'string') {
+    if (!value.trimStart().startsWith('{')) return null;
+    try {
+      value = JSON.parse(value);
+    } catch {
+      return null;
+    }
+  }
+  if (!value || typeof value !== 'object' || typeof value.reference !== 'string') return null;
+  const text = typeof value.text === 'string' ? value.text : typeof value.content === 'string' ? value.content : '';
+  return { reference: value.reference, referenceInboxId: value.referenceInboxId || null, text };
+}
+
+// The SDK gives decoded messages a ContentTypeId; anything without one is treated by its shape
+function contentKind(message) {
+  const typeId = message?.contentType?.typeId;
+  if (typeId) return KINDS.includes(typeId) ? typeId : null;
+  return typeof message?.content === 'string' || parseLegacyReply(message?.content) ? 'text' : null;
+}
+
+// agentInboxId/agentAddress: the agent's own identity, to recognize replies to it.
+// getMessageById(id): the referenced message from the local store (sync or async), or undefined.
+function createMessageNormalizer({ agentInboxId = null, agentAddress = null, getMessageById = () => undefined, log = () => {} } = {}) {
+  const agentIds = [agentInboxId, agentAddress?.toLowerCase()].filter(Boolean);
+
+  // Only consulted when the reply/reaction doesn't name the sender itself
+  async function lookupSender(reference) {
+    try {
+      const referenced = await getMessageById(reference);
+      return referenced?.senderInboxId || referenced?.senderAddress?.toLowerCase() || null;
+    } catch (error) {
+      log('warn', 'Could not load referenced message', { reference, error: error.message });
+      return null;
+    }
+  }
+
+  async function normalize(ctx) {
+    const message = ctx.message || {};
+    const kind = contentKind(message);
+    const content = message.content;
+
+    const event = {
+      kind,
+      id: message.id || null,
+      chatId: ctx.conversation?.topic || message.conversationId || 'unknown',
+      sender: (message.senderAddress || await ctx.getSenderAddress?.() || 'unknown').toLowerCase(),
+      senderInboxId: message.senderInboxId || null,
+      text: '',
+      reference: null,
+      referenceInboxId: null,
+      isReplyToAgent: false,
+      reaction: null,
+      intent: null,
+    };
+
+    switch (kind) {
+      case 'text': {
+        const legacy = parseLegacyReply(content);
+        if (legacy) {
+          event.kind = 'reply';
+          event.text = legacy.text;
+          event.reference = legacy.reference;
+          event.referenceInboxId = legacy.referenceInboxId;
+        } else {
+          event.text = typeof content === 'string' ? content : '';
+        }
+        break;
+      }
+      case 'reply':
+        event.text = typeof content?.content === 'string' ? content.content : '';
+        event.reference = content?.reference || null;
+        event.referenceInboxId = content?.referenceInboxId || null;
+        break;
+      case 'reaction':
+        event.reference = content?.reference || null;
+        event.referenceInboxId = content?.referenceInboxId || null;
+        event.reaction = { emoji: content?.content || '', action: content?.action === 'removed' ? 'removed' : 'added' };
+        break;
+      case 'intent':
+        event.intent = { actionId: content?.actionId || null };
+        break;
+    }
+
+    if (event.reference) {
+      event.referenceInboxId ||= await lookupSender(event.reference);
+      event.isReplyToAgent = agentIds.includes(event.referenceInboxId);
+    }
+
+    return event;
+  }
+
+  return { normalize };
+}
+
+export {
+  createMessageNormalizer,
+};
@@ -0,0 +1,613 @@
+/**
+ * DRAGMAN DATABASE MIGRATIONS
+ *
+ * Every schema change is an ordered, idempotent up-migration. The applied
+ * version is stored in `schema_version`; on boot `runMigrations()` applies
+ * whatever is pending, after taking a backup copy of the database file.
+ *
+ * Adding a migration: append an entry with the next version number. Never
+ * edit or reorder a migration that has already shipped.
+ */
+
+import fs from 'fs';
+import { restampChatType } from './chat-type.js';
+
+// ==================== HELPERS ====================
+
+function tableExists(db, table) {
+  return !!db.prepare(`SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?`).get(table);
+}
+
+function columnExists(db, table, column) {
+  return db.prepare(`PRAGMA table_info(${table})`).all().some(col => col.name === column);
+}
+
+// SQLite has no ADD COLUMN IF NOT EXISTS, so check first to stay idempotent
+function addColumnIfMissing(db, table, column, definition) {
+  if (!columnExists(db, table, column)) {
+    db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+}
+
+// ==================== MIGRATIONS ====================
+
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'initial_schema',
+    up(db) {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS notes (
+          id TEXT PRIMARY KEY,
+          chatId TEXT NOT NULL,
+          chatType TEXT NOT NULL,
+          content TEXT NOT NULL,
+          category TEXT,
+          savedBy TEXT NOT NULL,
+          fromUser TEXT,
+          originalMessage TEXT,
+          createdAt TEXT NOT NULL,
+          tags TEXT,
+          viewCount INTEGER DEFAULT 0
+        )
+      `);
+
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS conversation_types (
+          chatId TEXT PRIMARY KEY,
+          chatType TEXT NOT NULL,
+          updatedAt TEXT NOT NULL
+        )
+      `);
+
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS categories (
+          chatId TEXT NOT NULL,
+          category TEXT NOT NULL,
+          count INTEGER DEFAULT 1,
+          PRIMARY KEY (chatId, category)
+        )
+      `);
+
+      // Indexes for better search performance
+      db.exec(`CREATE INDEX IF NOT EXISTS idx_notes_chatId ON notes(chatId)`);
+      db.exec(`CREATE INDEX IF NOT EXISTS idx_notes_savedBy ON notes(savedBy)`);
+      db.exec(`CREATE INDEX IF NOT EXISTS idx_notes_category ON notes(category)`);
+      db.exec(`CREATE INDEX IF NOT EXISTS idx_notes_createdAt ON notes(createdAt DESC)`);
+      db.exec(`CREATE INDEX IF NOT EXISTS idx_categories_chatId ON categories(chatId)`);
+    },
+  },
+  {
+    version: 2,
+    name: 'notes_fts',
+    up(db) {
+      // Full-text index over notes (external content table, kept in sync by triggers)
+      db.exec(`
+        CREATE VIRTUAL TABLE IF NOT EXISTS notes_fts USING fts5(
+          content,
+          category,
+          tags,
+          content = 'notes',
+          content_rowid = 'rowid',
+          tokenize = 'unicode61 remove_diacritics 2',
+          prefix = '2 3'
+        )
+      `);
+
+      db.exec(`
+        CREATE TRIGGER IF NOT EXISTS notes_fts_insert AFTER INSERT ON notes BEGIN
+          INSERT INTO notes_fts(rowid, content, category, tags)
+          VALUES (new.rowid, new.content, new.category, new.tags);
+        END
+      `);
+
+      db.exec(`
+        CREATE TRIGGER IF NOT EXISTS notes_fts_delete AFTER DELETE ON notes BEGIN
+          INSERT INTO notes_fts(notes_fts, rowid, content, category, tags)
+          VALUES ('delete', old.rowid, old.content, old.category, old.tags);
+        END
+      `);
+
+      db.exec(`
+        CREATE TRIGGER IF NOT EXISTS notes_fts_update AFTER UPDATE OF content, category, tags ON notes BEGIN
+          INSERT INTO notes_fts(notes_fts, rowid, content, category, tags)
+          VALUES ('delete', old.rowid, old.content, old.category, old.tags);
+          INSERT INTO notes_fts(rowid, content, category, tags)
+          VALUES (new.rowid, new.content, new.category, new.tags);
+        END
+      `);
+
+      // Index notes saved before the FTS table existed (safe to repeat)
+      db.exec(`INSERT INTO notes_fts(notes_fts) VALUES ('rebuild')`);
+    },
+  },
+  {
+    version: 3,
+    name: 'note_revisions_and_trash',
+    up(db) {
+      // Edits no longer overwrite createdAt
+      addColumnIfMissing(db, 'notes', 'updatedAt', 'TEXT');
+
+      // Every prior version of a note (before an edit, delete or undo)
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS note_revisions (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          noteId TEXT NOT NULL,
+          chatId TEXT NOT NULL,
+          chatType TEXT NOT NULL,
+          action TEXT NOT NULL,
+          content TEXT NOT NULL,
+          category TEXT,
+          tags TEXT,
+          actor TEXT NOT NULL,
+          createdAt TEXT NOT NULL,
+          undoneAt TEXT
+        )
+      `);
+
+      // Deleted notes wait here until restored or purged
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS notes_trash (
+          id TEXT PRIMARY KEY,
+          chatId TEXT NOT NULL,
+          chatType TEXT NOT NULL,
+          content TEXT NOT NULL,
+          category TEXT,
+          savedBy TEXT NOT NULL,
+          fromUser TEXT,
+          originalMessage TEXT,
+          createdAt TEXT NOT NULL,
+          updatedAt TEXT,
+          tags TEXT,
+          viewCount INTEGER DEFAULT 0,
+          deletedAt TEXT NOT NULL,
+          deletedBy TEXT NOT NULL
+        )
+      `);
+
+      db.exec(`CREATE INDEX IF NOT EXISTS idx_note_revisions_noteId ON note_revisions(noteId, createdAt DESC)`);
+      db.exec(`CREATE INDEX IF NOT EXISTS idx_note_revisions_actor ON note_revisions(chatId, actor, createdAt DESC)`);
+      db.exec(`CREATE INDEX IF NOT EXISTS idx_notes_trash_chat ON notes_trash(chatId, deletedBy, deletedAt DESC)`);
+    },
+  },
+  {
+    version: 4,
+    name: 'reminders',
+    up(db) {
+      // status: pending → sent | cancelled | failed
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS reminders (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          chatId TEXT NOT NULL,
+          chatType TEXT NOT NULL,
+          createdBy TEXT NOT NULL,
+          message TEXT NOT NULL,
+          noteId TEXT,
+          dueAt TEXT NOT NULL,
+          status TEXT NOT NULL DEFAULT 'pending',
+          attempts INTEGER DEFAULT 0,
+          lastError TEXT,
+          createdAt TEXT NOT NULL,
+          completedAt TEXT
+        )
+      `);
+
+      db.exec(`CREATE INDEX IF NOT EXISTS idx_reminders_due ON reminders(status, dueAt)`);
+      db.exec(`CREATE INDEX IF NOT EXISTS idx_reminders_chat ON reminders(chatId, createdBy, status)`);
+    },
+  },
+  {
+    version: 5,
+    name: 'chat_settings',
+    up(db) {
+      // Per-chat preferences plus the conversation handle used for scheduled sends.
+      // digestDay / digestHour NULL = use the CONFIG default; lastDigestWeek is the
+      // week (start date) of the last delivered digest, so restarts never resend.
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS chat_settings (
+          chatId TEXT PRIMARY KEY,
+          chatType TEXT NOT NULL,
+          conversationId TEXT,
+          timezone TEXT,
+          digestEnabled INTEGER NOT NULL DEFAULT 1,
+          digestDay INTEGER,
+          digestHour INTEGER,
+          lastDigestWeek TEXT,
+          lastDigestSentAt TEXT,
+          updatedAt TEXT NOT NULL
+        )
+      `);
+    },
+  },
+  {
+    version: 6,
+    name: 'detections_and_activity',
+    up(db) {
+      // Addresses / URLs / keywords passively spotted in group messages
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS detections (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          chatId TEXT NOT NULL,
+          type TEXT NOT NULL,
+          content TEXT NOT NULL,
+          context TEXT,
+          detectedBy TEXT NOT NULL,
+          detectedAt TEXT NOT NULL
+        )
+      `);
+
+      // Weekly counters per chat (weekStart = Sunday, YYYY-MM-DD)
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS chat_activity (
+          chatId TEXT NOT NULL,
+          weekStart TEXT NOT NULL,
+          saves INTEGER NOT NULL DEFAULT 0,
+          searches INTEGER NOT NULL DEFAULT 0,
+          views INTEGER NOT NULL DEFAULT 0,
+          PRIMARY KEY (chatId, weekStart)
+        )
+      `);
+
+      db.exec(`CREATE INDEX IF NOT EXISTS idx_detections_chat ON detections(chatId, detectedAt DESC)`);
+    },
+  },
+  {
+    version: 7,
+    name: 'note_embeddings',
+    up(db) {
+      // One vector per note (Float32 little-endian blob), tagged with the model that made it
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS note_embeddings (
+          noteId TEXT PRIMARY KEY,
+          model TEXT NOT NULL,
+          dimensions INTEGER NOT NULL,
+          vector BLOB NOT NULL,
+          updatedAt TEXT NOT NULL
+        )
+      `);
+
+      db.exec(`CREATE INDEX IF NOT EXISTS idx_note_embeddings_model ON note_embeddings(model)`);
+    },
+  },
+  {
+    version: 8,
+    name: 'llm_usage',
+    up(db) {
+      // Token counters per chat, day, task and model (chatId '' = no chat, e.g. imports)
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS llm_usage (
+          chatId TEXT NOT NULL,
+          day TEXT NOT NULL,
+          task TEXT NOT NULL,
+          provider TEXT NOT NULL,
+          model TEXT NOT NULL,
+          requests INTEGER NOT NULL DEFAULT 0,
+          promptTokens INTEGER NOT NULL DEFAULT 0,
+          completionTokens INTEGER NOT NULL DEFAULT 0,
+          PRIMARY KEY (chatId, day, task, provider, model)
+        )
+      `);
+
+      db.exec(`CREATE INDEX IF NOT EXISTS idx_llm_usage_day ON llm_usage(day)`);
+    },
+  },
+  {
+    version: 9,
+    name: 'llm_cache',
+    up(db) {
+      // Completions keyed by sha256(task, model, normalized request, chatId unless shared)
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS llm_cache (
+          key TEXT PRIMARY KEY,
+          task TEXT NOT NULL,
+          model TEXT NOT NULL,
+          content TEXT NOT NULL,
+          createdAt TEXT NOT NULL,
+          expiresAt TEXT NOT NULL,
+          lastUsedAt TEXT NOT NULL,
+          hits INTEGER NOT NULL DEFAULT 0
+        )
+      `);
+
+      db.exec(`CREATE INDEX IF NOT EXISTS idx_llm_cache_expires ON llm_cache(expiresAt)`);
+      db.exec(`CREATE INDEX IF NOT EXISTS idx_llm_cache_last_used ON llm_cache(lastUsedAt)`);
+
+      // Per-chat hit/miss counters live next to the token counters
+      addColumnIfMissing(db, 'llm_usage', 'cacheHits', 'INTEGER NOT NULL DEFAULT 0');
+      addColumnIfMissing(db, 'llm_usage', 'cacheMisses', 'INTEGER NOT NULL DEFAULT 0');
+    },
+  },
+  {
+    version: 10,
+    name: 'category_taxonomy',
+    up(db) {
+      // A chat's own categories; once it has any, only these (plus General) can be assigned
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS chat_categories (
+          chatId TEXT NOT NULL,
+          name TEXT NOT NULL COLLATE NOCASE,
+          emoji TEXT,
+          createdBy TEXT NOT NULL,
+          createdAt TEXT NOT NULL,
+          PRIMARY KEY (chatId, name)
+        )
+      `);
+
+      // Alternative spellings that resolve to a category ("Dex" → "DeFi")
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS category_aliases (
+          chatId TEXT NOT NULL,
+          alias TEXT NOT NULL COLLATE NOCASE,
+          category TEXT NOT NULL,
+          createdBy TEXT NOT NULL,
+          createdAt TEXT NOT NULL,
+          PRIMARY KEY (chatId, alias)
+        )
+      `);
+    },
+  },
+  {
+    version: 11,
+    name: 'note_tags',
+    up(db) {
+      // One row per note and tag, kept in sync with the notes.tags JSON array by
+      // triggers - so saves, edits, trash, restore and undo need no extra code
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS note_tags (
+          noteId TEXT NOT NULL,
+          chatId TEXT NOT NULL,
+          tag TEXT NOT NULL,
+          PRIMARY KEY (noteId, tag)
+        )
+      `);
+
+      const tagsOf = (notes) => `
+        SELECT ${notes}.id, ${notes}.chatId, REPLACE(LOWER(TRIM(tag.value)), ' ', '-')
+        FROM json_each(CASE WHEN json_valid(${notes}.tags) THEN ${notes}.tags ELSE '[]' END) AS tag
+        WHERE tag.type = 'text' AND TRIM(tag.value) != ''
+      `;
+
+      db.exec(`
+        CREATE TRIGGER IF NOT EXISTS note_tags_insert AFTER INSERT ON notes BEGIN
+          INSERT OR IGNORE INTO note_tags (noteId, chatId, tag) ${tagsOf('new')};
+        END
+      `);
+
+      db.exec(`
+        CREATE TRIGGER IF NOT EXISTS note_tags_update AFTER UPDATE OF tags ON notes BEGIN
+          DELETE FROM note_tags WHERE noteId = old.id;
+          INSERT OR IGNORE INTO note_tags (noteId, chatId, tag) ${tagsOf('new')};
+        END
+      `);
+
+      db.exec(`
+        CREATE TRIGGER IF NOT EXISTS note_tags_delete AFTER DELETE ON notes BEGIN
+          DELETE FROM note_tags WHERE noteId = old.id;
+        END
+      `);
+
+      db.exec(`CREATE INDEX IF NOT EXISTS idx_note_tags_chat ON note_tags(chatId, tag)`);
+
+      // Tags of notes saved before the table existed
+      db.exec(`
+        INSERT OR IGNORE INTO note_tags (noteId, chatId, tag)
+        SELECT notes.id, notes.chatId, REPLACE(LOWER(TRIM(tag.value)), ' ', '-')
+        FROM notes, json_each(CASE WHEN json_valid(notes.tags) THEN notes.tags ELSE '[]' END) AS tag
+        WHERE tag.type = 'text' AND TRIM(tag.value) != ''
+      `);
+    },
+  },
+  {
+    version: 12,
+    name: 'note_pins_and_stars',
+    up(db) {
+      // The chat's pinned board (one pin per note, shared with the whole chat)
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS note_pins (
+          noteId TEXT PRIMARY KEY,
+          chatId TEXT NOT NULL,
+          pinnedBy TEXT NOT NULL,
+          pinnedAt TEXT NOT NULL
+        )
+      `);
+      db.exec(`CREATE INDEX IF NOT EXISTS idx_note_pins_chat ON note_pins(chatId, pinnedAt)`);
+
+      // Personal favorites
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS note_stars (
+          noteId TEXT NOT NULL,
+          userAddress TEXT NOT NULL,
+          chatId TEXT NOT NULL,
+          starredAt TEXT NOT NULL,
+          PRIMARY KEY (noteId, userAddress)
+        )
+      `);
+      db.exec(`CREATE INDEX IF NOT EXISTS idx_note_stars_user ON note_stars(userAddress, chatId)`);
+    },
+  },
+  {
+    version: 13,
+    name: 'chat_roles',
+    up(db) {
+      // Per-chat roles. Rows are created lazily (seeded from the XMTP admin lists)
+      // or by grant/revoke; anyone without a row is a member.
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS chat_roles (
+          chatId TEXT NOT NULL,
+          userAddress TEXT NOT NULL,
+          role TEXT NOT NULL CHECK (role IN ('owner', 'moderator', 'member', 'readonly')),
+          grantedBy TEXT NOT NULL,
+          grantedAt TEXT NOT NULL,
+          PRIMARY KEY (chatId, userAddress)
+        )
+      `);
+
+      // Locked notes can only be changed by moderators. Kept apart from notes
+      // so the lock survives delete/restore, like pins.
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS note_locks (
+          noteId TEXT PRIMARY KEY,
+          chatId TEXT NOT NULL,
+          lockedBy TEXT NOT NULL,
+          lockedAt TEXT NOT NULL
+        )
+      `);
+
+      // Who changed what, with before/after JSON snapshots (see utils/audit.js).
+      // Moderator actions on other people's notes and roles are recorded here.
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS audit_events (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          chatId TEXT NOT NULL,
+          chatType TEXT NOT NULL,
+          actor TEXT NOT NULL,
+          action TEXT NOT NULL,
+          noteId TEXT,
+          target TEXT,
+          before TEXT,
+          after TEXT,
+          createdAt TEXT NOT NULL
+        )
+      `);
+      db.exec(`CREATE INDEX IF NOT EXISTS idx_audit_events_chat ON audit_events(chatId, chatType, id)`);
+    },
+  },
+  {
+    version: 14,
+    name: 'audit_events_retention',
+    up(db) {
+      // Every change to notes, roles and categories is recorded from here on;
+      // events past the retention period are pruned by age
+      db.exec(`CREATE INDEX IF NOT EXISTS idx_audit_events_created ON audit_events(createdAt)`);
+    },
+  },
+  {
+    version: 15,
+    name: 'conversation_types_from_xmtp',
+    up(db) {
+      // Chat type now comes from the XMTP conversation itself. verifiedAt NULL marks the
+      // old mention-based guesses, which are re-checked on the next message in that chat.
+      addColumnIfMissing(db, 'conversation_types', 'memberCount', 'INTEGER');
+      addColumnIfMissing(db, 'conversation_types', 'verifiedAt', 'TEXT');
+
+      // A DM has one person in it: a "dm" with several note authors or any roles was a group
+      db.prepare(`
+        UPDATE conversation_types SET chatType = 'group', updatedAt = ?
+        WHERE chatType = 'dm' AND (
+          chatId IN (SELECT chatId FROM notes GROUP BY chatId HAVING COUNT(DISTINCT savedBy) > 1)
+          OR chatId IN (SELECT chatId FROM chat_roles)
+        )
+      `).run(new Date().toISOString());
+
+      // Data saved under an earlier guess (or the old 'group' default) follows the
+      // chat's type, as it does whenever a type is corrected at runtime
+      for (const { chatId, chatType } of db.prepare('SELECT chatId, chatType FROM conversation_types').all()) {
+        restampChatType(db, chatId, chatType);
+      }
+    },
+  },
+  {
+    version: 16,
+    name: 'conversation_state',
+    up(db) {
+      // Pending multi-step replies (pick a number, type the new text, send a file...),
+      // one per person per chat so they survive restarts (see utils/conversation-state.js)
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS conversation_state (
+          chatId TEXT NOT NULL,
+          userAddress TEXT NOT NULL,
+          state TEXT NOT NULL,
+          data TEXT,
+          history TEXT NOT NULL DEFAULT '[]',
+          updatedAt TEXT NOT NULL,
+          expiresAt TEXT NOT NULL,
+          PRIMARY KEY (chatId, userAddress)
+        )
+      `);
+      db.exec(`CREATE INDEX IF NOT EXISTS idx_conversation_state_expires ON conversation_state(expiresAt)`);
+    },
+  },
+];
+
+// ==================== VERSION TRACKING ====================
+
+function ensureVersionTable(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_version (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      appliedAt TEXT NOT NULL
+    )
+  `);
+}
+
+// Read-only: returns 0 for a database that has never been migrated
+function getCurrentVersion(db) {
+  if (!tableExists(db, 'schema_version')) return 0;
+  const row = db.prepare('SELECT MAX(version) as version FROM schema_version').get();
+  return row?.version || 0;
+}
+
+function getPendingMigrations(db) {
+  const current = getCurrentVersion(db);
+  return MIGRATIONS.filter(migration => migration.version > current);
+}
+
+function getLatestVersion() {
+  return MIGRATIONS[MIGRATIONS.length - 1].version;
+}
+
+// Copy the database file next to itself before touching the schema
+async function backupDatabase(db, dbPath, fromVersion) {
+  const hasTables = db.prepare(`SELECT COUNT(*) as count FROM sqlite_master WHERE type = 'table'`).get().count > 0;
+  if (!dbPath || dbPath === ':memory:' || !fs.existsSync(dbPath) || !hasTables) {
+    return null; // Nothing worth backing up yet
+  }
+
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const backupPath = `${dbPath}.v${fromVersion}-${stamp}.backup`;
+  await db.backup(backupPath);
+  return backupPath;
+}
+
+// Apply every pending migration in order, each inside its own transaction
+async function runMigrations(db, { dbPath = null, log = () => {} } = {}) {
+  const pending = getPendingMigrations(db);
+  if (pending.length === 0) {
+    return { applied: [], version: getCurrentVersion(db), backupPath: null };
+  }
+
+  const fromVersion = getCurrentVersion(db);
+  const backupPath = await backupDatabase(db, dbPath, fromVersion);
+  if (backupPath) {
+    log('info', 'Database backed up before migration', { backupPath, fromVersion });
+  }
+
+  ensureVersionTable(db);
+  const recordVersion = db.prepare('INSERT INTO schema_version (version, name, appliedAt) VALUES (?, ?, ?)');
+
+  const applied = [];
+  for (const migration of pending) {
+    try {
+      db.transaction(() => {
+        migration.up(db);
+        recordVersion.run(migration.version, migration.name, new Date().toISOString());
+      })();
+      applied.push(migration);
+      log('info', `Database migration: applied v${migration.version} ${migration.name}`);
+    } catch (error) {
+      log('error', `Database migration v${migration.version} ${migration.name} failed`, { error: error.message, backupPath });
+      throw error;
+    }
+  }
+
+  return { applied, version: getCurrentVersion(db), backupPath };
+}
+
+export {
+  MIGRATIONS,
+  getCurrentVersion,
+  getPendingMigrations,
+  getLatestVersion,
+  runMigrations,
+};
@@ -0,0 +1,127 @@
+// Search query language
+//
+//   search wallet by:0xab12 in:DeFi since:7d before:2026-09-01 #airdrop sort:views
+//
+//   by:0xab12    saved by an address starting with 0xab12 ("by:me" for yourself)
+//   in:DeFi      category (quote names with spaces: in:"Mobile Legends")
+//   since:7d     saved after a date: 7d, 2w, 3mo, today, yesterday, monday, 2026-09-01
+//   before:...   saved before a date, same formats
+//   #airdrop     tagged #airdrop (every tag given must match)
+//   sort:...     relevance (default), newest, oldest, views
+//
+// Everything else is free text for the keyword/semantic search. The parser
+// only reads the query; resolving categories and building SQL is up to the caller.
+
+import { parsePastDate } from './time.js';
+
+const SORTS = {
+  relevance: 'relevance', best: 'relevance',
+  newest: 'newest', new: 'newest', recent: 'newest', latest: 'newest',
+  oldest: 'oldest', old: 'oldest',
+  views: 'views', popular: 'views', viewed: 'views',
+};
+
+const OPERATORS = ['by', 'in', 'since', 'before', 'sort'];
+
+// Not filters: "https://...", "ipfs://..." and friends stay part of the text
+const URL_SCHEMES = ['http', 'https', 'ipfs', 'ipns', 'ftp', 'mailto', 'ens', 'eip155'];
+
+// "key:value", "key:"quoted value"", or anything else as one token
+const TOKEN_PATTERN = /([a-z]+):(?:"([^"]*)"|“([^”]*)”|(\S+))|"[^"]*"|\S+/giu;
+
+const HASHTAG_PATTERN = /^#([\p{L}\p{N}_][\p{L}\p{N}_-]*)$/u;
+
+// Returns { text, tags, author, category, since, before, sort, errors }.
+// author is 'me' or a lowercase 0x prefix, since/before are Dates, errors are
+// user-facing strings (the caller should show them instead of searching).
+function parseSearchQuery(query, { now = new Date(), timeZone } = {}) {
+  const parsed = { text: '', tags: [], author: null, category: null, since: null, before: null, sort: 'relevance', errors: [] };
+  const words = [];
+
+  for (const match of query.matchAll(TOKEN_PATTERN)) {
+    const [token, rawKey] = match;
+    const key = rawKey?.toLowerCase();
+    const value = (match[2] ?? match[3] ?? match[4] ?? '').trim();
+
+    if (!key || URL_SCHEMES.includes(key) || token.includes('://')) {
+      const hashtag = token.match(HASHTAG_PATTERN);
+      if (hashtag && !/^\d+$/.test(hashtag[1])) {
+        parsed.tags.push(hashtag[1].toLowerCase());
+      } else {
+        words.push(token);
+      }
+      continue;
+    }
+
+    if (!OPERATORS.includes(key)) {
+      parsed.errors.push(`Unknown filter "${key}:". Use ${OPERATORS.map(operator => `${operator}:`).join(' ')} or #tag`);
+      continue;
+    }
+    if (!value) {
+      parsed.errors.push(`"${key}:" needs a value, e.g. ${example(key)}`);
+      continue;
+    }
+
+    switch (key) {
+      case 'by': {
+        const author = value.toLowerCase();
+        if (author === 'me' || /^0x[0-9a-f]{2,40}$/.test(author)) {
+          parsed.author = author;
+        } else {
+          parsed.errors.push(`"by:${value}" isn't an address. Use the start of one (by:0xab12) or by:me`);
+        }
+        break;
+      }
+      case 'in':
+        parsed.category = value;
+        break;
+      case 'since':
+      case 'before': {
+        const date = parsePastDate(value, { now, timeZone });
+        if (date) {
+          parsed[key] = date;
+        } else {
+          parsed.errors.push(`Can't read the date in "${key}:${value}". Try ${example(key)}`);
+        }
+        break;
+      }
+      case 'sort': {
+        const sort = SORTS[value.toLowerCase()];
+        if (sort) {
+          parsed.sort = sort;
+        } else {
+          parsed.errors.push(`Unknown sort "${value}". Use sort:newest, sort:oldest, sort:views or sort:relevance`);
+        }
+        break;
+      }
+    }
+  }
+
+  if (parsed.since && parsed.before && parsed.since >= parsed.before) {
+    parsed.errors.push(`"since:" has to be earlier than "before:"`);
+  }
+
+  parsed.text = words.join(' ');
+  parsed.tags = [...new Set(parsed.tags)];
+  return parsed;
+}
+
+function example(key) {
+  return {
+    by: 'by:0xab12 or by:me',
+    in: 'in:DeFi',
+    since: 'since:7d or since:2026-09-01',
+    before: 'before:2026-09-01 or before:yesterday',
+    sort: 'sort:newest',
+  }[key];
+}
+
+// True when the query uses anything beyond plain text
+function hasSearchFilters(parsed) {
+  return !!(parsed.tags.length || parsed.author || parsed.category || parsed.since || parsed.before || parsed.sort !== 'relevance');
+}
+
+export {
+  parseSearchQuery,
+  hasSearchFilters,
+};
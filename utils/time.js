@@ -0,0 +1,320 @@
+// Natural-language time parsing for reminders
+//
+//   "in 2h", "in 3 days", "in an hour"
+//   "tomorrow 9am", "today at 17:30", "tonight"
+//   "on Friday", "next monday at 10am"
+//   "at 5pm", "noon"
+//   "on 2026-11-02", "Nov 2 at 3pm", "2 nov"
+//
+// All wall-clock math happens in `timeZone` (IANA name) when given,
+// otherwise in the server's local time zone.
+
+const UNIT_MS = {
+  minute: 60 * 1000,
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000,
+  week: 7 * 24 * 60 * 60 * 1000,
+};
+
+const UNIT_ALIASES = {
+  m: 'minute', min: 'minute', mins: 'minute', minute: 'minute', minutes: 'minute',
+  h: 'hour', hr: 'hour', hrs: 'hour', hour: 'hour', hours: 'hour',
+  d: 'day', day: 'day', days: 'day',
+  w: 'week', wk: 'week', wks: 'week', week: 'week', weeks: 'week',
+};
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const DEFAULT_HOUR = 9;     // "tomorrow" / "on Friday" without a time
+const TONIGHT_HOUR = 20;
+
+// Building blocks (each used inside a larger anchored pattern)
+const TIME = String.raw`(noon|midnight|\d{1,2}(?::\d{2})?\s*(?:am|pm)|\d{1,2}:\d{2})`;
+const AT_TIME = String.raw`(?:\s+(?:at\s+)?${TIME})?`;
+const UNIT = Object.keys(UNIT_ALIASES).sort((a, b) => b.length - a.length).join('|');
+const WEEKDAY = String.raw`(sun|mon|tue|tues|wed|thu|thur|thurs|fri|sat)(?:day|nesday|urday|sday|day)?`;
+const MONTH = String.raw`(jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*`;
+const END = String.raw`(?=$|[\s,.!?:;])`;
+
+const PATTERNS = {
+  relative: new RegExp(String.raw`^in\s+(\d+|an?|half\s+an?)\s*(${UNIT})${END}`, 'i'),
+  dayWord: new RegExp(String.raw`^(today|tonight|tomorrow|tmrw|tmr)${AT_TIME}${END}`, 'i'),
+  weekday: new RegExp(String.raw`^(?:on\s+)?(?:next\s+)?${WEEKDAY}${AT_TIME}${END}`, 'i'),
+  isoDate: new RegExp(String.raw`^(?:on\s+)?(\d{4})-(\d{1,2})-(\d{1,2})${AT_TIME}${END}`, 'i'),
+  monthDay: new RegExp(String.raw`^(?:on\s+)?${MONTH}\s+(\d{1,2})(?:st|nd|rd|th)?${AT_TIME}${END}`, 'i'),
+  dayMonth: new RegExp(String.raw`^(?:on\s+)?(\d{1,2})(?:st|nd|rd|th)?\s+${MONTH}${AT_TIME}${END}`, 'i'),
+  timeOnly: new RegExp(String.raw`^(?:at\s+)?${TIME}${END}`, 'i'),
+};
+
+// ==================== TIME ZONES ====================
+
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Date → { year, month (0-11), day, hour, minute, weekday } as seen in timeZone
+function toWallClock(date, timeZone) {
+  if (!timeZone) {
+    return {
+      year: date.getFullYear(), month: date.getMonth(), day: date.getDate(),
+      hour: date.getHours(), minute: date.getMinutes(), weekday: date.getDay(),
+    };
+  }
+
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone, hourCycle: 'h23', weekday: 'short',
+      year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric',
+    }).formatToParts(date).map(part => [part.type, part.value])
+  );
+  return {
+    year: Number(parts.year), month: Number(parts.month) - 1, day: Number(parts.day),
+    hour: Number(parts.hour), minute: Number(parts.minute),
+    weekday: WEEKDAYS.findIndex(name => name.startsWith(parts.weekday.toLowerCase())),
+  };
+}
+
+// Wall-clock fields in timeZone → Date (fields may overflow, e.g. day 32)
+function fromWallClock({ year, month, day, hour = 0, minute = 0 }, timeZone) {
+  if (!timeZone) {
+    return new Date(year, month, day, hour, minute, 0, 0);
+  }
+
+  const asUtc = Date.UTC(year, month, day, hour, minute);
+  const offsetAt = (ms) => {
+    const wall = toWallClock(new Date(ms), timeZone);
+    return Date.UTC(wall.year, wall.month, wall.day, wall.hour, wall.minute) - ms;
+  };
+  // Second pass settles times that fall right after a DST change
+  let result = asUtc - offsetAt(asUtc);
+  result = asUtc - offsetAt(result);
+  return new Date(result);
+}
+
+// ==================== PARSING ====================
+
+function parseClock(text) {
+  const value = text.toLowerCase().replace(/\s+/g, '');
+  if (value === 'noon') return { hour: 12, minute: 0 };
+  if (value === 'midnight') return { hour: 0, minute: 0 };
+
+  const match = value.match(/^(\d{1,2})(?::(\d{2}))?(am|pm)?$/);
+  if (!match) return null;
+
+  let hour = parseInt(match[1]);
+  const minute = match[2] ? parseInt(match[2]) : 0;
+  if (minute > 59) return null;
+  if (match[3]) {
+    if (hour < 1 || hour > 12) return null;
+    if (match[3] === 'am' && hour === 12) hour = 0;
+    if (match[3] === 'pm' && hour !== 12) hour += 12;
+  } else if (hour > 23) {
+    return null;
+  }
+  return { hour, minute };
+}
+
+// "mon", "Monday" → 1 (-1 if not a weekday)
+function parseWeekday(name) {
+  return new RegExp(`^${WEEKDAY}$`, 'i').test(name.trim()) ? weekdayIndex(name.trim()) : -1;
+}
+
+function monthIndex(name) {
+  return MONTHS.indexOf(name.toLowerCase().slice(0, 3));
+}
+
+function weekdayIndex(name) {
+  return WEEKDAYS.findIndex(day => day.startsWith(name.toLowerCase().slice(0, 3)));
+}
+
+// False for days that don't exist ("2026-02-31"), which Date would roll into the next month
+function isCalendarDay({ year, month, day }) {
+  const date = new Date(Date.UTC(year, month, day));
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month && date.getUTCDate() === day;
+}
+
+// A calendar day with an optional clock time (defaults to 9:00)
+function atDay(wall, clockText, timeZone) {
+  const clock = clockText ? parseClock(clockText) : { hour: DEFAULT_HOUR, minute: 0 };
+  if (!clock) return null;
+  return fromWallClock({ year: wall.year, month: wall.month, day: wall.day, ...clock }, timeZone);
+}
+
+// Parse a time expression at the START of text.
+// Returns { date, length } (length = characters consumed) or null.
+function parseTimeExpression(text, { now = new Date(), timeZone } = {}) {
+  const input = text.trimStart();
+  const skipped = text.length - input.length;
+  const today = toWallClock(now, timeZone);
+  // "in 99999999 days" is past what a Date can hold
+  const result = (date, match) => (date && !Number.isNaN(date.getTime()) ? { date, length: skipped + match[0].length } : null);
+  let match;
+
+  if ((match = input.match(PATTERNS.relative))) {
+    const amount = /^\d+$/.test(match[1]) ? parseInt(match[1]) : /^half/i.test(match[1]) ? 0.5 : 1;
+    const unit = UNIT_ALIASES[match[2].toLowerCase()];
+    return result(new Date(now.getTime() + amount * UNIT_MS[unit]), match);
+  }
+
+  if ((match = input.match(PATTERNS.dayWord))) {
+    const word = match[1].toLowerCase();
+    const offset = word === 'today' || word === 'tonight' ? 0 : 1;
+    const day = { ...today, day: today.day + offset };
+    if (word === 'tonight' && !match[2]) {
+      return result(fromWallClock({ ...day, hour: TONIGHT_HOUR, minute: 0 }, timeZone), match);
+    }
+    return result(atDay(day, match[2], timeZone), match);
+  }
+
+  if ((match = input.match(PATTERNS.weekday))) {
+    const target = weekdayIndex(match[1]);
+    const ahead = (target - today.weekday + 7) % 7 || 7; // "on Friday" said on a Friday → next week
+    return result(atDay({ ...today, day: today.day + ahead }, match[2], timeZone), match);
+  }
+
+  if ((match = input.match(PATTERNS.isoDate))) {
+    const day = { year: parseInt(match[1]), month: parseInt(match[2]) - 1, day: parseInt(match[3]) };
+    if (!isCalendarDay(day)) return null;
+    return result(atDay(day, match[4], timeZone), match);
+  }
+
+  const monthDay = input.match(PATTERNS.monthDay);
+  const dayMonth = !monthDay && input.match(PATTERNS.dayMonth);
+  if ((match = monthDay || dayMonth)) {
+    const month = monthIndex(monthDay ? match[1] : match[2]);
+    const dayOfMonth = parseInt(monthDay ? match[2] : match[1]);
+    if (month < 0) return null;
+    // No year given: the next time that date comes around (this year or next)
+    for (const year of [today.year, today.year + 1]) {
+      if (!isCalendarDay({ year, month, day: dayOfMonth })) continue;
+      const date = atDay({ year, month, day: dayOfMonth }, match[3], timeZone);
+      if (!date || date > now) return result(date, match);
+    }
+    return null;
+  }
+
+  if ((match = input.match(PATTERNS.timeOnly))) {
+    const clock = parseClock(match[1]);
+    if (!clock) return null;
+    // "at 5pm" after 5pm means tomorrow
+    let date = fromWallClock({ ...today, ...clock }, timeZone);
+    if (date <= now) {
+      date = fromWallClock({ ...today, day: today.day + 1, ...clock }, timeZone);
+    }
+    return result(date, match);
+  }
+
+  return null;
+}
+
+// A moment in the past for date filters: "7d", "2w", "3mo", "1y" ago, or the start of
+// "today", "yesterday", "monday" (the last one), "2026-09-01" or "2026-09".
+// Returns a Date or null.
+function parsePastDate(text, { now = new Date(), timeZone } = {}) {
+  const value = text.trim().toLowerCase();
+  const today = toWallClock(now, timeZone);
+  let match;
+
+  if ((match = value.match(/^(\d+)\s*(mo|mos|months?|y|yrs?|years?)$/))) {
+    const amount = parseInt(match[1]);
+    const months = match[2].startsWith('y') ? amount * 12 : amount;
+    return fromWallClock({ ...today, month: today.month - months }, timeZone);
+  }
+
+  if ((match = value.match(new RegExp(`^(\\d+)\\s*(${UNIT})$`)))) {
+    return new Date(now.getTime() - parseInt(match[1]) * UNIT_MS[UNIT_ALIASES[match[2]]]);
+  }
+
+  if (value === 'today' || value === 'yesterday') {
+    return fromWallClock({ ...today, day: today.day - (value === 'yesterday' ? 1 : 0), hour: 0, minute: 0 }, timeZone);
+  }
+
+  const weekday = parseWeekday(value);
+  if (weekday >= 0) {
+    return fromWallClock({ ...today, day: today.day - ((today.weekday - weekday + 7) % 7), hour: 0, minute: 0 }, timeZone);
+  }
+
+  if ((match = value.match(/^(\d{4})-(\d{1,2})(?:-(\d{1,2}))?$/))) {
+    const month = parseInt(match[2]) - 1;
+    const day = match[3] ? parseInt(match[3]) : 1;
+    if (!isCalendarDay({ year: parseInt(match[1]), month, day })) return null;
+    return fromWallClock({ year: parseInt(match[1]), month, day, hour: 0, minute: 0 }, timeZone);
+  }
+
+  return null;
+}
+
+// Split "in 2h to call mom" / "to call mom tomorrow 9am" into { dueAt, message }.
+// Returns null when no time expression is found at either end.
+function parseReminderRequest(text, options = {}) {
+  const input = text.trim();
+  const cleanMessage = (message) => message.trim().replace(/^(?:to|about|that)\s+/i, '').replace(/[\s,]+$/, '').trim();
+
+  // Time first: "in 2h to call mom"
+  const leading = parseTimeExpression(input, options);
+  if (leading) {
+    return { dueAt: leading.date, message: cleanMessage(input.slice(leading.length)) };
+  }
+
+  // Time last: "to call mom tomorrow 9am" (earliest word that starts a full expression wins)
+  const wordStarts = [...input.matchAll(/\s+(?=\S)/g)].map(match => match.index + match[0].length);
+  for (const start of wordStarts) {
+    const tail = input.slice(start).replace(/[.!?]+$/, '');
+    const trailing = parseTimeExpression(tail, options);
+    if (trailing && trailing.length === tail.length) {
+      return { dueAt: trailing.date, message: cleanMessage(input.slice(0, start)) };
+    }
+  }
+
+  return null;
+}
+
+// ==================== FORMATTING ====================
+
+// "Tue, Oct 20, 9:00 AM"
+function formatDateTime(date, timeZone) {
+  return date.toLocaleString('en-US', {
+    timeZone, weekday: 'short', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit',
+  });
+}
+
+// Start date (YYYY-MM-DD, Sunday-based) of the week containing date in timeZone
+function getWeekKey(date, timeZone) {
+  const wall = toWallClock(date, timeZone);
+  return new Date(Date.UTC(wall.year, wall.month, wall.day - wall.weekday)).toISOString().slice(0, 10);
+}
+
+function weekdayName(index) {
+  return WEEKDAYS[index].charAt(0).toUpperCase() + WEEKDAYS[index].slice(1);
+}
+
+// "in 2 hours", "in 3 days"
+function formatTimeUntil(date, now = new Date()) {
+  const minutes = Math.max(1, Math.round((date.getTime() - now.getTime()) / UNIT_MS.minute));
+  if (minutes < 60) return `in ${minutes} minute${minutes === 1 ? '' : 's'}`;
+  const hours = Math.round(minutes / 60);
+  if (hours < 48) return `in ${hours} hour${hours === 1 ? '' : 's'}`;
+  const days = Math.round(hours / 24);
+  return `in ${days} days`;
+}
+
+export {
+  isValidTimeZone,
+  toWallClock,
+  fromWallClock,
+  parseClock,
+  parseWeekday,
+  parseTimeExpression,
+  parsePastDate,
+  parseReminderRequest,
+  formatDateTime,
+  formatTimeUntil,
+  getWeekKey,
+  weekdayName,
+};
@@ -0,0 +1,41 @@
+// Upload encrypted attachment payloads to IPFS through Pinata
+// (same service as examples/xmtp-attachments/upload.ts, using Node's built-in fetch)
+
+const PINATA_UPLOAD_URL = 'https://api.pinata.cloud/pinning/pinFileToIPFS';
+const PINATA_GATEWAY_URL = 'https://gateway.pinata.cloud/ipfs';
+
+// Read keys lazily: index.js loads .env after its imports are evaluated
+function getPinataKeys() {
+  return {
+    apiKey: process.env.PINATA_API_KEY || '',
+    secretKey: process.env.PINATA_SECRET_KEY || '',
+  };
+}
+
+export function isUploadConfigured() {
+  const { apiKey, secretKey } = getPinataKeys();
+  return !!(apiKey && secretKey);
+}
+
+export async function uploadToPinata(fileData, filename) {
+  const { apiKey, secretKey } = getPinataKeys();
+
+  const data = new FormData();
+  data.append('file', new Blob([fileData], { type: 'application/octet-stream' }), filename);
+
+  const response = await fetch(PINATA_UPLOAD_URL, {
+    method: 'POST',
+    body: data,
+    headers: {
+      pinata_api_key: apiKey,
+      pinata_secret_api_key: secretKey,
+    },
+  });
+
+  if (!response.ok) {
+    throw new Error(`Pinata upload failed with status ${response.status}`);
+  }
+
+  const { IpfsHash } = await response.json();
+  return `${PINATA_GATEWAY_URL}/${IpfsHash}`;
+}